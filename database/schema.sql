@@ -26,11 +26,128 @@
 
 CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
 CREATE EXTENSION IF NOT EXISTS "pgcrypto";
+CREATE EXTENSION IF NOT EXISTS "pg_trgm";     -- partial serial / part number search
 
 -- ═══════════════════════════════════════════════════════════════
 --  TABLES
 -- ═══════════════════════════════════════════════════════════════
 
+-- ─── ROLES & PERMISSIONS ──────────────────────────────────────
+-- Routes check named permissions; which roles hold them is data, managed via /api/roles
+CREATE TABLE IF NOT EXISTS roles (
+  id            UUID          PRIMARY KEY DEFAULT uuid_generate_v4(),
+  name          TEXT          UNIQUE NOT NULL,
+  description   TEXT,
+  is_system     BOOLEAN       NOT NULL DEFAULT false,
+  created_at    TIMESTAMPTZ   NOT NULL DEFAULT NOW(),
+  updated_at    TIMESTAMPTZ   NOT NULL DEFAULT NOW()
+);
+
+COMMENT ON COLUMN roles.is_system IS 'Default roles: cannot be renamed or deleted';
+
+CREATE TABLE IF NOT EXISTS permissions (
+  name          TEXT          PRIMARY KEY,
+  description   TEXT          NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS role_permissions (
+  role_id       UUID          NOT NULL REFERENCES roles(id) ON DELETE CASCADE,
+  permission    TEXT          NOT NULL REFERENCES permissions(name) ON DELETE CASCADE,
+  PRIMARY KEY (role_id, permission)
+);
+
+-- Permission catalogue (the names the routes check)
+INSERT INTO permissions (name, description) VALUES
+  ('assets.write',          'Create and edit assets'),
+  ('assets.delete',         'Delete assets'),
+  ('rigs.write',            'Create and edit rigs'),
+  ('rigs.delete',           'Delete rigs'),
+  ('companies.write',       'Create and edit companies'),
+  ('companies.delete',      'Delete companies'),
+  ('contracts.write',       'Create and edit contracts'),
+  ('contracts.delete',      'Delete contracts'),
+  ('maintenance.write',     'Create, edit and complete PM schedules'),
+  ('maintenance.delete',    'Delete PM schedules'),
+  ('work_orders.write',     'Create, edit and progress work orders'),
+  ('work_orders.manage',    'Generate work orders from PMs and cancel work orders'),
+  ('work_orders.delete',    'Delete work orders'),
+  ('transfers.write',       'Request and delete transfers'),
+  ('transfers.approve_ops', 'Stage 1 (operations) transfer approval'),
+  ('transfers.approve_final','Stage 2 (final) transfer approval'),
+  ('bom.write',             'Create and edit BOM items'),
+  ('bom.delete',            'Delete BOM items'),
+  ('certificates.write',    'Create and edit certificates'),
+  ('certificates.revoke',   'Revoke certificates'),
+  ('certificates.delete',   'Delete certificates'),
+  ('users.read',            'View other users'),
+  ('users.manage',          'Create, edit, delete, unlock and invite users; manage their sessions'),
+  ('audit.read',            'Query the audit trail'),
+  ('api_keys.manage',       'Issue and revoke API keys'),
+  ('roles.manage',          'Create roles and assign permissions'),
+  ('depreciation.manage',   'Edit depreciation policies'),
+  ('records.purge',         'Permanently delete archived assets, rigs, companies and contracts'),
+  ('asset_attributes.manage','Define the custom attributes of each asset category')
+ON CONFLICT (name) DO UPDATE SET description = EXCLUDED.description;
+
+-- Default roles – same access the hard-coded role lists used to grant
+INSERT INTO roles (name, description, is_system) VALUES
+  ('Admin',              'Full access',                                            true),
+  ('Asset Manager',      'Manages assets and gives final transfer approval',       true),
+  ('Operations Manager', 'Edits operational data and gives stage 1 approval',      true),
+  ('Editor',             'Creates and edits records',                              true),
+  ('Viewer',             'Read-only access',                                       true)
+ON CONFLICT (name) DO NOTHING;
+
+-- Admin always holds every permission (re-run after adding permissions)
+INSERT INTO role_permissions (role_id, permission)
+SELECT r.id, p.name FROM roles r CROSS JOIN permissions p WHERE r.name = 'Admin'
+ON CONFLICT DO NOTHING;
+
+-- Other defaults are only granted when the role has no permissions yet, so later
+-- changes made through /api/roles survive re-running this file
+INSERT INTO role_permissions (role_id, permission)
+SELECT r.id, g.permission
+FROM (VALUES
+  ('Asset Manager', 'assets.write'), ('Asset Manager', 'assets.delete'),
+  ('Asset Manager', 'rigs.write'), ('Asset Manager', 'rigs.delete'),
+  ('Asset Manager', 'companies.write'), ('Asset Manager', 'companies.delete'),
+  ('Asset Manager', 'contracts.write'), ('Asset Manager', 'contracts.delete'),
+  ('Asset Manager', 'maintenance.write'), ('Asset Manager', 'maintenance.delete'),
+  ('Asset Manager', 'work_orders.write'), ('Asset Manager', 'work_orders.manage'),
+  ('Asset Manager', 'work_orders.delete'),
+  ('Asset Manager', 'transfers.write'), ('Asset Manager', 'transfers.approve_final'),
+  ('Asset Manager', 'bom.write'), ('Asset Manager', 'bom.delete'),
+  ('Asset Manager', 'certificates.write'), ('Asset Manager', 'certificates.revoke'),
+  ('Asset Manager', 'certificates.delete'),
+  ('Asset Manager', 'users.read'), ('Asset Manager', 'depreciation.manage'),
+  ('Operations Manager', 'assets.write'), ('Operations Manager', 'rigs.write'),
+  ('Operations Manager', 'companies.write'), ('Operations Manager', 'contracts.write'),
+  ('Operations Manager', 'maintenance.write'), ('Operations Manager', 'work_orders.write'),
+  ('Operations Manager', 'transfers.write'), ('Operations Manager', 'transfers.approve_ops'),
+  ('Operations Manager', 'bom.write'), ('Operations Manager', 'certificates.write'),
+  ('Editor', 'assets.write'), ('Editor', 'rigs.write'),
+  ('Editor', 'companies.write'), ('Editor', 'contracts.write'),
+  ('Editor', 'maintenance.write'), ('Editor', 'work_orders.write'),
+  ('Editor', 'transfers.write'), ('Editor', 'bom.write'), ('Editor', 'certificates.write')
+) AS g(role_name, permission)
+JOIN roles r ON r.name = g.role_name
+WHERE NOT EXISTS (SELECT 1 FROM role_permissions rp WHERE rp.role_id = r.id)
+ON CONFLICT DO NOTHING;
+
+-- data.all_sites came after the catalogue above: on first introduction every default
+-- role gets it, so existing installs keep seeing all rigs until field roles are set up.
+-- Roles without it only see the rigs/companies assigned to their users.
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM permissions WHERE name = 'data.all_sites') THEN
+    INSERT INTO permissions (name, description)
+    VALUES ('data.all_sites', 'See data for every rig and company, regardless of assignments');
+    INSERT INTO role_permissions (role_id, permission)
+    SELECT id, 'data.all_sites' FROM roles WHERE is_system;
+  END IF;
+END;
+$$;
+
 -- ─── USERS ────────────────────────────────────────────────────
 CREATE TABLE IF NOT EXISTS users (
   id              UUID          PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -38,10 +155,7 @@ CREATE TABLE IF NOT EXISTS users (
   email           TEXT          UNIQUE NOT NULL,
   password_hash   TEXT          NOT NULL,
   role            TEXT          NOT NULL DEFAULT 'Viewer'
-                                CHECK (role IN (
-                                  'Admin','Asset Manager',
-                                  'Operations Manager','Editor','Viewer'
-                                )),
+                                CONSTRAINT fk_users_role REFERENCES roles(name) ON UPDATE CASCADE,
   department      TEXT,
   phone           TEXT,
   initials        TEXT          GENERATED ALWAYS AS (
@@ -56,6 +170,14 @@ CREATE TABLE IF NOT EXISTS users (
   alert_contracts BOOLEAN       NOT NULL DEFAULT false,
   alert_assets    BOOLEAN       NOT NULL DEFAULT false,
   last_login      TIMESTAMPTZ,
+  failed_login_count INT        NOT NULL DEFAULT 0,
+  locked_until    TIMESTAMPTZ,
+  totp_secret     TEXT,
+  totp_enabled    BOOLEAN       NOT NULL DEFAULT false,
+  totp_last_step  BIGINT,
+  oidc_issuer     TEXT,
+  oidc_subject    TEXT,
+  sso_only        BOOLEAN       NOT NULL DEFAULT false,
   created_at      TIMESTAMPTZ   NOT NULL DEFAULT NOW(),
   updated_at      TIMESTAMPTZ   NOT NULL DEFAULT NOW()
 );
@@ -63,6 +185,33 @@ CREATE TABLE IF NOT EXISTS users (
 COMMENT ON TABLE  users IS 'Application users with role-based access control';
 COMMENT ON COLUMN users.initials     IS 'Auto-generated 2-char initials from full_name for avatar display';
 COMMENT ON COLUMN users.avatar_color IS 'Hex colour for avatar circle in the UI';
+COMMENT ON COLUMN users.failed_login_count IS 'Consecutive failed logins; reset by a successful login or an unlock';
+COMMENT ON COLUMN users.locked_until IS 'Login refused until this time (progressive lockout)';
+COMMENT ON COLUMN users.totp_secret  IS 'AES-GCM encrypted TOTP secret; set at enrolment, active once totp_enabled';
+COMMENT ON COLUMN users.totp_last_step IS 'Last accepted TOTP time step – a code cannot be replayed';
+COMMENT ON COLUMN users.oidc_subject IS 'IdP subject (sub claim) of the linked single sign-on identity';
+COMMENT ON COLUMN users.sso_only     IS 'Password login and password resets are refused; sign in through the IdP';
+
+-- Columns added after v2 (no-ops on fresh databases)
+ALTER TABLE users ADD COLUMN IF NOT EXISTS failed_login_count INT NOT NULL DEFAULT 0;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS locked_until TIMESTAMPTZ;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_secret TEXT;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_enabled BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_last_step BIGINT;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS oidc_issuer TEXT;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS oidc_subject TEXT;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS sso_only BOOLEAN NOT NULL DEFAULT false;
+
+-- users.role used to be a CHECK over five fixed names; it now references roles
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_role_check;
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'fk_users_role') THEN
+    ALTER TABLE users ADD CONSTRAINT fk_users_role
+      FOREIGN KEY (role) REFERENCES roles(name) ON UPDATE CASCADE;
+  END IF;
+END;
+$$;
 
 -- ─── COMPANIES ────────────────────────────────────────────────
 CREATE TABLE IF NOT EXISTS companies (
@@ -82,10 +231,16 @@ CREATE TABLE IF NOT EXISTS companies (
   website         TEXT,
   status          TEXT          NOT NULL DEFAULT 'Active'
                                 CHECK (status IN ('Active','Inactive')),
+  archived_at     TIMESTAMPTZ,                        -- soft delete; NULL = live
+  archived_by     UUID          REFERENCES users(id) ON DELETE SET NULL,
   created_at      TIMESTAMPTZ   NOT NULL DEFAULT NOW(),
   updated_at      TIMESTAMPTZ   NOT NULL DEFAULT NOW()
 );
 
+-- Columns added after v2 (no-ops on fresh databases)
+ALTER TABLE companies ADD COLUMN IF NOT EXISTS archived_at TIMESTAMPTZ;
+ALTER TABLE companies ADD COLUMN IF NOT EXISTS archived_by UUID REFERENCES users(id) ON DELETE SET NULL;
+
 -- ─── RIGS ─────────────────────────────────────────────────────
 CREATE TABLE IF NOT EXISTS rigs (
   id                UUID        PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -106,10 +261,16 @@ CREATE TABLE IF NOT EXISTS rigs (
   status            TEXT        NOT NULL DEFAULT 'Active'
                                 CHECK (status IN ('Active','Maintenance','Standby','Retired')),
   notes             TEXT,
+  archived_at       TIMESTAMPTZ,                       -- soft delete; NULL = live
+  archived_by       UUID        REFERENCES users(id) ON DELETE SET NULL,
   created_at        TIMESTAMPTZ NOT NULL DEFAULT NOW(),
   updated_at        TIMESTAMPTZ NOT NULL DEFAULT NOW()
 );
 
+-- Columns added after v2 (no-ops on fresh databases)
+ALTER TABLE rigs ADD COLUMN IF NOT EXISTS archived_at TIMESTAMPTZ;
+ALTER TABLE rigs ADD COLUMN IF NOT EXISTS archived_by UUID REFERENCES users(id) ON DELETE SET NULL;
+
 COMMENT ON COLUMN rigs.rig_number       IS 'Integer 1-14 for natural sort order';
 COMMENT ON COLUMN rigs.depth_capacity   IS 'Human-readable depth string, e.g. "25,000 ft"';
 COMMENT ON COLUMN rigs.depth_capacity_ft IS 'Numeric feet value for filtering / sorting';
@@ -128,11 +289,17 @@ CREATE TABLE IF NOT EXISTS contracts (
                                 CHECK (status IN ('Active','Pending','Expired','Terminated')),
   notes           TEXT,
   created_by      UUID          REFERENCES users(id) ON DELETE SET NULL,
+  archived_at     TIMESTAMPTZ,                        -- soft delete; NULL = live
+  archived_by     UUID          REFERENCES users(id) ON DELETE SET NULL,
   created_at      TIMESTAMPTZ   NOT NULL DEFAULT NOW(),
   updated_at      TIMESTAMPTZ   NOT NULL DEFAULT NOW(),
   CONSTRAINT chk_contract_dates CHECK (end_date >= start_date)
 );
 
+-- Columns added after v2 (no-ops on fresh databases)
+ALTER TABLE contracts ADD COLUMN IF NOT EXISTS archived_at TIMESTAMPTZ;
+ALTER TABLE contracts ADD COLUMN IF NOT EXISTS archived_by UUID REFERENCES users(id) ON DELETE SET NULL;
+
 COMMENT ON COLUMN contracts.currency IS 'ISO 4217 currency code (default USD)';
 
 -- ─── ASSETS ───────────────────────────────────────────────────
@@ -167,11 +334,27 @@ CREATE TABLE IF NOT EXISTS assets (
   weight_kg        NUMERIC(10,2) CHECK (weight_kg IS NULL OR weight_kg >= 0),
   dimensions       TEXT,        -- e.g. '2.4m × 1.2m × 1.8m'
   notes            TEXT,
+  -- Depreciation overrides; NULL = the category's policy applies
+  depreciation_method TEXT      CHECK (depreciation_method IN ('straight_line','declining_balance')),
+  useful_life_years NUMERIC(5,2) CHECK (useful_life_years > 0),
+  salvage_value_usd NUMERIC(18,2) CHECK (salvage_value_usd >= 0),
+  attributes       JSONB        NOT NULL DEFAULT '{}',  -- custom attributes of the category, by key
+  archived_at      TIMESTAMPTZ,                      -- soft delete; NULL = live
+  archived_by      UUID         REFERENCES users(id) ON DELETE SET NULL,
   created_by       UUID         REFERENCES users(id) ON DELETE SET NULL,
   created_at       TIMESTAMPTZ  NOT NULL DEFAULT NOW(),
   updated_at       TIMESTAMPTZ  NOT NULL DEFAULT NOW()
 );
 
+-- Columns added after v2 (no-ops on fresh databases)
+ALTER TABLE assets ADD COLUMN IF NOT EXISTS depreciation_method TEXT
+  CHECK (depreciation_method IN ('straight_line','declining_balance'));
+ALTER TABLE assets ADD COLUMN IF NOT EXISTS useful_life_years NUMERIC(5,2) CHECK (useful_life_years > 0);
+ALTER TABLE assets ADD COLUMN IF NOT EXISTS salvage_value_usd NUMERIC(18,2) CHECK (salvage_value_usd >= 0);
+ALTER TABLE assets ADD COLUMN IF NOT EXISTS archived_at TIMESTAMPTZ;
+ALTER TABLE assets ADD COLUMN IF NOT EXISTS archived_by UUID REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE assets ADD COLUMN IF NOT EXISTS attributes JSONB NOT NULL DEFAULT '{}';
+
 COMMENT ON COLUMN assets.year_manufactured IS 'Year the equipment was manufactured (1950-2100)';
 COMMENT ON COLUMN assets.dimensions        IS 'Free-text physical dimensions, e.g. "2.4m × 1.2m × 1.8m"';
 
@@ -187,6 +370,65 @@ CREATE TABLE IF NOT EXISTS asset_history (
   created_at  TIMESTAMPTZ  NOT NULL DEFAULT NOW()
 );
 
+-- ─── DEPRECIATION POLICIES ────────────────────────────────────
+-- One per asset category (services/depreciation.js); assets may override method,
+-- life and salvage value. Salvage is a share of cost so it fits every asset.
+CREATE TABLE IF NOT EXISTS depreciation_policies (
+  id                UUID          PRIMARY KEY DEFAULT uuid_generate_v4(),
+  category          TEXT          UNIQUE NOT NULL
+                                  CHECK (category IN (
+                                    'Drilling Equipment','Power Generation',
+                                    'Transportation','Safety Equipment',
+                                    'Communication','Other'
+                                  )),
+  method            TEXT          NOT NULL DEFAULT 'straight_line'
+                                  CHECK (method IN ('straight_line','declining_balance')),
+  useful_life_years NUMERIC(5,2)  NOT NULL CHECK (useful_life_years > 0),
+  salvage_pct       NUMERIC(5,2)  NOT NULL DEFAULT 0 CHECK (salvage_pct BETWEEN 0 AND 100),
+  declining_factor  NUMERIC(4,2)  NOT NULL DEFAULT 2 CHECK (declining_factor > 0),
+  updated_by        UUID          REFERENCES users(id) ON DELETE SET NULL,
+  created_at        TIMESTAMPTZ   NOT NULL DEFAULT NOW(),
+  updated_at        TIMESTAMPTZ   NOT NULL DEFAULT NOW()
+);
+
+COMMENT ON COLUMN depreciation_policies.declining_factor IS 'Declining balance rate = factor / useful life (2 = double declining)';
+
+INSERT INTO depreciation_policies (category, method, useful_life_years, salvage_pct) VALUES
+  ('Drilling Equipment', 'straight_line',     15, 10),
+  ('Power Generation',   'straight_line',     12, 10),
+  ('Transportation',     'declining_balance',  8, 15),
+  ('Safety Equipment',   'straight_line',      7,  0),
+  ('Communication',      'declining_balance',  5,  0),
+  ('Other',              'straight_line',     10,  5)
+ON CONFLICT (category) DO NOTHING;
+
+-- ─── ASSET ATTRIBUTES ─────────────────────────────────────────
+-- Custom fields per asset category (services/assetAttributes.js). Values live in
+-- assets.attributes under the definition's key: numbers and booleans as JSON
+-- numbers/booleans, text, enum and date (YYYY-MM-DD) values as strings.
+CREATE TABLE IF NOT EXISTS asset_attribute_definitions (
+  id             UUID          PRIMARY KEY DEFAULT uuid_generate_v4(),
+  category       TEXT          NOT NULL
+                               CHECK (category IN (
+                                 'Drilling Equipment','Power Generation',
+                                 'Transportation','Safety Equipment',
+                                 'Communication','Other'
+                               )),
+  key            TEXT          NOT NULL CHECK (key ~ '^[a-z][a-z0-9_]{0,39}$'),
+  label          TEXT          NOT NULL,
+  type           TEXT          NOT NULL
+                               CHECK (type IN ('text','number','integer','boolean','date','enum')),
+  unit           TEXT,                              -- e.g. 'kVA', 'psi', 'in'
+  required       BOOLEAN       NOT NULL DEFAULT false,
+  allowed_values TEXT[],                            -- enum choices
+  sort_order     INTEGER       NOT NULL DEFAULT 0,
+  updated_by     UUID          REFERENCES users(id) ON DELETE SET NULL,
+  created_at     TIMESTAMPTZ   NOT NULL DEFAULT NOW(),
+  updated_at     TIMESTAMPTZ   NOT NULL DEFAULT NOW(),
+  UNIQUE (category, key),
+  CHECK ((type = 'enum') = (allowed_values IS NOT NULL AND cardinality(allowed_values) > 0))
+);
+
 -- ─── BILL OF MATERIALS ────────────────────────────────────────
 CREATE TABLE IF NOT EXISTS bom_items (
   id             UUID          PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -239,6 +481,36 @@ CREATE TABLE IF NOT EXISTS certificates (
 
 COMMENT ON COLUMN certificates.rig_id IS 'Cert may belong to a rig (API 4F mast cert) or an asset — one must be set';
 
+-- ─── ASSET METERS ─────────────────────────────────────────────
+-- Usage counters (running hours, pump cycles, …) that drive usage-based PM schedules
+CREATE TABLE IF NOT EXISTS asset_meters (
+  id               UUID          PRIMARY KEY DEFAULT uuid_generate_v4(),
+  asset_id         UUID          NOT NULL REFERENCES assets(id) ON DELETE CASCADE,
+  name             TEXT          NOT NULL,          -- 'Engine hours', 'Pump strokes' …
+  unit             TEXT          NOT NULL
+                                 CHECK (unit IN ('hours','cycles','km','barrels')),
+  current_reading  NUMERIC(14,2) CHECK (current_reading >= 0),  -- latest reading; NULL until the first
+  last_read_at     TIMESTAMPTZ,
+  notes            TEXT,
+  created_by       UUID          REFERENCES users(id) ON DELETE SET NULL,
+  created_at       TIMESTAMPTZ   NOT NULL DEFAULT NOW(),
+  updated_at       TIMESTAMPTZ   NOT NULL DEFAULT NOW(),
+  UNIQUE (asset_id, name)
+);
+
+-- Readings never decrease over read_at (checked by services/meters.js)
+CREATE TABLE IF NOT EXISTS meter_readings (
+  id           UUID          PRIMARY KEY DEFAULT uuid_generate_v4(),
+  meter_id     UUID          NOT NULL REFERENCES asset_meters(id) ON DELETE CASCADE,
+  reading      NUMERIC(14,2) NOT NULL CHECK (reading >= 0),
+  read_at      TIMESTAMPTZ   NOT NULL,
+  source       TEXT          NOT NULL DEFAULT 'manual'
+                             CHECK (source IN ('manual','api','completion')),
+  recorded_by  UUID          REFERENCES users(id) ON DELETE SET NULL,
+  created_at   TIMESTAMPTZ   NOT NULL DEFAULT NOW(),
+  UNIQUE (meter_id, read_at)
+);
+
 -- ─── MAINTENANCE SCHEDULES ────────────────────────────────────
 CREATE TABLE IF NOT EXISTS maintenance_schedules (
   id               UUID          PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -253,10 +525,17 @@ CREATE TABLE IF NOT EXISTS maintenance_schedules (
                                  )),
   priority         TEXT          NOT NULL DEFAULT 'Normal'
                                  CHECK (priority IN ('Critical','High','Normal','Low')),
-  frequency_days   INTEGER       NOT NULL DEFAULT 30  CHECK (frequency_days   > 0),
+  -- Calendar trigger; NULL for meter-only schedules
+  frequency_days   INTEGER       CHECK (frequency_days   > 0),
   last_done_date   DATE,
-  next_due_date    DATE          NOT NULL,
+  next_due_date    DATE,
   alert_days       INTEGER       NOT NULL DEFAULT 14  CHECK (alert_days      >= 0),
+  -- Meter trigger; NULL for calendar-only schedules. With both, whichever comes first.
+  meter_id         UUID          REFERENCES asset_meters(id),
+  meter_interval   NUMERIC(14,2) CHECK (meter_interval > 0),
+  meter_alert      NUMERIC(14,2) NOT NULL DEFAULT 0   CHECK (meter_alert     >= 0),
+  last_done_meter  NUMERIC(14,2),
+  next_due_meter   NUMERIC(14,2),
   technician       TEXT,
   estimated_hours  NUMERIC(6,2)  CHECK (estimated_hours IS NULL OR estimated_hours >= 0),
   estimated_cost   NUMERIC(18,2) CHECK (estimated_cost  IS NULL OR estimated_cost  >= 0),
@@ -271,9 +550,37 @@ CREATE TABLE IF NOT EXISTS maintenance_schedules (
   updated_at       TIMESTAMPTZ   NOT NULL DEFAULT NOW(),
   CONSTRAINT chk_maint_dates CHECK (
     last_done_date IS NULL OR next_due_date >= last_done_date
+  ),
+  CONSTRAINT chk_maint_trigger CHECK (
+    (frequency_days IS NULL) = (next_due_date IS NULL) AND
+    (meter_id IS NULL) = (meter_interval IS NULL) AND
+    (meter_id IS NULL) = (next_due_meter IS NULL) AND
+    (frequency_days IS NOT NULL OR meter_id IS NOT NULL)
   )
 );
 
+-- Columns added after v2 (no-ops on fresh databases)
+ALTER TABLE maintenance_schedules ALTER COLUMN frequency_days DROP NOT NULL;
+ALTER TABLE maintenance_schedules ALTER COLUMN frequency_days DROP DEFAULT;
+ALTER TABLE maintenance_schedules ALTER COLUMN next_due_date DROP NOT NULL;
+ALTER TABLE maintenance_schedules ADD COLUMN IF NOT EXISTS meter_id UUID REFERENCES asset_meters(id);
+ALTER TABLE maintenance_schedules ADD COLUMN IF NOT EXISTS meter_interval NUMERIC(14,2) CHECK (meter_interval > 0);
+ALTER TABLE maintenance_schedules ADD COLUMN IF NOT EXISTS meter_alert NUMERIC(14,2) NOT NULL DEFAULT 0 CHECK (meter_alert >= 0);
+ALTER TABLE maintenance_schedules ADD COLUMN IF NOT EXISTS last_done_meter NUMERIC(14,2);
+ALTER TABLE maintenance_schedules ADD COLUMN IF NOT EXISTS next_due_meter NUMERIC(14,2);
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'chk_maint_trigger') THEN
+    ALTER TABLE maintenance_schedules ADD CONSTRAINT chk_maint_trigger CHECK (
+      (frequency_days IS NULL) = (next_due_date IS NULL) AND
+      (meter_id IS NULL) = (meter_interval IS NULL) AND
+      (meter_id IS NULL) = (next_due_meter IS NULL) AND
+      (frequency_days IS NOT NULL OR meter_id IS NOT NULL)
+    );
+  END IF;
+END;
+$$;
+
 COMMENT ON COLUMN maintenance_schedules.work_order_no IS 'Optional ref to external CMMS/ERP work order number';
 
 -- Maintenance completion log
@@ -288,9 +595,14 @@ CREATE TABLE IF NOT EXISTS maintenance_logs (
   parts_used           TEXT,
   work_notes           TEXT,
   next_due_date        DATE,
+  meter_reading        NUMERIC(14,2),                 -- meter at completion (meter-based schedules)
+  next_due_meter       NUMERIC(14,2),
   created_at           TIMESTAMPTZ   NOT NULL DEFAULT NOW()
 );
 
+ALTER TABLE maintenance_logs ADD COLUMN IF NOT EXISTS meter_reading NUMERIC(14,2);
+ALTER TABLE maintenance_logs ADD COLUMN IF NOT EXISTS next_due_meter NUMERIC(14,2);
+
 COMMENT ON COLUMN maintenance_logs.completed_by         IS 'Free-text technician name';
 COMMENT ON COLUMN maintenance_logs.completed_by_user_id IS 'Optional FK to users table if technician has an account';
 
@@ -410,15 +722,219 @@ CREATE TABLE IF NOT EXISTS audit_log (
 
 COMMENT ON TABLE audit_log IS 'Immutable system-wide audit trail for all significant data changes';
 
+-- ─── AUTH SESSIONS ────────────────────────────────────────────
+-- One row per login (device). All refresh tokens rotated from that login share it.
+CREATE TABLE IF NOT EXISTS auth_sessions (
+  id             UUID          PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id        UUID          NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  device_name    TEXT,
+  user_agent     TEXT,
+  ip_address     INET,
+  created_at     TIMESTAMPTZ   NOT NULL DEFAULT NOW(),
+  last_used_at   TIMESTAMPTZ   NOT NULL DEFAULT NOW(),
+  expires_at     TIMESTAMPTZ   NOT NULL,
+  revoked_at     TIMESTAMPTZ,
+  revoked_reason TEXT
+);
+
+COMMENT ON COLUMN auth_sessions.expires_at IS 'Expiry of the newest refresh token; moves forward on every rotation';
+
 -- ─── REFRESH TOKENS ───────────────────────────────────────────
 CREATE TABLE IF NOT EXISTS refresh_tokens (
   id          UUID          PRIMARY KEY DEFAULT uuid_generate_v4(),
   user_id     UUID          NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  session_id  UUID          REFERENCES auth_sessions(id) ON DELETE CASCADE,
   token_hash  TEXT          NOT NULL,
   expires_at  TIMESTAMPTZ   NOT NULL,
+  rotated_at  TIMESTAMPTZ,
   created_at  TIMESTAMPTZ   NOT NULL DEFAULT NOW()
 );
 
+COMMENT ON COLUMN refresh_tokens.id         IS 'Equals the jti claim of the refresh JWT (indexed lookup)';
+COMMENT ON COLUMN refresh_tokens.token_hash IS 'SHA-256 hex of the refresh JWT';
+COMMENT ON COLUMN refresh_tokens.rotated_at IS 'Set when exchanged for a new token; presenting it again revokes the session';
+
+-- Columns added after v2 (no-ops on fresh databases)
+ALTER TABLE refresh_tokens ADD COLUMN IF NOT EXISTS session_id UUID REFERENCES auth_sessions(id) ON DELETE CASCADE;
+ALTER TABLE refresh_tokens ADD COLUMN IF NOT EXISTS rotated_at TIMESTAMPTZ;
+
+-- ─── USER INVITATIONS ─────────────────────────────────────────
+-- Issued by admins; the invitee creates their account by redeeming the one-time token
+CREATE TABLE IF NOT EXISTS user_invitations (
+  id           UUID          PRIMARY KEY DEFAULT uuid_generate_v4(),
+  email        TEXT          NOT NULL,
+  role         TEXT          NOT NULL DEFAULT 'Viewer'
+                             CONSTRAINT fk_invitations_role REFERENCES roles(name) ON UPDATE CASCADE,
+  department   TEXT,
+  token_hash   TEXT          UNIQUE NOT NULL,
+  invited_by   UUID          REFERENCES users(id) ON DELETE SET NULL,
+  expires_at   TIMESTAMPTZ   NOT NULL,
+  accepted_at  TIMESTAMPTZ,
+  accepted_by  UUID          REFERENCES users(id) ON DELETE SET NULL,
+  revoked_at   TIMESTAMPTZ,
+  created_at   TIMESTAMPTZ   NOT NULL DEFAULT NOW()
+);
+
+COMMENT ON COLUMN user_invitations.token_hash  IS 'SHA-256 hex of the invitation token; the token itself is only returned once';
+COMMENT ON COLUMN user_invitations.accepted_by IS 'Account created when the invitation was redeemed';
+
+ALTER TABLE user_invitations DROP CONSTRAINT IF EXISTS user_invitations_role_check;
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'fk_invitations_role') THEN
+    ALTER TABLE user_invitations ADD CONSTRAINT fk_invitations_role
+      FOREIGN KEY (role) REFERENCES roles(name) ON UPDATE CASCADE;
+  END IF;
+END;
+$$;
+
+-- ─── USER SITE ASSIGNMENTS ────────────────────────────────────
+-- Rigs and companies a user without data.all_sites may see (services/visibility.js)
+CREATE TABLE IF NOT EXISTS user_rigs (
+  user_id       UUID          NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  rig_id        UUID          NOT NULL REFERENCES rigs(id)  ON DELETE CASCADE,
+  created_at    TIMESTAMPTZ   NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (user_id, rig_id)
+);
+
+CREATE TABLE IF NOT EXISTS user_companies (
+  user_id       UUID          NOT NULL REFERENCES users(id)     ON DELETE CASCADE,
+  company_id    UUID          NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+  created_at    TIMESTAMPTZ   NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (user_id, company_id)
+);
+
+COMMENT ON TABLE user_companies IS 'A company assignment covers the company''s own records and every rig it operates';
+
+-- ─── API KEYS ─────────────────────────────────────────────────
+-- Machine-to-machine credentials; a key acts as user_id, limited to its scopes
+CREATE TABLE IF NOT EXISTS api_keys (
+  id            UUID          PRIMARY KEY DEFAULT uuid_generate_v4(),
+  name          TEXT          NOT NULL,
+  prefix        TEXT          UNIQUE NOT NULL,
+  key_hash      TEXT          NOT NULL,
+  scopes        TEXT[]        NOT NULL DEFAULT '{}',
+  user_id       UUID          NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  created_by    UUID          REFERENCES users(id) ON DELETE SET NULL,
+  expires_at    TIMESTAMPTZ,
+  last_used_at  TIMESTAMPTZ,
+  last_used_ip  INET,
+  revoked_at    TIMESTAMPTZ,
+  created_at    TIMESTAMPTZ   NOT NULL DEFAULT NOW()
+);
+
+COMMENT ON COLUMN api_keys.prefix   IS 'First part of the key (rak_xxxxxxxx), stored in clear for lookup and display';
+COMMENT ON COLUMN api_keys.key_hash IS 'SHA-256 hex of the full key; the key itself is only returned once';
+COMMENT ON COLUMN api_keys.scopes   IS 'e.g. {assets:read,maintenance:write}; write implies read';
+
+-- ─── PASSWORD RESET TOKENS ────────────────────────────────────
+CREATE TABLE IF NOT EXISTS password_reset_tokens (
+  id            UUID          PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id       UUID          NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  token_hash    TEXT          UNIQUE NOT NULL,
+  expires_at    TIMESTAMPTZ   NOT NULL,
+  used_at       TIMESTAMPTZ,
+  requested_ip  INET,
+  created_at    TIMESTAMPTZ   NOT NULL DEFAULT NOW()
+);
+
+COMMENT ON COLUMN password_reset_tokens.token_hash IS 'SHA-256 hex of the emailed token; the token itself is never stored';
+
+-- ─── LOGIN ATTEMPTS ───────────────────────────────────────────
+-- Login history: every attempt on POST /api/auth/login, successful or not
+CREATE TABLE IF NOT EXISTS login_attempts (
+  id              UUID          PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id         UUID          REFERENCES users(id) ON DELETE CASCADE,
+  email           TEXT          NOT NULL,
+  success         BOOLEAN       NOT NULL,
+  failure_reason  TEXT,
+  ip_address      INET,
+  user_agent      TEXT,
+  attempted_at    TIMESTAMPTZ   NOT NULL DEFAULT NOW()
+);
+
+COMMENT ON COLUMN login_attempts.user_id IS 'NULL when the email did not match any account';
+
+-- ─── 2FA RECOVERY CODES ───────────────────────────────────────
+CREATE TABLE IF NOT EXISTS user_recovery_codes (
+  id          UUID          PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id     UUID          NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  code_hash   TEXT          NOT NULL,
+  used_at     TIMESTAMPTZ,
+  created_at  TIMESTAMPTZ   NOT NULL DEFAULT NOW()
+);
+
+-- ─── OIDC LOGIN STATES ────────────────────────────────────────
+-- Single sign-on logins in flight: PKCE verifier and nonce, keyed by the state parameter
+CREATE TABLE IF NOT EXISTS oidc_login_states (
+  state_hash     TEXT          PRIMARY KEY,
+  code_verifier  TEXT          NOT NULL,
+  nonce          TEXT          NOT NULL,
+  expires_at     TIMESTAMPTZ   NOT NULL,
+  created_at     TIMESTAMPTZ   NOT NULL DEFAULT NOW()
+);
+
+COMMENT ON COLUMN oidc_login_states.state_hash IS 'SHA-256 hex of the state sent to the IdP; deleted when the login completes';
+
+-- ─── MAIL OUTBOX ──────────────────────────────────────────────
+-- Emails are queued here in the same transaction as the change that caused them
+-- and delivered by the background mailer (services/mailer.js)
+CREATE TABLE IF NOT EXISTS mail_outbox (
+  id            UUID          PRIMARY KEY DEFAULT uuid_generate_v4(),
+  to_address    TEXT          NOT NULL,
+  subject       TEXT          NOT NULL,
+  body_text     TEXT          NOT NULL,
+  body_html     TEXT,
+  status        TEXT          NOT NULL DEFAULT 'Pending'
+                              CHECK (status IN ('Pending','Sent','Failed')),
+  attempts      INT           NOT NULL DEFAULT 0,
+  last_error    TEXT,
+  send_after    TIMESTAMPTZ   NOT NULL DEFAULT NOW(),
+  sent_at       TIMESTAMPTZ,
+  created_at    TIMESTAMPTZ   NOT NULL DEFAULT NOW()
+);
+
+COMMENT ON COLUMN mail_outbox.send_after IS 'Earliest next delivery attempt; pushed back after each failure';
+
+-- ─── ATTACHMENTS ──────────────────────────────────────────────
+-- Uploaded files (photos, signed forms, manuals, contract PDFs). The bytes live in a
+-- storage backend (services/storage.js); a row belongs to exactly one record.
+CREATE TABLE IF NOT EXISTS attachments (
+  id                  UUID          PRIMARY KEY DEFAULT uuid_generate_v4(),
+  asset_id            UUID          REFERENCES assets(id)           ON DELETE CASCADE,
+  maintenance_log_id  UUID          REFERENCES maintenance_logs(id) ON DELETE CASCADE,
+  transfer_id         UUID          REFERENCES transfers(id)        ON DELETE CASCADE,
+  contract_id         UUID          REFERENCES contracts(id)        ON DELETE CASCADE,
+  file_name           TEXT          NOT NULL,
+  content_type        TEXT          NOT NULL,
+  size_bytes          BIGINT        NOT NULL CHECK (size_bytes >= 0),
+  checksum_sha256     TEXT          NOT NULL,
+  storage_backend     TEXT          NOT NULL,
+  storage_key         TEXT          NOT NULL,
+  thumbnail_key       TEXT,                                      -- images only
+  image_width         INTEGER,
+  image_height        INTEGER,
+  description         TEXT,
+  uploaded_by         UUID          REFERENCES users(id) ON DELETE SET NULL,
+  created_at          TIMESTAMPTZ   NOT NULL DEFAULT NOW(),
+  UNIQUE (storage_backend, storage_key),
+  CONSTRAINT chk_attachment_owner CHECK (
+    num_nonnulls(asset_id, maintenance_log_id, transfer_id, contract_id) = 1
+  )
+);
+
+-- Stored files of deleted attachments, removed from storage by the cleanup job. Filled
+-- by trigger, so rows that go with a purged asset or a deleted transfer are covered too.
+CREATE TABLE IF NOT EXISTS attachment_removals (
+  id               UUID          PRIMARY KEY DEFAULT uuid_generate_v4(),
+  storage_backend  TEXT          NOT NULL,
+  storage_key      TEXT          NOT NULL,
+  thumbnail_key    TEXT,
+  attempts         INT           NOT NULL DEFAULT 0,
+  last_error       TEXT,
+  created_at       TIMESTAMPTZ   NOT NULL DEFAULT NOW()
+);
+
 -- ═══════════════════════════════════════════════════════════════
 --  INDEXES
 -- ═══════════════════════════════════════════════════════════════
@@ -427,6 +943,8 @@ CREATE TABLE IF NOT EXISTS refresh_tokens (
 CREATE INDEX IF NOT EXISTS idx_users_email          ON users(email);
 CREATE INDEX IF NOT EXISTS idx_users_role           ON users(role);
 CREATE INDEX IF NOT EXISTS idx_users_status         ON users(status);
+CREATE UNIQUE INDEX IF NOT EXISTS uq_users_oidc_identity ON users(oidc_issuer, oidc_subject)
+  WHERE oidc_subject IS NOT NULL;
 
 -- Companies
 CREATE INDEX IF NOT EXISTS idx_companies_status     ON companies(status);
@@ -449,6 +967,8 @@ CREATE INDEX IF NOT EXISTS idx_assets_contract      ON assets(contract_id);
 CREATE INDEX IF NOT EXISTS idx_assets_status        ON assets(status);
 CREATE INDEX IF NOT EXISTS idx_assets_category      ON assets(category);
 CREATE INDEX IF NOT EXISTS idx_assets_serial        ON assets(serial_number); -- lookup by serial
+CREATE INDEX IF NOT EXISTS idx_assets_live          ON assets(asset_id) WHERE archived_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_assets_attributes    ON assets USING GIN (attributes);
 
 -- Asset history
 CREATE INDEX IF NOT EXISTS idx_asset_history_asset  ON asset_history(asset_id);
@@ -471,6 +991,10 @@ CREATE INDEX IF NOT EXISTS idx_maint_next_due       ON maintenance_schedules(nex
 CREATE INDEX IF NOT EXISTS idx_maint_status         ON maintenance_schedules(status);
 CREATE INDEX IF NOT EXISTS idx_maint_priority       ON maintenance_schedules(priority);
 CREATE INDEX IF NOT EXISTS idx_maint_asset_due      ON maintenance_schedules(asset_id, next_due_date);
+CREATE INDEX IF NOT EXISTS idx_maint_meter          ON maintenance_schedules(meter_id);
+
+-- Meters
+CREATE INDEX IF NOT EXISTS idx_meters_asset         ON asset_meters(asset_id);
 
 -- Maintenance logs
 CREATE INDEX IF NOT EXISTS idx_maint_logs_sched     ON maintenance_logs(schedule_id);
@@ -481,6 +1005,9 @@ CREATE INDEX IF NOT EXISTS idx_wo_asset             ON work_orders(asset_id);
 CREATE INDEX IF NOT EXISTS idx_wo_schedule          ON work_orders(schedule_id);
 CREATE INDEX IF NOT EXISTS idx_wo_assigned          ON work_orders(assigned_to);
 CREATE INDEX IF NOT EXISTS idx_wo_status            ON work_orders(status);
+-- At most one open work order per PM schedule (auto-generator relies on this)
+CREATE UNIQUE INDEX IF NOT EXISTS uq_wo_open_schedule ON work_orders(schedule_id)
+  WHERE status NOT IN ('Completed','Cancelled');
 
 -- Transfers
 CREATE INDEX IF NOT EXISTS idx_transfers_asset      ON transfers(asset_id);
@@ -500,6 +1027,72 @@ CREATE INDEX IF NOT EXISTS idx_audit_date           ON audit_log(changed_at DESC
 -- Refresh tokens
 CREATE INDEX IF NOT EXISTS idx_refresh_user         ON refresh_tokens(user_id);
 CREATE INDEX IF NOT EXISTS idx_refresh_expires      ON refresh_tokens(expires_at);
+CREATE INDEX IF NOT EXISTS idx_refresh_session      ON refresh_tokens(session_id);
+
+-- Auth sessions
+CREATE INDEX IF NOT EXISTS idx_sessions_user         ON auth_sessions(user_id) WHERE revoked_at IS NULL;
+
+-- User invitations
+CREATE INDEX IF NOT EXISTS idx_invitations_email    ON user_invitations(LOWER(email));
+
+-- User site assignments
+CREATE INDEX IF NOT EXISTS idx_user_rigs_rig        ON user_rigs(rig_id);
+CREATE INDEX IF NOT EXISTS idx_user_companies_co    ON user_companies(company_id);
+
+-- API keys
+CREATE INDEX IF NOT EXISTS idx_api_keys_user        ON api_keys(user_id);
+
+-- Password reset tokens
+CREATE INDEX IF NOT EXISTS idx_pwreset_user         ON password_reset_tokens(user_id);
+
+-- Login attempts
+CREATE INDEX IF NOT EXISTS idx_login_attempts_user  ON login_attempts(user_id, attempted_at DESC);
+CREATE INDEX IF NOT EXISTS idx_login_attempts_date  ON login_attempts(attempted_at);
+
+-- 2FA recovery codes
+CREATE INDEX IF NOT EXISTS idx_recovery_codes_user  ON user_recovery_codes(user_id);
+
+-- Mail outbox
+CREATE INDEX IF NOT EXISTS idx_outbox_pending       ON mail_outbox(send_after) WHERE status = 'Pending';
+
+-- Attachments
+CREATE INDEX IF NOT EXISTS idx_attachments_asset    ON attachments(asset_id)           WHERE asset_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_attachments_log      ON attachments(maintenance_log_id) WHERE maintenance_log_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_attachments_transfer ON attachments(transfer_id)        WHERE transfer_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_attachments_contract ON attachments(contract_id)        WHERE contract_id IS NOT NULL;
+
+-- ═══════════════════════════════════════════════════════════════
+--  FULL-TEXT SEARCH (GET /api/search, services/search.js)
+-- ═══════════════════════════════════════════════════════════════
+-- Weighted document of a row: A = codes and names, B = identifying details,
+-- C = free text. 'simple' keeps part numbers and serials as written (no stemming).
+-- The index expressions below must match the documents in services/search.js.
+CREATE OR REPLACE FUNCTION fn_search_doc(a TEXT[], b TEXT[], c TEXT[])
+RETURNS tsvector LANGUAGE sql IMMUTABLE PARALLEL SAFE AS $$
+  SELECT setweight(to_tsvector('simple', array_to_string(a, ' ')), 'A')
+      || setweight(to_tsvector('simple', array_to_string(b, ' ')), 'B')
+      || setweight(to_tsvector('simple', array_to_string(c, ' ')), 'C')
+$$;
+
+CREATE INDEX IF NOT EXISTS idx_assets_search ON assets USING GIN (fn_search_doc(
+  ARRAY[asset_id, name], ARRAY[serial_number, manufacturer, model], ARRAY[category, location, notes]));
+CREATE INDEX IF NOT EXISTS idx_bom_search ON bom_items USING GIN (fn_search_doc(
+  ARRAY[bom_id, name, part_number], ARRAY[serial_number, manufacturer], ARRAY[notes]));
+CREATE INDEX IF NOT EXISTS idx_maint_search ON maintenance_schedules USING GIN (fn_search_doc(
+  ARRAY[pm_id, task_name], ARRAY[task_type, technician, work_order_no], ARRAY[notes]));
+CREATE INDEX IF NOT EXISTS idx_transfers_search ON transfers USING GIN (fn_search_doc(
+  ARRAY[transfer_id], ARRAY[current_location, destination, transfer_type], ARRAY[reason, instructions]));
+CREATE INDEX IF NOT EXISTS idx_contracts_search ON contracts USING GIN (fn_search_doc(
+  ARRAY[contract_no], ARRAY[status], ARRAY[notes]));
+CREATE INDEX IF NOT EXISTS idx_companies_search ON companies USING GIN (fn_search_doc(
+  ARRAY[company_code, name], ARRAY[type, country, contact_name], ARRAY[contact_email, address, website]));
+CREATE INDEX IF NOT EXISTS idx_certs_search ON certificates USING GIN (fn_search_doc(
+  ARRAY[cert_no], ARRAY[cert_type, issued_by], ARRAY[notes]));
+
+-- Substring matches on serial and part numbers ("3512B" inside "CAT3512B-0042")
+CREATE INDEX IF NOT EXISTS idx_assets_serial_trgm ON assets    USING GIN (serial_number gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_bom_serial_trgm    ON bom_items USING GIN (serial_number gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_bom_part_no_trgm   ON bom_items USING GIN (part_number gin_trgm_ops);
 
 -- ═══════════════════════════════════════════════════════════════
 --  TRIGGER: auto-set updated_at on every UPDATE
@@ -516,9 +1109,10 @@ DO $body$
 DECLARE t TEXT;
 BEGIN
   FOREACH t IN ARRAY ARRAY[
-    'users','companies','rigs','contracts','assets',
+    'roles','users','companies','rigs','contracts','assets',
     'bom_items','certificates','maintenance_schedules',
-    'transfers','work_orders'
+    'transfers','work_orders','depreciation_policies','asset_attribute_definitions',
+    'asset_meters'
   ] LOOP
     EXECUTE format(
       'DROP TRIGGER IF EXISTS trg_set_updated_%I ON %I;
@@ -552,6 +1146,23 @@ CREATE TRIGGER trg_cert_auto_status
   BEFORE INSERT OR UPDATE OF expiry_date ON certificates
   FOR EACH ROW EXECUTE FUNCTION fn_cert_auto_status();
 
+-- ═══════════════════════════════════════════════════════════════
+--  TRIGGER: queue the stored files of deleted attachments
+-- ═══════════════════════════════════════════════════════════════
+CREATE OR REPLACE FUNCTION fn_queue_attachment_removal()
+RETURNS TRIGGER LANGUAGE plpgsql AS $$
+BEGIN
+  INSERT INTO attachment_removals (storage_backend, storage_key, thumbnail_key)
+  VALUES (OLD.storage_backend, OLD.storage_key, OLD.thumbnail_key);
+  RETURN OLD;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_queue_attachment_removal ON attachments;
+CREATE TRIGGER trg_queue_attachment_removal
+  AFTER DELETE ON attachments
+  FOR EACH ROW EXECUTE FUNCTION fn_queue_attachment_removal();
+
 -- ═══════════════════════════════════════════════════════════════
 --  VIEWS
 -- ═══════════════════════════════════════════════════════════════
@@ -576,7 +1187,9 @@ LEFT JOIN companies c  ON c.id  = a.company_id
 LEFT JOIN contracts ct ON ct.id = a.contract_id;
 
 -- ── Maintenance (live status computed in SQL) ──────────────────
-CREATE OR REPLACE VIEW v_maintenance AS
+-- Dropped first: ms.* gained columns, which CREATE OR REPLACE cannot insert mid-view
+DROP VIEW IF EXISTS v_maintenance;
+CREATE VIEW v_maintenance AS
 SELECT
   ms.*,
   a.name           AS asset_name,
@@ -585,18 +1198,26 @@ SELECT
   r.name           AS rig_name,
   r.rig_id         AS rig_code,
   r.rig_number,
+  mt.name          AS meter_name,
+  mt.unit          AS meter_unit,
+  mt.current_reading AS meter_reading,
   CURRENT_DATE     AS today,
   (ms.next_due_date - CURRENT_DATE) AS days_until_due,
+  (ms.next_due_meter - mt.current_reading) AS meter_remaining,
   CASE
     -- preserve explicit terminal / in-progress statuses
     WHEN ms.status IN ('Completed','Cancelled','In Progress') THEN ms.status
-    WHEN ms.next_due_date < CURRENT_DATE                      THEN 'Overdue'
-    WHEN ms.next_due_date <= CURRENT_DATE + ms.alert_days     THEN 'Due Soon'
+    -- by date, by meter, or whichever comes first
+    WHEN ms.next_due_date < CURRENT_DATE
+      OR mt.current_reading >= ms.next_due_meter              THEN 'Overdue'
+    WHEN ms.next_due_date <= CURRENT_DATE + ms.alert_days
+      OR mt.current_reading >= ms.next_due_meter - ms.meter_alert THEN 'Due Soon'
     ELSE 'Scheduled'
   END AS live_status
 FROM maintenance_schedules ms
-LEFT JOIN assets a ON a.id = ms.asset_id
-LEFT JOIN rigs   r ON r.id = a.rig_id;
+LEFT JOIN assets       a  ON a.id  = ms.asset_id
+LEFT JOIN rigs         r  ON r.id  = a.rig_id
+LEFT JOIN asset_meters mt ON mt.id = ms.meter_id;
 
 -- ── Transfers (all FK names resolved) ─────────────────────────
 CREATE OR REPLACE VIEW v_transfers AS
@@ -699,13 +1320,18 @@ SELECT
      WHERE status = 'Active'
        AND end_date BETWEEN CURRENT_DATE AND CURRENT_DATE + 30)                         AS expiring_contracts,
   -- Maintenance
-  (SELECT COUNT(*)                FROM maintenance_schedules
-     WHERE status NOT IN ('Completed','Cancelled')
-       AND next_due_date < CURRENT_DATE)                                                 AS overdue_pm,
-  (SELECT COUNT(*)                FROM maintenance_schedules
-     WHERE status NOT IN ('Completed','Cancelled')
-       AND next_due_date >= CURRENT_DATE
-       AND next_due_date <= CURRENT_DATE + alert_days)                                  AS due_soon_pm,
+  (SELECT COUNT(*)                FROM maintenance_schedules ms
+     LEFT JOIN asset_meters mt ON mt.id = ms.meter_id
+     WHERE ms.status NOT IN ('Completed','Cancelled')
+       AND (COALESCE(ms.next_due_date < CURRENT_DATE, false)
+         OR COALESCE(mt.current_reading >= ms.next_due_meter, false)))                  AS overdue_pm,
+  (SELECT COUNT(*)                FROM maintenance_schedules ms
+     LEFT JOIN asset_meters mt ON mt.id = ms.meter_id
+     WHERE ms.status NOT IN ('Completed','Cancelled')
+       AND NOT (COALESCE(ms.next_due_date < CURRENT_DATE, false)
+             OR COALESCE(mt.current_reading >= ms.next_due_meter, false))
+       AND (COALESCE(ms.next_due_date <= CURRENT_DATE + ms.alert_days, false)
+         OR COALESCE(mt.current_reading >= ms.next_due_meter - ms.meter_alert, false))) AS due_soon_pm,
   -- Transfers
   (SELECT COUNT(*)                FROM transfers WHERE status = 'Pending')               AS pending_transfers,
   (SELECT COUNT(*)                FROM transfers WHERE status = 'Ops Approved')          AS ops_approved_transfers,
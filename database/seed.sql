@@ -110,6 +110,30 @@ VALUES
   ('PM-014','55555555-0000-0000-0000-000000000004','Triplex Pump Packing Change',      'General Service',    45,'2024-11-10','2024-12-25', 7,'Ahmed Khalid',             6, 1800,'High',    'Completed',  'Replace all piston packing sets on 3 pumps.')
 ON CONFLICT (pm_id) DO NOTHING;
 
+-- ─── ASSET METERS ─────────────────────────────────────────────
+INSERT INTO asset_meters (asset_id, name, unit, current_reading, last_read_at, notes) VALUES
+  ('55555555-0000-0000-0000-000000000006','Engine Hours','hours',12480,'2025-01-06 06:00+00','Hour meter on the CAT 3516 control panel')
+ON CONFLICT (asset_id, name) DO NOTHING;
+
+INSERT INTO meter_readings (meter_id, reading, read_at)
+SELECT mt.id, r.reading, r.read_at
+FROM asset_meters mt
+CROSS JOIN (VALUES
+  (12110::numeric, '2024-12-16 06:00+00'::timestamptz),
+  (12295,          '2024-12-26 06:00+00'),
+  (12480,          '2025-01-06 06:00+00')
+) AS r(reading, read_at)
+WHERE mt.asset_id = '55555555-0000-0000-0000-000000000006' AND mt.name = 'Engine Hours'
+ON CONFLICT (meter_id, read_at) DO NOTHING;
+
+-- PM-008 falls due every 250 engine hours or 250 days, whichever comes first
+UPDATE maintenance_schedules ms SET
+  meter_id = mt.id, meter_interval = 250, meter_alert = 25,
+  last_done_meter = 12300, next_due_meter = 12550
+FROM asset_meters mt
+WHERE ms.pm_id = 'PM-008' AND ms.meter_id IS NULL
+  AND mt.asset_id = ms.asset_id AND mt.name = 'Engine Hours';
+
 -- ─── SAMPLE NOTIFICATIONS ─────────────────────────────────────
 INSERT INTO notifications (user_id, type, icon, title, description, entity_type, is_read) VALUES
   (NULL, 'warning', 'exclamation-triangle', 'Contract Expiry Warning',  'CON-2024-001 contract expires in 15 days',       'contract',    false),
@@ -1,11 +1,41 @@
 // middleware/auth.js
 const jwt = require('jsonwebtoken');
 const { query } = require('../config/db');
+const { isRequiredForRole } = require('../services/totp');
+const { looksLikeApiKey, findApiKey, touchApiKey, hasScope } = require('../services/apiKeys');
+const { PERMISSIONS_SQL, can } = require('../services/permissions');
+const { SCOPE_SQL } = require('../services/visibility');
+
+// Reachable while a mandatory second factor is still being enrolled
+const TWO_FACTOR_SETUP_PATHS = ['/api/auth/2fa', '/api/auth/me', '/api/auth/logout'];
+
+// ── API key (X-API-Key: rak_… or Authorization: Bearer rak_…) ──
+// The request acts as the key's user, limited to the key's scopes (see requireScope)
+const authenticateApiKey = async (req, res, next, key) => {
+  const apiKey = await findApiKey(key);
+  if (!apiKey) return res.status(401).json({ error: 'Invalid, expired or revoked API key', code: 'INVALID_API_KEY' });
+
+  const { id, key_hash, scopes, user_id, ...user } = apiKey;
+  req.user = { id: user_id, ...user };
+  req.apiKey = { id, scopes };
+  req.sessionId = null;
+  touchApiKey(id, req.ip);
+  next();
+};
 
 // ── Verify access token ──────────────────────────────────────
 const authenticate = async (req, res, next) => {
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1]; // Bearer <token>
+  const apiKey = req.headers['x-api-key'] || (looksLikeApiKey(token) ? token : null);
+
+  if (apiKey) {
+    try {
+      return await authenticateApiKey(req, res, next, apiKey);
+    } catch (err) {
+      return next(err);
+    }
+  }
 
   if (!token) {
     return res.status(401).json({ error: 'Access token required' });
@@ -14,14 +44,32 @@ const authenticate = async (req, res, next) => {
   try {
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
     // Fetch fresh user from DB to ensure account is still active
+    // and that the login session behind this token has not been revoked
     const { rows } = await query(
-      'SELECT id, full_name, email, role, department, status FROM users WHERE id = $1',
-      [decoded.userId]
+      `SELECT u.id, u.full_name, u.email, u.role, u.department, u.status, u.totp_enabled,
+              ${PERMISSIONS_SQL}, ${SCOPE_SQL},
+              s.id AS session_id, s.revoked_at AS session_revoked_at
+       FROM users u
+       LEFT JOIN auth_sessions s ON s.id = $2 AND s.user_id = u.id
+       WHERE u.id = $1`,
+      [decoded.userId, decoded.sid || null]
     );
     if (!rows.length || rows[0].status !== 'Active') {
       return res.status(401).json({ error: 'Account not found or inactive' });
     }
-    req.user = rows[0];
+    const { session_id, session_revoked_at, ...user } = rows[0];
+    if (decoded.sid && (!session_id || session_revoked_at)) {
+      return res.status(401).json({ error: 'Session has been revoked', code: 'SESSION_REVOKED' });
+    }
+    if (isRequiredForRole(user.role) && !user.totp_enabled &&
+        !TWO_FACTOR_SETUP_PATHS.some(p => req.originalUrl.startsWith(p))) {
+      return res.status(403).json({
+        error: `Two-factor authentication is mandatory for the ${user.role} role – enrol at /api/auth/2fa/setup`,
+        code: 'TWO_FACTOR_SETUP_REQUIRED',
+      });
+    }
+    req.user = user;
+    req.sessionId = decoded.sid || null;
     next();
   } catch (err) {
     if (err.name === 'TokenExpiredError') {
@@ -31,22 +79,39 @@ const authenticate = async (req, res, next) => {
   }
 };
 
-// ── Role-based authorization factory ────────────────────────
-const authorize = (...roles) => (req, res, next) => {
+// ── API key scope check ─────────────────────────────────────
+// Router-level: GET/HEAD need `<resource>:read`, anything else `<resource>:write`.
+// Requests authenticated with a JWT are not scope-limited.
+const requireScope = (resource) => (req, res, next) => {
+  if (!req.apiKey) return next();
+  const access = ['GET', 'HEAD'].includes(req.method) ? 'read' : 'write';
+  if (!hasScope(req.apiKey.scopes, resource, access)) {
+    return res.status(403).json({
+      error: `API key lacks the ${resource}:${access} scope`,
+      code: 'INSUFFICIENT_SCOPE',
+      requiredScope: `${resource}:${access}`,
+    });
+  }
+  next();
+};
+
+// Account, user and key management stay with people – API keys are refused
+const noApiKey = (req, res, next) => {
+  if (req.apiKey) return res.status(403).json({ error: 'API keys cannot be used for this endpoint' });
+  next();
+};
+
+// ── Permission-based authorization factory ──────────────────
+// Passes when the user's role holds any of the named permissions
+const requirePermission = (...permissions) => (req, res, next) => {
   if (!req.user) return res.status(401).json({ error: 'Not authenticated' });
-  if (!roles.includes(req.user.role)) {
+  if (!permissions.some(p => can(req.user, p))) {
     return res.status(403).json({
-      error: `Access denied. Required role: ${roles.join(' or ')}`,
+      error: `Access denied. Required permission: ${permissions.join(' or ')}`,
       yourRole: req.user.role,
     });
   }
   next();
 };
 
-// Shorthand guards
-const isAdmin = authorize('Admin');
-const isAdminOrManager = authorize('Admin', 'Asset Manager');
-const isAdminOrOps = authorize('Admin', 'Operations Manager');
-const canWrite = authorize('Admin', 'Asset Manager', 'Operations Manager', 'Editor');
-
-module.exports = { authenticate, authorize, isAdmin, isAdminOrManager, isAdminOrOps, canWrite };
+module.exports = { authenticate, requireScope, noApiKey, requirePermission };
@@ -30,6 +30,14 @@ const errorHandler = (err, req, res, next) => {
     });
   }
 
+  // Upload rejected by multer (file too large, unexpected field, …)
+  if (err.name === 'MulterError') {
+    return res.status(err.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({
+      error: err.message,
+      code: err.code,
+    });
+  }
+
   const status = err.status || err.statusCode || 500;
   res.status(status).json({
     error: err.message || 'Internal server error',
@@ -0,0 +1,164 @@
+// routes/apiKeys.js
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { query } = require('../config/db');
+const { authenticate, noApiKey, requirePermission } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { audit } = require('../services/audit');
+const { SCOPES, API_KEY_COLS, generateKey } = require('../services/apiKeys');
+const { canAssignRole } = require('../services/permissions');
+
+const router = express.Router();
+router.use(authenticate, noApiKey, requirePermission('api_keys.manage'));
+
+const SELECT_KEY = `
+  SELECT ${API_KEY_COLS},
+         CASE
+           WHEN k.revoked_at IS NOT NULL THEN 'Revoked'
+           WHEN k.expires_at <= NOW()    THEN 'Expired'
+           ELSE 'Active'
+         END AS status,
+         u.full_name AS user_name, u.email AS user_email, u.role AS user_role, cb.full_name AS created_by_name
+  FROM api_keys k
+  JOIN users u       ON u.id  = k.user_id
+  LEFT JOIN users cb ON cb.id = k.created_by
+`;
+
+// A key acts with its owner's permissions, so api_keys.manage only reaches keys of the
+// caller and of users whose role the caller could assign (as with users.manage)
+const mayActAs = async (user, ownerId, ownerRole) =>
+  ownerId === user.id || canAssignRole(user, ownerRole);
+const OUTRANKED = { error: 'You cannot manage API keys of a user whose role grants more than yours' };
+
+const scopeValidator = (field) => body(field)
+  .isArray({ min: 1 }).withMessage('scopes must be a non-empty array')
+  .custom(scopes => {
+    const unknown = scopes.filter(s => !SCOPES.includes(s));
+    if (unknown.length) throw new Error(`Unknown scope(s): ${unknown.join(', ')}`);
+    return true;
+  });
+
+const expiryValidator = body('expiresAt').optional({ nullable: true }).isISO8601()
+  .custom(expiresAt => {
+    if (new Date(expiresAt) <= new Date()) throw new Error('expiresAt must be in the future');
+    return true;
+  });
+
+// ── GET /api/api-keys/scopes ─────────────────────────────────
+router.get('/scopes', (req, res) => res.json(SCOPES));
+
+// ── GET /api/api-keys ────────────────────────────────────────
+// Query: user, status (Active | Expired | Revoked)
+router.get('/', asyncHandler(async (req, res) => {
+  const { user, status } = req.query;
+  const params = [];
+  const conditions = [];
+
+  if (user)   { params.push(user);   conditions.push(`(i.user_id::text = $${params.length} OR i.user_email = $${params.length})`); }
+  if (status) { params.push(status); conditions.push(`i.status = $${params.length}`); }
+  const where = conditions.length ? 'WHERE ' + conditions.join(' AND ') : '';
+
+  const { rows } = await query(`
+    SELECT * FROM (${SELECT_KEY}) i
+    ${where}
+    ORDER BY i.created_at DESC
+  `, params);
+  res.json(rows);
+}));
+
+// ── GET /api/api-keys/:id ────────────────────────────────────
+router.get('/:id', asyncHandler(async (req, res) => {
+  const { rows } = await query(`${SELECT_KEY} WHERE k.id::text = $1 OR k.prefix = $1`, [req.params.id]);
+  if (!rows.length) return res.status(404).json({ error: 'API key not found' });
+  res.json(rows[0]);
+}));
+
+// ── POST /api/api-keys ───────────────────────────────────────
+// The key acts as userId (default: the creating admin). It is returned once – store it now.
+router.post('/',
+  [
+    body('name').trim().notEmpty().withMessage('name required'),
+    scopeValidator('scopes'),
+    expiryValidator,
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const { name, scopes, expiresAt, userId } = req.body;
+
+    let ownerId = req.user.id;
+    if (userId) {
+      const { rows } = await query(
+        "SELECT id, role FROM users WHERE (id::text = $1 OR email = $1) AND status = 'Active'", [userId]
+      );
+      if (!rows.length) return res.status(404).json({ error: 'User not found or inactive' });
+      if (!await mayActAs(req.user, rows[0].id, rows[0].role)) return res.status(403).json(OUTRANKED);
+      ownerId = rows[0].id;
+    }
+
+    const { key, prefix, hash } = generateKey();
+    const { rows: inserted } = await query(`
+      INSERT INTO api_keys (name, prefix, key_hash, scopes, user_id, created_by, expires_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING id
+    `, [name, prefix, hash, [...new Set(scopes)], ownerId, req.user.id, expiresAt || null]);
+
+    const { rows } = await query(`${SELECT_KEY} WHERE k.id = $1`, [inserted[0].id]);
+    await audit(req, 'api_keys', 'INSERT', { after: rows[0] });
+    res.status(201).json({ ...rows[0], key });
+  })
+);
+
+// ── PUT /api/api-keys/:id ────────────────────────────────────
+// name, scopes and expiresAt can change; the key itself never does
+router.put('/:id',
+  [
+    body('name').optional().trim().notEmpty(),
+    scopeValidator('scopes').optional(),
+    expiryValidator,
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const { rows: existing } = await query(`${SELECT_KEY} WHERE k.id::text = $1`, [req.params.id]);
+    if (!existing.length) return res.status(404).json({ error: 'API key not found' });
+    if (!await mayActAs(req.user, existing[0].user_id, existing[0].user_role)) {
+      return res.status(403).json(OUTRANKED);
+    }
+    if (existing[0].status === 'Revoked') {
+      return res.status(409).json({ error: 'Revoked API keys cannot be edited' });
+    }
+
+    const { name, scopes, expiresAt } = req.body;
+    await query(`
+      UPDATE api_keys SET
+        name       = COALESCE($1, name),
+        scopes     = COALESCE($2, scopes),
+        expires_at = CASE WHEN $3::boolean THEN $4::timestamptz ELSE expires_at END
+      WHERE id = $5
+    `, [name, scopes ? [...new Set(scopes)] : null,
+        expiresAt !== undefined, expiresAt || null, existing[0].id]);
+
+    const { rows } = await query(`${SELECT_KEY} WHERE k.id = $1`, [existing[0].id]);
+    await audit(req, 'api_keys', 'UPDATE', { before: existing[0], after: rows[0] });
+    res.json(rows[0]);
+  })
+);
+
+// ── DELETE /api/api-keys/:id ─────────────────────────────────
+// Revokes the key; the row stays for the audit trail
+router.delete('/:id', asyncHandler(async (req, res) => {
+  const { rows: existing } = await query(`${SELECT_KEY} WHERE k.id::text = $1`, [req.params.id]);
+  if (!existing.length) return res.status(404).json({ error: 'API key not found' });
+  if (!await mayActAs(req.user, existing[0].user_id, existing[0].user_role)) return res.status(403).json(OUTRANKED);
+  if (existing[0].status === 'Revoked') return res.status(409).json({ error: 'API key is already revoked' });
+
+  await query('UPDATE api_keys SET revoked_at = NOW() WHERE id = $1', [existing[0].id]);
+  const { rows } = await query(`${SELECT_KEY} WHERE k.id = $1`, [existing[0].id]);
+  await audit(req, 'api_keys', 'UPDATE', { before: existing[0], after: rows[0] });
+  res.json({ message: `API key ${rows[0].prefix} (${rows[0].name}) revoked` });
+}));
+
+module.exports = router;
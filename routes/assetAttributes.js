@@ -0,0 +1,157 @@
+// routes/assetAttributes.js
+const express = require('express');
+const { body, query: qv, validationResult } = require('express-validator');
+const { query, getClient } = require('../config/db');
+const { authenticate, requireScope, requirePermission } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { audit } = require('../services/audit');
+const { ASSET_CATEGORIES } = require('../services/assets');
+const { ATTRIBUTE_TYPES, KEY_PATTERN, loadDefinitions } = require('../services/assetAttributes');
+
+const router = express.Router();
+router.use(authenticate, requireScope('assets'));
+
+// Enum choices: required for enum attributes, refused for the others
+const allowedValuesValidator = body('allowedValues')
+  .optional({ nullable: true })
+  .isArray({ min: 1 }).withMessage('allowedValues must be a non-empty array')
+  .custom(values => values.every(v => typeof v === 'string' && v.trim()))
+  .withMessage('allowedValues must be non-empty strings');
+
+const enumRule = (type, allowedValues) => {
+  if (type === 'enum' && !allowedValues?.length) return 'Enum attributes need allowedValues';
+  if (type !== 'enum' && allowedValues?.length) return 'allowedValues only apply to enum attributes';
+  return null;
+};
+
+// ── GET /api/asset-attributes ────────────────────────────────
+// Query params: category
+router.get('/',
+  [qv('category').optional().isIn(ASSET_CATEGORIES)],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    res.json(await loadDefinitions(req.query.category));
+  })
+);
+
+// ── POST /api/asset-attributes ───────────────────────────────
+router.post('/',
+  requirePermission('asset_attributes.manage'),
+  [
+    body('category').isIn(ASSET_CATEGORIES),
+    body('key').matches(KEY_PATTERN)
+      .withMessage('key must be lower-case letters, digits and _ (max 40), starting with a letter'),
+    body('label').trim().notEmpty(),
+    body('type').isIn(ATTRIBUTE_TYPES),
+    body('unit').optional({ nullable: true }).trim(),
+    body('required').optional().isBoolean(),
+    body('sortOrder').optional().isInt(),
+    allowedValuesValidator,
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const { category, key, label, type, unit, required = false, allowedValues, sortOrder = 0 } = req.body;
+    const enumError = enumRule(type, allowedValues);
+    if (enumError) return res.status(400).json({ error: enumError });
+
+    const { rows: clash } = await query(
+      'SELECT id FROM asset_attribute_definitions WHERE category = $1 AND key = $2', [category, key]
+    );
+    if (clash.length) return res.status(409).json({ error: `${category} already has an attribute "${key}"` });
+
+    const { rows } = await query(`
+      INSERT INTO asset_attribute_definitions
+        (category, key, label, type, unit, required, allowed_values, sort_order, updated_by)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      RETURNING *
+    `, [category, key, label, type, unit || null, required, allowedValues?.map(v => v.trim()) || null,
+        sortOrder, req.user.id]);
+
+    await audit(req, 'asset_attribute_definitions', 'INSERT', { after: rows[0] });
+    res.status(201).json(rows[0]);
+  })
+);
+
+// ── PUT /api/asset-attributes/:id ────────────────────────────
+// Category, key and type are fixed once created (stored values depend on them)
+router.put('/:id',
+  requirePermission('asset_attributes.manage'),
+  [
+    body('label').optional().trim().notEmpty(),
+    body('unit').optional({ nullable: true }).trim(),
+    body('required').optional().isBoolean(),
+    body('sortOrder').optional().isInt(),
+    allowedValuesValidator,
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const { rows: existing } = await query(
+      'SELECT * FROM asset_attribute_definitions WHERE id::text = $1', [req.params.id]
+    );
+    if (!existing.length) return res.status(404).json({ error: 'Attribute not found' });
+    const old = existing[0];
+
+    for (const field of ['category', 'key', 'type']) {
+      if (req.body[field] !== undefined && req.body[field] !== old[field]) {
+        return res.status(400).json({ error: `${field} cannot be changed – delete the attribute and define a new one` });
+      }
+    }
+    const { label, unit, required, allowedValues, sortOrder } = req.body;
+    if (allowedValues !== undefined) {
+      const enumError = enumRule(old.type, allowedValues);
+      if (enumError) return res.status(400).json({ error: enumError });
+    }
+
+    const { rows } = await query(`
+      UPDATE asset_attribute_definitions SET
+        label          = COALESCE($1, label),
+        unit           = CASE WHEN $2::boolean THEN $3 ELSE unit END,
+        required       = COALESCE($4, required),
+        allowed_values = COALESCE($5, allowed_values),
+        sort_order     = COALESCE($6, sort_order),
+        updated_by     = $7
+      WHERE id = $8
+      RETURNING *
+    `, [label, unit !== undefined, unit || null, required, allowedValues?.map(v => v.trim()),
+        sortOrder, req.user.id, old.id]);
+
+    await audit(req, 'asset_attribute_definitions', 'UPDATE', { before: old, after: rows[0] });
+    res.json(rows[0]);
+  })
+);
+
+// ── DELETE /api/asset-attributes/:id ─────────────────────────
+// Removes the definition and the values stored under it on the category's assets
+router.delete('/:id', requirePermission('asset_attributes.manage'), asyncHandler(async (req, res) => {
+  const { rows: existing } = await query(
+    'SELECT * FROM asset_attribute_definitions WHERE id::text = $1', [req.params.id]
+  );
+  if (!existing.length) return res.status(404).json({ error: 'Attribute not found' });
+  const def = existing[0];
+
+  const client = await getClient();
+  let cleared;
+  try {
+    await client.query('BEGIN');
+    ({ rowCount: cleared } = await client.query(`
+      UPDATE assets SET attributes = attributes - $1
+      WHERE category = $2 AND attributes ? $1
+    `, [def.key, def.category]));
+    await client.query('DELETE FROM asset_attribute_definitions WHERE id = $1', [def.id]);
+    await audit(req, 'asset_attribute_definitions', 'DELETE', { before: def }, client);
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+  res.json({ message: `Attribute ${def.key} removed from ${def.category}`, assetsCleared: cleared });
+}));
+
+module.exports = router;
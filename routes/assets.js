@@ -1,21 +1,128 @@
 // routes/assets.js
 const express = require('express');
 const { body, query: qv, param, validationResult } = require('express-validator');
-const { query } = require('../config/db');
-const { authenticate, canWrite, isAdminOrManager } = require('../middleware/auth');
+const multer = require('multer');
+const { query, getClient } = require('../config/db');
+const { authenticate, requireScope, requirePermission } = require('../middleware/auth');
 const { asyncHandler } = require('../middleware/errorHandler');
+const { audit } = require('../services/audit');
+const { scopeCondition, andScope, inScope } = require('../services/visibility');
+const { ASSET_CATEGORIES } = require('../services/assets');
+const { METHODS, bookValue } = require('../services/depreciation');
+const { archivedCondition, archive, restore, purgePreview, purge } = require('../services/archive');
+const { detectFormat, readTable, toCsv } = require('../services/spreadsheet');
+const { TEMPLATE_COLUMNS, mapHeaders, validateRows, applyPlan } = require('../services/assetImport');
+const { exportOptions, sendExport } = require('../services/export');
+const { whereOf, listOptions, cursorColumn, listPage, listAll } = require('../services/listing');
+const { loadDefinitions, validateAttributes, attributeConditions } = require('../services/assetAttributes');
+const { PAPER, labelSvg, writeLabelsPdf, scannedValue, looseId } = require('../services/labels');
+const { listAttachments } = require('../services/attachments');
+const {
+  patchedValue, patchSet, withEtag, ifMatchFails, unchangedCondition, preconditionFailed,
+} = require('../services/updates');
 
 const router = express.Router();
-router.use(authenticate);
+router.use(authenticate, requireScope('assets'));
 
-// ── GET /api/assets ──────────────────────────────────────────
-// Query params: rig, company, status, category, search, page, limit
-router.get('/', asyncHandler(async (req, res) => {
-  const { rig, company, status, category, search, page = 1, limit = 100 } = req.query;
-  const offset = (parseInt(page) - 1) * parseInt(limit);
-  const params = [];
-  const conditions = [];
+// Columns that place an asset (alias a) for rig/company scoping
+const ASSET_SCOPE = { rig: 'a.rig_id', company: 'a.company_id' };
+const OUT_OF_SCOPE = { error: 'Rig or company is outside your assigned scope' };
+
+// Asset by id or asset_id within the caller's scope, archived or not
+const findAsset = async (req) => {
+  const params = [req.params.id];
+  const { rows } = await query(
+    `SELECT * FROM assets a WHERE (a.id::text = $1 OR a.asset_id = $1) ${andScope(req.user, params, ASSET_SCOPE)}`, params
+  );
+  return rows[0] || null;
+};
 
+// Asset detail (joined rig, company, contract, certificates, attachments, depreciation
+// and the category's attribute definitions) by id or asset_id within the caller's scope;
+// null when not found
+const assetDetail = async (user, id) => {
+  const params = [id];
+  const { rows } = await query(`
+    SELECT
+      a.*, r.name AS rig_name, r.rig_id AS rig_code, r.id AS rig_id,
+      c.name AS company_name, c.id AS company_id,
+      ct.contract_no, ct.id AS contract_id, ct.start_date, ct.end_date, ct.value_usd AS contract_value
+    FROM assets a
+    LEFT JOIN rigs      r  ON r.id  = a.rig_id
+    LEFT JOIN companies c  ON c.id  = a.company_id
+    LEFT JOIN contracts ct ON ct.id = a.contract_id
+    WHERE (a.id::text = $1 OR a.asset_id = $1) ${andScope(user, params, ASSET_SCOPE)}
+  `, params);
+  if (!rows.length) return null;
+
+  // Fetch certificates
+  const { rows: certificates } = await query(
+    'SELECT * FROM v_certificates WHERE asset_id = $1 ORDER BY expiry_date ASC NULLS LAST',
+    [rows[0].id]
+  );
+  const { rows: policy } = await query('SELECT * FROM depreciation_policies WHERE category = $1', [rows[0].category]);
+  const attributeDefinitions = await loadDefinitions(rows[0].category);
+  return {
+    ...rows[0],
+    certificates,
+    attachments: await listAttachments('asset', [rows[0].id]),
+    depreciation: bookValue(rows[0], policy[0]),
+    attribute_definitions: attributeDefinitions,
+  };
+};
+
+// Columns of the CSV / XLSX export of GET /api/assets
+const EXPORT_COLUMNS = [
+  { key: 'asset_id',         header: 'Asset ID' },
+  { key: 'name',             header: 'Name' },
+  { key: 'category',         header: 'Category' },
+  { key: 'status',           header: 'Status' },
+  { key: 'rig_code',         header: 'Rig ID' },
+  { key: 'rig_name',         header: 'Rig' },
+  { key: 'company_code',     header: 'Company Code' },
+  { key: 'company_name',     header: 'Company' },
+  { key: 'contract_no',      header: 'Contract' },
+  { key: 'location',         header: 'Location' },
+  { key: 'value_usd',        header: 'Value USD', type: 'number' },
+  { key: 'acquisition_date', header: 'Acquisition Date', type: 'date' },
+  { key: 'serial_number',    header: 'Serial Number' },
+  { key: 'manufacturer',     header: 'Manufacturer' },
+  { key: 'model',            header: 'Model' },
+  { key: 'notes',            header: 'Notes' },
+  { key: 'updated_at',       header: 'Last Updated', type: 'datetime' },
+];
+
+// Fields of PUT / PATCH /api/assets/:id (attributes are merged separately)
+const UPDATABLE = {
+  columns: {
+    name: 'name', category: 'category', rigId: 'rig_id', companyId: 'company_id', contractId: 'contract_id',
+    location: 'location', status: 'status', valueUsd: 'value_usd', acquisitionDate: 'acquisition_date',
+    serialNumber: 'serial_number', manufacturer: 'manufacturer', model: 'model', notes: 'notes',
+    depreciationMethod: 'depreciation_method', usefulLifeYears: 'useful_life_years',
+    salvageValueUsd: 'salvage_value_usd',
+  },
+  required: ['name', 'category', 'status', 'valueUsd'],
+};
+
+// Per-asset depreciation overrides (null/absent = category policy)
+const depreciationValidators = [
+  body('depreciationMethod').optional({ nullable: true }).isIn(METHODS),
+  body('usefulLifeYears').optional({ nullable: true }).isFloat({ gt: 0, max: 999 }),
+  body('salvageValueUsd').optional({ nullable: true }).isFloat({ min: 0 }),
+];
+
+// Spreadsheet uploads are held in memory and parsed in one go
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: parseFloat(process.env.IMPORT_MAX_FILE_MB || '10') * 1024 * 1024, files: 1 },
+});
+
+// Conditions for the asset list filters (rig, company, status, category, search,
+// attr.*, includeArchived) within the caller's scope; expects rigs r and companies c
+// joined. { conditions } or { error } for an unusable attr.* filter.
+const listConditions = async (req, params) => {
+  const { rig, company, status, category, search } = req.query;
+  const conditions = [];
   if (rig) {
     params.push(rig);
     conditions.push(`r.name = $${params.length}`);
@@ -36,14 +143,48 @@ router.get('/', asyncHandler(async (req, res) => {
     params.push(`%${search.toLowerCase()}%`);
     conditions.push(`(LOWER(a.asset_id) LIKE $${params.length} OR LOWER(a.name) LIKE $${params.length} OR LOWER(a.serial_number) LIKE $${params.length} OR LOWER(a.location) LIKE $${params.length})`);
   }
+  const scope = scopeCondition(req.user, params, ASSET_SCOPE);
+  if (scope) conditions.push(scope);
+  const live = archivedCondition(req, 'a');
+  if (live) conditions.push(live);
+  const attrs = await attributeConditions(req, params);
+  if (attrs.error) return { error: attrs.error };
+  conditions.push(...attrs.conditions);
+  return { conditions };
+};
+
+// Sorts of GET /api/assets
+const SORTS = {
+  asset_id:         [{ expr: 'a.asset_id', type: 'text', notNull: true }],
+  name:             [{ expr: 'a.name', type: 'text', notNull: true }],
+  category:         [{ expr: 'a.category', type: 'text', notNull: true }],
+  status:           [{ expr: 'a.status', type: 'text', notNull: true }],
+  rig:              [{ expr: 'r.name', type: 'text' }],
+  value_usd:        [{ expr: 'a.value_usd', type: 'numeric', notNull: true }],
+  acquisition_date: [{ expr: 'a.acquisition_date', type: 'date' }],
+  created_at:       [{ expr: 'a.created_at', type: 'timestamptz', notNull: true }],
+  updated_at:       [{ expr: 'a.updated_at', type: 'timestamptz', notNull: true }],
+};
 
-  const where = conditions.length ? 'WHERE ' + conditions.join(' AND ') : '';
+// ── GET /api/assets ──────────────────────────────────────────
+// Query params: rig, company, status, category, search, includeArchived,
+// attr.<key><op><value> (op: = != > >= < <=, e.g. attr.kva>=500), and the list
+// params sort, order, limit, cursor, total (services/listing.js)
+// format=csv|xlsx (or Accept) downloads every matching asset; columns picks the columns
+router.get('/', asyncHandler(async (req, res) => {
+  const listing = listOptions(req, SORTS, { sort: 'asset_id', limit: 100, tiebreak: 'a.id' });
+  if (listing.error) return res.status(400).json({ error: listing.error });
+  const exporting = exportOptions(req, EXPORT_COLUMNS);
+  if (exporting?.error) return res.status(400).json({ error: exporting.error });
+  const params = [];
+  const { conditions, error } = await listConditions(req, params);
+  if (error) return res.status(400).json({ error });
 
-  const sql = `
+  const sql = (where) => `
     SELECT
       a.id, a.asset_id, a.name, a.category, a.location, a.status,
       a.value_usd, a.acquisition_date, a.serial_number, a.manufacturer,
-      a.model, a.notes, a.created_at, a.updated_at,
+      a.model, a.notes, a.attributes, a.archived_at, a.created_at, a.updated_at,
       r.name       AS rig_name,
       r.rig_id     AS rig_code,
       r.id         AS rig_id,
@@ -51,40 +192,23 @@ router.get('/', asyncHandler(async (req, res) => {
       c.company_code,
       c.id         AS company_id,
       ct.contract_no,
-      ct.id        AS contract_id
+      ct.id        AS contract_id,
+      ${cursorColumn(listing)}
     FROM assets a
     LEFT JOIN rigs      r  ON r.id  = a.rig_id
     LEFT JOIN companies c  ON c.id  = a.company_id
     LEFT JOIN contracts ct ON ct.id = a.contract_id
     ${where}
-    ORDER BY a.asset_id
-    LIMIT $${params.length + 1} OFFSET $${params.length + 2}
   `;
-  params.push(parseInt(limit), offset);
-
-  const countSql = `
-    SELECT COUNT(*) FROM assets a
-    LEFT JOIN rigs      r ON r.id = a.rig_id
-    LEFT JOIN companies c ON c.id = a.company_id
-    ${where}
-  `;
-  const countParams = params.slice(0, -2);
-
-  const [data, count] = await Promise.all([
-    query(sql, params),
-    query(countSql, countParams),
-  ]);
+  if (exporting) return sendExport(res, exporting, 'assets', await listAll(listing, sql, conditions, params));
 
-  res.json({
-    data: data.rows,
-    total: parseInt(count.rows[0].count),
-    page: parseInt(page),
-    limit: parseInt(limit),
-  });
+  res.json(await listPage(listing, sql, conditions, params));
 }));
 
 // ── GET /api/assets/summary ──────────────────────────────────
 router.get('/summary', asyncHandler(async (req, res) => {
+  const params = [];
+  const scope = scopeCondition(req.user, params, ASSET_SCOPE);
   const { rows } = await query(`
     SELECT
       COUNT(*)                                          AS total,
@@ -94,13 +218,16 @@ router.get('/summary', asyncHandler(async (req, res) => {
       COUNT(*) FILTER (WHERE status = 'Inactive')       AS inactive,
       COALESCE(SUM(value_usd), 0)                       AS total_value,
       COUNT(DISTINCT rig_id)                            AS rigs_with_assets
-    FROM assets
-  `);
+    FROM assets a
+    WHERE a.archived_at IS NULL ${scope ? `AND ${scope}` : ''}
+  `, params);
   res.json(rows[0]);
 }));
 
 // ── GET /api/assets/by-rig ───────────────────────────────────
 router.get('/by-rig', asyncHandler(async (req, res) => {
+  const params = [];
+  const scope = scopeCondition(req.user, params, { rig: 'r.id' });
   const { rows } = await query(`
     SELECT
       r.rig_id, r.name AS rig_name, r.status AS rig_status,
@@ -109,38 +236,184 @@ router.get('/by-rig', asyncHandler(async (req, res) => {
       COUNT(a.id) FILTER (WHERE a.status='Maintenance') AS maintenance,
       COALESCE(SUM(a.value_usd), 0)                     AS total_value
     FROM rigs r
-    LEFT JOIN assets a ON a.rig_id = r.id
+    LEFT JOIN assets a ON a.rig_id = r.id AND a.archived_at IS NULL
+    WHERE r.archived_at IS NULL ${scope ? `AND ${scope}` : ''}
     GROUP BY r.id, r.rig_id, r.name, r.status
     ORDER BY r.rig_id
-  `);
+  `, params);
   res.json(rows);
 }));
 
-// ── GET /api/assets/:id ──────────────────────────────────────
-router.get('/:id', asyncHandler(async (req, res) => {
+// ── GET /api/assets/import/template ──────────────────────────
+router.get('/import/template', (req, res) => {
+  res.attachment('asset-import-template.csv').type('text/csv').send(toCsv(TEMPLATE_COLUMNS, []));
+});
+
+// ── POST /api/assets/import ──────────────────────────────────
+// multipart/form-data with a CSV or XLSX `file`. Query params: dryRun (default true),
+// upsert (update assets whose Asset ID already exists instead of rejecting the row).
+// Any invalid row rejects the whole file; otherwise every row is written in one transaction.
+router.post('/import',
+  requirePermission('assets.write'),
+  upload.single('file'),
+  asyncHandler(async (req, res) => {
+    if (!req.file) return res.status(400).json({ error: 'Upload the spreadsheet as the "file" field' });
+    if (!detectFormat(req.file)) return res.status(400).json({ error: 'Only .csv and .xlsx files can be imported' });
+    const dryRun = req.query.dryRun !== 'false';
+    const upsert = req.query.upsert === 'true';
+
+    const table = await readTable(req.file).catch(() => null);
+    if (!table) return res.status(400).json({ error: 'The file could not be read as a spreadsheet' });
+    const maxRows = parseInt(process.env.IMPORT_MAX_ROWS || '5000');
+    if (!table.rows.length) return res.status(400).json({ error: 'The file has no data rows' });
+    if (table.rows.length > maxRows) {
+      return res.status(413).json({ error: `At most ${maxRows} rows can be imported at once` });
+    }
+    const { columns, ignored, missing } = mapHeaders(table.headers);
+    if (missing.length) return res.status(400).json({ error: `Missing column(s): ${missing.join(', ')}` });
+
+    const { errors, plan } = await validateRows({ query }, req.user, { columns, rows: table.rows }, { upsert });
+    const toCreate = plan.filter(p => p.action === 'create').length;
+    const report = {
+      dryRun,
+      total: table.rows.length,
+      valid: plan.length,
+      invalid: new Set(errors.map(e => e.row)).size,
+      ignoredColumns: ignored,
+      errors,
+      rows: plan.map(p => ({ row: p.row, assetId: p.values.assetId, action: p.action })),
+    };
+
+    if (dryRun) return res.json({ ...report, toCreate, toUpdate: plan.length - toCreate });
+    if (errors.length) return res.status(422).json({ ...report, error: 'Nothing was imported – fix the listed rows and retry' });
+
+    const client = await getClient();
+    try {
+      await client.query('BEGIN');
+      await applyPlan(req, client, plan);
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+    res.status(201).json({ ...report, created: toCreate, updated: plan.length - toCreate });
+  })
+);
+
+// ── GET /api/assets/labels ───────────────────────────────────
+// PDF sheet of asset tags (2 × 5 per page) for every asset matching the list filters
+// (rig, company, status, category, search, attr.*, includeArchived); paper=A4|Letter
+router.get('/labels',
+  [qv('paper').optional().customSanitizer(v => String(v).toUpperCase()).isIn(Object.keys(PAPER))],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const maxLabels = parseInt(process.env.LABEL_MAX_BATCH || '500');
+    const params = [];
+    const { conditions, error } = await listConditions(req, params);
+    if (error) return res.status(400).json({ error });
+    params.push(maxLabels + 1);
+    const { rows } = await query(`
+      SELECT a.id, a.asset_id, a.name, r.name AS rig_name
+      FROM assets a
+      LEFT JOIN rigs      r ON r.id = a.rig_id
+      LEFT JOIN companies c ON c.id = a.company_id
+      ${whereOf(conditions)}
+      ORDER BY a.asset_id
+      LIMIT $${params.length}
+    `, params);
+
+    if (!rows.length) return res.status(404).json({ error: 'No assets match these filters' });
+    if (rows.length > maxLabels) {
+      return res.status(413).json({ error: `At most ${maxLabels} labels can be printed at once – narrow the filters` });
+    }
+    res.attachment('asset-tags.pdf').type('application/pdf');
+    await writeLabelsPdf(res, rows, { sheet: true, paper: req.query.paper || 'A4' });
+  })
+);
+
+// ── GET|POST /api/assets/resolve ─────────────────────────────
+// Turns a scanned tag (code=… in the query or body) into the asset detail. Accepts the
+// QR code's URL, the asset's UUID or asset_id (ignoring case and punctuation) or its
+// serial number. 409 with the candidates when the code matches several assets.
+const resolveAsset = asyncHandler(async (req, res) => {
+  const code = scannedValue(req.body?.code ?? req.query.code);
+  if (!code || !looseId(code)) return res.status(400).json({ error: 'code is required' });
+
+  const params = [code, looseId(code)];
   const { rows } = await query(`
-    SELECT
-      a.*, r.name AS rig_name, r.rig_id AS rig_code, r.id AS rig_id,
-      c.name AS company_name, c.id AS company_id,
-      ct.contract_no, ct.id AS contract_id, ct.start_date, ct.end_date, ct.value_usd AS contract_value
+    SELECT a.id, a.asset_id, a.name, a.serial_number,
+      CASE
+        WHEN a.id::text = $1 OR a.asset_id = $1                           THEN 1
+        WHEN regexp_replace(UPPER(a.asset_id), '[^A-Z0-9]', '', 'g') = $2 THEN 2
+        ELSE 3
+      END AS rank
     FROM assets a
-    LEFT JOIN rigs      r  ON r.id  = a.rig_id
-    LEFT JOIN companies c  ON c.id  = a.company_id
-    LEFT JOIN contracts ct ON ct.id = a.contract_id
-    WHERE a.id = $1 OR a.asset_id = $1
-  `, [req.params.id]);
+    WHERE (a.id::text = $1 OR a.asset_id = $1 OR a.serial_number = $1
+           OR regexp_replace(UPPER(a.asset_id), '[^A-Z0-9]', '', 'g') = $2)
+      ${andScope(req.user, params, ASSET_SCOPE)}
+    ORDER BY rank, a.asset_id
+    LIMIT 20
+  `, params);
 
-  if (!rows.length) return res.status(404).json({ error: 'Asset not found' });
-  res.json(rows[0]);
+  if (!rows.length) return res.status(404).json({ error: 'No asset matches this code', code });
+  const best = rows.filter(r => r.rank === rows[0].rank);
+  if (best.length > 1) {
+    return res.status(409).json({
+      error: 'This code matches several assets',
+      code,
+      candidates: best.map(({ id, asset_id, name, serial_number }) => ({ id, asset_id, name, serial_number })),
+    });
+  }
+  res.json(await assetDetail(req.user, best[0].id));
+});
+router.get('/resolve', resolveAsset);
+router.post('/resolve', resolveAsset);
+
+// ── GET /api/assets/:id/label ────────────────────────────────
+// Printable tag for one asset: format=pdf (default, one label-sized page) or svg
+router.get('/:id/label',
+  [qv('format').optional().isIn(['pdf', 'svg'])],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const params = [req.params.id];
+    const { rows } = await query(`
+      SELECT a.id, a.asset_id, a.name, r.name AS rig_name
+      FROM assets a
+      LEFT JOIN rigs r ON r.id = a.rig_id
+      WHERE (a.id::text = $1 OR a.asset_id = $1) ${andScope(req.user, params, ASSET_SCOPE)}
+    `, params);
+    if (!rows.length) return res.status(404).json({ error: 'Asset not found' });
+
+    const file = `asset-tag-${rows[0].asset_id.replace(/[^\w.-]+/g, '_')}`;
+    if (req.query.format === 'svg') {
+      return res.attachment(`${file}.svg`).type('image/svg+xml').send(labelSvg(rows[0]));
+    }
+    res.attachment(`${file}.pdf`).type('application/pdf');
+    await writeLabelsPdf(res, rows);
+  })
+);
+
+// ── GET /api/assets/:id ──────────────────────────────────────
+router.get('/:id', asyncHandler(async (req, res) => {
+  const asset = await assetDetail(req.user, req.params.id);
+  if (!asset) return res.status(404).json({ error: 'Asset not found' });
+  withEtag(res, asset).json(asset);
 }));
 
 // ── POST /api/assets ─────────────────────────────────────────
 router.post('/',
-  canWrite,
+  requirePermission('assets.write'),
   [
     body('assetId').trim().notEmpty().withMessage('asset_id required'),
     body('name').trim().notEmpty(),
-    body('category').isIn(['Drilling Equipment','Power Generation','Transportation','Safety Equipment','Communication','Other']),
+    body('category').isIn(ASSET_CATEGORIES),
+    ...depreciationValidators,
   ],
   asyncHandler(async (req, res) => {
     const errors = validationResult(req);
@@ -150,18 +423,25 @@ router.post('/',
       assetId, name, category, rigId, companyId, contractId,
       location, status = 'Active', valueUsd = 0,
       acquisitionDate, serialNumber, manufacturer, model, notes,
+      depreciationMethod, usefulLifeYears, salvageValueUsd,
     } = req.body;
+    if (!inScope(req.user, { rigId, companyId })) return res.status(403).json(OUT_OF_SCOPE);
+    const { errors: attributeErrors, attributes } =
+      validateAttributes(await loadDefinitions(category), req.body.attributes);
+    if (attributeErrors) return res.status(400).json({ errors: attributeErrors });
 
     const { rows } = await query(`
       INSERT INTO assets
         (asset_id, name, category, rig_id, company_id, contract_id,
          location, status, value_usd, acquisition_date, serial_number,
-         manufacturer, model, notes, created_by)
-      VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15)
+         manufacturer, model, notes, depreciation_method, useful_life_years,
+         salvage_value_usd, attributes, created_by)
+      VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16,$17,$18,$19)
       RETURNING *
     `, [assetId, name, category, rigId||null, companyId||null, contractId||null,
         location, status, valueUsd, acquisitionDate||null, serialNumber||null,
-        manufacturer||null, model||null, notes||null, req.user.id]);
+        manufacturer||null, model||null, notes||null, depreciationMethod||null,
+        usefulLifeYears||null, salvageValueUsd ?? null, JSON.stringify(attributes), req.user.id]);
 
     // Log creation in history
     await query(
@@ -169,68 +449,117 @@ router.post('/',
        VALUES ($1, 'Created', $2, $3)`,
       [rows[0].id, req.user.id, JSON.stringify(rows[0])]
     );
+    await audit(req, 'assets', 'INSERT', { after: rows[0] });
 
-    res.status(201).json(rows[0]);
+    withEtag(res, rows[0]).status(201).json(rows[0]);
   })
 );
 
-// ── PUT /api/assets/:id ──────────────────────────────────────
-router.put('/:id', canWrite, asyncHandler(async (req, res) => {
-  const { rows: existing } = await query(
-    'SELECT * FROM assets WHERE id = $1 OR asset_id = $1', [req.params.id]
-  );
-  if (!existing.length) return res.status(404).json({ error: 'Asset not found' });
+// ── PUT|PATCH /api/assets/:id ────────────────────────────────
+// PATCH clears a field sent as null (attributes: null clears every attribute); PUT
+// ignores nulls. If-Match → 412 when the asset changed since it was read.
+const updateAsset = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+  const old = await findAsset(req);
+  if (!old) return res.status(404).json({ error: 'Asset not found' });
+  if (old.archived_at) return res.status(409).json({ error: 'Asset is archived – restore it first' });
+  if (ifMatchFails(req, old)) return preconditionFailed(res, old);
 
-  const old = existing[0];
-  const {
-    name, category, rigId, companyId, contractId,
-    location, status, valueUsd, acquisitionDate,
-    serialNumber, manufacturer, model, notes,
-  } = req.body;
+  const rigId = patchedValue(req, 'rigId', old.rig_id);
+  const companyId = patchedValue(req, 'companyId', old.company_id);
+  if ((rigId !== old.rig_id || companyId !== old.company_id) && !inScope(req.user, { rigId, companyId })) {
+    return res.status(403).json(OUT_OF_SCOPE);
+  }
+
+  const params = [];
+  const { sets, error } = patchSet(req, UPDATABLE, params);
+  if (error) return res.status(400).json({ error });
+
+  // Attributes are checked whenever they or the category change; null clears one, and
+  // values the new category does not define are dropped
+  const category = patchedValue(req, 'category', old.category);
+  let values = req.body.attributes;
+  if (values === null && req.method === 'PATCH') {
+    values = Object.fromEntries(Object.keys(old.attributes).map(key => [key, null]));
+  }
+  if ((values !== undefined && values !== null) || category !== old.category) {
+    const definitions = await loadDefinitions(category);
+    const current = category === old.category ? old.attributes : Object.fromEntries(
+      Object.entries(old.attributes).filter(([key]) => definitions.some(def => def.key === key)));
+    const result = validateAttributes(definitions, values, current);
+    if (result.errors) return res.status(400).json({ errors: result.errors });
+    params.push(JSON.stringify(result.attributes));
+    sets.push(`attributes = $${params.length}`);
+  }
+  if (!sets.length) return withEtag(res, old).json(old);
 
+  params.push(old.id);
   const { rows } = await query(`
-    UPDATE assets SET
-      name = COALESCE($1, name),
-      category = COALESCE($2, category),
-      rig_id = COALESCE($3, rig_id),
-      company_id = COALESCE($4, company_id),
-      contract_id = COALESCE($5, contract_id),
-      location = COALESCE($6, location),
-      status = COALESCE($7, status),
-      value_usd = COALESCE($8, value_usd),
-      acquisition_date = COALESCE($9, acquisition_date),
-      serial_number = COALESCE($10, serial_number),
-      manufacturer = COALESCE($11, manufacturer),
-      model = COALESCE($12, model),
-      notes = COALESCE($13, notes)
-    WHERE id = $14
+    UPDATE assets SET ${sets.join(', ')}
+    WHERE id = $${params.length} ${unchangedCondition(req, old, params)}
     RETURNING *
-  `, [name, category, rigId, companyId, contractId, location, status,
-      valueUsd, acquisitionDate, serialNumber, manufacturer, model, notes, old.id]);
+  `, params);
+  if (!rows.length) return preconditionFailed(res);
 
   await query(
     `INSERT INTO asset_history (asset_id, action, changed_by, old_values, new_values)
      VALUES ($1, 'Updated', $2, $3, $4)`,
     [old.id, req.user.id, JSON.stringify(old), JSON.stringify(rows[0])]
   );
+  await audit(req, 'assets', 'UPDATE', { before: old, after: rows[0] });
 
-  res.json(rows[0]);
-}));
+  withEtag(res, rows[0]).json(rows[0]);
+});
+router.put('/:id', requirePermission('assets.write'), depreciationValidators, updateAsset);
+router.patch('/:id', requirePermission('assets.write'), depreciationValidators, updateAsset);
 
 // ── DELETE /api/assets/:id ───────────────────────────────────
-router.delete('/:id', isAdminOrManager, asyncHandler(async (req, res) => {
-  const { rows } = await query(
-    'DELETE FROM assets WHERE id = $1 OR asset_id = $1 RETURNING asset_id, name',
-    [req.params.id]
-  );
-  if (!rows.length) return res.status(404).json({ error: 'Asset not found' });
-  res.json({ message: `Asset ${rows[0].asset_id} deleted`, asset: rows[0] });
+// Archives the asset: hidden from lists, history and related records kept
+router.delete('/:id', requirePermission('assets.delete'), asyncHandler(async (req, res) => {
+  const asset = await findAsset(req);
+  if (!asset) return res.status(404).json({ error: 'Asset not found' });
+  if (asset.archived_at) return res.status(409).json({ error: `Asset ${asset.asset_id} is already archived` });
+  if (ifMatchFails(req, asset)) return preconditionFailed(res, asset);
+  await archive(req, 'assets', asset);
+  res.json({
+    message: `Asset ${asset.asset_id} archived`,
+    asset: { asset_id: asset.asset_id, name: asset.name },
+  });
+}));
+
+// ── POST /api/assets/:id/restore ─────────────────────────────
+router.post('/:id/restore', requirePermission('assets.delete'), asyncHandler(async (req, res) => {
+  const asset = await findAsset(req);
+  if (!asset) return res.status(404).json({ error: 'Asset not found' });
+  if (!asset.archived_at) return res.status(409).json({ error: `Asset ${asset.asset_id} is not archived` });
+  res.json(await restore(req, 'assets', asset));
+}));
+
+// ── GET /api/assets/:id/purge ────────────────────────────────
+// Preview of what a purge would delete
+router.get('/:id/purge', requirePermission('records.purge'), asyncHandler(async (req, res) => {
+  const asset = await findAsset(req);
+  if (!asset) return res.status(404).json({ error: 'Asset not found' });
+  res.json({ asset_id: asset.asset_id, archived: Boolean(asset.archived_at), ...await purgePreview('assets', asset.id) });
+}));
+
+// ── DELETE /api/assets/:id/purge ─────────────────────────────
+// Permanent delete of an archived asset with its history, PMs, BOM, certificates, transfers
+router.delete('/:id/purge', requirePermission('records.purge'), asyncHandler(async (req, res) => {
+  const asset = await findAsset(req);
+  if (!asset) return res.status(404).json({ error: 'Asset not found' });
+  if (!asset.archived_at) return res.status(409).json({ error: 'Archive the asset before purging it' });
+  const purged = await purge(req, 'assets', asset);
+  res.json({ message: `Asset ${asset.asset_id} permanently deleted`, ...purged });
 }));
 
 // ── GET /api/assets/:id/history ──────────────────────────────
 router.get('/:id/history', asyncHandler(async (req, res) => {
+  const params = [req.params.id];
   const { rows: asset } = await query(
-    'SELECT id FROM assets WHERE id = $1 OR asset_id = $1', [req.params.id]
+    `SELECT id FROM assets a WHERE (a.id = $1 OR a.asset_id = $1) ${andScope(req.user, params, ASSET_SCOPE)}`, params
   );
   if (!asset.length) return res.status(404).json({ error: 'Asset not found' });
 
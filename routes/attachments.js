@@ -0,0 +1,172 @@
+// routes/attachments.js
+const express = require('express');
+const multer = require('multer');
+const { pipeline } = require('stream');
+const { query } = require('../config/db');
+const { authenticate } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { audit } = require('../services/audit');
+const { can } = require('../services/permissions');
+const { hasScope } = require('../services/apiKeys');
+const { getStorage } = require('../services/storage');
+const {
+  ENTITIES, maxFileBytes, findOwner, ownerOf, listAttachments,
+  findAttachment, publicAttachment, storeAttachment,
+} = require('../services/attachments');
+
+// API key scope and permissions follow the record an attachment belongs to, so they
+// are checked per request rather than for the whole router
+const router = express.Router();
+router.use(authenticate);
+
+// Uploads are held in memory until checked, then handed to the storage backend
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: maxFileBytes(), files: 1 },
+});
+
+const ENTITY_TYPES = Object.keys(ENTITIES);
+const LABELS = { asset: 'Asset', maintenance_log: 'Maintenance log', transfer: 'Transfer', contract: 'Contract' };
+// What is archived when findOwner() reports archived_at
+const ARCHIVED = { asset: 'Asset', maintenance_log: 'The asset of this log', transfer: 'The transferred asset', contract: 'Contract' };
+
+// 403 body when the caller may not touch attachments of this owner type (API key scope,
+// then any of `permissions`), else null
+const denied = (req, entityType, permissions = []) => {
+  const { resource } = ENTITIES[entityType];
+  const access = ['GET', 'HEAD'].includes(req.method) ? 'read' : 'write';
+  if (req.apiKey && !hasScope(req.apiKey.scopes, resource, access)) {
+    return {
+      error: `API key lacks the ${resource}:${access} scope`,
+      code: 'INSUFFICIENT_SCOPE',
+      requiredScope: `${resource}:${access}`,
+    };
+  }
+  if (permissions.length && !permissions.some(p => can(req.user, p))) {
+    return { error: `Access denied. Required permission: ${permissions.join(' or ')}`, yourRole: req.user.role };
+  }
+  return null;
+};
+
+// The attachment of :id when its record is in the caller's scope; otherwise sends the
+// error response and returns null
+const loadAttachment = async (req, res) => {
+  const attachment = await findAttachment(req.params.id);
+  if (!attachment) {
+    res.status(404).json({ error: 'Attachment not found' });
+    return null;
+  }
+  const [entityType, ownerId] = ownerOf(attachment);
+  const refused = denied(req, entityType);
+  if (refused) {
+    res.status(403).json(refused);
+    return null;
+  }
+  if (!(await findOwner(req.user, entityType, ownerId))) {
+    res.status(404).json({ error: 'Attachment not found' });
+    return null;
+  }
+  return { attachment, entityType };
+};
+
+// ── GET /api/attachments ─────────────────────────────────────
+// Query params: entityType (asset | maintenance_log | transfer | contract), entityId
+// (id or code: AST-001, TR-001, CON-2024-001)
+router.get('/', asyncHandler(async (req, res) => {
+  const { entityType, entityId } = req.query;
+  if (!ENTITY_TYPES.includes(entityType) || !entityId) {
+    return res.status(400).json({ error: `entityType (${ENTITY_TYPES.join(', ')}) and entityId are required` });
+  }
+  const refused = denied(req, entityType);
+  if (refused) return res.status(403).json(refused);
+
+  const owner = await findOwner(req.user, entityType, entityId);
+  if (!owner) return res.status(404).json({ error: `${LABELS[entityType]} not found` });
+  res.json(await listAttachments(entityType, [owner.id]));
+}));
+
+// ── POST /api/attachments ────────────────────────────────────
+// multipart/form-data: file, entityType, entityId, description (optional)
+router.post('/', upload.single('file'), asyncHandler(async (req, res) => {
+  const { entityType, entityId, description } = req.body;
+  if (!ENTITY_TYPES.includes(entityType) || !entityId) {
+    return res.status(400).json({ error: `entityType (${ENTITY_TYPES.join(', ')}) and entityId are required` });
+  }
+  const refused = denied(req, entityType, [ENTITIES[entityType].write]);
+  if (refused) return res.status(403).json(refused);
+  if (!req.file) return res.status(400).json({ error: 'Attach the file as multipart field "file"' });
+
+  const owner = await findOwner(req.user, entityType, entityId);
+  if (!owner) return res.status(404).json({ error: `${LABELS[entityType]} not found` });
+  if (owner.archived_at) {
+    return res.status(409).json({ error: `${ARCHIVED[entityType]} is archived – restore it first` });
+  }
+
+  const result = await storeAttachment(req, entityType, owner, req.file, description);
+  if (result.error) return res.status(result.status).json({ error: result.error });
+  res.status(201).json(result);
+}));
+
+// ── GET /api/attachments/:id ─────────────────────────────────
+router.get('/:id', asyncHandler(async (req, res) => {
+  const found = await loadAttachment(req, res);
+  if (!found) return;
+  res.json(publicAttachment(found.attachment));
+}));
+
+// Streams a stored file; the checksum serves as its ETag (stored files never change)
+const sendStored = async (req, res, attachment, key, { type, fileName }) => {
+  const stream = await getStorage(attachment.storage_backend).get(key);
+  if (!stream) return res.status(404).json({ error: 'The stored file is missing' });
+
+  res.set({ ETag: `"${attachment.checksum_sha256}"`, 'Cache-Control': 'private, max-age=86400' });
+  if (fileName) res.attachment(fileName);
+  res.type(type);
+  if (req.fresh) {
+    stream.destroy();
+    return res.status(304).end();
+  }
+  pipeline(stream, res, (err) => {
+    if (err) console.error(`[ATTACHMENTS] sending ${key} failed:`, err.message);
+  });
+};
+
+// ── GET /api/attachments/:id/download ────────────────────────
+router.get('/:id/download', asyncHandler(async (req, res) => {
+  const found = await loadAttachment(req, res);
+  if (!found) return;
+  const { attachment } = found;
+  res.set('Content-Length', String(attachment.size_bytes));
+  await sendStored(req, res, attachment, attachment.storage_key,
+    { type: attachment.content_type, fileName: attachment.file_name });
+}));
+
+// ── GET /api/attachments/:id/thumbnail ───────────────────────
+// JPEG preview of image attachments, at most ATTACHMENT_THUMBNAIL_PX on each side
+router.get('/:id/thumbnail', asyncHandler(async (req, res) => {
+  const found = await loadAttachment(req, res);
+  if (!found) return;
+  const { attachment } = found;
+  if (!attachment.thumbnail_key) return res.status(404).json({ error: 'This attachment has no thumbnail' });
+  await sendStored(req, res, attachment, attachment.thumbnail_key, { type: 'image/jpeg' });
+}));
+
+// ── DELETE /api/attachments/:id ──────────────────────────────
+// The uploader (with write access to the record) or holders of the record's delete
+// permission; the stored files are removed by the cleanup job
+router.delete('/:id', asyncHandler(async (req, res) => {
+  const found = await loadAttachment(req, res);
+  if (!found) return;
+  const { attachment, entityType } = found;
+  const { write, remove } = ENTITIES[entityType];
+  const own = attachment.uploaded_by === req.user.id && can(req.user, write);
+  const refused = denied(req, entityType, own ? [] : [remove]);
+  if (refused) return res.status(403).json(refused);
+
+  const { rows } = await query('DELETE FROM attachments WHERE id = $1 RETURNING *', [attachment.id]);
+  if (!rows.length) return res.status(404).json({ error: 'Attachment not found' });
+  await audit(req, 'attachments', 'DELETE', { before: rows[0] });
+  res.json({ message: `Attachment ${rows[0].file_name} deleted` });
+}));
+
+module.exports = router;
@@ -0,0 +1,70 @@
+// routes/audit.js
+const express = require('express');
+const { query } = require('../config/db');
+const { authenticate, noApiKey, requirePermission } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+const router = express.Router();
+router.use(authenticate, noApiKey, requirePermission('audit.read'));
+
+// Maintained by triggers – never interesting in a diff
+const IGNORED_FIELDS = ['updated_at'];
+
+// Field-level changes between two row snapshots
+const diffRows = (before, after) => {
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  return [...fields]
+    .filter(f => !IGNORED_FIELDS.includes(f))
+    .filter(f => JSON.stringify(before?.[f] ?? null) !== JSON.stringify(after?.[f] ?? null))
+    .map(f => ({ field: f, from: before?.[f] ?? null, to: after?.[f] ?? null }));
+};
+
+// ── GET /api/audit ───────────────────────────────────────────
+// Query: table, record, user, action, from, to (dates, inclusive), page, limit
+router.get('/', asyncHandler(async (req, res) => {
+  const { table, record, user, action, from, to, page = 1, limit = 100 } = req.query;
+  const offset = (parseInt(page) - 1) * parseInt(limit);
+  const params = [];
+  const conditions = [];
+
+  if (table)  { params.push(table);  conditions.push(`al.table_name = $${params.length}`); }
+  if (record) { params.push(record); conditions.push(`al.record_id::text = $${params.length}`); }
+  if (user)   { params.push(user);   conditions.push(`al.changed_by::text = $${params.length}`); }
+  if (action) { params.push(action.toUpperCase()); conditions.push(`al.action = $${params.length}`); }
+  if (from)   { params.push(from);   conditions.push(`al.changed_at >= $${params.length}::date`); }
+  if (to)     { params.push(to);     conditions.push(`al.changed_at < $${params.length}::date + 1`); }
+  const where = conditions.length ? 'WHERE ' + conditions.join(' AND ') : '';
+
+  const [data, count] = await Promise.all([
+    query(`
+      SELECT al.*, u.full_name AS changed_by_name, u.email AS changed_by_email
+      FROM audit_log al
+      LEFT JOIN users u ON u.id = al.changed_by
+      ${where}
+      ORDER BY al.changed_at DESC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, parseInt(limit), offset]),
+    query(`SELECT COUNT(*) FROM audit_log al ${where}`, params),
+  ]);
+
+  res.json({
+    data: data.rows.map(r => ({ ...r, changes: diffRows(r.old_data, r.new_data) })),
+    total: parseInt(count.rows[0].count),
+    page: parseInt(page),
+    limit: parseInt(limit),
+  });
+}));
+
+// ── GET /api/audit/:id ───────────────────────────────────────
+router.get('/:id', asyncHandler(async (req, res) => {
+  const { rows } = await query(`
+    SELECT al.*, u.full_name AS changed_by_name, u.email AS changed_by_email
+    FROM audit_log al
+    LEFT JOIN users u ON u.id = al.changed_by
+    WHERE al.id::text = $1
+  `, [req.params.id]);
+  if (!rows.length) return res.status(404).json({ error: 'Audit entry not found' });
+  res.json({ ...rows[0], changes: diffRows(rows[0].old_data, rows[0].new_data) });
+}));
+
+module.exports = router;
@@ -2,108 +2,384 @@
 const express = require('express');
 const bcrypt  = require('bcryptjs');
 const jwt     = require('jsonwebtoken');
-const { v4: uuidv4 } = require('uuid');
 const { body, validationResult } = require('express-validator');
-const { query } = require('../config/db');
-const { authenticate } = require('../middleware/auth');
+const { query, getClient } = require('../config/db');
+const { authenticate: authenticateAny, noApiKey } = require('../middleware/auth');
 const { asyncHandler } = require('../middleware/errorHandler');
+const { audit } = require('../services/audit');
+const { INVITATION_COLS, findPendingInvitation } = require('../services/invitations');
+const { randomToken, hashToken } = require('../services/tokens');
+const { enqueueMail } = require('../services/mailer');
+const { recordAttempt, registerFailure, clearFailures } = require('../services/lockout');
+const {
+  signAccess, issueRefresh, findRefreshToken, revokeSession, revokeUserSessions, startSession,
+} = require('../services/sessions');
+const totp = require('../services/totp');
+const oidc = require('../services/oidc');
+const { can } = require('../services/permissions');
 
 const router = express.Router();
 
-const signAccess = (userId, role) =>
-  jwt.sign({ userId, role }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRES_IN || '8h',
+// Account and session endpoints are for people – API keys are refused here
+const authenticate = [authenticateAny, noApiKey];
+
+const SESSION_COLS = `id, user_id, device_name, user_agent, ip_address,
+  created_at, last_used_at, expires_at, revoked_at, revoked_reason`;
+
+// Short-lived proof that the password step passed. It carries no userId claim,
+// so authenticate() never accepts it as an access token.
+const CHALLENGE_AUDIENCE = 'login-2fa';
+const signChallenge = (userId, deviceName) =>
+  jwt.sign({ mfaUserId: userId, deviceName: deviceName || null }, process.env.JWT_SECRET, {
+    expiresIn: '5m', audience: CHALLENGE_AUDIENCE,
   });
 
-const signRefresh = (userId) =>
-  jwt.sign({ userId }, process.env.JWT_REFRESH_SECRET, {
-    expiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '7d',
+// 423 for a locked account, shared by both login steps
+const lockedResponse = (res, lockedUntil, error) => res.status(423).json({
+  error: error || 'Account is temporarily locked after repeated failed logins',
+  code: 'ACCOUNT_LOCKED',
+  lockedUntil,
+});
+
+// Count a failed password / second factor and answer 423 once it locks the account
+const rejectLogin = async (req, res, user, reason, error) => {
+  const { lockedUntil } = await registerFailure(user.id);
+  await recordAttempt(req, { userId: user.id, email: user.email, success: false, reason });
+  if (lockedUntil && new Date(lockedUntil) > new Date()) {
+    console.warn(`[AUTH] account ${user.email} locked until ${new Date(lockedUntil).toISOString()}`);
+    return lockedResponse(res, lockedUntil, 'Too many failed logins – account is temporarily locked');
+  }
+  return res.status(401).json({ error });
+};
+
+// All factors passed: reset failure tracking, open the session and answer with the token pair
+const completeLogin = async (req, res, user, deviceName, extra = {}) => {
+  await query(
+    'UPDATE users SET last_login = NOW(), failed_login_count = 0, locked_until = NULL WHERE id = $1',
+    [user.id]
+  );
+  await recordAttempt(req, { userId: user.id, email: user.email, success: true });
+
+  // One session per login (device)
+  const { accessToken, refreshToken, sessionId } = await startSession(req, user, deviceName);
+
+  res.json({
+    accessToken,
+    refreshToken,
+    sessionId,
+    user: {
+      id:         user.id,
+      fullName:   user.full_name,
+      email:      user.email,
+      role:       user.role,
+      department: user.department,
+    },
+    ...(totp.isRequiredForRole(user.role) && !user.totp_enabled && { twoFactorSetupRequired: true }),
+    ...extra,
   });
+};
 
 // ── POST /api/auth/login ─────────────────────────────────────
 router.post('/login',
   [
     body('email').isEmail().normalizeEmail(),
     body('password').notEmpty().withMessage('Password is required'),
+    body('deviceName').optional().trim().isLength({ max: 100 }),
   ],
   asyncHandler(async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
 
-    const { email, password } = req.body;
+    const { email, password, deviceName } = req.body;
     const { rows } = await query(
       'SELECT * FROM users WHERE email = $1', [email]
     );
 
     if (!rows.length) {
+      await recordAttempt(req, { email, success: false, reason: 'Unknown email' });
       return res.status(401).json({ error: 'Invalid email or password' });
     }
 
     const user = rows[0];
+    // A locked account is refused before the password is even checked
+    if (user.locked_until && new Date(user.locked_until) > new Date()) {
+      await recordAttempt(req, { userId: user.id, email, success: false, reason: 'Account locked' });
+      return lockedResponse(res, user.locked_until);
+    }
     if (user.status !== 'Active') {
+      await recordAttempt(req, { userId: user.id, email, success: false, reason: 'Account inactive' });
       return res.status(403).json({ error: 'Account is inactive or suspended' });
     }
+    if (user.sso_only) {
+      await recordAttempt(req, { userId: user.id, email, success: false, reason: 'SSO-only account' });
+      return res.status(403).json({ error: 'This account signs in through single sign-on', code: 'SSO_ONLY' });
+    }
 
     const valid = await bcrypt.compare(password, user.password_hash);
-    if (!valid) {
-      return res.status(401).json({ error: 'Invalid email or password' });
+    if (!valid) return rejectLogin(req, res, user, 'Invalid password', 'Invalid email or password');
+
+    // Second factor enrolled: no tokens yet, the client continues at /login/2fa
+    if (user.totp_enabled) {
+      return res.json({
+        twoFactorRequired: true,
+        challengeToken: signChallenge(user.id, deviceName),
+        expiresIn: 300,
+      });
     }
 
-    // Update last_login
-    await query('UPDATE users SET last_login = NOW() WHERE id = $1', [user.id]);
+    await completeLogin(req, res, user, deviceName);
+  })
+);
 
-    const accessToken  = signAccess(user.id, user.role);
-    const refreshToken = signRefresh(user.id);
+// ── POST /api/auth/login/2fa ─────────────────────────────────
+// Second login step: { challengeToken, code } or { challengeToken, recoveryCode }
+router.post('/login/2fa',
+  [
+    body('challengeToken').notEmpty().withMessage('challengeToken is required'),
+    body('code').custom((code, { req }) => {
+      if (!code && !req.body.recoveryCode) throw new Error('Either code or recoveryCode is required');
+      return true;
+    }),
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
 
-    // Store refresh token hash in DB
-    const tokenHash = await bcrypt.hash(refreshToken, 6);
-    const expiresAt = new Date(Date.now() + 7 * 24 * 3600 * 1000);
-    await query(
-      'INSERT INTO refresh_tokens (user_id, token_hash, expires_at) VALUES ($1, $2, $3)',
-      [user.id, tokenHash, expiresAt]
-    );
+    const { challengeToken, code, recoveryCode } = req.body;
+    let challenge;
+    try {
+      challenge = jwt.verify(challengeToken, process.env.JWT_SECRET, { audience: CHALLENGE_AUDIENCE });
+    } catch {
+      return res.status(401).json({ error: 'Login challenge is invalid or has expired – log in again' });
+    }
 
-    res.json({
-      accessToken,
-      refreshToken,
-      user: {
-        id:         user.id,
-        fullName:   user.full_name,
-        email:      user.email,
-        role:       user.role,
-        department: user.department,
-      },
+    const { rows } = await query('SELECT * FROM users WHERE id = $1', [challenge.mfaUserId]);
+    const user = rows[0];
+    if (!user || user.status !== 'Active' || !user.totp_enabled) {
+      return res.status(401).json({ error: 'Login challenge is invalid or has expired – log in again' });
+    }
+    if (user.locked_until && new Date(user.locked_until) > new Date()) {
+      await recordAttempt(req, { userId: user.id, email: user.email, success: false, reason: 'Account locked' });
+      return lockedResponse(res, user.locked_until);
+    }
+
+    if (code) {
+      const step = totp.verifyCode(totp.decryptSecret(user.totp_secret), code, user.totp_last_step);
+      // Conditional update so two concurrent requests cannot both spend the same code
+      const { rowCount } = step === null ? { rowCount: 0 } : await query(`
+        UPDATE users SET totp_last_step = $1
+        WHERE id = $2 AND (totp_last_step IS NULL OR totp_last_step < $1)
+      `, [step, user.id]);
+      if (!rowCount) return rejectLogin(req, res, user, 'Invalid 2FA code', 'Invalid two-factor code');
+      return completeLogin(req, res, user, challenge.deviceName);
+    }
+
+    if (!await totp.useRecoveryCode({ query }, user.id, recoveryCode)) {
+      return rejectLogin(req, res, user, 'Invalid recovery code', 'Invalid or already used recovery code');
+    }
+    const { rows: remaining } = await query(
+      'SELECT COUNT(*) FROM user_recovery_codes WHERE user_id = $1 AND used_at IS NULL', [user.id]
+    );
+    await completeLogin(req, res, user, challenge.deviceName, {
+      recoveryCodesRemaining: parseInt(remaining[0].count),
     });
   })
 );
 
-// ── POST /api/auth/register  (Admin only in production) ──────
+// ── GET /api/auth/sso/authorize ──────────────────────────────
+// Starts a single sign-on login. The client sends the browser to authorizationUrl; the
+// IdP redirects back to OIDC_REDIRECT_URI with ?code=&state=, which the client posts
+// to /sso/callback.
+router.get('/sso/authorize', asyncHandler(async (req, res) => {
+  if (!oidc.isEnabled()) return res.status(404).json({ error: 'Single sign-on is not configured' });
+  res.json(await oidc.beginLogin({ query }));
+}));
+
+// ── POST /api/auth/sso/callback ──────────────────────────────
+// { code, state, deviceName } → same response as /login (token pair, or a 2FA challenge)
+router.post('/sso/callback',
+  [
+    body('code').notEmpty().withMessage('code is required'),
+    body('state').notEmpty().withMessage('state is required'),
+    body('deviceName').optional().trim().isLength({ max: 100 }),
+  ],
+  asyncHandler(async (req, res) => {
+    if (!oidc.isEnabled()) return res.status(404).json({ error: 'Single sign-on is not configured' });
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const { code, state, deviceName } = req.body;
+    let claims;
+    try {
+      claims = await oidc.finishLogin({ query }, { code, state });
+    } catch (err) {
+      console.warn(`[SSO] sign-in failed: ${err.message}`);
+      return res.status(401).json({ error: 'Single sign-on failed – please try again' });
+    }
+    if (!claims) return res.status(400).json({ error: 'Sign-in request is invalid or has expired – start again' });
+
+    let result;
+    const client = await getClient();
+    try {
+      await client.query('BEGIN');
+      result = await oidc.resolveUser(req, client, claims);
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+
+    const email = claims.email || claims.sub;
+    if (result.error) {
+      await recordAttempt(req, { email, success: false, reason: `SSO: ${result.error}` });
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    const { user } = result;
+    if (user.status !== 'Active') {
+      await recordAttempt(req, { userId: user.id, email, success: false, reason: 'Account inactive' });
+      return res.status(403).json({ error: 'Account is inactive or suspended' });
+    }
+    if (user.totp_enabled) {
+      return res.json({
+        twoFactorRequired: true,
+        challengeToken: signChallenge(user.id, deviceName),
+        expiresIn: 300,
+      });
+    }
+
+    await completeLogin(req, res, user, deviceName);
+  })
+);
+
+// ── POST /api/auth/register ──────────────────────────────────
+// Self-registration, controlled by SELF_REGISTRATION:
+//   off (default) – disabled, accounts are created by invitation or by an admin
+//   viewer        – open, but every self-registered account is a Viewer
 router.post('/register',
+  (req, res, next) => {
+    if ((process.env.SELF_REGISTRATION || 'off') !== 'viewer') {
+      return res.status(403).json({ error: 'Self-registration is disabled – ask an administrator for an invitation' });
+    }
+    next();
+  },
   [
     body('fullName').trim().notEmpty(),
     body('email').isEmail().normalizeEmail(),
     body('password').isLength({ min: 8 }).withMessage('Password must be at least 8 characters'),
-    body('role').optional().isIn(['Admin','Asset Manager','Operations Manager','Editor','Viewer']),
   ],
   asyncHandler(async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
 
-    const { fullName, email, password, role = 'Viewer', department } = req.body;
+    // role is never taken from the body
+    const { fullName, email, password, department } = req.body;
     const passwordHash = await bcrypt.hash(password, 12);
 
     const { rows } = await query(
       `INSERT INTO users (full_name, email, password_hash, role, department)
-       VALUES ($1, $2, $3, $4, $5)
+       VALUES ($1, $2, $3, 'Viewer', $4)
        RETURNING id, full_name, email, role, department, created_at`,
-      [fullName, email, passwordHash, role, department || null]
+      [fullName, email, passwordHash, department || null]
     );
 
+    await audit(req, 'users', 'INSERT', { after: rows[0] });
     res.status(201).json({ user: rows[0], message: 'User created successfully' });
   })
 );
 
+// ── GET /api/auth/invitations/:token ─────────────────────────
+// Lets the sign-up page show who the invitation is for before a password is chosen
+router.get('/invitations/:token', asyncHandler(async (req, res) => {
+  const { invitation, status, error } = await findPendingInvitation({ query }, req.params.token);
+  if (error) return res.status(status).json({ error });
+  const { email, role, department, expires_at } = invitation;
+  res.json({ email, role, department, expires_at });
+}));
+
+// ── POST /api/auth/invitations/accept ────────────────────────
+// Redeems an invitation: creates the account with the invited email/role and logs it in
+router.post('/invitations/accept',
+  [
+    body('token').notEmpty().withMessage('Invitation token is required'),
+    body('fullName').trim().notEmpty(),
+    body('password').isLength({ min: 8 }).withMessage('Password must be at least 8 characters'),
+    body('deviceName').optional().trim().isLength({ max: 100 }),
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const { token, fullName, password, deviceName } = req.body;
+    const passwordHash = await bcrypt.hash(password, 12);
+
+    const client = await getClient();
+    let user;
+    try {
+      await client.query('BEGIN');
+
+      const { invitation, status, error } = await findPendingInvitation(client, token, { forUpdate: true });
+      if (error) {
+        await client.query('ROLLBACK');
+        return res.status(status).json({ error });
+      }
+
+      const { rows: existing } = await client.query(
+        'SELECT id FROM users WHERE LOWER(email) = LOWER($1)', [invitation.email]
+      );
+      if (existing.length) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({ error: 'A user with this email already exists' });
+      }
+
+      const { rows } = await client.query(
+        `INSERT INTO users (full_name, email, password_hash, role, department)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING id, full_name, email, role, department, created_at`,
+        [fullName, invitation.email, passwordHash, invitation.role, invitation.department]
+      );
+      user = rows[0];
+
+      const { rows: accepted } = await client.query(`
+        UPDATE user_invitations ui SET accepted_at = NOW(), accepted_by = $1
+        WHERE ui.id = $2
+        RETURNING ${INVITATION_COLS}
+      `, [user.id, invitation.id]);
+
+      // The new account is the actor – there is no logged-in user yet
+      const ctx = { user: { id: user.id }, ip: req.ip };
+      await audit(ctx, 'users', 'INSERT', { after: user }, client);
+      await audit(ctx, 'user_invitations', 'UPDATE', { before: invitation, after: accepted[0] }, client);
+
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+
+    const { accessToken, refreshToken, sessionId } = await startSession(req, user, deviceName);
+    res.status(201).json({
+      accessToken,
+      refreshToken,
+      sessionId,
+      user: {
+        id:         user.id,
+        fullName:   user.full_name,
+        email:      user.email,
+        role:       user.role,
+        department: user.department,
+      },
+    });
+  })
+);
+
 // ── POST /api/auth/refresh ───────────────────────────────────
+// Rotates the refresh token: the presented token is spent and a new pair is returned.
+// Presenting an already-spent token means it leaked, so the whole session is revoked.
 router.post('/refresh', asyncHandler(async (req, res) => {
   const { refreshToken } = req.body;
   if (!refreshToken) return res.status(400).json({ error: 'Refresh token required' });
@@ -114,50 +390,361 @@ router.post('/refresh', asyncHandler(async (req, res) => {
   } catch {
     return res.status(401).json({ error: 'Invalid or expired refresh token' });
   }
+  // Tokens issued before sessions existed carry no sid – the user has to log in again
+  if (!decoded.sid) return res.status(401).json({ error: 'Refresh token not recognized' });
 
-  // Find stored tokens for this user and validate
-  const { rows } = await query(
-    'SELECT * FROM refresh_tokens WHERE user_id = $1 AND expires_at > NOW()',
-    [decoded.userId]
-  );
+  const client = await getClient();
+  try {
+    await client.query('BEGIN');
 
-  let matched = false;
-  for (const row of rows) {
-    if (await bcrypt.compare(refreshToken, row.token_hash)) {
-      matched = true;
-      break;
+    const { rows: session } = await client.query(
+      'SELECT * FROM auth_sessions WHERE id = $1 AND user_id = $2 FOR UPDATE',
+      [decoded.sid, decoded.userId]
+    );
+    if (!session.length || session[0].revoked_at) {
+      await client.query('ROLLBACK');
+      return res.status(401).json({ error: 'Session has been revoked', code: 'SESSION_REVOKED' });
     }
-  }
-  if (!matched) return res.status(401).json({ error: 'Refresh token not recognized' });
 
-  const { rows: users } = await query(
-    'SELECT id, role FROM users WHERE id = $1 AND status = $2',
-    [decoded.userId, 'Active']
-  );
-  if (!users.length) return res.status(401).json({ error: 'User not found' });
+    // Indexed lookup by the token's jti (spent tokens are kept for reuse detection)
+    const matched = await findRefreshToken(client, refreshToken, decoded);
+    if (!matched) {
+      await client.query('ROLLBACK');
+      return res.status(401).json({ error: 'Refresh token not recognized' });
+    }
+
+    if (matched.rotated_at) {
+      await revokeSession(client, decoded.sid, 'Refresh token reuse detected');
+      await client.query('COMMIT');
+      console.warn(`[AUTH] refresh token reuse on session ${decoded.sid} (user ${decoded.userId}) – session revoked`);
+      return res.status(401).json({
+        error: 'Refresh token has already been used – session revoked, please log in again',
+        code: 'TOKEN_REUSE',
+      });
+    }
+
+    const { rows: users } = await client.query(
+      'SELECT id, role FROM users WHERE id = $1 AND status = $2',
+      [decoded.userId, 'Active']
+    );
+    if (!users.length) {
+      await client.query('ROLLBACK');
+      return res.status(401).json({ error: 'User not found' });
+    }
 
-  const newAccess = signAccess(users[0].id, users[0].role);
-  res.json({ accessToken: newAccess });
+    await client.query('UPDATE refresh_tokens SET rotated_at = NOW() WHERE id = $1', [matched.id]);
+    const newRefresh = await issueRefresh(client, users[0].id, decoded.sid, req.ip);
+
+    await client.query('COMMIT');
+    res.json({
+      accessToken:  signAccess(users[0].id, users[0].role, decoded.sid),
+      refreshToken: newRefresh,
+    });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
 }));
 
 // ── POST /api/auth/logout ────────────────────────────────────
+// Ends the current session only; other devices stay logged in
 router.post('/logout', authenticate, asyncHandler(async (req, res) => {
-  await query('DELETE FROM refresh_tokens WHERE user_id = $1', [req.user.id]);
+  if (req.sessionId) {
+    await revokeSession({ query }, req.sessionId, 'Logged out');
+  }
   res.json({ message: 'Logged out successfully' });
 }));
 
+// ── GET /api/auth/sessions ───────────────────────────────────
+// Own active sessions; Admins may pass ?userId= to see another user's
+router.get('/sessions', authenticate, asyncHandler(async (req, res) => {
+  const userId = req.query.userId || req.user.id;
+  if (userId !== req.user.id && !can(req.user, 'users.manage')) {
+    return res.status(403).json({ error: 'Access denied' });
+  }
+
+  const { rows } = await query(`
+    SELECT ${SESSION_COLS}, COALESCE(id = $2, false) AS current
+    FROM auth_sessions
+    WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > NOW()
+    ORDER BY last_used_at DESC
+  `, [userId, req.sessionId]);
+  res.json(rows);
+}));
+
+// ── DELETE /api/auth/sessions ────────────────────────────────
+// Log out every other device of the current user
+router.delete('/sessions', authenticate, asyncHandler(async (req, res) => {
+  const count = await revokeUserSessions({ query }, req.user.id, 'Revoked by user', req.sessionId);
+  res.json({ message: `${count} other session(s) revoked` });
+}));
+
+// ── DELETE /api/auth/sessions/:id ────────────────────────────
+router.delete('/sessions/:id', authenticate, asyncHandler(async (req, res) => {
+  const { rows } = await query(
+    `SELECT ${SESSION_COLS} FROM auth_sessions WHERE id::text = $1`, [req.params.id]
+  );
+  if (!rows.length) return res.status(404).json({ error: 'Session not found' });
+  if (rows[0].user_id !== req.user.id && !can(req.user, 'users.manage')) {
+    return res.status(403).json({ error: 'Access denied' });
+  }
+
+  const reason = rows[0].user_id === req.user.id ? 'Revoked by user' : `Revoked by admin ${req.user.full_name}`;
+  const revoked = await revokeSession({ query }, rows[0].id, reason);
+  if (!revoked) return res.status(409).json({ error: 'Session is already revoked' });
+  res.json({ message: 'Session revoked' });
+}));
+
+// ── POST /api/auth/forgot-password ───────────────────────────
+// Always answers the same way so the endpoint cannot be used to probe for accounts
+router.post('/forgot-password',
+  [body('email').isEmail().normalizeEmail()],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const message = 'If an account exists for that email, a reset link has been sent';
+    const { rows } = await query(
+      "SELECT id, full_name, email FROM users WHERE email = $1 AND status = 'Active' AND NOT sso_only", [req.body.email]
+    );
+    if (!rows.length) return res.json({ message });
+
+    const user = rows[0];
+    const ttlMinutes = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES || '30');
+    const token = randomToken();
+    const link = `${process.env.APP_URL || 'http://localhost:3000'}/reset-password?token=${token}`;
+
+    const client = await getClient();
+    try {
+      await client.query('BEGIN');
+      // Only the newest link works
+      await client.query(
+        'DELETE FROM password_reset_tokens WHERE user_id = $1 AND used_at IS NULL', [user.id]
+      );
+      await client.query(`
+        INSERT INTO password_reset_tokens (user_id, token_hash, expires_at, requested_ip)
+        VALUES ($1, $2, NOW() + make_interval(mins => $3::int), $4)
+      `, [user.id, hashToken(token), ttlMinutes, req.ip || null]);
+      await enqueueMail(client, {
+        to: user.email,
+        subject: 'Reset your RigAsset Pro password',
+        text: [
+          `Hello ${user.full_name},`,
+          '',
+          'A password reset was requested for your RigAsset Pro account.',
+          `Open the link below within ${ttlMinutes} minutes to choose a new password:`,
+          '',
+          link,
+          '',
+          'If you did not request this, you can ignore this email – your password has not changed.',
+        ].join('\n'),
+      });
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+
+    res.json({ message });
+  })
+);
+
+// ── POST /api/auth/reset-password ────────────────────────────
+// Sets a new password from an emailed token and logs the account out everywhere
+router.post('/reset-password',
+  [
+    body('token').notEmpty().withMessage('Reset token is required'),
+    body('newPassword').isLength({ min: 8 }).withMessage('Password must be at least 8 characters'),
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const { token, newPassword } = req.body;
+    const newHash = await bcrypt.hash(newPassword, 12);
+
+    const client = await getClient();
+    try {
+      await client.query('BEGIN');
+
+      const { rows: tokens } = await client.query(`
+        SELECT prt.id, prt.user_id, u.password_hash
+        FROM password_reset_tokens prt
+        JOIN users u ON u.id = prt.user_id
+        WHERE prt.token_hash = $1 AND prt.used_at IS NULL AND prt.expires_at > NOW()
+          AND u.status = 'Active' AND NOT u.sso_only
+        FOR UPDATE OF prt
+      `, [hashToken(token)]);
+      if (!tokens.length) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ error: 'Reset link is invalid or has expired' });
+      }
+      const { id: tokenId, user_id: userId, password_hash: oldHash } = tokens[0];
+
+      await client.query('UPDATE users SET password_hash = $1 WHERE id = $2', [newHash, userId]);
+      await client.query('UPDATE password_reset_tokens SET used_at = NOW() WHERE id = $1', [tokenId]);
+      await clearFailures(userId, client);
+      await revokeUserSessions(client, userId, 'Password reset');
+      await audit({ user: { id: userId }, ip: req.ip }, 'users', 'UPDATE', {
+        before: { id: userId, password_hash: oldHash },
+        after:  { id: userId, password_hash: newHash },
+      }, client);
+
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+
+    res.json({ message: 'Password has been reset – please log in with your new password' });
+  })
+);
+
 // ── GET /api/auth/me ─────────────────────────────────────────
 router.get('/me', authenticate, asyncHandler(async (req, res) => {
   const { rows } = await query(
     `SELECT id, full_name, email, role, department, status,
             alert_maint, alert_certs, alert_contracts, alert_assets,
-            last_login, created_at
+            totp_enabled, sso_only, last_login, created_at
      FROM users WHERE id = $1`,
     [req.user.id]
   );
   res.json(rows[0]);
 }));
 
+// ── GET /api/auth/2fa ────────────────────────────────────────
+router.get('/2fa', authenticate, asyncHandler(async (req, res) => {
+  const { rows } = await query(
+    'SELECT COUNT(*) FROM user_recovery_codes WHERE user_id = $1 AND used_at IS NULL', [req.user.id]
+  );
+  res.json({
+    enabled:  req.user.totp_enabled,
+    required: totp.isRequiredForRole(req.user.role),
+    recoveryCodesRemaining: parseInt(rows[0].count),
+  });
+}));
+
+// ── POST /api/auth/2fa/setup ─────────────────────────────────
+// Starts (or restarts) enrolment; the secret becomes active after /2fa/confirm
+router.post('/2fa/setup', authenticate, asyncHandler(async (req, res) => {
+  if (req.user.totp_enabled) {
+    return res.status(409).json({ error: 'Two-factor authentication is already enabled' });
+  }
+  const secret = totp.generateSecret();
+  await query(
+    'UPDATE users SET totp_secret = $1, totp_last_step = NULL WHERE id = $2',
+    [totp.encryptSecret(secret), req.user.id]
+  );
+  res.json({ secret, otpauthUrl: totp.provisioningUri(secret, req.user.email) });
+}));
+
+// ── POST /api/auth/2fa/confirm ───────────────────────────────
+// Proves the authenticator works, enables 2FA and returns recovery codes (shown once)
+router.post('/2fa/confirm', authenticate,
+  [body('code').notEmpty().withMessage('code is required')],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    if (req.user.totp_enabled) {
+      return res.status(409).json({ error: 'Two-factor authentication is already enabled' });
+    }
+
+    const { rows } = await query('SELECT totp_secret FROM users WHERE id = $1', [req.user.id]);
+    if (!rows[0].totp_secret) return res.status(409).json({ error: 'Start enrolment at /api/auth/2fa/setup first' });
+
+    const step = totp.verifyCode(totp.decryptSecret(rows[0].totp_secret), req.body.code);
+    if (step === null) return res.status(400).json({ error: 'Invalid two-factor code' });
+
+    const client = await getClient();
+    try {
+      await client.query('BEGIN');
+      await client.query(
+        'UPDATE users SET totp_enabled = true, totp_last_step = $1 WHERE id = $2', [step, req.user.id]
+      );
+      const recoveryCodes = await totp.issueRecoveryCodes(client, req.user.id);
+      await audit(req, 'users', 'UPDATE', {
+        before: { id: req.user.id, totp_enabled: false },
+        after:  { id: req.user.id, totp_enabled: true },
+      }, client);
+      await client.query('COMMIT');
+      res.json({ message: 'Two-factor authentication enabled', recoveryCodes });
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+  })
+);
+
+// ── POST /api/auth/2fa/recovery-codes ────────────────────────
+// Replaces all recovery codes; requires a current authenticator code
+router.post('/2fa/recovery-codes', authenticate,
+  [body('code').notEmpty().withMessage('code is required')],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    if (!req.user.totp_enabled) {
+      return res.status(409).json({ error: 'Two-factor authentication is not enabled' });
+    }
+
+    const { rows } = await query('SELECT totp_secret, totp_last_step FROM users WHERE id = $1', [req.user.id]);
+    const step = totp.verifyCode(totp.decryptSecret(rows[0].totp_secret), req.body.code, rows[0].totp_last_step);
+    if (step === null) return res.status(400).json({ error: 'Invalid two-factor code' });
+
+    const client = await getClient();
+    try {
+      await client.query('BEGIN');
+      await client.query('UPDATE users SET totp_last_step = $1 WHERE id = $2', [step, req.user.id]);
+      const recoveryCodes = await totp.issueRecoveryCodes(client, req.user.id);
+      await client.query('COMMIT');
+      res.json({ recoveryCodes });
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+  })
+);
+
+// ── POST /api/auth/2fa/disable ───────────────────────────────
+router.post('/2fa/disable', authenticate,
+  [body('password').notEmpty().withMessage('Password is required')],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    if (!req.user.totp_enabled) {
+      return res.status(409).json({ error: 'Two-factor authentication is not enabled' });
+    }
+    if (totp.isRequiredForRole(req.user.role)) {
+      return res.status(403).json({ error: `Two-factor authentication is mandatory for the ${req.user.role} role` });
+    }
+
+    const { rows } = await query('SELECT password_hash FROM users WHERE id = $1', [req.user.id]);
+    if (!await bcrypt.compare(req.body.password, rows[0].password_hash)) {
+      return res.status(401).json({ error: 'Password is incorrect' });
+    }
+
+    await query(
+      'UPDATE users SET totp_enabled = false, totp_secret = NULL, totp_last_step = NULL WHERE id = $1',
+      [req.user.id]
+    );
+    await query('DELETE FROM user_recovery_codes WHERE user_id = $1', [req.user.id]);
+    await audit(req, 'users', 'UPDATE', {
+      before: { id: req.user.id, totp_enabled: true },
+      after:  { id: req.user.id, totp_enabled: false },
+    });
+    res.json({ message: 'Two-factor authentication disabled' });
+  })
+);
+
 // ── PUT /api/auth/change-password ────────────────────────────
 router.put('/change-password', authenticate,
   [
@@ -175,6 +762,10 @@ router.put('/change-password', authenticate,
 
     const newHash = await bcrypt.hash(newPassword, 12);
     await query('UPDATE users SET password_hash = $1 WHERE id = $2', [newHash, req.user.id]);
+    await audit(req, 'users', 'UPDATE', {
+      before: { id: req.user.id, password_hash: rows[0].password_hash },
+      after:  { id: req.user.id, password_hash: newHash },
+    });
     res.json({ message: 'Password changed successfully' });
   })
 );
@@ -2,16 +2,78 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const { query } = require('../config/db');
-const { authenticate, canWrite, isAdminOrManager } = require('../middleware/auth');
+const { authenticate, requireScope, requirePermission } = require('../middleware/auth');
 const { asyncHandler } = require('../middleware/errorHandler');
+const { audit } = require('../services/audit');
+const { scopeCondition, andScope } = require('../services/visibility');
+const { exportOptions, sendExport } = require('../services/export');
+const { archivedCondition } = require('../services/archive');
+const { listOptions, cursorColumn, listPage, listAll } = require('../services/listing');
+const {
+  patchSet, withEtag, ifMatchFails, unchangedCondition, preconditionFailed,
+} = require('../services/updates');
 
 const router = express.Router();
-router.use(authenticate);
+router.use(authenticate, requireScope('bom'));
+
+// BOM items follow their asset's scope; ASSET_SCOPE needs assets joined as `a`
+const ASSET_SCOPE = { rig: 'a.rig_id', company: 'a.company_id' };
+const ITEM_SCOPE  = { asset: 'b.asset_id' };
+
+// Fields of PUT / PATCH /api/bom/:id
+const UPDATABLE = {
+  columns: {
+    name: 'name', partNumber: 'part_number', itemType: 'item_type', serialNumber: 'serial_number',
+    manufacturer: 'manufacturer', quantity: 'quantity', uom: 'uom', unitCostUsd: 'unit_cost_usd',
+    leadTimeDays: 'lead_time_days', status: 'status', notes: 'notes',
+  },
+  required: ['name', 'itemType', 'quantity', 'uom', 'unitCostUsd', 'leadTimeDays', 'status'],
+};
+
+// Columns of the CSV / XLSX export of GET /api/bom
+const EXPORT_COLUMNS = [
+  { key: 'bom_id',         header: 'BOM ID' },
+  { key: 'asset_code',     header: 'Asset ID' },
+  { key: 'asset_name',     header: 'Asset' },
+  { key: 'rig_name',       header: 'Rig' },
+  { key: 'parent_name',    header: 'Parent Item' },
+  { key: 'name',           header: 'Item' },
+  { key: 'part_number',    header: 'Part Number' },
+  { key: 'item_type',      header: 'Type' },
+  { key: 'serial_number',  header: 'Serial Number' },
+  { key: 'manufacturer',   header: 'Manufacturer' },
+  { key: 'quantity',       header: 'Quantity', type: 'number' },
+  { key: 'uom',            header: 'UOM' },
+  { key: 'unit_cost_usd',  header: 'Unit Cost USD', type: 'number' },
+  { key: 'total_cost',     header: 'Total Cost USD', type: 'number' },
+  { key: 'lead_time_days', header: 'Lead Time (days)', type: 'number' },
+  { key: 'status',         header: 'Status' },
+  { key: 'notes',          header: 'Notes' },
+];
+
+// Sorts of GET /api/bom; `asset` lists each asset's top-level items before their parts
+const SORTS = {
+  asset:         [{ expr: 'a.asset_id', type: 'text' },
+                  { expr: '(b.parent_id IS NOT NULL)', type: 'boolean', notNull: true },
+                  { expr: 'b.name', type: 'text', notNull: true }],
+  bom_id:        [{ expr: 'b.bom_id', type: 'text', notNull: true }],
+  name:          [{ expr: 'b.name', type: 'text', notNull: true }],
+  part_number:   [{ expr: 'b.part_number', type: 'text' }],
+  status:        [{ expr: 'b.status', type: 'text', notNull: true }],
+  unit_cost_usd: [{ expr: 'b.unit_cost_usd', type: 'numeric', notNull: true }],
+  updated_at:    [{ expr: 'b.updated_at', type: 'timestamptz', notNull: true }],
+};
 
 // ── GET /api/bom  ────────────────────────────────────────────
-// Query: assetId, rigName, type, status, search
+// Query: assetId, rigName, type, status, search, includeArchived (items of archived assets),
+// and the list params sort, order, limit, cursor, total (services/listing.js)
+// format=csv|xlsx (or Accept) downloads the list as a spreadsheet; columns picks the columns
 router.get('/', asyncHandler(async (req, res) => {
   const { assetId, rigName, type, status, search } = req.query;
+  const listing = listOptions(req, SORTS, { sort: 'asset', limit: 100, tiebreak: 'b.id' });
+  if (listing.error) return res.status(400).json({ error: listing.error });
+  const exporting = exportOptions(req, EXPORT_COLUMNS);
+  if (exporting?.error) return res.status(400).json({ error: exporting.error });
   const params = [];
   const conditions = [];
 
@@ -35,29 +97,35 @@ router.get('/', asyncHandler(async (req, res) => {
     params.push(`%${search.toLowerCase()}%`);
     conditions.push(`(LOWER(b.name) LIKE $${params.length} OR LOWER(b.part_number) LIKE $${params.length} OR LOWER(b.serial_number) LIKE $${params.length})`);
   }
-  const where = conditions.length ? 'WHERE ' + conditions.join(' AND ') : '';
+  const scope = scopeCondition(req.user, params, ASSET_SCOPE);
+  if (scope) conditions.push(scope);
+  const live = archivedCondition(req, 'a');
+  if (live) conditions.push(live);
 
-  const { rows } = await query(`
+  const sql = (where) => `
     SELECT
       b.*,
       a.name     AS asset_name,
       a.asset_id AS asset_code,
       r.name     AS rig_name,
       p.name     AS parent_name,
-      (b.quantity * b.unit_cost_usd) AS total_cost
+      (b.quantity * b.unit_cost_usd) AS total_cost,
+      ${cursorColumn(listing)}
     FROM bom_items b
     LEFT JOIN assets   a ON a.id = b.asset_id
     LEFT JOIN rigs     r ON r.id = a.rig_id
     LEFT JOIN bom_items p ON p.id = b.parent_id
     ${where}
-    ORDER BY a.asset_id, b.parent_id NULLS FIRST, b.name
-  `, params);
+  `;
+  if (exporting) return sendExport(res, exporting, 'bom', await listAll(listing, sql, conditions, params));
 
-  res.json(rows);
+  res.json(await listPage(listing, sql, conditions, params));
 }));
 
 // ── GET /api/bom/summary ─────────────────────────────────────
 router.get('/summary', asyncHandler(async (req, res) => {
+  const params = [];
+  const scope = scopeCondition(req.user, params, ITEM_SCOPE);
   const { rows } = await query(`
     SELECT
       COUNT(*)                                                  AS total_items,
@@ -65,17 +133,19 @@ router.get('/summary', asyncHandler(async (req, res) => {
       COUNT(*) FILTER (WHERE item_type = 'Bulk')               AS bulk,
       COUNT(*) FILTER (WHERE status = 'On Order')              AS on_order,
       COALESCE(SUM(quantity * unit_cost_usd), 0)               AS total_value
-    FROM bom_items
-  `);
+    FROM bom_items b
+    ${scope ? `WHERE ${scope}` : ''}
+  `, params);
   res.json(rows[0]);
 }));
 
 // ── GET /api/bom/tree/:assetId ───────────────────────────────
 // Returns hierarchical tree for one asset
 router.get('/tree/:assetId', asyncHandler(async (req, res) => {
+  const params = [req.params.assetId];
   const { rows: asset } = await query(
-    'SELECT id, name, asset_id FROM assets WHERE id = $1 OR asset_id = $1',
-    [req.params.assetId]
+    `SELECT id, name, asset_id FROM assets a WHERE (a.id = $1 OR a.asset_id = $1) ${andScope(req.user, params, ASSET_SCOPE)}`,
+    params
   );
   if (!asset.length) return res.status(404).json({ error: 'Asset not found' });
 
@@ -112,6 +182,7 @@ router.get('/tree/:assetId', asyncHandler(async (req, res) => {
 
 // ── GET /api/bom/:id ─────────────────────────────────────────
 router.get('/:id', asyncHandler(async (req, res) => {
+  const params = [req.params.id];
   const { rows } = await query(`
     SELECT b.*, a.name AS asset_name, a.asset_id AS asset_code,
       r.name AS rig_name, p.name AS parent_name,
@@ -120,14 +191,14 @@ router.get('/:id', asyncHandler(async (req, res) => {
     LEFT JOIN assets    a ON a.id = b.asset_id
     LEFT JOIN rigs      r ON r.id = a.rig_id
     LEFT JOIN bom_items p ON p.id = b.parent_id
-    WHERE b.id = $1 OR b.bom_id = $1
-  `, [req.params.id]);
+    WHERE (b.id = $1 OR b.bom_id = $1) ${andScope(req.user, params, ASSET_SCOPE)}
+  `, params);
   if (!rows.length) return res.status(404).json({ error: 'BOM item not found' });
-  res.json(rows[0]);
+  withEtag(res, rows[0]).json(rows[0]);
 }));
 
 // ── POST /api/bom ────────────────────────────────────────────
-router.post('/', canWrite,
+router.post('/', requirePermission('bom.write'),
   [
     body('bomId').trim().notEmpty(),
     body('assetId').notEmpty(),
@@ -146,8 +217,10 @@ router.post('/', canWrite,
     } = req.body;
 
     // Resolve asset
+    const assetParams = [assetId];
     const { rows: ar } = await query(
-      'SELECT id FROM assets WHERE id = $1 OR asset_id = $1', [assetId]
+      `SELECT id FROM assets a WHERE (a.id = $1 OR a.asset_id = $1) ${andScope(req.user, assetParams, ASSET_SCOPE)}`,
+      assetParams
     );
     if (!ar.length) return res.status(404).json({ error: 'Asset not found' });
 
@@ -162,42 +235,45 @@ router.post('/', canWrite,
         serialNumber || null, manufacturer || null, quantity, uom,
         unitCostUsd, leadTimeDays, status, notes || null]);
 
-    res.status(201).json(rows[0]);
+    await audit(req, 'bom_items', 'INSERT', { after: rows[0] });
+    withEtag(res, rows[0]).status(201).json(rows[0]);
   })
 );
 
-// ── PUT /api/bom/:id ─────────────────────────────────────────
-router.put('/:id', canWrite, asyncHandler(async (req, res) => {
-  const {
-    name, partNumber, itemType, serialNumber, manufacturer,
-    quantity, uom, unitCostUsd, leadTimeDays, status, notes,
-  } = req.body;
+// ── PUT|PATCH /api/bom/:id ───────────────────────────────────
+// PATCH clears a field sent as null; PUT ignores nulls. If-Match → 412 when stale.
+const updateItem = asyncHandler(async (req, res) => {
+  const findParams = [req.params.id];
+  const { rows: existing } = await query(
+    `SELECT * FROM bom_items b WHERE (b.id::text = $1 OR b.bom_id = $1) ${andScope(req.user, findParams, ITEM_SCOPE)}`,
+    findParams
+  );
+  if (!existing.length) return res.status(404).json({ error: 'BOM item not found' });
+  const old = existing[0];
+  if (ifMatchFails(req, old)) return preconditionFailed(res, old);
 
+  const params = [];
+  const { sets, error } = patchSet(req, UPDATABLE, params);
+  if (error) return res.status(400).json({ error });
+  if (!sets.length) return withEtag(res, old).json(old);
+
+  params.push(old.id);
   const { rows } = await query(`
-    UPDATE bom_items SET
-      name           = COALESCE($1, name),
-      part_number    = COALESCE($2, part_number),
-      item_type      = COALESCE($3, item_type),
-      serial_number  = COALESCE($4, serial_number),
-      manufacturer   = COALESCE($5, manufacturer),
-      quantity       = COALESCE($6, quantity),
-      uom            = COALESCE($7, uom),
-      unit_cost_usd  = COALESCE($8, unit_cost_usd),
-      lead_time_days = COALESCE($9, lead_time_days),
-      status         = COALESCE($10, status),
-      notes          = COALESCE($11, notes)
-    WHERE id = $12 OR bom_id = $12
+    UPDATE bom_items SET ${sets.join(', ')}
+    WHERE id = $${params.length} ${unchangedCondition(req, old, params)}
     RETURNING *
-  `, [name, partNumber, itemType, serialNumber, manufacturer,
-      quantity, uom, unitCostUsd, leadTimeDays, status, notes, req.params.id]);
+  `, params);
+  if (!rows.length) return preconditionFailed(res);
 
-  if (!rows.length) return res.status(404).json({ error: 'BOM item not found' });
-  res.json(rows[0]);
-}));
+  await audit(req, 'bom_items', 'UPDATE', { before: old, after: rows[0] });
+  withEtag(res, rows[0]).json(rows[0]);
+});
+router.put('/:id', requirePermission('bom.write'), updateItem);
+router.patch('/:id', requirePermission('bom.write'), updateItem);
 
 // ── DELETE /api/bom/:id ──────────────────────────────────────
 // Cascades to children via parent_id SET NULL, then deletes them too
-router.delete('/:id', isAdminOrManager, asyncHandler(async (req, res) => {
+router.delete('/:id', requirePermission('bom.delete'), asyncHandler(async (req, res) => {
   // Recursively collect all descendant IDs
   const { rows: all } = await query('SELECT id, bom_id, parent_id FROM bom_items');
   const collectIds = (pid) => {
@@ -205,13 +281,20 @@ router.delete('/:id', isAdminOrManager, asyncHandler(async (req, res) => {
     all.filter(i => i.parent_id === pid).forEach(c => ids.push(...collectIds(c.id)));
     return ids;
   };
+  const params = [req.params.id];
   const { rows: target } = await query(
-    'SELECT id FROM bom_items WHERE id = $1 OR bom_id = $1', [req.params.id]
+    `SELECT id, updated_at FROM bom_items b WHERE (b.id = $1 OR b.bom_id = $1) ${andScope(req.user, params, ITEM_SCOPE)}`, params
   );
   if (!target.length) return res.status(404).json({ error: 'BOM item not found' });
+  if (ifMatchFails(req, target[0])) return preconditionFailed(res, target[0]);
 
   const idsToDelete = collectIds(target[0].id);
-  await query(`DELETE FROM bom_items WHERE id = ANY($1::uuid[])`, [idsToDelete]);
+  const { rows: deleted } = await query(
+    `DELETE FROM bom_items WHERE id = ANY($1::uuid[]) RETURNING *`, [idsToDelete]
+  );
+  for (const item of deleted) {
+    await audit(req, 'bom_items', 'DELETE', { before: item });
+  }
 
   res.json({ message: `Deleted BOM item and ${idsToDelete.length - 1} child component(s)` });
 }));
@@ -0,0 +1,264 @@
+// routes/certificates.js
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { query } = require('../config/db');
+const { authenticate, requireScope, requirePermission } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { audit } = require('../services/audit');
+const { scopeCondition, andScope, inScope } = require('../services/visibility');
+
+const router = express.Router();
+router.use(authenticate, requireScope('certificates'));
+
+// A certificate is in scope through its rig or its asset (aliases: the view as `vc`,
+// the table as `c`)
+const VIEW_SCOPE = { rig: 'vc.rig_id', asset: 'vc.asset_id' };
+const CERT_SCOPE = { rig: 'c.rig_id', asset: 'c.asset_id' };
+const OUT_OF_SCOPE = { error: 'Rig or company is outside your assigned scope' };
+
+// Resolve an asset (UUID or AST-xxx) and/or rig (UUID, RIGxx or name) to UUIDs.
+// Returns { status, error } when a supplied reference does not exist (404) or lies
+// outside the user's scope (403).
+const resolveOwner = async (user, assetId, rigId) => {
+  const owner = { assetId: null, rigId: null };
+  if (assetId) {
+    const { rows } = await query(
+      'SELECT id, rig_id, company_id FROM assets WHERE id::text = $1 OR asset_id = $1', [assetId]
+    );
+    if (!rows.length) return { status: 404, error: 'Asset not found' };
+    if (!inScope(user, { rigId: rows[0].rig_id, companyId: rows[0].company_id })) {
+      return { status: 403, ...OUT_OF_SCOPE };
+    }
+    owner.assetId = rows[0].id;
+  }
+  if (rigId) {
+    const { rows } = await query(
+      'SELECT id, company_id FROM rigs WHERE id::text = $1 OR rig_id = $1 OR name = $1', [rigId]
+    );
+    if (!rows.length) return { status: 404, error: 'Rig not found' };
+    if (!inScope(user, { rigId: rows[0].id, companyId: rows[0].company_id })) {
+      return { status: 403, ...OUT_OF_SCOPE };
+    }
+    owner.rigId = rows[0].id;
+  }
+  return owner;
+};
+
+const certValidators = [
+  body('issueDate').optional({ nullable: true }).isDate(),
+  body('expiryDate').optional({ nullable: true }).isDate()
+    .custom((expiry, { req }) => {
+      if (req.body.issueDate && expiry < req.body.issueDate) {
+        throw new Error('expiryDate cannot be before issueDate');
+      }
+      return true;
+    }),
+];
+
+// ── GET /api/certificates ────────────────────────────────────
+// Query: asset, rig, certType, status (live), expiringWithin (days), search, page, limit
+router.get('/', asyncHandler(async (req, res) => {
+  const { asset, rig, certType, status, expiringWithin, search, page = 1, limit = 100 } = req.query;
+  const offset = (parseInt(page) - 1) * parseInt(limit);
+  const params = [];
+  const conditions = [];
+
+  if (asset) {
+    params.push(asset);
+    conditions.push(`(a.asset_id = $${params.length} OR a.id::text = $${params.length})`);
+  }
+  if (rig) {
+    // Matches rig-level certs and certs on assets currently installed on the rig
+    params.push(rig);
+    conditions.push(`(vc.rig_name = $${params.length} OR ar.name = $${params.length})`);
+  }
+  if (certType) {
+    params.push(certType);
+    conditions.push(`vc.cert_type = $${params.length}`);
+  }
+  if (status) {
+    params.push(status);
+    conditions.push(`vc.live_status = $${params.length}`);
+  }
+  if (expiringWithin) {
+    params.push(parseInt(expiringWithin));
+    conditions.push(`vc.status != 'Revoked' AND vc.expiry_date BETWEEN CURRENT_DATE AND CURRENT_DATE + $${params.length}::int`);
+  }
+  if (search) {
+    params.push(`%${search.toLowerCase()}%`);
+    conditions.push(`(LOWER(vc.cert_no) LIKE $${params.length} OR LOWER(vc.cert_type) LIKE $${params.length} OR LOWER(vc.issued_by) LIKE $${params.length} OR LOWER(vc.asset_name) LIKE $${params.length})`);
+  }
+  const scope = scopeCondition(req.user, params, VIEW_SCOPE);
+  if (scope) conditions.push(scope);
+
+  const where = conditions.length ? 'WHERE ' + conditions.join(' AND ') : '';
+  const from = `
+    FROM v_certificates vc
+    LEFT JOIN assets a  ON a.id  = vc.asset_id
+    LEFT JOIN rigs   ar ON ar.id = a.rig_id
+    ${where}
+  `;
+
+  const [data, count] = await Promise.all([
+    query(`
+      SELECT vc.*, ar.name AS asset_rig_name
+      ${from}
+      ORDER BY vc.expiry_date ASC NULLS LAST, vc.cert_no
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, parseInt(limit), offset]),
+    query(`SELECT COUNT(*) ${from}`, params),
+  ]);
+
+  res.json({
+    data: data.rows,
+    total: parseInt(count.rows[0].count),
+    page: parseInt(page),
+    limit: parseInt(limit),
+  });
+}));
+
+// ── GET /api/certificates/:id ────────────────────────────────
+router.get('/:id', asyncHandler(async (req, res) => {
+  const params = [req.params.id];
+  const { rows } = await query(`
+    SELECT vc.*, ar.name AS asset_rig_name, u.full_name AS created_by_name
+    FROM v_certificates vc
+    LEFT JOIN assets a  ON a.id  = vc.asset_id
+    LEFT JOIN rigs   ar ON ar.id = a.rig_id
+    LEFT JOIN users  u  ON u.id  = vc.created_by
+    WHERE (vc.id::text = $1 OR vc.cert_no = $1) ${andScope(req.user, params, VIEW_SCOPE)}
+  `, params);
+  if (!rows.length) return res.status(404).json({ error: 'Certificate not found' });
+  res.json(rows[0]);
+}));
+
+// ── POST /api/certificates ───────────────────────────────────
+router.post('/',
+  requirePermission('certificates.write'),
+  [
+    body('certNo').trim().notEmpty().withMessage('certNo required'),
+    body('certType').trim().notEmpty().withMessage('certType required'),
+    body('assetId').custom((assetId, { req }) => {
+      // Mirrors chk_cert_owner: a cert must belong to an asset, a rig, or both
+      if (!assetId && !req.body.rigId) throw new Error('Either assetId or rigId is required');
+      return true;
+    }),
+    ...certValidators,
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const {
+      certNo, assetId, rigId, certType, issuedBy,
+      issueDate, expiryDate, documentUrl, notes,
+    } = req.body;
+
+    const owner = await resolveOwner(req.user, assetId, rigId);
+    if (owner.error) return res.status(owner.status).json({ error: owner.error });
+
+    // status is derived from expiry_date by trg_cert_auto_status
+    const { rows } = await query(`
+      INSERT INTO certificates
+        (cert_no, asset_id, rig_id, cert_type, issued_by, issue_date,
+         expiry_date, document_url, notes, created_by)
+      VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10)
+      RETURNING *
+    `, [certNo, owner.assetId, owner.rigId, certType, issuedBy || null,
+        issueDate || null, expiryDate || null, documentUrl || null,
+        notes || null, req.user.id]);
+
+    await audit(req, 'certificates', 'INSERT', { after: rows[0] });
+    res.status(201).json(rows[0]);
+  })
+);
+
+// ── PUT /api/certificates/:id ────────────────────────────────
+router.put('/:id', requirePermission('certificates.write'), certValidators, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+  const params = [req.params.id];
+  const { rows: existing } = await query(
+    `SELECT * FROM certificates c WHERE (c.id::text = $1 OR c.cert_no = $1) ${andScope(req.user, params, CERT_SCOPE)}`,
+    params
+  );
+  if (!existing.length) return res.status(404).json({ error: 'Certificate not found' });
+  if (existing[0].status === 'Revoked') {
+    return res.status(409).json({ error: 'Revoked certificates cannot be edited' });
+  }
+
+  const { assetId, rigId, certType, issuedBy, issueDate, expiryDate, documentUrl, notes } = req.body;
+
+  const owner = await resolveOwner(req.user, assetId, rigId);
+  if (owner.error) return res.status(owner.status).json({ error: owner.error });
+
+  // Expiry must still be on/after the (possibly unchanged) issue date
+  const effIssue  = issueDate  || existing[0].issue_date;
+  const effExpiry = expiryDate || existing[0].expiry_date;
+  if (effIssue && effExpiry && new Date(effExpiry) < new Date(effIssue)) {
+    return res.status(400).json({ error: 'expiryDate cannot be before issueDate' });
+  }
+
+  const { rows } = await query(`
+    UPDATE certificates SET
+      asset_id     = COALESCE($1, asset_id),
+      rig_id       = COALESCE($2, rig_id),
+      cert_type    = COALESCE($3, cert_type),
+      issued_by    = COALESCE($4, issued_by),
+      issue_date   = COALESCE($5, issue_date),
+      expiry_date  = COALESCE($6, expiry_date),
+      document_url = COALESCE($7, document_url),
+      notes        = COALESCE($8, notes)
+    WHERE id = $9
+    RETURNING *
+  `, [owner.assetId, owner.rigId, certType, issuedBy, issueDate,
+      expiryDate, documentUrl, notes, existing[0].id]);
+
+  await audit(req, 'certificates', 'UPDATE', { before: existing[0], after: rows[0] });
+  res.json(rows[0]);
+}));
+
+// ── POST /api/certificates/:id/revoke ────────────────────────
+router.post('/:id/revoke', requirePermission('certificates.revoke'), asyncHandler(async (req, res) => {
+  const { reason } = req.body;
+  if (!reason?.trim()) {
+    return res.status(400).json({ error: 'Revocation reason is required' });
+  }
+
+  const params = [req.params.id];
+  const { rows: existing } = await query(
+    `SELECT * FROM certificates c WHERE (c.id::text = $1 OR c.cert_no = $1) ${andScope(req.user, params, CERT_SCOPE)}`,
+    params
+  );
+  if (!existing.length) return res.status(404).json({ error: 'Certificate not found' });
+  if (existing[0].status === 'Revoked') {
+    return res.status(409).json({ error: `Certificate ${existing[0].cert_no} is already revoked` });
+  }
+
+  const { rows } = await query(`
+    UPDATE certificates SET
+      status = 'Revoked',
+      notes  = CONCAT_WS(E'\\n', notes, $1::text)
+    WHERE id = $2
+    RETURNING *
+  `, [`Revoked ${new Date().toISOString().slice(0, 10)} by ${req.user.full_name}: ${reason.trim()}`,
+      existing[0].id]);
+
+  await audit(req, 'certificates', 'UPDATE', { before: existing[0], after: rows[0] });
+  res.json(rows[0]);
+}));
+
+// ── DELETE /api/certificates/:id ─────────────────────────────
+router.delete('/:id', requirePermission('certificates.delete'), asyncHandler(async (req, res) => {
+  const params = [req.params.id];
+  const { rows } = await query(
+    `DELETE FROM certificates c WHERE (c.id::text = $1 OR c.cert_no = $1) ${andScope(req.user, params, CERT_SCOPE)} RETURNING *`,
+    params
+  );
+  if (!rows.length) return res.status(404).json({ error: 'Certificate not found' });
+  await audit(req, 'certificates', 'DELETE', { before: rows[0] });
+  res.json({ message: `Certificate ${rows[0].cert_no} deleted` });
+}));
+
+module.exports = router;
@@ -2,15 +2,72 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const { query } = require('../config/db');
-const { authenticate, canWrite, isAdminOrManager } = require('../middleware/auth');
+const { authenticate, requireScope, requirePermission } = require('../middleware/auth');
 const { asyncHandler } = require('../middleware/errorHandler');
+const { audit } = require('../services/audit');
+const { exportOptions, sendExport } = require('../services/export');
+const { listOptions, cursorColumn, listPage, listAll } = require('../services/listing');
+const { archivedCondition, archive, restore, purgePreview, purge } = require('../services/archive');
+const {
+  patchSet, withEtag, ifMatchFails, unchangedCondition, preconditionFailed,
+} = require('../services/updates');
 
 const router = express.Router();
-router.use(authenticate);
+router.use(authenticate, requireScope('companies'));
+
+// Company by id or company_code, archived or not
+const findCompany = async (req) => {
+  const { rows } = await query('SELECT * FROM companies WHERE id::text = $1 OR company_code = $1', [req.params.id]);
+  return rows[0] || null;
+};
+
+// Fields of PUT / PATCH /api/companies/:id
+const UPDATABLE = {
+  columns: {
+    name: 'name', type: 'type', country: 'country', contactName: 'contact_name',
+    contactEmail: 'contact_email', contactPhone: 'contact_phone', address: 'address', status: 'status',
+  },
+  required: ['name', 'type', 'status'],
+};
+
+// Columns of the CSV / XLSX export of GET /api/companies
+const EXPORT_COLUMNS = [
+  { key: 'company_code',   header: 'Company Code' },
+  { key: 'name',           header: 'Name' },
+  { key: 'type',           header: 'Type' },
+  { key: 'country',        header: 'Country' },
+  { key: 'status',         header: 'Status' },
+  { key: 'contact_name',   header: 'Contact' },
+  { key: 'contact_email',  header: 'Contact Email' },
+  { key: 'contact_phone',  header: 'Contact Phone' },
+  { key: 'address',        header: 'Address' },
+  { key: 'website',        header: 'Website' },
+  { key: 'contract_count', header: 'Contracts', type: 'number' },
+  { key: 'rig_count',      header: 'Rigs', type: 'number' },
+  { key: 'asset_count',    header: 'Assets', type: 'number' },
+];
+
+// Sorts of GET /api/companies
+const SORTS = {
+  name:         [{ expr: 'c.name', type: 'text', notNull: true }],
+  company_code: [{ expr: 'c.company_code', type: 'text', notNull: true }],
+  type:         [{ expr: 'c.type', type: 'text', notNull: true }],
+  country:      [{ expr: 'c.country', type: 'text' }],
+  status:       [{ expr: 'c.status', type: 'text', notNull: true }],
+  updated_at:   [{ expr: 'c.updated_at', type: 'timestamptz', notNull: true }],
+};
 
 // ── GET /api/companies ───────────────────────────────────────
+// Query: status, search, and the list params sort, order, limit, cursor, total
+// (services/listing.js)
+// format=csv|xlsx (or Accept) downloads the list as a spreadsheet; columns picks the columns.
+// includeArchived=true also lists archived companies.
 router.get('/', asyncHandler(async (req, res) => {
   const { status, search } = req.query;
+  const listing = listOptions(req, SORTS, { sort: 'name', limit: 100, tiebreak: 'c.id' });
+  if (listing.error) return res.status(400).json({ error: listing.error });
+  const exporting = exportOptions(req, EXPORT_COLUMNS);
+  if (exporting?.error) return res.status(400).json({ error: exporting.error });
   const params = [];
   const conditions = [];
 
@@ -19,24 +76,26 @@ router.get('/', asyncHandler(async (req, res) => {
     params.push(`%${search.toLowerCase()}%`);
     conditions.push(`(LOWER(c.name) LIKE $${params.length} OR LOWER(c.contact_name) LIKE $${params.length})`);
   }
-  const where = conditions.length ? 'WHERE ' + conditions.join(' AND ') : '';
+  const live = archivedCondition(req, 'c');
+  if (live) conditions.push(live);
 
-  const { rows } = await query(`
+  const sql = (where) => `
     SELECT
       c.*,
       COUNT(DISTINCT ct.id) AS contract_count,
       COUNT(DISTINCT r.id)  AS rig_count,
-      COUNT(DISTINCT a.id)  AS asset_count
+      COUNT(DISTINCT a.id)  AS asset_count,
+      ${cursorColumn(listing)}
     FROM companies c
-    LEFT JOIN contracts ct ON ct.company_id = c.id
-    LEFT JOIN rigs      r  ON r.company_id  = c.id
-    LEFT JOIN assets    a  ON a.company_id  = c.id
+    LEFT JOIN contracts ct ON ct.company_id = c.id AND ct.archived_at IS NULL
+    LEFT JOIN rigs      r  ON r.company_id  = c.id AND r.archived_at IS NULL
+    LEFT JOIN assets    a  ON a.company_id  = c.id AND a.archived_at IS NULL
     ${where}
     GROUP BY c.id
-    ORDER BY c.name
-  `, params);
+  `;
+  if (exporting) return sendExport(res, exporting, 'companies', await listAll(listing, sql, conditions, params));
 
-  res.json(rows);
+  res.json(await listPage(listing, sql, conditions, params));
 }));
 
 // ── GET /api/companies/:id ───────────────────────────────────
@@ -45,11 +104,11 @@ router.get('/:id', asyncHandler(async (req, res) => {
     `SELECT * FROM companies WHERE id = $1 OR company_code = $1`, [req.params.id]
   );
   if (!rows.length) return res.status(404).json({ error: 'Company not found' });
-  res.json(rows[0]);
+  withEtag(res, rows[0]).json(rows[0]);
 }));
 
 // ── POST /api/companies ──────────────────────────────────────
-router.post('/', canWrite,
+router.post('/', requirePermission('companies.write'),
   [
     body('companyCode').trim().notEmpty().withMessage('companyCode required'),
     body('name').trim().notEmpty().withMessage('name required'),
@@ -67,40 +126,73 @@ router.post('/', canWrite,
     `, [companyCode, name, type, country || null, contactName || null,
         contactEmail || null, contactPhone || null, address || null, status]);
 
-    res.status(201).json(rows[0]);
+    await audit(req, 'companies', 'INSERT', { after: rows[0] });
+    withEtag(res, rows[0]).status(201).json(rows[0]);
   })
 );
 
-// ── PUT /api/companies/:id ───────────────────────────────────
-router.put('/:id', canWrite, asyncHandler(async (req, res) => {
-  const { name, type, country, contactName, contactEmail, contactPhone, address, status } = req.body;
+// ── PUT|PATCH /api/companies/:id ─────────────────────────────
+// PATCH clears a field sent as null; PUT ignores nulls. If-Match → 412 when stale.
+const updateCompany = asyncHandler(async (req, res) => {
+  const old = await findCompany(req);
+  if (!old) return res.status(404).json({ error: 'Company not found' });
+  if (old.archived_at) return res.status(409).json({ error: 'Company is archived – restore it first' });
+  if (ifMatchFails(req, old)) return preconditionFailed(res, old);
+
+  const params = [];
+  const { sets, error } = patchSet(req, UPDATABLE, params);
+  if (error) return res.status(400).json({ error });
+  if (!sets.length) return withEtag(res, old).json(old);
 
+  params.push(old.id);
   const { rows } = await query(`
-    UPDATE companies SET
-      name          = COALESCE($1, name),
-      type          = COALESCE($2, type),
-      country       = COALESCE($3, country),
-      contact_name  = COALESCE($4, contact_name),
-      contact_email = COALESCE($5, contact_email),
-      contact_phone = COALESCE($6, contact_phone),
-      address       = COALESCE($7, address),
-      status        = COALESCE($8, status)
-    WHERE id = $9 OR company_code = $9
+    UPDATE companies SET ${sets.join(', ')}
+    WHERE id = $${params.length} ${unchangedCondition(req, old, params)}
     RETURNING *
-  `, [name, type, country, contactName, contactEmail, contactPhone, address, status, req.params.id]);
+  `, params);
+  if (!rows.length) return preconditionFailed(res);
 
-  if (!rows.length) return res.status(404).json({ error: 'Company not found' });
-  res.json(rows[0]);
-}));
+  await audit(req, 'companies', 'UPDATE', { before: old, after: rows[0] });
+  withEtag(res, rows[0]).json(rows[0]);
+});
+router.put('/:id', requirePermission('companies.write'), updateCompany);
+router.patch('/:id', requirePermission('companies.write'), updateCompany);
 
 // ── DELETE /api/companies/:id ────────────────────────────────
-router.delete('/:id', isAdminOrManager, asyncHandler(async (req, res) => {
-  const { rows } = await query(
-    `DELETE FROM companies WHERE id = $1 OR company_code = $1 RETURNING company_code, name`,
-    [req.params.id]
-  );
-  if (!rows.length) return res.status(404).json({ error: 'Company not found' });
-  res.json({ message: `Company ${rows[0].name} deleted` });
+// Archives the company: hidden from lists, everything that references it kept
+router.delete('/:id', requirePermission('companies.delete'), asyncHandler(async (req, res) => {
+  const company = await findCompany(req);
+  if (!company) return res.status(404).json({ error: 'Company not found' });
+  if (company.archived_at) return res.status(409).json({ error: `Company ${company.name} is already archived` });
+  if (ifMatchFails(req, company)) return preconditionFailed(res, company);
+  await archive(req, 'companies', company);
+  res.json({ message: `Company ${company.name} archived` });
+}));
+
+// ── POST /api/companies/:id/restore ──────────────────────────
+router.post('/:id/restore', requirePermission('companies.delete'), asyncHandler(async (req, res) => {
+  const company = await findCompany(req);
+  if (!company) return res.status(404).json({ error: 'Company not found' });
+  if (!company.archived_at) return res.status(409).json({ error: `Company ${company.name} is not archived` });
+  res.json(await restore(req, 'companies', company));
+}));
+
+// ── GET /api/companies/:id/purge ─────────────────────────────
+// Preview of what a purge would delete or detach
+router.get('/:id/purge', requirePermission('records.purge'), asyncHandler(async (req, res) => {
+  const company = await findCompany(req);
+  if (!company) return res.status(404).json({ error: 'Company not found' });
+  res.json({ id: company.id, archived: Boolean(company.archived_at), ...await purgePreview('companies', company.id) });
+}));
+
+// ── DELETE /api/companies/:id/purge ──────────────────────────
+// Permanent delete of an archived company; its site assignments go too, rigs, contracts and assets are detached
+router.delete('/:id/purge', requirePermission('records.purge'), asyncHandler(async (req, res) => {
+  const company = await findCompany(req);
+  if (!company) return res.status(404).json({ error: 'Company not found' });
+  if (!company.archived_at) return res.status(409).json({ error: 'Archive the company before purging it' });
+  const purged = await purge(req, 'companies', company);
+  res.json({ message: `Company ${company.name} permanently deleted`, ...purged });
 }));
 
 module.exports = router;
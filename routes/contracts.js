@@ -2,15 +2,82 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const { query } = require('../config/db');
-const { authenticate, canWrite, isAdminOrManager } = require('../middleware/auth');
+const { authenticate, requireScope, requirePermission } = require('../middleware/auth');
 const { asyncHandler } = require('../middleware/errorHandler');
+const { audit } = require('../services/audit');
+const { scopeCondition, andScope, inScope } = require('../services/visibility');
+const { exportOptions, sendExport } = require('../services/export');
+const { listOptions, cursorColumn, listPage, listAll } = require('../services/listing');
+const { archivedCondition, archive, restore, purgePreview, purge } = require('../services/archive');
+const { listAttachments } = require('../services/attachments');
+const {
+  patchedValue, patchSet, withEtag, ifMatchFails, unchangedCondition, preconditionFailed,
+} = require('../services/updates');
 
 const router = express.Router();
-router.use(authenticate);
+router.use(authenticate, requireScope('contracts'));
+
+const CONTRACT_SCOPE = { rig: 'ct.rig_id', company: 'ct.company_id' };
+const OUT_OF_SCOPE = { error: 'Rig or company is outside your assigned scope' };
+
+// Contract by id or contract_no within the caller's scope, archived or not
+const findContract = async (req) => {
+  const params = [req.params.id];
+  const { rows } = await query(
+    `SELECT * FROM contracts ct WHERE (ct.id::text = $1 OR ct.contract_no = $1) ${andScope(req.user, params, CONTRACT_SCOPE)}`,
+    params
+  );
+  return rows[0] || null;
+};
+
+// Fields of PUT / PATCH /api/contracts/:id
+const UPDATABLE = {
+  columns: {
+    companyId: 'company_id', rigId: 'rig_id', startDate: 'start_date', endDate: 'end_date',
+    valueUsd: 'value_usd', status: 'status', notes: 'notes',
+  },
+  required: ['startDate', 'endDate', 'valueUsd', 'status'],
+};
+
+// Columns of the CSV / XLSX export of GET /api/contracts
+const EXPORT_COLUMNS = [
+  { key: 'contract_no',       header: 'Contract No' },
+  { key: 'company_name',      header: 'Company' },
+  { key: 'rig_code',          header: 'Rig ID' },
+  { key: 'rig_name',          header: 'Rig' },
+  { key: 'status',            header: 'Status' },
+  { key: 'start_date',        header: 'Start Date', type: 'date' },
+  { key: 'end_date',          header: 'End Date', type: 'date' },
+  { key: 'days_until_expiry', header: 'Days Until Expiry', type: 'number' },
+  { key: 'value_usd',         header: 'Value', type: 'number' },
+  { key: 'currency',          header: 'Currency' },
+  { key: 'asset_count',       header: 'Assets', type: 'number' },
+  { key: 'notes',             header: 'Notes' },
+];
+
+// Sorts of GET /api/contracts
+const SORTS = {
+  end_date:    [{ expr: 'ct.end_date', type: 'date', notNull: true }],
+  start_date:  [{ expr: 'ct.start_date', type: 'date', notNull: true }],
+  contract_no: [{ expr: 'ct.contract_no', type: 'text', notNull: true }],
+  status:      [{ expr: 'ct.status', type: 'text', notNull: true }],
+  value_usd:   [{ expr: 'ct.value_usd', type: 'numeric', notNull: true }],
+  company:     [{ expr: 'c.name', type: 'text' }],
+  rig:         [{ expr: 'r.name', type: 'text' }],
+  updated_at:  [{ expr: 'ct.updated_at', type: 'timestamptz', notNull: true }],
+};
 
 // ── GET /api/contracts ───────────────────────────────────────
+// Query: status, company, rig, search, and the list params sort, order, limit, cursor,
+// total (services/listing.js)
+// format=csv|xlsx (or Accept) downloads the list as a spreadsheet; columns picks the columns.
+// includeArchived=true also lists archived contracts.
 router.get('/', asyncHandler(async (req, res) => {
   const { status, company, rig, search } = req.query;
+  const listing = listOptions(req, SORTS, { sort: 'end_date', limit: 100, tiebreak: 'ct.id' });
+  if (listing.error) return res.status(400).json({ error: listing.error });
+  const exporting = exportOptions(req, EXPORT_COLUMNS);
+  if (exporting?.error) return res.status(400).json({ error: exporting.error });
   const params = [];
   const conditions = [];
 
@@ -21,47 +88,53 @@ router.get('/', asyncHandler(async (req, res) => {
     params.push(`%${search.toLowerCase()}%`);
     conditions.push(`(LOWER(ct.contract_no) LIKE $${params.length} OR LOWER(c.name) LIKE $${params.length})`);
   }
-  const where = conditions.length ? 'WHERE ' + conditions.join(' AND ') : '';
+  const scope = scopeCondition(req.user, params, CONTRACT_SCOPE);
+  if (scope) conditions.push(scope);
+  const live = archivedCondition(req, 'ct');
+  if (live) conditions.push(live);
 
-  const { rows } = await query(`
+  const sql = (where) => `
     SELECT
       ct.*,
       c.name  AS company_name,
       r.name  AS rig_name,
       r.rig_id AS rig_code,
       (ct.end_date - CURRENT_DATE) AS days_until_expiry,
-      COUNT(a.id) AS asset_count
+      COUNT(a.id) AS asset_count,
+      ${cursorColumn(listing)}
     FROM contracts ct
     LEFT JOIN companies c ON c.id = ct.company_id
     LEFT JOIN rigs      r ON r.id = ct.rig_id
-    LEFT JOIN assets    a ON a.contract_id = ct.id
+    LEFT JOIN assets    a ON a.contract_id = ct.id AND a.archived_at IS NULL
     ${where}
     GROUP BY ct.id, c.name, r.name, r.rig_id
-    ORDER BY ct.end_date ASC
-  `, params);
+  `;
+  if (exporting) return sendExport(res, exporting, 'contracts', await listAll(listing, sql, conditions, params));
 
-  res.json(rows);
+  res.json(await listPage(listing, sql, conditions, params));
 }));
 
 // ── GET /api/contracts/expiring ──────────────────────────────
 // Returns contracts expiring within N days (default 30)
 router.get('/expiring', asyncHandler(async (req, res) => {
-  const days = parseInt(req.query.days || '30');
+  const params = [parseInt(req.query.days || '30')];
   const { rows } = await query(`
     SELECT ct.*, c.name AS company_name, r.name AS rig_name,
       (ct.end_date - CURRENT_DATE) AS days_until_expiry
     FROM contracts ct
     LEFT JOIN companies c ON c.id = ct.company_id
     LEFT JOIN rigs      r ON r.id = ct.rig_id
-    WHERE ct.status = 'Active'
+    WHERE ct.status = 'Active' AND ct.archived_at IS NULL
       AND ct.end_date BETWEEN CURRENT_DATE AND CURRENT_DATE + $1
+      ${andScope(req.user, params, CONTRACT_SCOPE)}
     ORDER BY ct.end_date ASC
-  `, [days]);
+  `, params);
   res.json(rows);
 }));
 
 // ── GET /api/contracts/:id ───────────────────────────────────
 router.get('/:id', asyncHandler(async (req, res) => {
+  const params = [req.params.id];
   const { rows } = await query(`
     SELECT ct.*, c.name AS company_name, c.contact_email,
       r.name AS rig_name, r.rig_id AS rig_code,
@@ -69,14 +142,14 @@ router.get('/:id', asyncHandler(async (req, res) => {
     FROM contracts ct
     LEFT JOIN companies c ON c.id = ct.company_id
     LEFT JOIN rigs      r ON r.id = ct.rig_id
-    WHERE ct.id = $1 OR ct.contract_no = $1
-  `, [req.params.id]);
+    WHERE (ct.id = $1 OR ct.contract_no = $1) ${andScope(req.user, params, CONTRACT_SCOPE)}
+  `, params);
   if (!rows.length) return res.status(404).json({ error: 'Contract not found' });
-  res.json(rows[0]);
+  withEtag(res, rows[0]).json({ ...rows[0], attachments: await listAttachments('contract', [rows[0].id]) });
 }));
 
 // ── POST /api/contracts ──────────────────────────────────────
-router.post('/', canWrite,
+router.post('/', requirePermission('contracts.write'),
   [
     body('contractNo').trim().notEmpty(),
     body('startDate').isDate(),
@@ -87,6 +160,7 @@ router.post('/', canWrite,
     if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
 
     const { contractNo, companyId, rigId, startDate, endDate, valueUsd = 0, status = 'Pending', notes } = req.body;
+    if (!inScope(req.user, { rigId, companyId })) return res.status(403).json(OUT_OF_SCOPE);
 
     const { rows } = await query(`
       INSERT INTO contracts (contract_no, company_id, rig_id, start_date, end_date, value_usd, status, notes, created_by)
@@ -94,39 +168,79 @@ router.post('/', canWrite,
     `, [contractNo, companyId || null, rigId || null, startDate, endDate,
         valueUsd, status, notes || null, req.user.id]);
 
-    res.status(201).json(rows[0]);
+    await audit(req, 'contracts', 'INSERT', { after: rows[0] });
+    withEtag(res, rows[0]).status(201).json(rows[0]);
   })
 );
 
-// ── PUT /api/contracts/:id ───────────────────────────────────
-router.put('/:id', canWrite, asyncHandler(async (req, res) => {
-  const { companyId, rigId, startDate, endDate, valueUsd, status, notes } = req.body;
+// ── PUT|PATCH /api/contracts/:id ─────────────────────────────
+// PATCH clears a field sent as null; PUT ignores nulls. If-Match → 412 when stale.
+const updateContract = asyncHandler(async (req, res) => {
+  const old = await findContract(req);
+  if (!old) return res.status(404).json({ error: 'Contract not found' });
+  if (old.archived_at) return res.status(409).json({ error: 'Contract is archived – restore it first' });
+  if (ifMatchFails(req, old)) return preconditionFailed(res, old);
+
+  const rigId = patchedValue(req, 'rigId', old.rig_id);
+  const companyId = patchedValue(req, 'companyId', old.company_id);
+  if ((rigId !== old.rig_id || companyId !== old.company_id) && !inScope(req.user, { rigId, companyId })) {
+    return res.status(403).json(OUT_OF_SCOPE);
+  }
+
+  const params = [];
+  const { sets, error } = patchSet(req, UPDATABLE, params);
+  if (error) return res.status(400).json({ error });
+  if (!sets.length) return withEtag(res, old).json(old);
 
+  params.push(old.id);
   const { rows } = await query(`
-    UPDATE contracts SET
-      company_id = COALESCE($1, company_id),
-      rig_id     = COALESCE($2, rig_id),
-      start_date = COALESCE($3, start_date),
-      end_date   = COALESCE($4, end_date),
-      value_usd  = COALESCE($5, value_usd),
-      status     = COALESCE($6, status),
-      notes      = COALESCE($7, notes)
-    WHERE id = $8 OR contract_no = $8
+    UPDATE contracts SET ${sets.join(', ')}
+    WHERE id = $${params.length} ${unchangedCondition(req, old, params)}
     RETURNING *
-  `, [companyId, rigId, startDate, endDate, valueUsd, status, notes, req.params.id]);
+  `, params);
+  if (!rows.length) return preconditionFailed(res);
 
-  if (!rows.length) return res.status(404).json({ error: 'Contract not found' });
-  res.json(rows[0]);
-}));
+  await audit(req, 'contracts', 'UPDATE', { before: old, after: rows[0] });
+  withEtag(res, rows[0]).json(rows[0]);
+});
+router.put('/:id', requirePermission('contracts.write'), updateContract);
+router.patch('/:id', requirePermission('contracts.write'), updateContract);
 
 // ── DELETE /api/contracts/:id ────────────────────────────────
-router.delete('/:id', isAdminOrManager, asyncHandler(async (req, res) => {
-  const { rows } = await query(
-    `DELETE FROM contracts WHERE id = $1 OR contract_no = $1 RETURNING contract_no`,
-    [req.params.id]
-  );
-  if (!rows.length) return res.status(404).json({ error: 'Contract not found' });
-  res.json({ message: `Contract ${rows[0].contract_no} deleted` });
+// Archives the contract: hidden from lists, everything that references it kept
+router.delete('/:id', requirePermission('contracts.delete'), asyncHandler(async (req, res) => {
+  const contract = await findContract(req);
+  if (!contract) return res.status(404).json({ error: 'Contract not found' });
+  if (contract.archived_at) return res.status(409).json({ error: `Contract ${contract.contract_no} is already archived` });
+  if (ifMatchFails(req, contract)) return preconditionFailed(res, contract);
+  await archive(req, 'contracts', contract);
+  res.json({ message: `Contract ${contract.contract_no} archived` });
+}));
+
+// ── POST /api/contracts/:id/restore ──────────────────────────
+router.post('/:id/restore', requirePermission('contracts.delete'), asyncHandler(async (req, res) => {
+  const contract = await findContract(req);
+  if (!contract) return res.status(404).json({ error: 'Contract not found' });
+  if (!contract.archived_at) return res.status(409).json({ error: `Contract ${contract.contract_no} is not archived` });
+  res.json(await restore(req, 'contracts', contract));
+}));
+
+// ── GET /api/contracts/:id/purge ─────────────────────────────
+// Preview of what a purge would delete or detach
+router.get('/:id/purge', requirePermission('records.purge'), asyncHandler(async (req, res) => {
+  const contract = await findContract(req);
+  if (!contract) return res.status(404).json({ error: 'Contract not found' });
+  res.json({ id: contract.id, archived: Boolean(contract.archived_at), ...await purgePreview('contracts', contract.id) });
+}));
+
+// ── DELETE /api/contracts/:id/purge ──────────────────────────
+// Permanent delete of an archived contract; its assets are detached
+router.delete('/:id/purge', requirePermission('records.purge'), asyncHandler(async (req, res) => {
+  const contract = await findContract(req);
+  if (!contract) return res.status(404).json({ error: 'Contract not found' });
+  if (!contract.archived_at) return res.status(409).json({ error: 'Archive the contract before purging it' });
+  const purged = await purge(req, 'contracts', contract);
+  res.json({ message: `Contract ${contract.contract_no} permanently deleted`, ...purged });
 }));
 
 module.exports = router;
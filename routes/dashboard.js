@@ -1,15 +1,36 @@
 // routes/dashboard.js
 const express = require('express');
 const { query } = require('../config/db');
-const { authenticate } = require('../middleware/auth');
+const { authenticate, requireScope } = require('../middleware/auth');
 const { asyncHandler } = require('../middleware/errorHandler');
+const { scopeCondition } = require('../services/visibility');
+const { bookValue, loadPolicies } = require('../services/depreciation');
+const {
+  METER_JOIN, IS_OPEN, IS_OVERDUE, IN_ALERT_WINDOW, IS_DUE_SOON, METER_COLUMNS,
+} = require('../services/maintenance');
 
 const router = express.Router();
-router.use(authenticate);
+router.use(authenticate, requireScope('dashboard'));
 
 // ── GET /api/dashboard ───────────────────────────────────────
-// Returns all KPI data needed to populate the frontend dashboard
+// Returns all KPI data needed to populate the frontend dashboard.
+// valuation=book reports assets.total_value at book value instead of cost.
 router.get('/', asyncHandler(async (req, res) => {
+  const valuation = req.query.valuation === 'book' ? 'book' : 'cost';
+  // Every figure covers only the caller's rigs/companies (nothing changes for data.all_sites)
+  // Archived assets, rigs and contracts (alias given) are left out
+  const scoped = (cols, archivable) => {
+    const params = [];
+    const conditions = [scopeCondition(req.user, params, cols), archivable && `${archivable}.archived_at IS NULL`]
+      .filter(Boolean);
+    const condition = conditions.join(' AND ');
+    return { params, where: condition ? `WHERE ${condition}` : '', and: condition ? `AND ${condition}` : '' };
+  };
+  const assetScope     = scoped({ rig: 'a.rig_id', company: 'a.company_id' }, 'a');
+  const rigScope       = scoped({ rig: 'r.id' }, 'r');
+  const contractScope  = scoped({ rig: 'ct.rig_id', company: 'ct.company_id' }, 'ct');
+  const transferScope  = scoped({ asset: 't.asset_id', rig: 't.dest_rig_id', company: 't.dest_company_id' });
+
   const [assets, rigs, contracts, maint, transfers, notifications] = await Promise.all([
 
     // Asset KPIs
@@ -23,8 +44,9 @@ router.get('/', asyncHandler(async (req, res) => {
         COUNT(*) FILTER (WHERE status = 'Standby')        AS standby,
         COALESCE(SUM(value_usd), 0)                       AS total_value,
         COUNT(DISTINCT rig_id)                            AS rigs_with_assets
-      FROM assets
-    `),
+      FROM assets a
+      ${assetScope.where}
+    `, assetScope.params),
 
     // Rig KPIs
     query(`
@@ -33,8 +55,9 @@ router.get('/', asyncHandler(async (req, res) => {
         COUNT(*) FILTER (WHERE status = 'Active')           AS active,
         COUNT(*) FILTER (WHERE status = 'Maintenance')      AS maintenance,
         COUNT(*) FILTER (WHERE status = 'Standby')          AS standby
-      FROM rigs
-    `),
+      FROM rigs r
+      ${rigScope.where}
+    `, rigScope.params),
 
     // Contract KPIs
     query(`
@@ -48,23 +71,23 @@ router.get('/', asyncHandler(async (req, res) => {
           WHERE status = 'Active'
             AND end_date BETWEEN CURRENT_DATE AND CURRENT_DATE + 30
         ) AS expiring_soon
-      FROM contracts
-    `),
+      FROM contracts ct
+      ${contractScope.where}
+    `, contractScope.params),
 
-    // Maintenance KPIs (live status)
+    // Maintenance KPIs (live status, by date and/or meter) of unarchived assets
     query(`
       SELECT
         COUNT(*)                                                                        AS total,
-        COUNT(*) FILTER (WHERE status NOT IN ('Completed','Cancelled')
-                          AND next_due_date < CURRENT_DATE)                            AS overdue,
-        COUNT(*) FILTER (WHERE status NOT IN ('Completed','Cancelled')
-                          AND next_due_date >= CURRENT_DATE
-                          AND next_due_date <= CURRENT_DATE + alert_days)              AS due_soon,
-        COUNT(*) FILTER (WHERE status = 'Completed')                                   AS completed,
-        COUNT(*) FILTER (WHERE status = 'Scheduled'
-                          AND next_due_date > CURRENT_DATE + alert_days)               AS scheduled
-      FROM maintenance_schedules
-    `),
+        COUNT(*) FILTER (WHERE ${IS_OPEN} AND ${IS_OVERDUE})                            AS overdue,
+        COUNT(*) FILTER (WHERE ${IS_OPEN} AND ${IS_DUE_SOON})                           AS due_soon,
+        COUNT(*) FILTER (WHERE ms.status = 'Completed')                                AS completed,
+        COUNT(*) FILTER (WHERE ms.status = 'Scheduled' AND NOT ${IN_ALERT_WINDOW})      AS scheduled
+      FROM maintenance_schedules ms
+      JOIN assets a ON a.id = ms.asset_id
+      ${METER_JOIN}
+      ${assetScope.where}
+    `, assetScope.params),
 
     // Transfer KPIs
     query(`
@@ -74,8 +97,9 @@ router.get('/', asyncHandler(async (req, res) => {
         COUNT(*) FILTER (WHERE status = 'Ops Approved')        AS ops_approved,
         COUNT(*) FILTER (WHERE status = 'Completed')           AS completed,
         COUNT(*) FILTER (WHERE status = 'Rejected')            AS rejected
-      FROM transfers
-    `),
+      FROM transfers t
+      ${transferScope.where}
+    `, transferScope.params),
 
     // Unread notification count
     query(`
@@ -90,17 +114,16 @@ router.get('/', asyncHandler(async (req, res) => {
     SELECT
       r.rig_id, r.name AS rig_name, r.status AS rig_status,
       COUNT(a.id) AS asset_count,
-      COUNT(ms.id) FILTER (WHERE ms.next_due_date < CURRENT_DATE
-        AND ms.status NOT IN ('Completed','Cancelled')) AS overdue_pm,
-      COUNT(ms.id) FILTER (WHERE ms.next_due_date >= CURRENT_DATE
-        AND ms.next_due_date <= CURRENT_DATE + ms.alert_days
-        AND ms.status NOT IN ('Completed','Cancelled')) AS due_soon_pm
+      COUNT(ms.id) FILTER (WHERE ${IS_OPEN} AND ${IS_OVERDUE}) AS overdue_pm,
+      COUNT(ms.id) FILTER (WHERE ${IS_OPEN} AND ${IS_DUE_SOON}) AS due_soon_pm
     FROM rigs r
-    LEFT JOIN assets a ON a.rig_id = r.id
+    LEFT JOIN assets a ON a.rig_id = r.id AND a.archived_at IS NULL
     LEFT JOIN maintenance_schedules ms ON ms.asset_id = a.id
+    ${METER_JOIN}
+    ${rigScope.where}
     GROUP BY r.id, r.rig_id, r.name, r.status
     ORDER BY r.rig_id
-  `);
+  `, rigScope.params);
 
   // Top 5 upcoming maintenance (overdue + due soon)
   const { rows: upcomingMaint } = await query(`
@@ -108,18 +131,21 @@ router.get('/', asyncHandler(async (req, res) => {
       (ms.next_due_date - CURRENT_DATE) AS days_until_due,
       a.name AS asset_name, a.asset_id AS asset_code,
       r.name AS rig_name,
+      ${METER_COLUMNS},
       CASE
-        WHEN ms.next_due_date < CURRENT_DATE THEN 'Overdue'
+        WHEN ${IS_OVERDUE} THEN 'Overdue'
         ELSE 'Due Soon'
       END AS alert_type
     FROM maintenance_schedules ms
     LEFT JOIN assets a ON a.id = ms.asset_id
     LEFT JOIN rigs   r ON r.id = a.rig_id
-    WHERE ms.status NOT IN ('Completed','Cancelled')
-      AND ms.next_due_date <= CURRENT_DATE + ms.alert_days
-    ORDER BY ms.next_due_date ASC
+    ${METER_JOIN}
+    WHERE ${IS_OPEN}
+      AND ${IN_ALERT_WINDOW}
+      ${assetScope.and}
+    ORDER BY ${IS_OVERDUE} DESC, ms.next_due_date ASC NULLS LAST
     LIMIT 10
-  `);
+  `, assetScope.params);
 
   // Expiring contracts
   const { rows: expiringContracts } = await query(`
@@ -131,11 +157,26 @@ router.get('/', asyncHandler(async (req, res) => {
     LEFT JOIN rigs      r ON r.id = ct.rig_id
     WHERE ct.status = 'Active'
       AND ct.end_date <= CURRENT_DATE + 30
+      ${contractScope.and}
     ORDER BY ct.end_date ASC
-  `);
+  `, contractScope.params);
+
+  if (valuation === 'book') {
+    const [policies, { rows: valued }] = await Promise.all([
+      loadPolicies(),
+      query(`
+        SELECT a.category, a.value_usd, a.acquisition_date,
+               a.depreciation_method, a.useful_life_years, a.salvage_value_usd
+        FROM assets a
+        ${assetScope.where}
+      `, assetScope.params),
+    ]);
+    const total = valued.reduce((t, a) => t + bookValue(a, policies[a.category]).book_value, 0);
+    assets.rows[0].total_value = total.toFixed(2);
+  }
 
   res.json({
-    assets:           assets.rows[0],
+    assets:           { ...assets.rows[0], valuation },
     rigs:             rigs.rows[0],
     contracts:        contracts.rows[0],
     maintenance:      maint.rows[0],
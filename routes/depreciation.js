@@ -0,0 +1,126 @@
+// routes/depreciation.js
+const express = require('express');
+const { body, param, query: qv, validationResult } = require('express-validator');
+const { query } = require('../config/db');
+const { authenticate, requireScope, requirePermission } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { audit } = require('../services/audit');
+const { scopeCondition, andScope } = require('../services/visibility');
+const { ASSET_CATEGORIES } = require('../services/assets');
+const { METHODS, bookValue, schedule, combineSchedules, loadPolicies } = require('../services/depreciation');
+
+const router = express.Router();
+router.use(authenticate, requireScope('assets'));
+
+const ASSET_SCOPE = { rig: 'a.rig_id', company: 'a.company_id' };
+
+const ASSET_COLS = `a.id, a.asset_id, a.name, a.category, a.value_usd, a.acquisition_date,
+  a.depreciation_method, a.useful_life_years, a.salvage_value_usd`;
+
+// ── GET /api/depreciation/policies ───────────────────────────
+router.get('/policies', asyncHandler(async (req, res) => {
+  const { rows } = await query('SELECT * FROM depreciation_policies ORDER BY category');
+  res.json(rows);
+}));
+
+// ── PUT /api/depreciation/policies/:category ─────────────────
+// Creates or replaces the policy of one asset category
+router.put('/policies/:category',
+  requirePermission('depreciation.manage'),
+  [
+    param('category').isIn(ASSET_CATEGORIES),
+    body('method').isIn(METHODS),
+    body('usefulLifeYears').isFloat({ gt: 0, max: 999 }),
+    body('salvagePct').optional().isFloat({ min: 0, max: 100 }),
+    body('decliningFactor').optional().isFloat({ gt: 0, max: 99 }),
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const { category } = req.params;
+    const { method, usefulLifeYears, salvagePct = 0, decliningFactor = 2 } = req.body;
+    const { rows: existing } = await query('SELECT * FROM depreciation_policies WHERE category = $1', [category]);
+
+    const { rows } = await query(`
+      INSERT INTO depreciation_policies (category, method, useful_life_years, salvage_pct, declining_factor, updated_by)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      ON CONFLICT (category) DO UPDATE SET
+        method            = EXCLUDED.method,
+        useful_life_years = EXCLUDED.useful_life_years,
+        salvage_pct       = EXCLUDED.salvage_pct,
+        declining_factor  = EXCLUDED.declining_factor,
+        updated_by        = EXCLUDED.updated_by
+      RETURNING *
+    `, [category, method, usefulLifeYears, salvagePct, decliningFactor, req.user.id]);
+
+    await audit(req, 'depreciation_policies', existing.length ? 'UPDATE' : 'INSERT',
+      { before: existing[0] || null, after: rows[0] });
+    res.json(rows[0]);
+  })
+);
+
+// ── GET /api/depreciation/schedule ───────────────────────────
+// asset=<id or asset_id> → that asset's yearly schedule; without it the whole fleet
+// (optionally filtered by rig, company, category names) summed per calendar year.
+// asOf=YYYY-MM-DD sets the book value date (default today).
+router.get('/schedule',
+  [qv('asOf').optional().isISO8601({ strict: true })],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const { asset, rig, company, category, asOf = new Date() } = req.query;
+    const policies = await loadPolicies();
+
+    if (asset) {
+      const params = [asset];
+      const { rows } = await query(`
+        SELECT ${ASSET_COLS} FROM assets a
+        WHERE (a.id::text = $1 OR a.asset_id = $1) ${andScope(req.user, params, ASSET_SCOPE)}
+      `, params);
+      if (!rows.length) return res.status(404).json({ error: 'Asset not found' });
+      const policy = policies[rows[0].category];
+      return res.json({
+        asset: { id: rows[0].id, asset_id: rows[0].asset_id, name: rows[0].name, category: rows[0].category },
+        cost: Number(rows[0].value_usd),
+        acquisition_date: rows[0].acquisition_date,
+        ...bookValue(rows[0], policy, asOf),
+        schedule: schedule(rows[0], policy),
+      });
+    }
+
+    const params = [];
+    const conditions = [];
+    if (rig)      { params.push(rig);      conditions.push(`r.name = $${params.length}`); }
+    if (company)  { params.push(company);  conditions.push(`c.name = $${params.length}`); }
+    if (category) { params.push(category); conditions.push(`a.category = $${params.length}`); }
+    const scope = scopeCondition(req.user, params, ASSET_SCOPE);
+    if (scope) conditions.push(scope);
+    conditions.push('a.archived_at IS NULL');
+    const where = 'WHERE ' + conditions.join(' AND ');
+
+    const { rows } = await query(`
+      SELECT ${ASSET_COLS} FROM assets a
+      LEFT JOIN rigs      r ON r.id = a.rig_id
+      LEFT JOIN companies c ON c.id = a.company_id
+      ${where}
+      ORDER BY a.asset_id
+    `, params);
+
+    const values = rows.map(a => bookValue(a, policies[a.category], asOf));
+    const sum = (key) => Math.round(values.reduce((t, v) => t + v[key], 0) * 100) / 100;
+    res.json({
+      assets: rows.length,
+      // Assets without an acquisition date (or policy) are carried at cost
+      not_depreciated: values.filter(v => !v.method).length,
+      as_of: values[0]?.as_of || null,
+      cost: Math.round(rows.reduce((t, a) => t + Number(a.value_usd), 0) * 100) / 100,
+      accumulated_depreciation: sum('accumulated_depreciation'),
+      book_value: sum('book_value'),
+      schedule: combineSchedules(rows.map(a => schedule(a, policies[a.category]))),
+    });
+  })
+);
+
+module.exports = router;
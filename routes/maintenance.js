@@ -1,17 +1,123 @@
 // routes/maintenance.js
 const express = require('express');
 const { body, validationResult } = require('express-validator');
-const { query } = require('../config/db');
-const { authenticate, canWrite, isAdminOrManager } = require('../middleware/auth');
+const { query, getClient } = require('../config/db');
+const { authenticate, requireScope, requirePermission } = require('../middleware/auth');
 const { asyncHandler } = require('../middleware/errorHandler');
+const { audit } = require('../services/audit');
+const {
+  METER_JOIN, IS_OPEN, IS_OVERDUE, IN_ALERT_WINDOW, IS_DUE_SOON, LIVE_STATUS, METER_COLUMNS,
+  completeSchedule,
+} = require('../services/maintenance');
+const { scopeCondition, andScope } = require('../services/visibility');
+const { withAttachments } = require('../services/attachments');
+const { archivedCondition } = require('../services/archive');
+const { exportOptions, sendExport } = require('../services/export');
+const { listOptions, cursorColumn, listPage, listAll } = require('../services/listing');
+const {
+  patchedValue, patchSet, withEtag, ifMatchFails, unchangedCondition, preconditionFailed,
+} = require('../services/updates');
 
 const router = express.Router();
-router.use(authenticate);
+router.use(authenticate, requireScope('maintenance'));
+
+// A schedule is in scope when its asset is; ASSET_SCOPE needs assets joined as `a`
+const ASSET_SCOPE    = { rig: 'a.rig_id', company: 'a.company_id' };
+const SCHEDULE_SCOPE = { asset: 'ms.asset_id' };
+
+// Fields of PUT / PATCH /api/maintenance/:id
+const UPDATABLE = {
+  columns: {
+    taskName: 'task_name', taskType: 'task_type', priority: 'priority', frequencyDays: 'frequency_days',
+    lastDoneDate: 'last_done_date', nextDueDate: 'next_due_date', alertDays: 'alert_days',
+    technician: 'technician', estimatedHours: 'estimated_hours', estimatedCost: 'estimated_cost',
+    status: 'status', notes: 'notes', meterId: 'meter_id', meterInterval: 'meter_interval',
+    meterAlert: 'meter_alert', lastDoneMeter: 'last_done_meter', nextDueMeter: 'next_due_meter',
+  },
+  required: ['taskName', 'taskType', 'priority', 'alertDays', 'meterAlert', 'status'],
+};
+
+// Columns of the CSV / XLSX export of GET /api/maintenance
+const EXPORT_COLUMNS = [
+  { key: 'pm_id',           header: 'PM ID' },
+  { key: 'task_name',       header: 'Task' },
+  { key: 'task_type',       header: 'Type' },
+  { key: 'priority',        header: 'Priority' },
+  { key: 'asset_code',      header: 'Asset ID' },
+  { key: 'asset_name',      header: 'Asset' },
+  { key: 'rig_name',        header: 'Rig' },
+  { key: 'asset_location',  header: 'Location' },
+  { key: 'live_status',     header: 'Status' },
+  { key: 'frequency_days',  header: 'Frequency (days)', type: 'number' },
+  { key: 'last_done_date',  header: 'Last Done', type: 'date' },
+  { key: 'next_due_date',   header: 'Next Due', type: 'date' },
+  { key: 'days_until_due',  header: 'Days Until Due', type: 'number' },
+  { key: 'meter_name',      header: 'Meter' },
+  { key: 'meter_interval',  header: 'Meter Interval', type: 'number' },
+  { key: 'meter_reading',   header: 'Meter Reading', type: 'number' },
+  { key: 'next_due_meter',  header: 'Next Due Meter', type: 'number' },
+  { key: 'meter_remaining', header: 'Meter Remaining', type: 'number' },
+  { key: 'technician',      header: 'Technician' },
+  { key: 'estimated_hours', header: 'Estimated Hours', type: 'number' },
+  { key: 'estimated_cost',  header: 'Estimated Cost USD', type: 'number' },
+  { key: 'work_order_no',   header: 'Work Order' },
+  { key: 'log_count',       header: 'Logs', type: 'number' },
+  { key: 'notes',           header: 'Notes' },
+];
+
+// Overdue first, then due soon, then the rest (the default list order)
+const URGENCY = `CASE
+        WHEN ${IS_OPEN} AND ${IS_OVERDUE} THEN 1
+        WHEN ${IS_OPEN} AND ${IN_ALERT_WINDOW} THEN 2
+        ELSE 3
+      END`;
+
+// Sorts of GET /api/maintenance
+const SORTS = {
+  due:           [{ expr: URGENCY, type: 'integer', notNull: true },
+                  { expr: 'ms.next_due_date', type: 'date' }],
+  next_due_date: [{ expr: 'ms.next_due_date', type: 'date' }],
+  pm_id:         [{ expr: 'ms.pm_id', type: 'text', notNull: true }],
+  task_name:     [{ expr: 'ms.task_name', type: 'text', notNull: true }],
+  priority:      [{ expr: 'ms.priority', type: 'text', notNull: true }],
+  asset:         [{ expr: 'a.asset_id', type: 'text' }],
+  rig:           [{ expr: 'r.name', type: 'text' }],
+  updated_at:    [{ expr: 'ms.updated_at', type: 'timestamptz', notNull: true }],
+};
+
+// A schedule falls due by calendar (frequencyDays + nextDueDate), by meter (meterId +
+// meterInterval) or – with both – whichever comes first; null when the mix is valid
+const triggerError = ({ frequencyDays, nextDueDate, meterId, meterInterval }) => {
+  if ((frequencyDays == null) !== (nextDueDate == null)) return 'frequencyDays and nextDueDate go together';
+  if ((meterId == null) !== (meterInterval == null)) return 'meterId and meterInterval go together';
+  if (frequencyDays == null && meterId == null) {
+    return 'A schedule needs frequencyDays and nextDueDate, meterId and meterInterval, or both';
+  }
+  return null;
+};
+
+// Meter of the given asset (schedules may only follow their own asset's meters)
+const findAssetMeter = async (meterId, assetId) => {
+  const { rows } = await query(
+    'SELECT * FROM asset_meters WHERE id::text = $1 AND asset_id = $2', [String(meterId), assetId]
+  );
+  return rows[0] || null;
+};
+
+// First meter due point: one interval past the last service (default: the current reading)
+const firstDueMeter = (meter, interval, lastDoneMeter) =>
+  Number(lastDoneMeter ?? meter.current_reading ?? 0) + Number(interval);
 
 // ── GET /api/maintenance ─────────────────────────────────────
-// Query: rig, asset, status, priority, type, search, page, limit
+// Query: rig, asset, status, priority, type, search, includeArchived (schedules of
+// archived assets), and the list params sort, order, limit, cursor, total (services/listing.js)
+// format=csv|xlsx (or Accept) downloads every matching schedule; columns picks the columns
 router.get('/', asyncHandler(async (req, res) => {
-  const { rig, asset, status, priority, type, search, page = 1, limit = 100 } = req.query;
+  const { rig, asset, status, priority, type, search } = req.query;
+  const listing = listOptions(req, SORTS, { sort: 'due', limit: 100, tiebreak: 'ms.id' });
+  if (listing.error) return res.status(400).json({ error: listing.error });
+  const exporting = exportOptions(req, EXPORT_COLUMNS);
+  if (exporting?.error) return res.status(400).json({ error: exporting.error });
   const params = [];
   const conditions = [];
 
@@ -35,24 +141,23 @@ router.get('/', asyncHandler(async (req, res) => {
     params.push(`%${search.toLowerCase()}%`);
     conditions.push(`(LOWER(ms.task_name) LIKE $${params.length} OR LOWER(a.name) LIKE $${params.length} OR LOWER(ms.technician) LIKE $${params.length})`);
   }
-  // Live status filter applied in SQL
+  // Live status filter applied in SQL (by date and/or meter)
   if (status) {
     if (status === 'Overdue') {
-      conditions.push(`ms.next_due_date < CURRENT_DATE AND ms.status NOT IN ('Completed','Cancelled')`);
+      conditions.push(`${IS_OPEN} AND ${IS_OVERDUE}`);
     } else if (status === 'Due Soon') {
-      conditions.push(`ms.next_due_date >= CURRENT_DATE AND ms.next_due_date <= CURRENT_DATE + ms.alert_days AND ms.status NOT IN ('Completed','Cancelled')`);
+      conditions.push(`${IS_OPEN} AND ${IS_DUE_SOON}`);
     } else {
       params.push(status);
       conditions.push(`ms.status = $${params.length}`);
     }
   }
+  const scope = scopeCondition(req.user, params, ASSET_SCOPE);
+  if (scope) conditions.push(scope);
+  const live = archivedCondition(req, 'a');
+  if (live) conditions.push(live);
 
-  const where = conditions.length ? 'WHERE ' + conditions.join(' AND ') : '';
-  const offset = (parseInt(page) - 1) * parseInt(limit);
-
-  params.push(parseInt(limit), offset);
-
-  const sql = `
+  const sql = (where) => `
     SELECT
       ms.*,
       a.name        AS asset_name,
@@ -61,87 +166,88 @@ router.get('/', asyncHandler(async (req, res) => {
       r.name        AS rig_name,
       r.rig_id      AS rig_code,
       (ms.next_due_date - CURRENT_DATE) AS days_until_due,
-      CASE
-        WHEN ms.status IN ('Completed','Cancelled') THEN ms.status
-        WHEN ms.next_due_date < CURRENT_DATE        THEN 'Overdue'
-        WHEN ms.next_due_date <= CURRENT_DATE + ms.alert_days THEN 'Due Soon'
-        ELSE 'Scheduled'
-      END AS live_status,
-      COUNT(ml.id) AS log_count
+      ${METER_COLUMNS},
+      ${LIVE_STATUS} AS live_status,
+      COUNT(ml.id) AS log_count,
+      ${cursorColumn(listing)}
     FROM maintenance_schedules ms
     LEFT JOIN assets a  ON a.id = ms.asset_id
     LEFT JOIN rigs   r  ON r.id = a.rig_id
+    ${METER_JOIN}
     LEFT JOIN maintenance_logs ml ON ml.schedule_id = ms.id
     ${where}
-    GROUP BY ms.id, a.name, a.asset_id, a.location, r.name, r.rig_id
-    ORDER BY
-      CASE
-        WHEN ms.status NOT IN ('Completed','Cancelled') AND ms.next_due_date < CURRENT_DATE THEN 1
-        WHEN ms.status NOT IN ('Completed','Cancelled') AND ms.next_due_date <= CURRENT_DATE + ms.alert_days THEN 2
-        ELSE 3
-      END,
-      ms.next_due_date ASC
-    LIMIT $${params.length - 1} OFFSET $${params.length}
+    GROUP BY ms.id, a.name, a.asset_id, a.location, r.name, r.rig_id, mt.name, mt.unit, mt.current_reading
   `;
+  if (exporting) return sendExport(res, exporting, 'maintenance', await listAll(listing, sql, conditions, params));
 
-  const { rows } = await query(sql, params);
-  res.json({ data: rows, total: rows.length });
+  res.json(await listPage(listing, sql, conditions, params));
 }));
 
 // ── GET /api/maintenance/alerts ──────────────────────────────
+// Schedules of unarchived assets overdue or within their alert window, by date or by meter
 router.get('/alerts', asyncHandler(async (req, res) => {
+  const params = [];
   const { rows } = await query(`
     SELECT
       ms.*,
       a.name AS asset_name, a.asset_id AS asset_code,
       r.name AS rig_name, r.rig_id AS rig_code,
       (ms.next_due_date - CURRENT_DATE) AS days_until_due,
+      ${METER_COLUMNS},
       CASE
-        WHEN ms.next_due_date < CURRENT_DATE THEN 'Overdue'
+        WHEN ${IS_OVERDUE} THEN 'Overdue'
         ELSE 'Due Soon'
       END AS alert_type
     FROM maintenance_schedules ms
     LEFT JOIN assets a ON a.id = ms.asset_id
     LEFT JOIN rigs   r ON r.id = a.rig_id
-    WHERE ms.status NOT IN ('Completed','Cancelled')
-      AND ms.next_due_date <= CURRENT_DATE + ms.alert_days
-    ORDER BY ms.next_due_date ASC
-  `);
+    ${METER_JOIN}
+    WHERE ${IS_OPEN}
+      AND ${IN_ALERT_WINDOW}
+      AND a.archived_at IS NULL
+      ${andScope(req.user, params, ASSET_SCOPE)}
+    ORDER BY ms.next_due_date ASC NULLS LAST, (ms.next_due_meter - mt.current_reading) ASC
+  `, params);
   res.json({ alerts: rows, overdue: rows.filter(r => r.alert_type === 'Overdue').length });
 }));
 
 // ── GET /api/maintenance/by-rig ──────────────────────────────
 router.get('/by-rig', asyncHandler(async (req, res) => {
+  const params = [];
+  const scope = scopeCondition(req.user, params, { rig: 'r.id' });
   const { rows } = await query(`
     SELECT
       r.rig_id, r.name AS rig_name, r.status AS rig_status,
       COUNT(ms.id)                                                     AS total_tasks,
-      COUNT(ms.id) FILTER (WHERE ms.next_due_date < CURRENT_DATE
-        AND ms.status NOT IN ('Completed','Cancelled'))                AS overdue,
-      COUNT(ms.id) FILTER (WHERE ms.next_due_date >= CURRENT_DATE
-        AND ms.next_due_date <= CURRENT_DATE + ms.alert_days
-        AND ms.status NOT IN ('Completed','Cancelled'))                AS due_soon,
+      COUNT(ms.id) FILTER (WHERE ${IS_OPEN} AND ${IS_OVERDUE})        AS overdue,
+      COUNT(ms.id) FILTER (WHERE ${IS_OPEN} AND ${IS_DUE_SOON})       AS due_soon,
       COUNT(ms.id) FILTER (WHERE ms.status = 'Completed')             AS completed
     FROM rigs r
-    LEFT JOIN assets a ON a.rig_id = r.id
+    LEFT JOIN assets a ON a.rig_id = r.id AND a.archived_at IS NULL
     LEFT JOIN maintenance_schedules ms ON ms.asset_id = a.id
+    ${METER_JOIN}
+    ${scope ? `WHERE ${scope}` : ''}
     GROUP BY r.id, r.rig_id, r.name, r.status
     ORDER BY r.rig_id
-  `);
+  `, params);
   res.json(rows);
 }));
 
 // ── GET /api/maintenance/:id ─────────────────────────────────
 router.get('/:id', asyncHandler(async (req, res) => {
+  const params = [req.params.id];
   const { rows } = await query(`
     SELECT ms.*, a.name AS asset_name, a.asset_id AS asset_code,
       r.name AS rig_name,
-      (ms.next_due_date - CURRENT_DATE) AS days_until_due
+      (ms.next_due_date - CURRENT_DATE) AS days_until_due,
+      ${METER_COLUMNS},
+      ${LIVE_STATUS} AS live_status
     FROM maintenance_schedules ms
     LEFT JOIN assets a ON a.id = ms.asset_id
     LEFT JOIN rigs   r ON r.id = a.rig_id
-    WHERE ms.id = $1 OR ms.pm_id = $1
-  `, [req.params.id]);
+    ${METER_JOIN}
+    WHERE (ms.id = $1 OR ms.pm_id = $1) ${andScope(req.user, params, ASSET_SCOPE)}
+  `, params);
   if (!rows.length) return res.status(404).json({ error: 'Schedule not found' });
 
   // Fetch logs
@@ -149,19 +255,23 @@ router.get('/:id', asyncHandler(async (req, res) => {
     'SELECT * FROM maintenance_logs WHERE schedule_id = $1 ORDER BY completion_date DESC',
     [rows[0].id]
   );
-  res.json({ ...rows[0], logs });
+  withEtag(res, rows[0]).json({ ...rows[0], logs: await withAttachments('maintenance_log', logs) });
 }));
 
 // ── POST /api/maintenance ────────────────────────────────────
 router.post('/',
-  canWrite,
+  requirePermission('maintenance.write'),
   [
     body('pmId').trim().notEmpty(),
     body('assetId').notEmpty(),
     body('taskName').trim().notEmpty(),
     body('taskType').notEmpty(),
-    body('nextDueDate').isDate(),
-    body('frequencyDays').isInt({ min: 1 }),
+    body('nextDueDate').optional({ nullable: true }).isDate(),
+    body('frequencyDays').optional({ nullable: true }).isInt({ min: 1 }),
+    body('meterInterval').optional({ nullable: true }).isFloat({ gt: 0 }),
+    body('meterAlert').optional().isFloat({ min: 0 }),
+    body('lastDoneMeter').optional({ nullable: true }).isFloat({ min: 0 }),
+    body('nextDueMeter').optional({ nullable: true }).isFloat({ min: 0 }),
   ],
   asyncHandler(async (req, res) => {
     const errors = validationResult(req);
@@ -171,111 +281,153 @@ router.post('/',
       pmId, assetId, taskName, taskType, priority = 'Normal',
       frequencyDays, lastDoneDate, nextDueDate, alertDays = 14,
       technician, estimatedHours, estimatedCost, status = 'Scheduled', notes,
+      meterId, meterInterval, meterAlert = 0, lastDoneMeter, nextDueMeter,
     } = req.body;
+    const triggers = triggerError({ frequencyDays, nextDueDate, meterId, meterInterval });
+    if (triggers) return res.status(400).json({ error: triggers });
 
     // Resolve assetId (UUID or AST-xxx code)
+    const assetParams = [assetId];
     const { rows: assetRows } = await query(
-      'SELECT id FROM assets WHERE id = $1 OR asset_id = $1', [assetId]
+      `SELECT id FROM assets a WHERE (a.id = $1 OR a.asset_id = $1) ${andScope(req.user, assetParams, ASSET_SCOPE)}`,
+      assetParams
     );
     if (!assetRows.length) return res.status(404).json({ error: 'Asset not found' });
 
+    let meter = null;
+    if (meterId != null) {
+      meter = await findAssetMeter(meterId, assetRows[0].id);
+      if (!meter) return res.status(400).json({ error: 'meterId must be a meter of this asset' });
+    }
+
     const { rows } = await query(`
       INSERT INTO maintenance_schedules
         (pm_id, asset_id, task_name, task_type, priority, frequency_days,
          last_done_date, next_due_date, alert_days, technician,
-         estimated_hours, estimated_cost, status, notes, created_by)
-      VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15)
+         estimated_hours, estimated_cost, status, notes, created_by,
+         meter_id, meter_interval, meter_alert, last_done_meter, next_due_meter)
+      VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16,$17,$18,$19,$20)
       RETURNING *
-    `, [pmId, assetRows[0].id, taskName, taskType, priority, frequencyDays,
-        lastDoneDate||null, nextDueDate, alertDays, technician||null,
-        estimatedHours||null, estimatedCost||null, status, notes||null, req.user.id]);
+    `, [pmId, assetRows[0].id, taskName, taskType, priority, frequencyDays ?? null,
+        lastDoneDate||null, nextDueDate ?? null, alertDays, technician||null,
+        estimatedHours||null, estimatedCost||null, status, notes||null, req.user.id,
+        meter?.id || null, meter ? meterInterval : null, meterAlert, meter ? lastDoneMeter ?? null : null,
+        meter ? nextDueMeter ?? firstDueMeter(meter, meterInterval, lastDoneMeter) : null]);
 
-    res.status(201).json(rows[0]);
+    await audit(req, 'maintenance_schedules', 'INSERT', { after: rows[0] });
+    withEtag(res, rows[0]).status(201).json(rows[0]);
   })
 );
 
-// ── PUT /api/maintenance/:id ─────────────────────────────────
-router.put('/:id', canWrite, asyncHandler(async (req, res) => {
+// ── PUT|PATCH /api/maintenance/:id ───────────────────────────
+// PATCH clears a field sent as null; PUT ignores nulls. If-Match → 412 when stale.
+// Clearing frequencyDays or meterId with PATCH drops the rest of that trigger too.
+const updateSchedule = asyncHandler(async (req, res) => {
+  const findParams = [req.params.id];
   const { rows: existing } = await query(
-    'SELECT id FROM maintenance_schedules WHERE id = $1 OR pm_id = $1', [req.params.id]
+    `SELECT * FROM maintenance_schedules ms WHERE (ms.id::text = $1 OR ms.pm_id = $1) ${andScope(req.user, findParams, SCHEDULE_SCOPE)}`,
+    findParams
   );
   if (!existing.length) return res.status(404).json({ error: 'Schedule not found' });
+  const old = existing[0];
+  if (ifMatchFails(req, old)) return preconditionFailed(res, old);
 
-  const {
-    taskName, taskType, priority, frequencyDays, lastDoneDate,
-    nextDueDate, alertDays, technician, estimatedHours, estimatedCost, status, notes,
-  } = req.body;
+  if (req.method === 'PATCH') {
+    if (req.body.frequencyDays === null && req.body.nextDueDate === undefined) req.body.nextDueDate = null;
+    if (req.body.meterId === null) {
+      for (const field of ['meterInterval', 'nextDueMeter']) {
+        if (req.body[field] === undefined) req.body[field] = null;
+      }
+    }
+  }
+  const after = {};
+  for (const field of ['frequencyDays', 'nextDueDate', 'meterId', 'meterInterval', 'lastDoneMeter', 'nextDueMeter']) {
+    after[field] = patchedValue(req, field, old[UPDATABLE.columns[field]]);
+  }
+  const triggers = triggerError(after);
+  if (triggers) return res.status(400).json({ error: triggers });
+
+  let meter = null;
+  if (after.meterId != null && String(after.meterId) !== String(old.meter_id)) {
+    meter = await findAssetMeter(after.meterId, old.asset_id);
+    if (!meter) return res.status(400).json({ error: 'meterId must be a meter of this asset' });
+  }
+
+  const params = [];
+  const { sets, error } = patchSet(req, UPDATABLE, params);
+  if (error) return res.status(400).json({ error });
+  // A newly followed meter falls due one interval on, unless nextDueMeter is given; the
+  // last service reading of another meter means nothing for it
+  if (meter) {
+    if (req.body.lastDoneMeter == null) sets.push('last_done_meter = NULL');
+    if (req.body.nextDueMeter == null) {
+      params.push(firstDueMeter(meter, after.meterInterval, req.body.lastDoneMeter));
+      sets.push(`next_due_meter = $${params.length}`);
+    }
+  }
+  if (!sets.length) return withEtag(res, old).json(old);
 
+  params.push(old.id);
   const { rows } = await query(`
-    UPDATE maintenance_schedules SET
-      task_name        = COALESCE($1, task_name),
-      task_type        = COALESCE($2, task_type),
-      priority         = COALESCE($3, priority),
-      frequency_days   = COALESCE($4, frequency_days),
-      last_done_date   = COALESCE($5, last_done_date),
-      next_due_date    = COALESCE($6, next_due_date),
-      alert_days       = COALESCE($7, alert_days),
-      technician       = COALESCE($8, technician),
-      estimated_hours  = COALESCE($9, estimated_hours),
-      estimated_cost   = COALESCE($10, estimated_cost),
-      status           = COALESCE($11, status),
-      notes            = COALESCE($12, notes)
-    WHERE id = $13
+    UPDATE maintenance_schedules SET ${sets.join(', ')}
+    WHERE id = $${params.length} ${unchangedCondition(req, old, params)}
     RETURNING *
-  `, [taskName, taskType, priority, frequencyDays, lastDoneDate,
-      nextDueDate, alertDays, technician, estimatedHours, estimatedCost,
-      status, notes, existing[0].id]);
+  `, params);
+  if (!rows.length) return preconditionFailed(res);
 
-  res.json(rows[0]);
-}));
+  await audit(req, 'maintenance_schedules', 'UPDATE', { before: old, after: rows[0] });
+  withEtag(res, rows[0]).json(rows[0]);
+});
+router.put('/:id', requirePermission('maintenance.write'), updateSchedule);
+router.patch('/:id', requirePermission('maintenance.write'), updateSchedule);
 
 // ── POST /api/maintenance/:id/complete ───────────────────────
-router.post('/:id/complete', canWrite, asyncHandler(async (req, res) => {
+router.post('/:id/complete', requirePermission('maintenance.write'), asyncHandler(async (req, res) => {
+  const params = [req.params.id];
   const { rows: sched } = await query(
-    'SELECT * FROM maintenance_schedules WHERE id = $1 OR pm_id = $1', [req.params.id]
+    `SELECT * FROM maintenance_schedules ms WHERE (ms.id = $1 OR ms.pm_id = $1) ${andScope(req.user, params, SCHEDULE_SCOPE)}`,
+    params
   );
   if (!sched.length) return res.status(404).json({ error: 'Schedule not found' });
+  if (ifMatchFails(req, sched[0])) return preconditionFailed(res, sched[0]);
 
   const {
-    completionDate, completedBy, actualHours, actualCost,
-    partsUsed, workNotes, nextDueDate,
+    completionDate, completedBy, completedByUserId, actualHours, actualCost,
+    partsUsed, workNotes, nextDueDate, meterReading, nextDueMeter,
   } = req.body;
 
   if (!completionDate || !completedBy) {
     return res.status(400).json({ error: 'completionDate and completedBy are required' });
   }
+  for (const [field, value] of Object.entries({ meterReading, nextDueMeter })) {
+    if (value != null && !(Number.isFinite(Number(value)) && Number(value) >= 0)) {
+      return res.status(400).json({ error: `${field} must be a number ≥ 0` });
+    }
+  }
 
-  // Auto-calculate next due date if not provided
-  const computedNextDue = nextDueDate ||
-    new Date(new Date(completionDate).getTime() + sched[0].frequency_days * 86400000)
-      .toISOString().slice(0, 10);
-
-  // Insert log entry
-  const { rows: log } = await query(`
-    INSERT INTO maintenance_logs
-      (schedule_id, completion_date, completed_by, actual_hours, actual_cost, parts_used, work_notes, next_due_date)
-    VALUES ($1,$2,$3,$4,$5,$6,$7,$8)
-    RETURNING *
-  `, [sched[0].id, completionDate, completedBy, actualHours||null,
-      actualCost||null, partsUsed||null, workNotes||null, computedNextDue]);
-
-  // Update schedule
-  const { rows: updated } = await query(`
-    UPDATE maintenance_schedules SET
-      last_done_date = $1,
-      next_due_date  = $2,
-      status         = 'Scheduled'
-    WHERE id = $3
-    RETURNING *
-  `, [completionDate, computedNextDue, sched[0].id]);
-
-  res.json({ schedule: updated[0], log: log[0] });
+  const client = await getClient();
+  try {
+    await client.query('BEGIN');
+    const result = await completeSchedule(client, sched[0].id, {
+      completionDate, completedBy, completedByUserId,
+      actualHours, actualCost, partsUsed, workNotes, nextDueDate, meterReading, nextDueMeter,
+    }, req);
+    await client.query('COMMIT');
+    res.json(result);
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
 }));
 
 // ── GET /api/maintenance/:id/logs ────────────────────────────
 router.get('/:id/logs', asyncHandler(async (req, res) => {
+  const params = [req.params.id];
   const { rows: sched } = await query(
-    'SELECT id FROM maintenance_schedules WHERE id = $1 OR pm_id = $1', [req.params.id]
+    `SELECT id FROM maintenance_schedules ms WHERE (ms.id = $1 OR ms.pm_id = $1) ${andScope(req.user, params, SCHEDULE_SCOPE)}`,
+    params
   );
   if (!sched.length) return res.status(404).json({ error: 'Schedule not found' });
 
@@ -283,16 +435,26 @@ router.get('/:id/logs', asyncHandler(async (req, res) => {
     'SELECT * FROM maintenance_logs WHERE schedule_id = $1 ORDER BY completion_date DESC',
     [sched[0].id]
   );
-  res.json(rows);
+  res.json(await withAttachments('maintenance_log', rows));
 }));
 
 // ── DELETE /api/maintenance/:id ──────────────────────────────
-router.delete('/:id', isAdminOrManager, asyncHandler(async (req, res) => {
+router.delete('/:id', requirePermission('maintenance.delete'), asyncHandler(async (req, res) => {
+  const findParams = [req.params.id];
+  const { rows: existing } = await query(
+    `SELECT * FROM maintenance_schedules ms WHERE (ms.id::text = $1 OR ms.pm_id = $1) ${andScope(req.user, findParams, SCHEDULE_SCOPE)}`,
+    findParams
+  );
+  if (!existing.length) return res.status(404).json({ error: 'Schedule not found' });
+  if (ifMatchFails(req, existing[0])) return preconditionFailed(res, existing[0]);
+
+  const params = [existing[0].id];
   const { rows } = await query(
-    'DELETE FROM maintenance_schedules WHERE id = $1 OR pm_id = $1 RETURNING pm_id, task_name',
-    [req.params.id]
+    `DELETE FROM maintenance_schedules WHERE id = $1 ${unchangedCondition(req, existing[0], params)} RETURNING *`,
+    params
   );
-  if (!rows.length) return res.status(404).json({ error: 'Schedule not found' });
+  if (!rows.length) return preconditionFailed(res);
+  await audit(req, 'maintenance_schedules', 'DELETE', { before: rows[0] });
   res.json({ message: `Schedule ${rows[0].pm_id} deleted` });
 }));
 
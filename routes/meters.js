@@ -0,0 +1,363 @@
+// routes/meters.js
+const express = require('express');
+const { body, query: qv, validationResult } = require('express-validator');
+const { query, getClient } = require('../config/db');
+const { authenticate, requireScope, requirePermission } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { audit } = require('../services/audit');
+const { scopeCondition, andScope } = require('../services/visibility');
+const { METER_UNITS, parseReading, refreshMeter, recordReadings } = require('../services/meters');
+const { METER_JOIN, IS_OPEN, IN_ALERT_WINDOW, LIVE_STATUS } = require('../services/maintenance');
+const {
+  patchSet, withEtag, ifMatchFails, unchangedCondition, preconditionFailed,
+} = require('../services/updates');
+
+const router = express.Router();
+// Meters drive PM schedules, so they share the maintenance API key scope
+router.use(authenticate, requireScope('maintenance'));
+
+// A meter is in scope when its asset is; needs assets joined as `a`
+const ASSET_SCOPE = { rig: 'a.rig_id', company: 'a.company_id' };
+
+// Fields of PUT / PATCH /api/meters/:id (the unit is fixed once created)
+const UPDATABLE = {
+  columns: { name: 'name', notes: 'notes' },
+  required: ['name'],
+};
+
+// Meter by id within the caller's scope
+const findMeter = async (req) => {
+  const params = [req.params.id];
+  const { rows } = await query(`
+    SELECT mt.*, a.asset_id AS asset_code, a.name AS asset_name
+    FROM asset_meters mt
+    JOIN assets a ON a.id = mt.asset_id
+    WHERE mt.id::text = $1 ${andScope(req.user, params, ASSET_SCOPE)}
+  `, params);
+  return rows[0] || null;
+};
+
+// ── GET /api/meters ──────────────────────────────────────────
+// Query params: asset (id or asset_id), unit
+router.get('/', asyncHandler(async (req, res) => {
+  const { asset, unit } = req.query;
+  const params = [];
+  const conditions = ['a.archived_at IS NULL'];
+  if (asset) {
+    params.push(asset);
+    conditions.push(`(a.id::text = $${params.length} OR a.asset_id = $${params.length})`);
+  }
+  if (unit) {
+    params.push(unit);
+    conditions.push(`mt.unit = $${params.length}`);
+  }
+  const scope = scopeCondition(req.user, params, ASSET_SCOPE);
+  if (scope) conditions.push(scope);
+
+  const { rows } = await query(`
+    SELECT mt.*, a.asset_id AS asset_code, a.name AS asset_name,
+      (SELECT COUNT(*) FROM maintenance_schedules ms WHERE ms.meter_id = mt.id) AS schedule_count
+    FROM asset_meters mt
+    JOIN assets a ON a.id = mt.asset_id
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY a.asset_id, mt.name
+  `, params);
+  res.json(rows);
+}));
+
+// ── GET /api/meters/:id ──────────────────────────────────────
+// The meter with the PM schedules it drives
+router.get('/:id', asyncHandler(async (req, res) => {
+  const meter = await findMeter(req);
+  if (!meter) return res.status(404).json({ error: 'Meter not found' });
+  const { rows: schedules } = await query(`
+    SELECT ms.id, ms.pm_id, ms.task_name, ms.meter_interval, ms.meter_alert,
+      ms.last_done_meter, ms.next_due_meter, ms.next_due_date,
+      (ms.next_due_meter - mt.current_reading) AS meter_remaining,
+      ${LIVE_STATUS} AS live_status
+    FROM maintenance_schedules ms
+    ${METER_JOIN}
+    WHERE ms.meter_id = $1
+    ORDER BY ms.next_due_meter
+  `, [meter.id]);
+  withEtag(res, meter).json({ ...meter, schedules });
+}));
+
+// ── POST /api/meters ─────────────────────────────────────────
+// Optional initialReading (+ readAt) records the meter's first reading
+router.post('/',
+  requirePermission('maintenance.write'),
+  [
+    body('assetId').notEmpty(),
+    body('name').trim().notEmpty(),
+    body('unit').isIn(METER_UNITS),
+    body('initialReading').optional({ nullable: true }).isFloat({ min: 0 }),
+    body('readAt').optional({ nullable: true }).isISO8601(),
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const { assetId, name, unit, notes, initialReading, readAt } = req.body;
+    const assetParams = [assetId];
+    const { rows: asset } = await query(
+      `SELECT id, archived_at FROM assets a WHERE (a.id::text = $1 OR a.asset_id = $1) ${andScope(req.user, assetParams, ASSET_SCOPE)}`,
+      assetParams
+    );
+    if (!asset.length) return res.status(404).json({ error: 'Asset not found' });
+    if (asset[0].archived_at) return res.status(409).json({ error: 'Asset is archived – restore it first' });
+
+    let first = null;
+    if (initialReading != null) {
+      first = parseReading({ reading: initialReading, readAt });
+      if (first.error) return res.status(400).json({ error: first.error });
+    }
+
+    const client = await getClient();
+    let meter;
+    try {
+      await client.query('BEGIN');
+      const { rows } = await client.query(`
+        INSERT INTO asset_meters (asset_id, name, unit, notes, created_by)
+        VALUES ($1, $2, $3, $4, $5)
+        RETURNING *
+      `, [asset[0].id, name, unit, notes || null, req.user.id]);
+      meter = rows[0];
+      await audit(req, 'asset_meters', 'INSERT', { after: meter }, client);
+      if (first) {
+        ({ meters: [meter] } = await recordReadings(client,
+          [{ index: 0, meterId: meter.id, reading: first.reading, readAt: first.readAt }],
+          { source: req.apiKey ? 'api' : 'manual', ctx: req }));
+      }
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+    withEtag(res, meter).status(201).json(meter);
+  })
+);
+
+// ── PUT|PATCH /api/meters/:id ────────────────────────────────
+const updateMeter = asyncHandler(async (req, res) => {
+  const old = await findMeter(req);
+  if (!old) return res.status(404).json({ error: 'Meter not found' });
+  if (ifMatchFails(req, old)) return preconditionFailed(res, old);
+  if (req.body.unit !== undefined && req.body.unit !== old.unit) {
+    return res.status(400).json({ error: 'unit cannot be changed – add a new meter instead' });
+  }
+
+  const params = [];
+  const { sets, error } = patchSet(req, UPDATABLE, params);
+  if (error) return res.status(400).json({ error });
+  if (!sets.length) return withEtag(res, old).json(old);
+
+  params.push(old.id);
+  const { rows } = await query(`
+    UPDATE asset_meters SET ${sets.join(', ')}
+    WHERE id = $${params.length} ${unchangedCondition(req, old, params)}
+    RETURNING *
+  `, params);
+  if (!rows.length) return preconditionFailed(res);
+
+  await audit(req, 'asset_meters', 'UPDATE', { before: old, after: rows[0] });
+  withEtag(res, rows[0]).json(rows[0]);
+});
+router.put('/:id', requirePermission('maintenance.write'), updateMeter);
+router.patch('/:id', requirePermission('maintenance.write'), updateMeter);
+
+// ── DELETE /api/meters/:id ───────────────────────────────────
+// Removes the meter and its readings; refused while PM schedules use it
+router.delete('/:id', requirePermission('maintenance.delete'), asyncHandler(async (req, res) => {
+  const meter = await findMeter(req);
+  if (!meter) return res.status(404).json({ error: 'Meter not found' });
+  if (ifMatchFails(req, meter)) return preconditionFailed(res, meter);
+
+  const { rows: schedules } = await query(
+    'SELECT pm_id FROM maintenance_schedules WHERE meter_id = $1 ORDER BY pm_id', [meter.id]
+  );
+  if (schedules.length) {
+    return res.status(409).json({
+      error: 'PM schedules still use this meter – move them to another trigger first',
+      schedules: schedules.map(s => s.pm_id),
+    });
+  }
+  await query('DELETE FROM asset_meters WHERE id = $1', [meter.id]);
+  await audit(req, 'asset_meters', 'DELETE', { before: meter });
+  res.json({ message: `Meter ${meter.name} removed from ${meter.asset_code}` });
+}));
+
+// ── GET /api/meters/:id/readings ─────────────────────────────
+// Query params: from, to (date-times), limit (default 100); newest first
+router.get('/:id/readings',
+  [
+    qv('from').optional().isISO8601(),
+    qv('to').optional().isISO8601(),
+    qv('limit').optional().isInt({ min: 1, max: 1000 }).toInt(),
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    const meter = await findMeter(req);
+    if (!meter) return res.status(404).json({ error: 'Meter not found' });
+
+    const { from, to, limit = 100 } = req.query;
+    const params = [meter.id];
+    const conditions = ['mr.meter_id = $1'];
+    if (from) {
+      params.push(from);
+      conditions.push(`mr.read_at >= $${params.length}`);
+    }
+    if (to) {
+      params.push(to);
+      conditions.push(`mr.read_at <= $${params.length}`);
+    }
+    params.push(limit);
+    const { rows } = await query(`
+      SELECT mr.*, u.full_name AS recorded_by_name
+      FROM meter_readings mr
+      LEFT JOIN users u ON u.id = mr.recorded_by
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY mr.read_at DESC
+      LIMIT $${params.length}
+    `, params);
+    res.json({ meter, readings: rows });
+  })
+);
+
+// Readings of a request body: one reading, or { readings: [...] }
+const submittedReadings = (req) =>
+  (Array.isArray(req.body?.readings) ? req.body.readings : [req.body || {}]);
+
+// Validate, resolve and record submitted readings; `meter` fixes the meter for all of
+// them, otherwise each names its meter by meterId or by assetId + meter (its name)
+const submitReadings = async (req, res, meter = null) => {
+  const submitted = submittedReadings(req);
+  const maxBatch = parseInt(process.env.METER_READINGS_MAX_BATCH || '1000');
+  if (!submitted.length) return res.status(400).json({ error: 'No readings given' });
+  if (submitted.length > maxBatch) {
+    return res.status(413).json({ error: `At most ${maxBatch} readings can be sent at once` });
+  }
+
+  // Meters the submission refers to, within the caller's scope
+  let known = meter ? [meter] : [];
+  if (!meter) {
+    const ids = [...new Set(submitted.map(r => r?.meterId).filter(Boolean).map(String))];
+    const assets = [...new Set(submitted.map(r => r?.assetId).filter(Boolean).map(String))];
+    const params = [ids, assets];
+    ({ rows: known } = await query(`
+      SELECT mt.*, a.asset_id AS asset_code
+      FROM asset_meters mt
+      JOIN assets a ON a.id = mt.asset_id
+      WHERE (mt.id::text = ANY($1) OR a.id::text = ANY($2) OR a.asset_id = ANY($2))
+        ${andScope(req.user, params, ASSET_SCOPE)}
+    `, params));
+  }
+  const meterOf = (r) => {
+    if (meter) return meter;
+    if (r.meterId) return known.find(m => m.id === String(r.meterId));
+    const name = String(r.meter || '').trim().toLowerCase();
+    return known.find(m => (m.asset_id === String(r.assetId) || m.asset_code === String(r.assetId)) &&
+      m.name.toLowerCase() === name);
+  };
+
+  const errors = [];
+  const items = [];
+  submitted.forEach((r, index) => {
+    if (!r || typeof r !== 'object') return errors.push({ index, field: 'reading', message: 'Each reading must be an object' });
+    const target = meterOf(r);
+    if (!target) {
+      return errors.push({ index, field: 'meterId', message: 'Unknown meter – give meterId, or assetId and meter (its name)' });
+    }
+    const parsed = parseReading(r);
+    if (parsed.error) return errors.push({ index, field: parsed.error.split(' ')[0], message: parsed.error });
+    items.push({ index, meterId: target.id, reading: parsed.reading, readAt: parsed.readAt });
+  });
+  if (errors.length) {
+    return res.status(422).json({ error: 'No readings were recorded – fix the listed ones and retry', errors });
+  }
+
+  const client = await getClient();
+  let result;
+  try {
+    await client.query('BEGIN');
+    result = await recordReadings(client, items, { source: req.apiKey ? 'api' : 'manual', ctx: req });
+    await client.query(result.errors ? 'ROLLBACK' : 'COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+  if (result.errors) {
+    return res.status(422).json({ error: 'No readings were recorded – fix the listed ones and retry', errors: result.errors });
+  }
+
+  // Open schedules these readings brought into (or kept in) their alert window
+  const { rows: due } = await query(`
+    SELECT ms.id, ms.pm_id, ms.task_name, ms.next_due_meter, ms.next_due_date,
+      mt.name AS meter_name, mt.current_reading AS meter_reading,
+      ${LIVE_STATUS} AS live_status
+    FROM maintenance_schedules ms
+    ${METER_JOIN}
+    WHERE ms.meter_id = ANY($1::uuid[]) AND ${IS_OPEN} AND ${IN_ALERT_WINDOW}
+    ORDER BY ms.next_due_meter - mt.current_reading
+  `, [result.meters.map(m => m.id)]);
+
+  res.status(201).json({
+    recorded: result.recorded,
+    skipped: result.skipped,
+    meters: result.meters.map(({ id, name, unit, current_reading, last_read_at }) =>
+      ({ id, name, unit, current_reading, last_read_at })),
+    dueSchedules: due,
+  });
+};
+
+// ── POST /api/meters/readings ────────────────────────────────
+// One reading { meterId | assetId + meter, reading, readAt } or { readings: [...] }
+// across any number of meters; all or nothing
+router.post('/readings', requirePermission('maintenance.write'), asyncHandler(async (req, res) => {
+  await submitReadings(req, res);
+}));
+
+// ── POST /api/meters/:id/readings ────────────────────────────
+// { reading, readAt } or { readings: [{ reading, readAt }, …] } for this meter
+router.post('/:id/readings', requirePermission('maintenance.write'), asyncHandler(async (req, res) => {
+  const meter = await findMeter(req);
+  if (!meter) return res.status(404).json({ error: 'Meter not found' });
+  await submitReadings(req, res, meter);
+}));
+
+// ── DELETE /api/meters/:id/readings/:readingId ───────────────
+// Removes a wrong reading; the meter falls back to the latest remaining one
+router.delete('/:id/readings/:readingId', requirePermission('maintenance.delete'), asyncHandler(async (req, res) => {
+  const meter = await findMeter(req);
+  if (!meter) return res.status(404).json({ error: 'Meter not found' });
+
+  const client = await getClient();
+  let reading;
+  let after;
+  try {
+    await client.query('BEGIN');
+    await client.query('SELECT id FROM asset_meters WHERE id = $1 FOR UPDATE', [meter.id]);
+    ({ rows: [reading] } = await client.query(
+      'DELETE FROM meter_readings WHERE id::text = $1 AND meter_id = $2 RETURNING *', [req.params.readingId, meter.id]
+    ));
+    if (reading) {
+      after = await refreshMeter(client, meter.id);
+      await audit(req, 'meter_readings', 'DELETE', { before: reading }, client);
+    }
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+  if (!reading) return res.status(404).json({ error: 'Reading not found' });
+  res.json({ message: 'Reading removed', meter: after });
+}));
+
+module.exports = router;
@@ -1,11 +1,11 @@
 // routes/notifications.js
 const express = require('express');
 const { query } = require('../config/db');
-const { authenticate } = require('../middleware/auth');
+const { authenticate, noApiKey } = require('../middleware/auth');
 const { asyncHandler } = require('../middleware/errorHandler');
 
 const router = express.Router();
-router.use(authenticate);
+router.use(authenticate, noApiKey);
 
 // ── GET /api/notifications ───────────────────────────────────
 // Returns notifications for current user + broadcast (user_id IS NULL)
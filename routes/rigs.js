@@ -1,68 +1,147 @@
 // routes/rigs.js
 const express = require('express');
 const { query } = require('../config/db');
-const { authenticate, canWrite, isAdminOrManager } = require('../middleware/auth');
+const { authenticate, requireScope, requirePermission } = require('../middleware/auth');
 const { asyncHandler } = require('../middleware/errorHandler');
+const { audit } = require('../services/audit');
+const { scopeCondition, andScope, inScope } = require('../services/visibility');
+const { archivedCondition, archive, restore, purgePreview, purge } = require('../services/archive');
+const { METER_JOIN, IS_OPEN, IS_OVERDUE } = require('../services/maintenance');
+const {
+  patchSet, withEtag, ifMatchFails, unchangedCondition, preconditionFailed,
+} = require('../services/updates');
 const router = express.Router();
-router.use(authenticate);
+router.use(authenticate, requireScope('rigs'));
 
+const RIG_SCOPE = { rig: 'r.id' };
+
+// Rig by id or rig_id within the caller's scope, archived or not
+const findRig = async (req) => {
+  const params = [req.params.id];
+  const { rows } = await query(
+    `SELECT * FROM rigs r WHERE (r.id::text = $1 OR r.rig_id = $1) ${andScope(req.user, params, RIG_SCOPE)}`, params
+  );
+  return rows[0] || null;
+};
+
+// Fields of PUT / PATCH /api/rigs/:id
+const UPDATABLE = {
+  columns: {
+    name: 'name', type: 'type', companyId: 'company_id', location: 'location',
+    depthCapacity: 'depth_capacity', horsepower: 'horsepower', status: 'status', notes: 'notes',
+  },
+  required: ['name', 'type', 'status'],
+};
+
+// includeArchived=true also lists archived rigs
 router.get('/', asyncHandler(async (req, res) => {
+  const params = [];
+  const conditions = [scopeCondition(req.user, params, RIG_SCOPE), archivedCondition(req, 'r')].filter(Boolean);
   const { rows } = await query(`
     SELECT r.*,
       c.name AS company_name,
       COUNT(DISTINCT a.id)  AS asset_count,
       COUNT(DISTINCT ms.id) AS pm_count,
-      COUNT(ms.id) FILTER (WHERE ms.next_due_date < CURRENT_DATE AND ms.status NOT IN ('Completed','Cancelled')) AS overdue_pm
+      COUNT(ms.id) FILTER (WHERE ${IS_OPEN} AND ${IS_OVERDUE}) AS overdue_pm
     FROM rigs r
     LEFT JOIN companies c ON c.id = r.company_id
-    LEFT JOIN assets a ON a.rig_id = r.id
+    LEFT JOIN assets a ON a.rig_id = r.id AND a.archived_at IS NULL
     LEFT JOIN maintenance_schedules ms ON ms.asset_id = a.id
+    ${METER_JOIN}
+    ${conditions.length ? 'WHERE ' + conditions.join(' AND ') : ''}
     GROUP BY r.id, c.name
     ORDER BY r.rig_id
-  `);
+  `, params);
   res.json(rows);
 }));
 
 router.get('/:id', asyncHandler(async (req, res) => {
+  const params = [req.params.id];
   const { rows } = await query(
     `SELECT r.*, c.name AS company_name FROM rigs r
      LEFT JOIN companies c ON c.id = r.company_id
-     WHERE r.id = $1 OR r.rig_id = $1 OR r.name = $1`, [req.params.id]
+     WHERE (r.id = $1 OR r.rig_id = $1 OR r.name = $1) ${andScope(req.user, params, RIG_SCOPE)}`, params
   );
   if (!rows.length) return res.status(404).json({ error: 'Rig not found' });
-  res.json(rows[0]);
+
+  const { rows: certificates } = await query(
+    'SELECT * FROM v_certificates WHERE rig_id = $1 ORDER BY expiry_date ASC NULLS LAST',
+    [rows[0].id]
+  );
+  withEtag(res, rows[0]).json({ ...rows[0], certificates });
 }));
 
-router.post('/', canWrite, asyncHandler(async (req, res) => {
+router.post('/', requirePermission('rigs.write'), asyncHandler(async (req, res) => {
   const { rigId, name, type, companyId, location, depthCapacity, horsepower, status, notes } = req.body;
+  // A scoped user can only add rigs for a company they are assigned to
+  if (!inScope(req.user, { companyId })) {
+    return res.status(403).json({ error: 'Company is outside your assigned scope' });
+  }
   const { rows } = await query(
     `INSERT INTO rigs (rig_id,name,type,company_id,location,depth_capacity,horsepower,status,notes)
      VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9) RETURNING *`,
     [rigId,name,type,companyId||null,location||null,depthCapacity||null,horsepower||null,status||'Active',notes||null]
   );
-  res.status(201).json(rows[0]);
+  await audit(req, 'rigs', 'INSERT', { after: rows[0] });
+  withEtag(res, rows[0]).status(201).json(rows[0]);
 }));
 
-router.put('/:id', canWrite, asyncHandler(async (req, res) => {
-  const { name, type, companyId, location, depthCapacity, horsepower, status, notes } = req.body;
+// PATCH clears a field sent as null; PUT ignores nulls. If-Match → 412 when stale.
+const updateRig = asyncHandler(async (req, res) => {
+  const old = await findRig(req);
+  if (!old) return res.status(404).json({ error: 'Rig not found' });
+  if (old.archived_at) return res.status(409).json({ error: 'Rig is archived – restore it first' });
+  if (ifMatchFails(req, old)) return preconditionFailed(res, old);
+
+  const params = [];
+  const { sets, error } = patchSet(req, UPDATABLE, params);
+  if (error) return res.status(400).json({ error });
+  if (!sets.length) return withEtag(res, old).json(old);
+
+  params.push(old.id);
   const { rows } = await query(
-    `UPDATE rigs SET
-       name=COALESCE($1,name), type=COALESCE($2,type), company_id=COALESCE($3,company_id),
-       location=COALESCE($4,location), depth_capacity=COALESCE($5,depth_capacity),
-       horsepower=COALESCE($6,horsepower), status=COALESCE($7,status), notes=COALESCE($8,notes)
-     WHERE id=$9 OR rig_id=$9 RETURNING *`,
-    [name,type,companyId,location,depthCapacity,horsepower,status,notes,req.params.id]
+    `UPDATE rigs SET ${sets.join(', ')}
+     WHERE id=$${params.length} ${unchangedCondition(req, old, params)} RETURNING *`,
+    params
   );
-  if (!rows.length) return res.status(404).json({ error: 'Rig not found' });
-  res.json(rows[0]);
+  if (!rows.length) return preconditionFailed(res);
+  await audit(req, 'rigs', 'UPDATE', { before: old, after: rows[0] });
+  withEtag(res, rows[0]).json(rows[0]);
+});
+router.put('/:id', requirePermission('rigs.write'), updateRig);
+router.patch('/:id', requirePermission('rigs.write'), updateRig);
+
+// Archives the rig: hidden from lists, everything that references it kept
+router.delete('/:id', requirePermission('rigs.delete'), asyncHandler(async (req, res) => {
+  const rig = await findRig(req);
+  if (!rig) return res.status(404).json({ error: 'Rig not found' });
+  if (rig.archived_at) return res.status(409).json({ error: `Rig ${rig.rig_id} is already archived` });
+  if (ifMatchFails(req, rig)) return preconditionFailed(res, rig);
+  await archive(req, 'rigs', rig);
+  res.json({ message: `Rig ${rig.rig_id} archived` });
 }));
 
-router.delete('/:id', isAdminOrManager, asyncHandler(async (req, res) => {
-  const { rows } = await query(
-    `DELETE FROM rigs WHERE id=$1 OR rig_id=$1 RETURNING rig_id,name`, [req.params.id]
-  );
-  if (!rows.length) return res.status(404).json({ error: 'Rig not found' });
-  res.json({ message: `Rig ${rows[0].rig_id} deleted` });
+router.post('/:id/restore', requirePermission('rigs.delete'), asyncHandler(async (req, res) => {
+  const rig = await findRig(req);
+  if (!rig) return res.status(404).json({ error: 'Rig not found' });
+  if (!rig.archived_at) return res.status(409).json({ error: `Rig ${rig.rig_id} is not archived` });
+  res.json(await restore(req, 'rigs', rig));
+}));
+
+// Preview of what a purge would delete or detach
+router.get('/:id/purge', requirePermission('records.purge'), asyncHandler(async (req, res) => {
+  const rig = await findRig(req);
+  if (!rig) return res.status(404).json({ error: 'Rig not found' });
+  res.json({ id: rig.id, archived: Boolean(rig.archived_at), ...await purgePreview('rigs', rig.id) });
+}));
+
+// Permanent delete of an archived rig; its certificates and site assignments go too, assets and contracts are detached
+router.delete('/:id/purge', requirePermission('records.purge'), asyncHandler(async (req, res) => {
+  const rig = await findRig(req);
+  if (!rig) return res.status(404).json({ error: 'Rig not found' });
+  if (!rig.archived_at) return res.status(409).json({ error: 'Archive the rig before purging it' });
+  const purged = await purge(req, 'rigs', rig);
+  res.json({ message: `Rig ${rig.rig_id} permanently deleted`, ...purged });
 }));
 
 module.exports = router;
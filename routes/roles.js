@@ -0,0 +1,161 @@
+// routes/roles.js
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { query, getClient } = require('../config/db');
+const { authenticate, noApiKey, requirePermission } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { audit } = require('../services/audit');
+
+const router = express.Router();
+router.use(authenticate, noApiKey, requirePermission('roles.manage'));
+
+const SELECT_ROLE = `
+  SELECT r.*,
+         ARRAY(SELECT rp.permission FROM role_permissions rp
+               WHERE rp.role_id = r.id ORDER BY rp.permission) AS permissions,
+         (SELECT COUNT(*)::int FROM users u WHERE u.role = r.name) AS user_count
+  FROM roles r
+`;
+
+const findRole = async (db, idOrName) => {
+  const { rows } = await db.query(`${SELECT_ROLE} WHERE r.id::text = $1 OR r.name = $1`, [idOrName]);
+  return rows[0] || null;
+};
+
+const permissionsValidator = body('permissions').optional().isArray()
+  .custom(async (permissions) => {
+    const { rows } = await query('SELECT name FROM permissions WHERE name = ANY($1)', [permissions]);
+    const known = rows.map(r => r.name);
+    const unknown = permissions.filter(p => !known.includes(p));
+    if (unknown.length) throw new Error(`Unknown permission(s): ${unknown.join(', ')}`);
+    return true;
+  });
+
+const setPermissions = async (db, roleId, permissions) => {
+  await db.query('DELETE FROM role_permissions WHERE role_id = $1', [roleId]);
+  await db.query(`
+    INSERT INTO role_permissions (role_id, permission)
+    SELECT $1, p FROM UNNEST($2::text[]) AS p
+    ON CONFLICT DO NOTHING
+  `, [roleId, permissions]);
+};
+
+// ── GET /api/roles ───────────────────────────────────────────
+router.get('/', asyncHandler(async (req, res) => {
+  const { rows } = await query(`${SELECT_ROLE} ORDER BY r.is_system DESC, r.name`);
+  res.json(rows);
+}));
+
+// ── GET /api/roles/permissions ───────────────────────────────
+router.get('/permissions', asyncHandler(async (req, res) => {
+  const { rows } = await query('SELECT * FROM permissions ORDER BY name');
+  res.json(rows);
+}));
+
+// ── GET /api/roles/:id ───────────────────────────────────────
+router.get('/:id', asyncHandler(async (req, res) => {
+  const role = await findRole({ query }, req.params.id);
+  if (!role) return res.status(404).json({ error: 'Role not found' });
+  res.json(role);
+}));
+
+// ── POST /api/roles ──────────────────────────────────────────
+router.post('/',
+  [
+    body('name').trim().notEmpty().withMessage('name required').isLength({ max: 60 }),
+    body('description').optional({ nullable: true }).trim(),
+    permissionsValidator,
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const { name, description, permissions = [] } = req.body;
+    const client = await getClient();
+    try {
+      await client.query('BEGIN');
+      const { rows } = await client.query(
+        'INSERT INTO roles (name, description) VALUES ($1, $2) RETURNING id',
+        [name, description || null]
+      );
+      await setPermissions(client, rows[0].id, permissions);
+      const role = await findRole(client, rows[0].id);
+      await audit(req, 'roles', 'INSERT', { after: role }, client);
+      await client.query('COMMIT');
+      res.status(201).json(role);
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+  })
+);
+
+// ── PUT /api/roles/:id ───────────────────────────────────────
+// permissions, when given, replaces the role's whole permission set
+router.put('/:id',
+  [
+    body('name').optional().trim().notEmpty().isLength({ max: 60 }),
+    body('description').optional({ nullable: true }).trim(),
+    permissionsValidator,
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const existing = await findRole({ query }, req.params.id);
+    if (!existing) return res.status(404).json({ error: 'Role not found' });
+
+    const { name, description, permissions } = req.body;
+    if (existing.is_system && name && name !== existing.name) {
+      return res.status(409).json({ error: `Default role ${existing.name} cannot be renamed` });
+    }
+    // Admin keeps every permission so nobody can lock the system out of role management
+    if (existing.name === 'Admin' && permissions) {
+      return res.status(409).json({ error: 'The Admin role always holds every permission' });
+    }
+
+    const client = await getClient();
+    try {
+      await client.query('BEGIN');
+      // users.role / user_invitations.role follow a rename through ON UPDATE CASCADE
+      await client.query(`
+        UPDATE roles SET
+          name        = COALESCE($1, name),
+          description = COALESCE($2, description)
+        WHERE id = $3
+      `, [name, description, existing.id]);
+      if (permissions) await setPermissions(client, existing.id, permissions);
+      const role = await findRole(client, existing.id);
+      await audit(req, 'roles', 'UPDATE', { before: existing, after: role }, client);
+      await client.query('COMMIT');
+      res.json(role);
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+  })
+);
+
+// ── DELETE /api/roles/:id ────────────────────────────────────
+router.delete('/:id', asyncHandler(async (req, res) => {
+  const existing = await findRole({ query }, req.params.id);
+  if (!existing) return res.status(404).json({ error: 'Role not found' });
+  if (existing.is_system) {
+    return res.status(409).json({ error: `Default role ${existing.name} cannot be deleted` });
+  }
+  if (existing.user_count > 0) {
+    return res.status(409).json({ error: `${existing.user_count} user(s) still have the ${existing.name} role` });
+  }
+
+  // Invitations for the role reference it by name and go with it
+  await query('DELETE FROM user_invitations WHERE role = $1', [existing.name]);
+  await query('DELETE FROM roles WHERE id = $1', [existing.id]);
+  await audit(req, 'roles', 'DELETE', { before: existing });
+  res.json({ message: `Role ${existing.name} deleted` });
+}));
+
+module.exports = router;
@@ -0,0 +1,34 @@
+// routes/search.js
+const express = require('express');
+const { query: qv, validationResult } = require('express-validator');
+const { authenticate } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { SEARCH_TYPES, search } = require('../services/search');
+
+const router = express.Router();
+// API keys only get hits for the resources their scopes can read (services/search.js)
+router.use(authenticate);
+
+// ── GET /api/search ──────────────────────────────────────────
+// Query params: q, types (comma-separated, default all), limit (hits per type)
+router.get('/',
+  [
+    qv('q').trim().isLength({ min: 2, max: 200 }).withMessage('q must be 2–200 characters'),
+    qv('types').optional()
+      .customSanitizer(v => String(v).split(',').map(t => t.trim()).filter(Boolean))
+      .custom(types => types.length && types.every(t => SEARCH_TYPES.includes(t)))
+      .withMessage(`types must be a comma-separated list of: ${SEARCH_TYPES.join(', ')}`),
+    qv('limit').optional().isInt({ min: 1, max: 50 }).toInt(),
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const { q, types, limit } = req.query;
+    const result = await search(req, q, { types, limit });
+    if (!result) return res.status(400).json({ error: 'q must contain letters or digits' });
+    res.json(result);
+  })
+);
+
+module.exports = router;
@@ -2,15 +2,68 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const { query, getClient } = require('../config/db');
-const { authenticate, canWrite, isAdminOrManager, isAdminOrOps, authorize } = require('../middleware/auth');
+const { authenticate, requireScope, requirePermission } = require('../middleware/auth');
 const { asyncHandler } = require('../middleware/errorHandler');
+const { audit } = require('../services/audit');
+const { scopeCondition, andScope } = require('../services/visibility');
+const { exportOptions, sendExport } = require('../services/export');
+const { listOptions, cursorColumn, listPage, listAll } = require('../services/listing');
+const { listAttachments } = require('../services/attachments');
+const { archivedCondition } = require('../services/archive');
 
 const router = express.Router();
-router.use(authenticate);
+router.use(authenticate, requireScope('transfers'));
+
+// Visible from both ends: the asset's current rig/company and the destination
+const TRANSFER_SCOPE = { asset: 't.asset_id', rig: 't.dest_rig_id', company: 't.dest_company_id' };
+
+// Columns of the CSV / XLSX export of GET /api/transfers
+const EXPORT_COLUMNS = [
+  { key: 'transfer_id',       header: 'Transfer ID' },
+  { key: 'asset_code',        header: 'Asset ID' },
+  { key: 'asset_name',        header: 'Asset' },
+  { key: 'rig_name',          header: 'Current Rig' },
+  { key: 'current_location',  header: 'Current Location' },
+  { key: 'destination',       header: 'Destination' },
+  { key: 'dest_rig_name',     header: 'Destination Rig' },
+  { key: 'dest_company_name', header: 'Destination Company' },
+  { key: 'transfer_type',     header: 'Type' },
+  { key: 'priority',          header: 'Priority' },
+  { key: 'status',            header: 'Status' },
+  { key: 'request_date',      header: 'Requested', type: 'date' },
+  { key: 'required_date',     header: 'Required By', type: 'date' },
+  { key: 'requested_by_name', header: 'Requested By' },
+  { key: 'ops_action',        header: 'Operations Decision' },
+  { key: 'ops_approver_name', header: 'Operations Approver' },
+  { key: 'ops_date',          header: 'Operations Date', type: 'date' },
+  { key: 'mgr_action',        header: 'Manager Decision' },
+  { key: 'mgr_approver_name', header: 'Manager Approver' },
+  { key: 'mgr_date',          header: 'Manager Date', type: 'date' },
+  { key: 'reason',            header: 'Reason' },
+];
+
+// Sorts of GET /api/transfers
+const SORTS = {
+  request_date:  [{ expr: 't.request_date', type: 'date', notNull: true },
+                  { expr: 't.transfer_id', type: 'text', notNull: true }],
+  required_date: [{ expr: 't.required_date', type: 'date' }],
+  transfer_id:   [{ expr: 't.transfer_id', type: 'text', notNull: true }],
+  status:        [{ expr: 't.status', type: 'text', notNull: true }],
+  priority:      [{ expr: 't.priority', type: 'text', notNull: true }],
+  asset:         [{ expr: 'a.asset_id', type: 'text' }],
+  updated_at:    [{ expr: 't.updated_at', type: 'timestamptz', notNull: true }],
+};
 
 // ── GET /api/transfers ───────────────────────────────────────
+// Query: status, priority, asset, search, includeArchived (transfers of archived assets),
+// and the list params sort, order, limit, cursor, total (services/listing.js)
+// format=csv|xlsx (or Accept) downloads every matching transfer; columns picks the columns
 router.get('/', asyncHandler(async (req, res) => {
-  const { status, priority, asset, search, page = 1, limit = 50 } = req.query;
+  const { status, priority, asset, search } = req.query;
+  const listing = listOptions(req, SORTS, { sort: 'request_date', order: 'desc', tiebreak: 't.id' });
+  if (listing.error) return res.status(400).json({ error: listing.error });
+  const exporting = exportOptions(req, EXPORT_COLUMNS);
+  if (exporting?.error) return res.status(400).json({ error: exporting.error });
   const params = [];
   const conditions = [];
 
@@ -21,12 +74,12 @@ router.get('/', asyncHandler(async (req, res) => {
     params.push(`%${search.toLowerCase()}%`);
     conditions.push(`(LOWER(t.transfer_id) LIKE $${params.length} OR LOWER(a.name) LIKE $${params.length} OR LOWER(t.destination) LIKE $${params.length})`);
   }
+  const scope = scopeCondition(req.user, params, TRANSFER_SCOPE);
+  if (scope) conditions.push(scope);
+  const live = archivedCondition(req, 'a');
+  if (live) conditions.push(live);
 
-  const where = conditions.length ? 'WHERE ' + conditions.join(' AND ') : '';
-  const offset = (parseInt(page) - 1) * parseInt(limit);
-  params.push(parseInt(limit), offset);
-
-  const { rows } = await query(`
+  const sql = (where) => `
     SELECT
       t.*,
       a.name        AS asset_name,
@@ -36,7 +89,8 @@ router.get('/', asyncHandler(async (req, res) => {
       dc.name       AS dest_company_name,
       u.full_name   AS requested_by_name,
       ou.full_name  AS ops_approver_name,
-      mu.full_name  AS mgr_approver_name
+      mu.full_name  AS mgr_approver_name,
+      ${cursorColumn(listing)}
     FROM transfers t
     LEFT JOIN assets    a  ON a.id  = t.asset_id
     LEFT JOIN rigs      r  ON r.id  = a.rig_id
@@ -46,15 +100,15 @@ router.get('/', asyncHandler(async (req, res) => {
     LEFT JOIN users     ou ON ou.id = t.ops_approved_by
     LEFT JOIN users     mu ON mu.id = t.mgr_approved_by
     ${where}
-    ORDER BY t.request_date DESC, t.transfer_id DESC
-    LIMIT $${params.length - 1} OFFSET $${params.length}
-  `, params);
+  `;
+  if (exporting) return sendExport(res, exporting, 'transfers', await listAll(listing, sql, conditions, params));
 
-  res.json({ data: rows, total: rows.length });
+  res.json(await listPage(listing, sql, conditions, params));
 }));
 
 // ── GET /api/transfers/:id ───────────────────────────────────
 router.get('/:id', asyncHandler(async (req, res) => {
+  const params = [req.params.id];
   const { rows } = await query(`
     SELECT t.*, a.name AS asset_name, a.asset_id AS asset_code,
       r.name AS rig_name, dr.name AS dest_rig_name, dc.name AS dest_company_name,
@@ -68,15 +122,15 @@ router.get('/:id', asyncHandler(async (req, res) => {
     LEFT JOIN users     u  ON u.id  = t.requested_by
     LEFT JOIN users     ou ON ou.id = t.ops_approved_by
     LEFT JOIN users     mu ON mu.id = t.mgr_approved_by
-    WHERE t.id = $1 OR t.transfer_id = $1
-  `, [req.params.id]);
+    WHERE (t.id = $1 OR t.transfer_id = $1) ${andScope(req.user, params, TRANSFER_SCOPE)}
+  `, params);
   if (!rows.length) return res.status(404).json({ error: 'Transfer not found' });
-  res.json(rows[0]);
+  res.json({ ...rows[0], attachments: await listAttachments('transfer', [rows[0].id]) });
 }));
 
 // ── POST /api/transfers ──────────────────────────────────────
 router.post('/',
-  canWrite,
+  requirePermission('transfers.write'),
   [
     body('transferId').trim().notEmpty(),
     body('assetId').notEmpty().withMessage('Asset is required'),
@@ -95,8 +149,11 @@ router.post('/',
     } = req.body;
 
     // Resolve asset
+    const assetParams = [assetId];
     const { rows: assetRows } = await query(
-      'SELECT id, location FROM assets WHERE id = $1 OR asset_id = $1', [assetId]
+      `SELECT id, location FROM assets a
+       WHERE (a.id = $1 OR a.asset_id = $1) ${andScope(req.user, assetParams, { rig: 'a.rig_id', company: 'a.company_id' })}`,
+      assetParams
     );
     if (!assetRows.length) return res.status(404).json({ error: 'Asset not found' });
 
@@ -112,12 +169,17 @@ router.post('/',
         requestDate || new Date().toISOString().slice(0,10),
         requiredDate||null]);
 
-    // Notify ops managers
+    await audit(req, 'transfers', 'INSERT', { after: rows[0] });
+
+    // Notify stage 1 approvers
     await query(`
       INSERT INTO notifications (user_id, type, icon, title, description, entity_type, entity_id)
-      SELECT id, 'info', 'exchange-alt', 'New Transfer Request',
+      SELECT u.id, 'info', 'exchange-alt', 'New Transfer Request',
         $1, 'transfer', $2
-      FROM users WHERE role = 'Operations Manager'
+      FROM users u
+      JOIN roles r            ON r.name = u.role
+      JOIN role_permissions rp ON rp.role_id = r.id AND rp.permission = 'transfers.approve_ops'
+      WHERE u.status = 'Active'
     `, [`Transfer request ${transferId} submitted for your review`, rows[0].id]);
 
     res.status(201).json(rows[0]);
@@ -125,9 +187,9 @@ router.post('/',
 );
 
 // ── POST /api/transfers/:id/approve-ops ──────────────────────
-// Stage 1: Operations Manager approval
+// Stage 1: operations approval (transfers.approve_ops)
 router.post('/:id/approve-ops',
-  authorize('Admin', 'Operations Manager'),
+  requirePermission('transfers.approve_ops'),
   asyncHandler(async (req, res) => {
     const { action, comment } = req.body;
     if (!['approve','reject','hold'].includes(action)) {
@@ -137,8 +199,10 @@ router.post('/:id/approve-ops',
       return res.status(400).json({ error: 'Decision comment is required' });
     }
 
+    const params = [req.params.id];
     const { rows: tr } = await query(
-      'SELECT * FROM transfers WHERE id = $1 OR transfer_id = $1', [req.params.id]
+      `SELECT * FROM transfers t WHERE (t.id = $1 OR t.transfer_id = $1) ${andScope(req.user, params, TRANSFER_SCOPE)}`,
+      params
     );
     if (!tr.length) return res.status(404).json({ error: 'Transfer not found' });
     if (tr[0].status !== 'Pending') {
@@ -155,14 +219,19 @@ router.post('/:id/approve-ops',
       RETURNING *
     `, [req.user.id, action, comment, newStatus, tr[0].id]);
 
-    // Notify Asset Managers if approved
+    await audit(req, 'transfers', 'UPDATE', { before: tr[0], after: rows[0] });
+
+    // Notify final approvers if approved
     if (action === 'approve') {
       await query(`
         INSERT INTO notifications (user_id, type, icon, title, description, entity_type, entity_id)
-        SELECT id, 'info', 'user-tie',
+        SELECT u.id, 'info', 'user-tie',
           'Transfer Awaiting Final Approval',
           $1, 'transfer', $2
-        FROM users WHERE role IN ('Admin','Asset Manager')
+        FROM users u
+        JOIN roles r            ON r.name = u.role
+        JOIN role_permissions rp ON rp.role_id = r.id AND rp.permission = 'transfers.approve_final'
+        WHERE u.status = 'Active'
       `, [`Transfer ${tr[0].transfer_id} approved by Ops Manager – needs your final decision`, tr[0].id]);
     }
 
@@ -171,9 +240,9 @@ router.post('/:id/approve-ops',
 );
 
 // ── POST /api/transfers/:id/approve-mgr ──────────────────────
-// Stage 2: Asset Manager final approval
+// Stage 2: final approval (transfers.approve_final)
 router.post('/:id/approve-mgr',
-  authorize('Admin', 'Asset Manager'),
+  requirePermission('transfers.approve_final'),
   asyncHandler(async (req, res) => {
     const { action, comment } = req.body;
     if (!['approve','reject','hold'].includes(action)) {
@@ -183,8 +252,10 @@ router.post('/:id/approve-mgr',
       return res.status(400).json({ error: 'Decision comment is required' });
     }
 
+    const params = [req.params.id];
     const { rows: tr } = await query(
-      'SELECT * FROM transfers WHERE id = $1 OR transfer_id = $1', [req.params.id]
+      `SELECT * FROM transfers t WHERE (t.id = $1 OR t.transfer_id = $1) ${andScope(req.user, params, TRANSFER_SCOPE)}`,
+      params
     );
     if (!tr.length) return res.status(404).json({ error: 'Transfer not found' });
     if (tr[0].status !== 'Ops Approved') {
@@ -205,16 +276,24 @@ router.post('/:id/approve-mgr',
         RETURNING *
       `, [req.user.id, action, comment, newStatus, tr[0].id]);
 
+      await audit(req, 'transfers', 'UPDATE', { before: tr[0], after: rows[0] }, client);
+
       // If fully approved → update asset location, rig, company
       if (action === 'approve') {
-        await client.query(`
+        const { rows: assetBefore } = await client.query(
+          'SELECT * FROM assets WHERE id = $1 FOR UPDATE', [tr[0].asset_id]
+        );
+        const { rows: assetAfter } = await client.query(`
           UPDATE assets SET
             location   = $1,
             rig_id     = COALESCE($2, rig_id),
             company_id = COALESCE($3, company_id)
           WHERE id = $4
+          RETURNING *
         `, [tr[0].destination, tr[0].dest_rig_id, tr[0].dest_company_id, tr[0].asset_id]);
 
+        await audit(req, 'assets', 'UPDATE', { before: assetBefore[0], after: assetAfter[0] }, client);
+
         // Log asset history
         await client.query(`
           INSERT INTO asset_history (asset_id, action, changed_by, notes)
@@ -240,15 +319,18 @@ router.post('/:id/approve-mgr',
 );
 
 // ── DELETE /api/transfers/:id  (cancel pending only) ─────────
-router.delete('/:id', canWrite, asyncHandler(async (req, res) => {
+router.delete('/:id', requirePermission('transfers.write'), asyncHandler(async (req, res) => {
+  const params = [req.params.id];
   const { rows } = await query(
-    `DELETE FROM transfers
-     WHERE (id = $1 OR transfer_id = $1)
-       AND status IN ('Pending','On Hold')
-     RETURNING transfer_id`,
-    [req.params.id]
+    `DELETE FROM transfers t
+     WHERE (t.id = $1 OR t.transfer_id = $1)
+       AND t.status IN ('Pending','On Hold')
+       ${andScope(req.user, params, TRANSFER_SCOPE)}
+     RETURNING *`,
+    params
   );
   if (!rows.length) return res.status(404).json({ error: 'Transfer not found or not cancellable' });
+  await audit(req, 'transfers', 'DELETE', { before: rows[0] });
   res.json({ message: `Transfer ${rows[0].transfer_id} cancelled` });
 }));
 
@@ -2,17 +2,36 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
 const { body, validationResult } = require('express-validator');
-const { query } = require('../config/db');
-const { authenticate, isAdmin, isAdminOrManager } = require('../middleware/auth');
+const { query, getClient } = require('../config/db');
+const { authenticate, noApiKey, requirePermission } = require('../middleware/auth');
+const { can, roleExists, canAssignRole } = require('../services/permissions');
 const { asyncHandler } = require('../middleware/errorHandler');
+const { audit } = require('../services/audit');
+const { INVITATION_COLS, createInvitation } = require('../services/invitations');
+const { revokeUserSessions } = require('../services/sessions');
+const { clearFailures } = require('../services/lockout');
 
 const router = express.Router();
-router.use(authenticate);
+router.use(authenticate, noApiKey);
 
-const SAFE_COLS = 'id, full_name, email, role, department, status, alert_maint, alert_certs, alert_contracts, alert_assets, last_login, created_at';
+const canManage = requirePermission('users.manage');
+
+// Roles live in the roles table (see /api/roles)
+const roleValidator = body('role').custom(async (role, { req }) => {
+  if (!role || !await roleExists(role)) throw new Error(`Unknown role "${role}"`);
+  if (!await canAssignRole(req.user, role)) throw new Error(`You cannot assign the ${role} role`);
+  return true;
+});
+
+// Managing another account is limited to roles the manager could assign, so users.manage
+// cannot reset, lock out or delete someone who outranks them
+const outranked = async (user, target) => target.id !== user.id && !await canAssignRole(user, target.role);
+const OUTRANKED = { error: 'You cannot manage a user whose role grants more than yours' };
+
+const SAFE_COLS = 'id, full_name, email, role, department, status, alert_maint, alert_certs, alert_contracts, alert_assets, last_login, failed_login_count, locked_until, totp_enabled, sso_only, (oidc_subject IS NOT NULL) AS sso_linked, created_at';
 
 // ── GET /api/users ───────────────────────────────────────────
-router.get('/', isAdminOrManager, asyncHandler(async (req, res) => {
+router.get('/', requirePermission('users.read', 'users.manage'), asyncHandler(async (req, res) => {
   const { role, status, search } = req.query;
   const params = [];
   const conditions = [];
@@ -28,11 +47,138 @@ router.get('/', isAdminOrManager, asyncHandler(async (req, res) => {
   res.json(rows);
 }));
 
+// Login history query shared by the admin-wide and per-user endpoints.
+// Query: success (true/false), ip, email, from, to (dates, inclusive), page, limit
+const loginHistory = async (filters, userId = null) => {
+  const { success, ip, email, from, to, page = 1, limit = 100 } = filters;
+  const offset = (parseInt(page) - 1) * parseInt(limit);
+  const params = [];
+  const conditions = [];
+
+  if (userId)  { params.push(userId); conditions.push(`la.user_id::text = $${params.length}`); }
+  if (success !== undefined) { params.push(success === 'true'); conditions.push(`la.success = $${params.length}`); }
+  if (ip)      { params.push(ip);     conditions.push(`la.ip_address = $${params.length}::inet`); }
+  if (email)   { params.push(`%${email.toLowerCase()}%`); conditions.push(`LOWER(la.email) LIKE $${params.length}`); }
+  if (from)    { params.push(from);   conditions.push(`la.attempted_at >= $${params.length}::date`); }
+  if (to)      { params.push(to);     conditions.push(`la.attempted_at < $${params.length}::date + 1`); }
+  const where = conditions.length ? 'WHERE ' + conditions.join(' AND ') : '';
+
+  const [data, count] = await Promise.all([
+    query(`
+      SELECT la.*, u.full_name AS user_name
+      FROM login_attempts la
+      LEFT JOIN users u ON u.id = la.user_id
+      ${where}
+      ORDER BY la.attempted_at DESC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, parseInt(limit), offset]),
+    query(`SELECT COUNT(*) FROM login_attempts la ${where}`, params),
+  ]);
+
+  return {
+    data: data.rows,
+    total: parseInt(count.rows[0].count),
+    page: parseInt(page),
+    limit: parseInt(limit),
+  };
+};
+
+// ── GET /api/users/login-history  (Admin only) ───────────────
+// All accounts, including attempts on unknown emails; ?user= narrows to one account
+router.get('/login-history', canManage, asyncHandler(async (req, res) => {
+  res.json(await loginHistory(req.query, req.query.user));
+}));
+
+// ── GET /api/users/invitations  (Admin only) ─────────────────
+// Query: status (Pending | Accepted | Revoked | Expired), search (email)
+router.get('/invitations', canManage, asyncHandler(async (req, res) => {
+  const { status, search } = req.query;
+  const params = [];
+  const conditions = [];
+
+  if (status) { params.push(status); conditions.push(`i.status = $${params.length}`); }
+  if (search) {
+    params.push(`%${search.toLowerCase()}%`);
+    conditions.push(`LOWER(i.email) LIKE $${params.length}`);
+  }
+  const where = conditions.length ? 'WHERE ' + conditions.join(' AND ') : '';
+
+  // status is derived, so filter on the inner select's output
+  const { rows } = await query(`
+    SELECT * FROM (
+      SELECT ${INVITATION_COLS}, u.full_name AS invited_by_name
+      FROM user_invitations ui
+      LEFT JOIN users u ON u.id = ui.invited_by
+    ) i
+    ${where}
+    ORDER BY i.created_at DESC
+  `, params);
+  res.json(rows);
+}));
+
+// ── POST /api/users/invitations  (Admin only) ────────────────
+// The token is returned once; the invitee redeems it at POST /api/auth/invitations/accept
+router.post('/invitations', canManage,
+  [
+    body('email').isEmail().normalizeEmail(),
+    roleValidator,
+    body('department').optional({ nullable: true }).trim(),
+    body('expiresInDays').optional().isInt({ min: 1, max: 30 }).toInt(),
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const {
+      email, role, department,
+      expiresInDays = parseInt(process.env.INVITATION_EXPIRY_DAYS || '7'),
+    } = req.body;
+
+    const { rows: existing } = await query('SELECT id FROM users WHERE LOWER(email) = LOWER($1)', [email]);
+    if (existing.length) return res.status(409).json({ error: 'A user with this email already exists' });
+
+    const client = await getClient();
+    try {
+      await client.query('BEGIN');
+      const { invitation, token } = await createInvitation(client, {
+        email, role, department, expiresInDays, invitedBy: req.user.id,
+      });
+      await audit(req, 'user_invitations', 'INSERT', { after: invitation }, client);
+      await client.query('COMMIT');
+      res.status(201).json({ ...invitation, token });
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+  })
+);
+
+// ── DELETE /api/users/invitations/:id  (Admin only) ──────────
+router.delete('/invitations/:id', canManage, asyncHandler(async (req, res) => {
+  const { rows: existing } = await query(
+    `SELECT ${INVITATION_COLS} FROM user_invitations ui WHERE ui.id::text = $1`, [req.params.id]
+  );
+  if (!existing.length) return res.status(404).json({ error: 'Invitation not found' });
+  if (['Accepted', 'Revoked'].includes(existing[0].status)) {
+    return res.status(409).json({ error: `Invitation is already ${existing[0].status.toLowerCase()}` });
+  }
+
+  const { rows } = await query(`
+    UPDATE user_invitations ui SET revoked_at = NOW()
+    WHERE ui.id = $1
+    RETURNING ${INVITATION_COLS}
+  `, [existing[0].id]);
+  await audit(req, 'user_invitations', 'UPDATE', { before: existing[0], after: rows[0] });
+  res.json({ message: `Invitation for ${rows[0].email} revoked` });
+}));
+
 // ── GET /api/users/:id ───────────────────────────────────────
 router.get('/:id', asyncHandler(async (req, res) => {
   // Users can only see their own record unless admin/manager
   const targetId = req.params.id === 'me' ? req.user.id : req.params.id;
-  if (targetId !== req.user.id && !['Admin', 'Asset Manager'].includes(req.user.role)) {
+  if (targetId !== req.user.id && !can(req.user, 'users.read') && !can(req.user, 'users.manage')) {
     return res.status(403).json({ error: 'Access denied' });
   }
   const { rows } = await query(
@@ -43,12 +189,12 @@ router.get('/:id', asyncHandler(async (req, res) => {
 }));
 
 // ── POST /api/users  (Admin only) ───────────────────────────
-router.post('/', isAdmin,
+router.post('/', canManage,
   [
     body('fullName').trim().notEmpty(),
     body('email').isEmail().normalizeEmail(),
     body('password').isLength({ min: 8 }),
-    body('role').isIn(['Admin', 'Asset Manager', 'Operations Manager', 'Editor', 'Viewer']),
+    roleValidator,
   ],
   asyncHandler(async (req, res) => {
     const errors = validationResult(req);
@@ -63,71 +209,240 @@ router.post('/', isAdmin,
       RETURNING ${SAFE_COLS}
     `, [fullName, email, hash, role, department || null]);
 
+    await audit(req, 'users', 'INSERT', { after: rows[0] });
     res.status(201).json(rows[0]);
   })
 );
 
 // ── PUT /api/users/:id ───────────────────────────────────────
-router.put('/:id', asyncHandler(async (req, res) => {
+router.put('/:id',
+  [
+    body(['alertMaint', 'alertCerts', 'alertContracts', 'alertAssets', 'ssoOnly']).optional().isBoolean().toBoolean(),
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const targetId = req.params.id === 'me' ? req.user.id : req.params.id;
+
+    // Without users.manage people can only edit themselves, and cannot change their own role/status
+    const isOwnAccount   = targetId === req.user.id;
+    const canManageUsers = can(req.user, 'users.manage');
+
+    if (!isOwnAccount && !canManageUsers) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const { rows: existing } = await query(`SELECT ${SAFE_COLS} FROM users WHERE id = $1`, [targetId]);
+    if (!existing.length) return res.status(404).json({ error: 'User not found' });
+    if (await outranked(req.user, existing[0])) return res.status(403).json(OUTRANKED);
+
+    let { fullName, department, alertMaint, alertCerts, alertContracts, alertAssets } = req.body;
+    // Only user managers can change role/status/SSO-only
+    const role    = canManageUsers ? req.body.role    : undefined;
+    const status  = canManageUsers ? req.body.status  : undefined;
+    const ssoOnly = canManageUsers ? req.body.ssoOnly : undefined;
+    if (role && !await roleExists(role)) return res.status(400).json({ error: `Unknown role "${role}"` });
+    if (role && !await canAssignRole(req.user, role)) {
+      return res.status(403).json({ error: `You cannot assign the ${role} role` });
+    }
+
+    const { rows } = await query(`
+      UPDATE users SET
+        full_name       = COALESCE($1, full_name),
+        department      = COALESCE($2, department),
+        alert_maint     = COALESCE($3, alert_maint),
+        alert_certs     = COALESCE($4, alert_certs),
+        alert_contracts = COALESCE($5, alert_contracts),
+        alert_assets    = COALESCE($6, alert_assets),
+        role            = COALESCE($7, role),
+        status          = COALESCE($8, status),
+        sso_only        = COALESCE($9, sso_only)
+      WHERE id = $10
+      RETURNING ${SAFE_COLS}
+    `, [fullName, department, alertMaint, alertCerts, alertContracts, alertAssets,
+        role, status, ssoOnly, targetId]);
+
+    await audit(req, 'users', 'UPDATE', { before: existing[0], after: rows[0] });
+    res.json(rows[0]);
+  })
+);
+
+// ── GET /api/users/:id/login-history ─────────────────────────
+router.get('/:id/login-history', asyncHandler(async (req, res) => {
   const targetId = req.params.id === 'me' ? req.user.id : req.params.id;
+  if (targetId !== req.user.id && !can(req.user, 'users.manage')) {
+    return res.status(403).json({ error: 'Access denied' });
+  }
+  res.json(await loginHistory(req.query, targetId));
+}));
 
-  // Non-admins can only edit themselves, and cannot change their own role/status
-  const isOwnAccount = targetId === req.user.id;
-  const isAdminUser  = req.user.role === 'Admin';
+// Rigs/companies a user is assigned to; all_sites means their role ignores them
+const SELECT_SITE_SCOPE = `
+  SELECT u.id, u.full_name, u.role,
+    EXISTS (SELECT 1 FROM role_permissions rp JOIN roles r ON r.id = rp.role_id
+            WHERE r.name = u.role AND rp.permission = 'data.all_sites') AS all_sites,
+    COALESCE((SELECT json_agg(json_build_object('id', r.id, 'rig_id', r.rig_id, 'name', r.name) ORDER BY r.rig_id)
+              FROM user_rigs ur JOIN rigs r ON r.id = ur.rig_id WHERE ur.user_id = u.id), '[]') AS rigs,
+    COALESCE((SELECT json_agg(json_build_object('id', c.id, 'company_code', c.company_code, 'name', c.name) ORDER BY c.name)
+              FROM user_companies uc JOIN companies c ON c.id = uc.company_id WHERE uc.user_id = u.id), '[]') AS companies
+  FROM users u
+  WHERE u.id::text = $1
+`;
 
-  if (!isOwnAccount && !isAdminUser) {
+// ── GET /api/users/:id/scope ─────────────────────────────────
+router.get('/:id/scope', asyncHandler(async (req, res) => {
+  const targetId = req.params.id === 'me' ? req.user.id : req.params.id;
+  if (targetId !== req.user.id && !can(req.user, 'users.read') && !can(req.user, 'users.manage')) {
     return res.status(403).json({ error: 'Access denied' });
   }
+  const { rows } = await query(SELECT_SITE_SCOPE, [targetId]);
+  if (!rows.length) return res.status(404).json({ error: 'User not found' });
+  res.json(rows[0]);
+}));
 
-  let { fullName, department, alertMaint, alertCerts, alertContracts, alertAssets } = req.body;
-  // Only admins can change role/status
-  const role   = isAdminUser ? req.body.role   : undefined;
-  const status = isAdminUser ? req.body.status : undefined;
+// ── PUT /api/users/:id/scope  (Admin only) ───────────────────
+// Body: rigs (ids, codes or names), companies (ids or codes). Each list given
+// replaces the user's current assignments of that kind; [] clears it.
+router.put('/:id/scope', canManage,
+  [
+    body('rigs').optional().isArray(),
+    body('companies').optional().isArray(),
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const { rows: existing } = await query(SELECT_SITE_SCOPE, [req.params.id]);
+    if (!existing.length) return res.status(404).json({ error: 'User not found' });
+    if (await outranked(req.user, existing[0])) return res.status(403).json(OUTRANKED);
+
+    const { rigs, companies } = req.body;
+    let rigIds, companyIds;
+    if (rigs) {
+      const { rows } = await query(
+        'SELECT id, rig_id, name FROM rigs WHERE id::text = ANY($1) OR rig_id = ANY($1) OR name = ANY($1)',
+        [rigs.map(String)]
+      );
+      const unknown = rigs.filter(v => !rows.some(r => [r.id, r.rig_id, r.name].includes(String(v))));
+      if (unknown.length) return res.status(400).json({ error: `Unknown rig(s): ${unknown.join(', ')}` });
+      rigIds = rows.map(r => r.id);
+    }
+    if (companies) {
+      const { rows } = await query(
+        'SELECT id, company_code FROM companies WHERE id::text = ANY($1) OR company_code = ANY($1)',
+        [companies.map(String)]
+      );
+      const unknown = companies.filter(v => !rows.some(c => [c.id, c.company_code].includes(String(v))));
+      if (unknown.length) return res.status(400).json({ error: `Unknown company(ies): ${unknown.join(', ')}` });
+      companyIds = rows.map(c => c.id);
+    }
+
+    const userId = existing[0].id;
+    const client = await getClient();
+    try {
+      await client.query('BEGIN');
+      if (rigIds) {
+        await client.query('DELETE FROM user_rigs WHERE user_id = $1', [userId]);
+        await client.query(
+          'INSERT INTO user_rigs (user_id, rig_id) SELECT $1, UNNEST($2::uuid[]) ON CONFLICT DO NOTHING',
+          [userId, rigIds]
+        );
+      }
+      if (companyIds) {
+        await client.query('DELETE FROM user_companies WHERE user_id = $1', [userId]);
+        await client.query(
+          'INSERT INTO user_companies (user_id, company_id) SELECT $1, UNNEST($2::uuid[]) ON CONFLICT DO NOTHING',
+          [userId, companyIds]
+        );
+      }
+      const { rows } = await client.query(SELECT_SITE_SCOPE, [userId]);
+      await audit(req, 'users', 'UPDATE', { before: existing[0], after: rows[0] }, client);
+      await client.query('COMMIT');
+      res.json(rows[0]);
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+  })
+);
+
+// ── POST /api/users/:id/unlock  (Admin only) ─────────────────
+// Lifts a login lockout and resets the failed-attempt counter
+router.post('/:id/unlock', canManage, asyncHandler(async (req, res) => {
+  const { rows: existing } = await query(`SELECT ${SAFE_COLS} FROM users WHERE id::text = $1`, [req.params.id]);
+  if (!existing.length) return res.status(404).json({ error: 'User not found' });
+  if (await outranked(req.user, existing[0])) return res.status(403).json(OUTRANKED);
+
+  await clearFailures(existing[0].id);
+  const { rows } = await query(`SELECT ${SAFE_COLS} FROM users WHERE id = $1`, [existing[0].id]);
+  await audit(req, 'users', 'UPDATE', { before: existing[0], after: rows[0] });
+  res.json({ message: `${rows[0].full_name} unlocked`, user: rows[0] });
+}));
+
+// ── POST /api/users/:id/2fa/reset  (Admin only) ──────────────
+// For a lost authenticator: removes the second factor and logs the user out everywhere
+router.post('/:id/2fa/reset', canManage, asyncHandler(async (req, res) => {
+  const { rows: existing } = await query(`SELECT ${SAFE_COLS} FROM users WHERE id::text = $1`, [req.params.id]);
+  if (!existing.length) return res.status(404).json({ error: 'User not found' });
+  if (await outranked(req.user, existing[0])) return res.status(403).json(OUTRANKED);
+  if (!existing[0].totp_enabled) return res.status(409).json({ error: 'Two-factor authentication is not enabled' });
 
   const { rows } = await query(`
-    UPDATE users SET
-      full_name       = COALESCE($1, full_name),
-      department      = COALESCE($2, department),
-      alert_maint     = COALESCE($3, alert_maint),
-      alert_certs     = COALESCE($4, alert_certs),
-      alert_contracts = COALESCE($5, alert_contracts),
-      alert_assets    = COALESCE($6, alert_assets),
-      role            = COALESCE($7, role),
-      status          = COALESCE($8, status)
-    WHERE id = $9
+    UPDATE users SET totp_enabled = false, totp_secret = NULL, totp_last_step = NULL
+    WHERE id = $1
     RETURNING ${SAFE_COLS}
-  `, [fullName, department, alertMaint, alertCerts, alertContracts, alertAssets,
-      role, status, targetId]);
-
-  if (!rows.length) return res.status(404).json({ error: 'User not found' });
-  res.json(rows[0]);
+  `, [existing[0].id]);
+  await query('DELETE FROM user_recovery_codes WHERE user_id = $1', [existing[0].id]);
+  await revokeUserSessions({ query }, existing[0].id, `2FA reset by admin ${req.user.full_name}`);
+  await audit(req, 'users', 'UPDATE', { before: existing[0], after: rows[0] });
+  res.json({ message: `Two-factor authentication reset for ${rows[0].full_name}`, user: rows[0] });
 }));
 
 // ── DELETE /api/users/:id  (Admin only) ──────────────────────
-router.delete('/:id', isAdmin, asyncHandler(async (req, res) => {
+router.delete('/:id', canManage, asyncHandler(async (req, res) => {
   if (req.params.id === req.user.id) {
     return res.status(400).json({ error: 'Cannot delete your own account' });
   }
+  const { rows: existing } = await query(`SELECT ${SAFE_COLS} FROM users WHERE id::text = $1`, [req.params.id]);
+  if (!existing.length) return res.status(404).json({ error: 'User not found' });
+  if (await outranked(req.user, existing[0])) return res.status(403).json(OUTRANKED);
+
   const { rows } = await query(
-    'DELETE FROM users WHERE id = $1 RETURNING full_name, email', [req.params.id]
+    `DELETE FROM users WHERE id = $1 RETURNING ${SAFE_COLS}`, [existing[0].id]
   );
   if (!rows.length) return res.status(404).json({ error: 'User not found' });
+  await audit(req, 'users', 'DELETE', { before: rows[0] });
   res.json({ message: `User ${rows[0].full_name} deleted` });
 }));
 
 // ── POST /api/users/:id/reset-password  (Admin only) ─────────
-router.post('/:id/reset-password', isAdmin,
+router.post('/:id/reset-password', canManage,
   [body('newPassword').isLength({ min: 8 })],
   asyncHandler(async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
 
+    const { rows: existing } = await query(
+      `SELECT ${SAFE_COLS}, password_hash FROM users WHERE id = $1`, [req.params.id]
+    );
+    if (!existing.length) return res.status(404).json({ error: 'User not found' });
+    if (await outranked(req.user, existing[0])) return res.status(403).json(OUTRANKED);
+    if (existing[0].sso_only) {
+      return res.status(409).json({ error: 'SSO-only accounts have no password – clear ssoOnly first' });
+    }
+
     const hash = await bcrypt.hash(req.body.newPassword, 12);
     const { rows } = await query(
-      'UPDATE users SET password_hash = $1 WHERE id = $2 RETURNING full_name',
+      `UPDATE users SET password_hash = $1 WHERE id = $2 RETURNING ${SAFE_COLS}, password_hash`,
       [hash, req.params.id]
     );
-    if (!rows.length) return res.status(404).json({ error: 'User not found' });
+    // Existing logins keep working on the old password otherwise
+    await revokeUserSessions({ query }, rows[0].id, `Password reset by admin ${req.user.full_name}`);
+    await clearFailures(rows[0].id);
+    await audit(req, 'users', 'UPDATE', { before: existing[0], after: rows[0] });
     res.json({ message: `Password reset for ${rows[0].full_name}` });
   })
 );
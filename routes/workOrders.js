@@ -0,0 +1,418 @@
+// routes/workOrders.js
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { query, getClient } = require('../config/db');
+const { authenticate, requireScope, requirePermission } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { audit } = require('../services/audit');
+const { completeSchedule } = require('../services/maintenance');
+const { generateDueWorkOrders } = require('../services/workOrders');
+const { scopeCondition, andScope, inScope } = require('../services/visibility');
+
+const router = express.Router();
+router.use(authenticate, requireScope('work-orders'));
+
+// Lifecycle: which statuses each transition may start from, and where it lands
+const TRANSITIONS = {
+  start:    { from: ['Open'],                          to: 'In Progress' },
+  hold:     { from: ['Open', 'In Progress'],           to: 'On Hold' },
+  resume:   { from: ['On Hold'],                       to: 'In Progress' },
+  complete: { from: ['In Progress'],                   to: 'Completed' },
+  cancel:   { from: ['Open', 'In Progress', 'On Hold'], to: 'Cancelled' },
+};
+
+const CLOSED = ['Completed', 'Cancelled'];
+
+// A work order is in scope when its asset is
+const WO_SCOPE = { asset: 'wo.asset_id' };
+const OUT_OF_SCOPE = { error: 'Rig or company is outside your assigned scope' };
+
+const WO_SELECT = `
+  SELECT
+    wo.*,
+    a.name        AS asset_name,
+    a.asset_id    AS asset_code,
+    r.name        AS rig_name,
+    r.rig_id      AS rig_code,
+    ms.pm_id,
+    ms.task_name  AS schedule_task_name,
+    u.full_name   AS assigned_to_name,
+    cu.full_name  AS created_by_name
+  FROM work_orders wo
+  LEFT JOIN assets                a  ON a.id  = wo.asset_id
+  LEFT JOIN rigs                  r  ON r.id  = a.rig_id
+  LEFT JOIN maintenance_schedules ms ON ms.id = wo.schedule_id
+  LEFT JOIN users                 u  ON u.id  = wo.assigned_to
+  LEFT JOIN users                 cu ON cu.id = wo.created_by
+`;
+
+const notifyAssignee = (wo) => query(`
+  INSERT INTO notifications (user_id, type, icon, title, description, entity_type, entity_id)
+  VALUES ($1, 'info', 'clipboard-list', 'Work Order Assigned', $2, 'work_order', $3)
+`, [wo.assigned_to, `Work order ${wo.wo_number} – ${wo.title} has been assigned to you`, wo.id]);
+
+// ── GET /api/work-orders ─────────────────────────────────────
+// Query: status, priority, asset, rig, assignedTo, schedule, search, page, limit
+router.get('/', asyncHandler(async (req, res) => {
+  const { status, priority, asset, rig, assignedTo, schedule, search, page = 1, limit = 100 } = req.query;
+  const offset = (parseInt(page) - 1) * parseInt(limit);
+  const params = [];
+  const conditions = [];
+
+  if (status)   { params.push(status);   conditions.push(`wo.status = $${params.length}`); }
+  if (priority) { params.push(priority); conditions.push(`wo.priority = $${params.length}`); }
+  if (rig)      { params.push(rig);      conditions.push(`r.name = $${params.length}`); }
+  if (asset) {
+    params.push(asset);
+    conditions.push(`(a.asset_id = $${params.length} OR a.id::text = $${params.length})`);
+  }
+  if (assignedTo) {
+    params.push(assignedTo === 'me' ? req.user.id : assignedTo);
+    conditions.push(`wo.assigned_to::text = $${params.length}`);
+  }
+  if (schedule) {
+    params.push(schedule);
+    conditions.push(`(ms.pm_id = $${params.length} OR ms.id::text = $${params.length})`);
+  }
+  if (search) {
+    params.push(`%${search.toLowerCase()}%`);
+    conditions.push(`(LOWER(wo.wo_number) LIKE $${params.length} OR LOWER(wo.title) LIKE $${params.length} OR LOWER(a.name) LIKE $${params.length})`);
+  }
+  const scope = scopeCondition(req.user, params, WO_SCOPE);
+  if (scope) conditions.push(scope);
+  const where = conditions.length ? 'WHERE ' + conditions.join(' AND ') : '';
+
+  const [data, count] = await Promise.all([
+    query(`
+      ${WO_SELECT}
+      ${where}
+      ORDER BY
+        CASE wo.status WHEN 'In Progress' THEN 1 WHEN 'Open' THEN 2 WHEN 'On Hold' THEN 3 ELSE 4 END,
+        wo.planned_start ASC NULLS LAST,
+        wo.wo_number
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, parseInt(limit), offset]),
+    query(`
+      SELECT COUNT(*)
+      FROM work_orders wo
+      LEFT JOIN assets                a  ON a.id  = wo.asset_id
+      LEFT JOIN rigs                  r  ON r.id  = a.rig_id
+      LEFT JOIN maintenance_schedules ms ON ms.id = wo.schedule_id
+      ${where}
+    `, params),
+  ]);
+
+  res.json({
+    data: data.rows,
+    total: parseInt(count.rows[0].count),
+    page: parseInt(page),
+    limit: parseInt(limit),
+  });
+}));
+
+// ── GET /api/work-orders/:id ─────────────────────────────────
+router.get('/:id', asyncHandler(async (req, res) => {
+  const params = [req.params.id];
+  const { rows } = await query(
+    `${WO_SELECT} WHERE (wo.id::text = $1 OR wo.wo_number = $1) ${andScope(req.user, params, WO_SCOPE)}`, params
+  );
+  if (!rows.length) return res.status(404).json({ error: 'Work order not found' });
+  res.json(rows[0]);
+}));
+
+// ── POST /api/work-orders ────────────────────────────────────
+router.post('/',
+  requirePermission('work_orders.write'),
+  [
+    body('woNumber').trim().notEmpty().withMessage('woNumber required'),
+    body('assetId').notEmpty().withMessage('Asset is required'),
+    body('title').trim().notEmpty().withMessage('Title is required'),
+    body('priority').optional().isIn(['Critical', 'High', 'Normal', 'Low']),
+    body('assignedTo').optional({ nullable: true }).isUUID(),
+    body('plannedStart').optional({ nullable: true }).isDate(),
+    body('plannedEnd').optional({ nullable: true }).isDate(),
+    body('estimatedHours').optional({ nullable: true }).isFloat({ min: 0 }),
+    body('estimatedCost').optional({ nullable: true }).isFloat({ min: 0 }),
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const {
+      woNumber, assetId, scheduleId, title, description, priority = 'Normal',
+      assignedTo, assignedTeam, plannedStart, plannedEnd, estimatedHours, estimatedCost,
+    } = req.body;
+
+    // Resolve asset (UUID or AST-xxx code)
+    const { rows: assetRows } = await query(
+      'SELECT id, rig_id, company_id FROM assets WHERE id::text = $1 OR asset_id = $1', [assetId]
+    );
+    if (!assetRows.length) return res.status(404).json({ error: 'Asset not found' });
+    if (!inScope(req.user, { rigId: assetRows[0].rig_id, companyId: assetRows[0].company_id })) {
+      return res.status(403).json(OUT_OF_SCOPE);
+    }
+
+    // Optional link to a PM schedule (UUID or PM-xxx code)
+    let schedule = null;
+    if (scheduleId) {
+      const { rows: schedRows } = await query(
+        'SELECT id, asset_id FROM maintenance_schedules WHERE id::text = $1 OR pm_id = $1', [scheduleId]
+      );
+      if (!schedRows.length) return res.status(404).json({ error: 'Schedule not found' });
+      if (schedRows[0].asset_id !== assetRows[0].id) {
+        return res.status(400).json({ error: 'Schedule belongs to a different asset' });
+      }
+      schedule = schedRows[0].id;
+    }
+
+    const { rows } = await query(`
+      INSERT INTO work_orders
+        (wo_number, schedule_id, asset_id, title, description, priority,
+         assigned_to, assigned_team, planned_start, planned_end,
+         estimated_hours, estimated_cost, created_by)
+      VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13)
+      RETURNING *
+    `, [woNumber, schedule, assetRows[0].id, title, description || null, priority,
+        assignedTo || null, assignedTeam || null, plannedStart || null, plannedEnd || null,
+        estimatedHours || null, estimatedCost || null, req.user.id]);
+
+    await audit(req, 'work_orders', 'INSERT', { after: rows[0] });
+    if (rows[0].assigned_to) await notifyAssignee(rows[0]);
+
+    res.status(201).json(rows[0]);
+  })
+);
+
+// ── PUT /api/work-orders/:id ─────────────────────────────────
+// Edits planning fields only; status changes go through the transition endpoints
+router.put('/:id',
+  requirePermission('work_orders.write'),
+  [
+    body('priority').optional().isIn(['Critical', 'High', 'Normal', 'Low']),
+    body('assignedTo').optional({ nullable: true }).isUUID(),
+    body('plannedStart').optional({ nullable: true }).isDate(),
+    body('plannedEnd').optional({ nullable: true }).isDate(),
+    body('estimatedHours').optional({ nullable: true }).isFloat({ min: 0 }),
+    body('estimatedCost').optional({ nullable: true }).isFloat({ min: 0 }),
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const params = [req.params.id];
+    const { rows: existing } = await query(
+      `SELECT * FROM work_orders wo WHERE (wo.id::text = $1 OR wo.wo_number = $1) ${andScope(req.user, params, WO_SCOPE)}`,
+      params
+    );
+    if (!existing.length) return res.status(404).json({ error: 'Work order not found' });
+    if (CLOSED.includes(existing[0].status)) {
+      return res.status(409).json({ error: `Work order is already ${existing[0].status}` });
+    }
+    if (req.body.status !== undefined) {
+      return res.status(400).json({ error: 'Use the start/hold/resume/complete/cancel endpoints to change status' });
+    }
+
+    const {
+      title, description, priority, assignedTo, assignedTeam,
+      plannedStart, plannedEnd, estimatedHours, estimatedCost,
+    } = req.body;
+
+    const { rows } = await query(`
+      UPDATE work_orders SET
+        title           = COALESCE($1, title),
+        description     = COALESCE($2, description),
+        priority        = COALESCE($3, priority),
+        assigned_to     = COALESCE($4, assigned_to),
+        assigned_team   = COALESCE($5, assigned_team),
+        planned_start   = COALESCE($6, planned_start),
+        planned_end     = COALESCE($7, planned_end),
+        estimated_hours = COALESCE($8, estimated_hours),
+        estimated_cost  = COALESCE($9, estimated_cost)
+      WHERE id = $10
+      RETURNING *
+    `, [title, description, priority, assignedTo, assignedTeam,
+        plannedStart, plannedEnd, estimatedHours, estimatedCost, existing[0].id]);
+
+    await audit(req, 'work_orders', 'UPDATE', { before: existing[0], after: rows[0] });
+
+    if (rows[0].assigned_to && rows[0].assigned_to !== existing[0].assigned_to) {
+      await notifyAssignee(rows[0]);
+    }
+
+    res.json(rows[0]);
+  })
+);
+
+// ── Transition helper ────────────────────────────────────────
+// Moves a work order along TRANSITIONS[action] inside a transaction. `extraSet` is
+// appended to the SET list and may reference extraParams as $3, $4, … `afterUpdate`
+// runs on the same client and may return extra fields to merge into the response.
+const transition = async (req, res, action, { extraSet = '', extraParams = [], afterUpdate } = {}) => {
+  const { from, to } = TRANSITIONS[action];
+
+  const client = await getClient();
+  try {
+    await client.query('BEGIN');
+
+    const params = [req.params.id];
+    const { rows: existing } = await client.query(
+      `SELECT * FROM work_orders wo
+       WHERE (wo.id::text = $1 OR wo.wo_number = $1) ${andScope(req.user, params, WO_SCOPE)}
+       FOR UPDATE`,
+      params
+    );
+    if (!existing.length) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Work order not found' });
+    }
+    if (!from.includes(existing[0].status)) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        error: `Cannot ${action} a work order that is ${existing[0].status}`,
+        allowedFrom: from,
+      });
+    }
+
+    const { rows } = await client.query(`
+      UPDATE work_orders SET status = $1 ${extraSet}
+      WHERE id = $2
+      RETURNING *
+    `, [to, existing[0].id, ...extraParams]);
+
+    await audit(req, 'work_orders', 'UPDATE', { before: existing[0], after: rows[0] }, client);
+    const extra = afterUpdate ? await afterUpdate(client, rows[0]) : {};
+
+    await client.query('COMMIT');
+    res.json({ ...rows[0], ...extra });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+// Closing a generated work order frees its schedule for the next one
+const releaseSchedule = async (db, wo, ctx) => {
+  if (!wo.schedule_id) return;
+  const { rows: before } = await db.query(
+    'SELECT * FROM maintenance_schedules WHERE id = $1 AND work_order_no = $2 FOR UPDATE',
+    [wo.schedule_id, wo.wo_number]
+  );
+  if (!before.length) return;
+  const { rows: after } = await db.query(
+    'UPDATE maintenance_schedules SET work_order_no = NULL WHERE id = $1 RETURNING *',
+    [wo.schedule_id]
+  );
+  await audit(ctx, 'maintenance_schedules', 'UPDATE', { before: before[0], after: after[0] }, db);
+};
+
+// ── POST /api/work-orders/generate ───────────────────────────
+// Runs the PM auto-generator now instead of waiting for the next interval
+router.post('/generate', requirePermission('work_orders.manage'), asyncHandler(async (req, res) => {
+  const created = await generateDueWorkOrders(req);
+  res.json({ created: created.length, workOrders: created });
+}));
+
+// ── POST /api/work-orders/:id/start ──────────────────────────
+router.post('/:id/start', requirePermission('work_orders.write'), asyncHandler(async (req, res) => {
+  await transition(req, res, 'start', { extraSet: ', actual_start = COALESCE(actual_start, NOW())' });
+}));
+
+// ── POST /api/work-orders/:id/hold ───────────────────────────
+router.post('/:id/hold', requirePermission('work_orders.write'), asyncHandler(async (req, res) => {
+  await transition(req, res, 'hold');
+}));
+
+// ── POST /api/work-orders/:id/resume ─────────────────────────
+router.post('/:id/resume', requirePermission('work_orders.write'), asyncHandler(async (req, res) => {
+  await transition(req, res, 'resume', { extraSet: ', actual_start = COALESCE(actual_start, NOW())' });
+}));
+
+// ── POST /api/work-orders/:id/complete ───────────────────────
+// For PM-generated work orders this also logs the schedule completion and rolls
+// next_due_date forward, exactly like POST /api/maintenance/:id/complete.
+// meterReading (optional) is the schedule's meter reading at completion.
+router.post('/:id/complete',
+  requirePermission('work_orders.write'),
+  [
+    body('completionNotes').trim().notEmpty().withMessage('Completion notes are required'),
+    body('actualHours').isFloat({ min: 0 }).withMessage('actualHours must be a number >= 0'),
+    body('actualCost').isFloat({ min: 0 }).withMessage('actualCost must be a number >= 0'),
+    body('meterReading').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('meterReading must be a number >= 0'),
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const { completionNotes, actualHours, actualCost, partsUsed, meterReading } = req.body;
+    await transition(req, res, 'complete', {
+      extraSet: `,
+        actual_end       = NOW(),
+        completion_notes = $3,
+        actual_hours     = $4,
+        actual_cost      = $5`,
+      extraParams: [completionNotes, actualHours, actualCost],
+      afterUpdate: async (db, wo) => {
+        if (!wo.schedule_id) return {};
+        const { rows: assignee } = await db.query(
+          'SELECT id, full_name FROM users WHERE id = $1', [wo.assigned_to]
+        );
+        const technician = assignee[0] || { id: req.user.id, full_name: req.user.full_name };
+        const maintenance = await completeSchedule(db, wo.schedule_id, {
+          completionDate:    new Date().toISOString().slice(0, 10),
+          completedBy:       technician.full_name,
+          completedByUserId: technician.id,
+          actualHours, actualCost, partsUsed, meterReading,
+          workNotes:         `${wo.wo_number}: ${completionNotes}`,
+        }, req);
+        await releaseSchedule(db, wo, req);
+        return { maintenance };
+      },
+    });
+  })
+);
+
+// ── POST /api/work-orders/:id/cancel ─────────────────────────
+router.post('/:id/cancel', requirePermission('work_orders.manage'), asyncHandler(async (req, res) => {
+  const { reason } = req.body;
+  if (!reason?.trim()) return res.status(400).json({ error: 'Cancellation reason is required' });
+  await transition(req, res, 'cancel', {
+    extraSet: ', completion_notes = $3',
+    extraParams: [`Cancelled: ${reason.trim()}`],
+    afterUpdate: async (db, wo) => { await releaseSchedule(db, wo, req); return {}; },
+  });
+}));
+
+// ── DELETE /api/work-orders/:id  (Open or Cancelled only) ────
+// Deleting a generated work order frees its schedule, as cancelling it does
+router.delete('/:id', requirePermission('work_orders.delete'), asyncHandler(async (req, res) => {
+  const client = await getClient();
+  try {
+    await client.query('BEGIN');
+    const params = [req.params.id];
+    const { rows } = await client.query(
+      `DELETE FROM work_orders wo
+       WHERE (wo.id::text = $1 OR wo.wo_number = $1)
+         AND wo.status IN ('Open','Cancelled')
+         ${andScope(req.user, params, WO_SCOPE)}
+       RETURNING *`,
+      params
+    );
+    if (!rows.length) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Work order not found or not deletable' });
+    }
+    await releaseSchedule(client, rows[0], req);
+    await audit(req, 'work_orders', 'DELETE', { before: rows[0] }, client);
+    await client.query('COMMIT');
+    res.json({ message: `Work order ${rows[0].wo_number} deleted` });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}));
+
+module.exports = router;
@@ -8,24 +8,45 @@ const morgan       = require('morgan');
 const rateLimit    = require('express-rate-limit');
 const { pool }     = require('./config/db');
 const { errorHandler, notFound } = require('./middleware/errorHandler');
+const { startWorkOrderGenerator } = require('./services/workOrders');
+const { startTokenPurge } = require('./services/sessions');
+const { startMailer } = require('./services/mailer');
+const { startAttachmentCleanup } = require('./services/attachments');
 
 // ── Routes ───────────────────────────────────────────────────
 const authRoutes          = require('./routes/auth');
 const assetsRoutes        = require('./routes/assets');
+const depreciationRoutes  = require('./routes/depreciation');
+const attributesRoutes    = require('./routes/assetAttributes');
 const rigsRoutes          = require('./routes/rigs');
 const companiesRoutes     = require('./routes/companies');
 const contractsRoutes     = require('./routes/contracts');
 const maintenanceRoutes   = require('./routes/maintenance');
+const metersRoutes        = require('./routes/meters');
 const transfersRoutes     = require('./routes/transfers');
 const bomRoutes           = require('./routes/bom');
+const certificatesRoutes  = require('./routes/certificates');
+const attachmentsRoutes   = require('./routes/attachments');
+const workOrdersRoutes    = require('./routes/workOrders');
+const auditRoutes         = require('./routes/audit');
+const apiKeysRoutes       = require('./routes/apiKeys');
+const rolesRoutes         = require('./routes/roles');
 const usersRoutes         = require('./routes/users');
 const notificationsRoutes = require('./routes/notifications');
 const dashboardRoutes     = require('./routes/dashboard');
+const searchRoutes        = require('./routes/search');
 
 const app  = express();
 const PORT = process.env.PORT || 3000;
 
 // ── Security & Parsing ───────────────────────────────────────
+// Behind a load balancer set TRUST_PROXY (e.g. 1) so req.ip is the client address,
+// not the proxy's – used by the rate limiters and the audit log
+if (process.env.TRUST_PROXY) {
+  const hops = parseInt(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
 app.use(helmet({ crossOriginResourcePolicy: { policy: 'cross-origin' } }));
 
 const allowedOrigins = (process.env.CORS_ORIGINS || 'http://localhost:3000')
@@ -40,7 +61,8 @@ app.use(cors({
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'If-Match', 'If-None-Match'],
+  exposedHeaders: ['ETag', 'Content-Disposition'],
 }));
 
 app.use(express.json({ limit: '5mb' }));
@@ -65,6 +87,10 @@ const authLimiter = rateLimit({
 });
 app.use('/api/auth/login', authLimiter);
 app.use('/api/auth/register', authLimiter);
+app.use('/api/auth/invitations', authLimiter);
+app.use('/api/auth/forgot-password', authLimiter);
+app.use('/api/auth/reset-password', authLimiter);
+app.use('/api/auth/sso', authLimiter);
 
 // ── Root + Health Check ──────────────────────────────────────
 // Root route — also used by Railway / Render / Heroku health checks
@@ -103,13 +129,23 @@ app.get('/health', async (req, res) => {
 // ── API Routes ───────────────────────────────────────────────
 app.use('/api/auth',          authRoutes);
 app.use('/api/dashboard',     dashboardRoutes);
+app.use('/api/search',        searchRoutes);
 app.use('/api/assets',        assetsRoutes);
+app.use('/api/depreciation',  depreciationRoutes);
+app.use('/api/asset-attributes', attributesRoutes);
 app.use('/api/rigs',          rigsRoutes);
 app.use('/api/companies',     companiesRoutes);
 app.use('/api/contracts',     contractsRoutes);
 app.use('/api/maintenance',   maintenanceRoutes);
+app.use('/api/meters',        metersRoutes);
 app.use('/api/transfers',     transfersRoutes);
 app.use('/api/bom',           bomRoutes);
+app.use('/api/certificates',  certificatesRoutes);
+app.use('/api/attachments',   attachmentsRoutes);
+app.use('/api/work-orders',   workOrdersRoutes);
+app.use('/api/audit',         auditRoutes);
+app.use('/api/api-keys',      apiKeysRoutes);
+app.use('/api/roles',         rolesRoutes);
 app.use('/api/users',         usersRoutes);
 app.use('/api/notifications', notificationsRoutes);
 
@@ -120,19 +156,47 @@ app.get('/api', (req, res) => {
     version: '1.0.0',
     endpoints: [
       'POST   /api/auth/login',
+      'POST   /api/auth/login/2fa',
+      'GET    /api/auth/sso/authorize',
+      'POST   /api/auth/sso/callback',
       'POST   /api/auth/register',
+      'GET    /api/auth/invitations/:token',
+      'POST   /api/auth/invitations/accept',
       'POST   /api/auth/refresh',
       'POST   /api/auth/logout',
+      'POST   /api/auth/forgot-password',
+      'POST   /api/auth/reset-password',
       'GET    /api/auth/me',
+      'GET    /api/auth/2fa',
+      'POST   /api/auth/2fa/setup',
+      'POST   /api/auth/2fa/confirm',
+      'POST   /api/auth/2fa/recovery-codes',
+      'POST   /api/auth/2fa/disable',
+      'GET    /api/auth/sessions',
+      'DELETE /api/auth/sessions',
+      'DELETE /api/auth/sessions/:id',
       'GET    /api/dashboard',
+      'GET    /api/search',
       'GET    /api/assets',
       'GET    /api/assets/summary',
       'GET    /api/assets/by-rig',
+      'GET    /api/assets/import/template',
+      'POST   /api/assets/import',
+      'GET    /api/assets/labels',
+      'GET    /api/assets/resolve',
       'GET    /api/assets/:id',
+      'GET    /api/assets/:id/label',
       'POST   /api/assets',
       'PUT    /api/assets/:id',
       'DELETE /api/assets/:id',
       'GET    /api/assets/:id/history',
+      'GET    /api/depreciation/policies',
+      'PUT    /api/depreciation/policies/:category',
+      'GET    /api/depreciation/schedule',
+      'GET    /api/asset-attributes',
+      'POST   /api/asset-attributes',
+      'PUT    /api/asset-attributes/:id',
+      'DELETE /api/asset-attributes/:id',
       'GET    /api/rigs',
       'GET    /api/rigs/:id',
       'POST   /api/rigs',
@@ -156,6 +220,15 @@ app.get('/api', (req, res) => {
       'POST   /api/maintenance/:id/complete',
       'GET    /api/maintenance/:id/logs',
       'DELETE /api/maintenance/:id',
+      'GET    /api/meters',
+      'GET    /api/meters/:id',
+      'POST   /api/meters',
+      'PUT    /api/meters/:id',
+      'DELETE /api/meters/:id',
+      'GET    /api/meters/:id/readings',
+      'POST   /api/meters/:id/readings',
+      'POST   /api/meters/readings',
+      'DELETE /api/meters/:id/readings/:readingId',
       'GET    /api/transfers',
       'POST   /api/transfers',
       'POST   /api/transfers/:id/approve-ops',
@@ -166,14 +239,60 @@ app.get('/api', (req, res) => {
       'POST   /api/bom',
       'PUT    /api/bom/:id',
       'DELETE /api/bom/:id',
+      'GET    /api/certificates',
+      'GET    /api/certificates/:id',
+      'POST   /api/certificates',
+      'PUT    /api/certificates/:id',
+      'POST   /api/certificates/:id/revoke',
+      'DELETE /api/certificates/:id',
+      'GET    /api/attachments',
+      'POST   /api/attachments',
+      'GET    /api/attachments/:id',
+      'GET    /api/attachments/:id/download',
+      'GET    /api/attachments/:id/thumbnail',
+      'DELETE /api/attachments/:id',
+      'GET    /api/work-orders',
+      'GET    /api/work-orders/:id',
+      'POST   /api/work-orders',
+      'POST   /api/work-orders/generate',
+      'PUT    /api/work-orders/:id',
+      'POST   /api/work-orders/:id/start',
+      'POST   /api/work-orders/:id/hold',
+      'POST   /api/work-orders/:id/resume',
+      'POST   /api/work-orders/:id/complete',
+      'POST   /api/work-orders/:id/cancel',
+      'DELETE /api/work-orders/:id',
       'GET    /api/users',
+      'GET    /api/users/login-history',
+      'GET    /api/users/invitations',
+      'POST   /api/users/invitations',
+      'DELETE /api/users/invitations/:id',
       'GET    /api/users/:id',
       'POST   /api/users',
       'PUT    /api/users/:id',
+      'GET    /api/users/:id/login-history',
+      'GET    /api/users/:id/scope',
+      'PUT    /api/users/:id/scope',
+      'POST   /api/users/:id/unlock',
+      'POST   /api/users/:id/2fa/reset',
       'DELETE /api/users/:id',
       'GET    /api/notifications',
       'PUT    /api/notifications/read-all',
       'DELETE /api/notifications',
+      'GET    /api/audit',
+      'GET    /api/audit/:id',
+      'GET    /api/api-keys',
+      'GET    /api/api-keys/scopes',
+      'GET    /api/api-keys/:id',
+      'POST   /api/api-keys',
+      'PUT    /api/api-keys/:id',
+      'DELETE /api/api-keys/:id',
+      'GET    /api/roles',
+      'GET    /api/roles/permissions',
+      'GET    /api/roles/:id',
+      'POST   /api/roles',
+      'PUT    /api/roles/:id',
+      'DELETE /api/roles/:id',
     ],
   });
 });
@@ -188,6 +307,12 @@ app.listen(PORT, '0.0.0.0', () => {
   console.log(`   Environment : ${process.env.NODE_ENV || 'development'}`);
   console.log(`   Health check: http://0.0.0.0:${PORT}/health`);
   console.log(`   API index   : http://0.0.0.0:${PORT}/api\n`);
+
+  // ── Background jobs ──────────────────────────────────────────
+  startWorkOrderGenerator();
+  startTokenPurge();
+  startMailer();
+  startAttachmentCleanup();
 });
 
 module.exports = app;
@@ -0,0 +1,60 @@
+// services/apiKeys.js – Scoped API keys for machine-to-machine integrations
+const crypto = require('crypto');
+const { query } = require('../config/db');
+const { hashToken, tokenMatches } = require('./tokens');
+const { PERMISSIONS_SQL } = require('./permissions');
+const { SCOPE_SQL } = require('./visibility');
+
+// Resources an API key can be granted. `<resource>:write` implies `<resource>:read`.
+const RESOURCES = [
+  'assets', 'rigs', 'companies', 'contracts', 'maintenance', 'work-orders',
+  'transfers', 'bom', 'certificates', 'dashboard',
+];
+const SCOPES = RESOURCES.flatMap(r => [`${r}:read`, `${r}:write`]);
+
+const KEY_PREFIX = 'rak_';
+
+const API_KEY_COLS = `k.id, k.name, k.prefix, k.scopes, k.user_id, k.created_by, k.expires_at,
+  k.last_used_at, k.last_used_ip, k.revoked_at, k.created_at`;
+
+// Full key: rak_<8 hex>_<secret>. The first part is stored in clear for lookup
+// and identification; only a SHA-256 of the full key is kept.
+const generateKey = () => {
+  const prefix = KEY_PREFIX + crypto.randomBytes(4).toString('hex');
+  const key = `${prefix}_${crypto.randomBytes(24).toString('base64url')}`;
+  return { key, prefix, hash: hashToken(key) };
+};
+
+const looksLikeApiKey = (value) => typeof value === 'string' && value.startsWith(KEY_PREFIX);
+
+// Resolve a presented key to its row plus the user it acts as; null when unknown,
+// revoked, expired or bound to an inactive user
+const findApiKey = async (key) => {
+  const prefix = key.split('_').slice(0, 2).join('_');
+  const { rows } = await query(`
+    SELECT k.id, k.key_hash, k.scopes,
+           u.id AS user_id, u.full_name, u.email, u.role, u.department, u.status, u.totp_enabled,
+           ${PERMISSIONS_SQL}, ${SCOPE_SQL}
+    FROM api_keys k
+    JOIN users u ON u.id = k.user_id
+    WHERE k.prefix = $1 AND k.revoked_at IS NULL
+      AND (k.expires_at IS NULL OR k.expires_at > NOW())
+  `, [prefix]);
+  if (!rows.length || !tokenMatches(key, rows[0].key_hash) || rows[0].status !== 'Active') return null;
+  return rows[0];
+};
+
+// Record use at most once a minute per key; never blocks the request
+const touchApiKey = (id, ip) =>
+  query(`
+    UPDATE api_keys SET last_used_at = NOW(), last_used_ip = $2
+    WHERE id = $1 AND (last_used_at IS NULL OR last_used_at < NOW() - INTERVAL '1 minute')
+  `, [id, ip || null]).catch(err => console.error('[API-KEYS] last_used update failed:', err.message));
+
+const hasScope = (granted, resource, access) =>
+  granted.includes(`${resource}:${access}`) || (access === 'read' && granted.includes(`${resource}:write`));
+
+module.exports = {
+  RESOURCES, SCOPES, API_KEY_COLS,
+  generateKey, looksLikeApiKey, findApiKey, touchApiKey, hasScope,
+};
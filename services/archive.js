@@ -0,0 +1,107 @@
+// services/archive.js – Archive (soft delete), restore and permanent purge
+const { query, getClient } = require('../config/db');
+const { audit } = require('./audit');
+
+// What a purge takes with it, per table: rows removed by ON DELETE CASCADE and rows
+// whose reference is cleared by ON DELETE SET NULL. Each query counts for record $1.
+const CASCADES = {
+  assets: {
+    deletes: {
+      asset_history:         'SELECT COUNT(*) FROM asset_history WHERE asset_id = $1',
+      maintenance_schedules: 'SELECT COUNT(*) FROM maintenance_schedules WHERE asset_id = $1',
+      maintenance_logs:      `SELECT COUNT(*) FROM maintenance_logs ml
+                              JOIN maintenance_schedules ms ON ms.id = ml.schedule_id WHERE ms.asset_id = $1`,
+      attachments:           `SELECT COUNT(*) FROM attachments att
+                              LEFT JOIN maintenance_logs ml ON ml.id = att.maintenance_log_id
+                              LEFT JOIN maintenance_schedules ms ON ms.id = ml.schedule_id
+                              LEFT JOIN transfers t ON t.id = att.transfer_id
+                              WHERE $1 IN (att.asset_id, ms.asset_id, t.asset_id)`,
+      asset_meters:          'SELECT COUNT(*) FROM asset_meters WHERE asset_id = $1',
+      meter_readings:        `SELECT COUNT(*) FROM meter_readings mr
+                              JOIN asset_meters mt ON mt.id = mr.meter_id WHERE mt.asset_id = $1`,
+      work_orders:           'SELECT COUNT(*) FROM work_orders WHERE asset_id = $1',
+      bom_items:             'SELECT COUNT(*) FROM bom_items WHERE asset_id = $1',
+      certificates:          'SELECT COUNT(*) FROM certificates WHERE asset_id = $1',
+      transfers:             'SELECT COUNT(*) FROM transfers WHERE asset_id = $1',
+    },
+    detaches: {},
+  },
+  rigs: {
+    deletes: {
+      certificates: 'SELECT COUNT(*) FROM certificates WHERE rig_id = $1',
+      user_rigs:    'SELECT COUNT(*) FROM user_rigs WHERE rig_id = $1',
+    },
+    detaches: {
+      assets:    'SELECT COUNT(*) FROM assets WHERE rig_id = $1',
+      contracts: 'SELECT COUNT(*) FROM contracts WHERE rig_id = $1',
+      transfers: 'SELECT COUNT(*) FROM transfers WHERE dest_rig_id = $1',
+    },
+  },
+  companies: {
+    deletes: {
+      user_companies: 'SELECT COUNT(*) FROM user_companies WHERE company_id = $1',
+    },
+    detaches: {
+      rigs:      'SELECT COUNT(*) FROM rigs WHERE company_id = $1',
+      contracts: 'SELECT COUNT(*) FROM contracts WHERE company_id = $1',
+      assets:    'SELECT COUNT(*) FROM assets WHERE company_id = $1',
+      transfers: 'SELECT COUNT(*) FROM transfers WHERE dest_company_id = $1',
+    },
+  },
+  contracts: {
+    deletes: {
+      attachments: 'SELECT COUNT(*) FROM attachments WHERE contract_id = $1',
+    },
+    detaches: {
+      assets: 'SELECT COUNT(*) FROM assets WHERE contract_id = $1',
+    },
+  },
+};
+
+// List condition hiding archived rows unless the request asks for ?includeArchived=true
+const archivedCondition = (req, alias) =>
+  req.query.includeArchived === 'true' ? null : `${alias}.archived_at IS NULL`;
+
+const setArchived = async (ctx, table, row, archived) => {
+  const { rows } = await query(`
+    UPDATE ${table} SET archived_at = ${archived ? 'NOW()' : 'NULL'}, archived_by = $2
+    WHERE id = $1
+    RETURNING *
+  `, [row.id, archived ? ctx.user.id : null]);
+  await audit(ctx, table, 'UPDATE', { before: row, after: rows[0] });
+  return rows[0];
+};
+
+const archive = (ctx, table, row) => setArchived(ctx, table, row, true);
+const restore = (ctx, table, row) => setArchived(ctx, table, row, false);
+
+// { deletes: { table: count }, detaches: { table: count } } for purging one record
+const purgePreview = async (table, id, db = { query }) => {
+  const counts = async (queries) => {
+    const entries = await Promise.all(Object.entries(queries).map(async ([name, sql]) =>
+      [name, parseInt((await db.query(sql, [id])).rows[0].count)]));
+    return Object.fromEntries(entries);
+  };
+  const { deletes, detaches } = CASCADES[table];
+  return { deletes: await counts(deletes), detaches: await counts(detaches) };
+};
+
+// Permanently delete a record with everything that cascades; returns what was removed
+const purge = async (ctx, table, row) => {
+  const client = await getClient();
+  try {
+    await client.query('BEGIN');
+    const preview = await purgePreview(table, row.id, client);
+    await client.query(`DELETE FROM ${table} WHERE id = $1`, [row.id]);
+    await audit(ctx, table, 'DELETE', { before: row }, client);
+    await client.query('COMMIT');
+    return preview;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+module.exports = { archivedCondition, archive, restore, purgePreview, purge };
@@ -0,0 +1,152 @@
+// services/assetAttributes.js – Custom attributes per asset category
+//
+// Admins define attributes per category (asset_attribute_definitions); each asset keeps
+// its values in assets.attributes keyed by the definition's key. Numbers and booleans
+// are stored as JSON numbers/booleans, everything else as strings, so values compare
+// and sort correctly in SQL.
+const { query } = require('../config/db');
+
+const ATTRIBUTE_TYPES = ['text', 'number', 'integer', 'boolean', 'date', 'enum'];
+
+const KEY_PATTERN = /^[a-z][a-z0-9_]{0,39}$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const isDate = (v) => DATE_PATTERN.test(v) && !Number.isNaN(Date.parse(v)) && new Date(v).toISOString().startsWith(v);
+
+// Definitions of one category (or every category), in display order
+const loadDefinitions = async (category, db = { query }) => {
+  const params = [];
+  let where = '';
+  if (category) { params.push(category); where = 'WHERE category = $1'; }
+  const { rows } = await db.query(`
+    SELECT * FROM asset_attribute_definitions ${where}
+    ORDER BY category, sort_order, key
+  `, params);
+  return rows;
+};
+
+// Normalise one value to its stored form; { value } or { error }
+const coerce = (def, raw) => {
+  switch (def.type) {
+    case 'number':
+    case 'integer': {
+      const n = typeof raw === 'number' ? raw : (typeof raw === 'string' && raw.trim() !== '' ? Number(raw) : NaN);
+      if (!Number.isFinite(n)) return { error: 'must be a number' };
+      if (def.type === 'integer' && !Number.isInteger(n)) return { error: 'must be a whole number' };
+      return { value: n };
+    }
+    case 'boolean':
+      if (raw === true || raw === 'true') return { value: true };
+      if (raw === false || raw === 'false') return { value: false };
+      return { error: 'must be true or false' };
+    case 'date':
+      return typeof raw === 'string' && isDate(raw) ? { value: raw } : { error: 'must be a date (YYYY-MM-DD)' };
+    case 'enum':
+      return def.allowed_values.includes(raw)
+        ? { value: raw }
+        : { error: `must be one of: ${def.allowed_values.join(', ')}` };
+    default:
+      if (typeof raw !== 'string' && typeof raw !== 'number') return { error: 'must be text' };
+      return String(raw).trim() ? { value: String(raw).trim() } : { error: 'must not be empty' };
+  }
+};
+
+// Check an asset's attributes against its category's definitions.
+//   values  – the attributes sent by the client; a null value removes that attribute
+//   current – the attributes already stored (updates), merged underneath values
+// Returns { attributes } or { errors } shaped like express-validator's.
+const validateAttributes = (defs, values, current = {}) => {
+  const errors = [];
+  const fail = (key, value, msg) =>
+    errors.push({ type: 'field', location: 'body', path: `attributes.${key}`, value, msg });
+
+  if (values != null && (typeof values !== 'object' || Array.isArray(values))) {
+    return { errors: [{ type: 'field', location: 'body', path: 'attributes', value: values, msg: 'attributes must be an object' }] };
+  }
+  const byKey = Object.fromEntries(defs.map(d => [d.key, d]));
+  const merged = { ...current, ...values };
+  const attributes = {};
+
+  for (const [key, raw] of Object.entries(merged)) {
+    if (raw === null || raw === undefined || raw === '') continue;
+    const def = byKey[key];
+    if (!def) {
+      fail(key, raw, `${key} is not an attribute of this category`);
+      continue;
+    }
+    const result = coerce(def, raw);
+    if (result.error) fail(key, raw, `${def.label} ${result.error}`);
+    else attributes[key] = result.value;
+  }
+  for (const def of defs) {
+    if (def.required && !(def.key in attributes) && !errors.some(e => e.path === `attributes.${def.key}`)) {
+      fail(def.key, undefined, `${def.label} is required`);
+    }
+  }
+  return errors.length ? { errors } : { attributes };
+};
+
+// ── List filters ─────────────────────────────────────────────
+// attr.<key><op><value> in the query string, e.g. attr.kva>=500, attr.liner_size=6.5,
+// attr.bop_class!=Class B. The query is read raw because the operator contains '='.
+const FILTER_PATTERN = /^attr\.([a-z][a-z0-9_]*)(>=|<=|!=|>|<|=)(.*)$/;
+const RANGE_OPS = ['>', '>=', '<', '<='];
+
+const filtersOf = (req) => {
+  const search = req.originalUrl.split('?')[1] || '';
+  return search.split('&')
+    .map(part => {
+      try { return decodeURIComponent(part.replace(/\+/g, ' ')); } catch { return part; }
+    })
+    .map(part => part.match(FILTER_PATTERN))
+    .filter(Boolean)
+    .map(([, key, op, value]) => ({ key, op, value }));
+};
+
+// SQL conditions (on alias a) for the attr.* filters of a request, limited to the
+// definitions of the requested category when there is one; { conditions } or { error }
+const attributeConditions = async (req, params, alias = 'a') => {
+  const filters = filtersOf(req);
+  if (!filters.length) return { conditions: [] };
+
+  const defs = await loadDefinitions(req.query.category);
+  const conditions = [];
+  for (const { key, op, value } of filters) {
+    const filter = `attr.${key}${op}${value}`;
+    const types = [...new Set(defs.filter(d => d.key === key)
+      .map(d => (d.type === 'integer' ? 'number' : d.type)))];
+    if (!types.length) return { error: `Unknown attribute in ${filter}` };
+    if (types.length > 1) return { error: `${key} has different types across categories – add category= to ${filter}` };
+    const type = types[0];
+    const field = `${alias}.attributes`;
+
+    if (type === 'number') {
+      const n = Number(value);
+      if (value.trim() === '' || !Number.isFinite(n)) return { error: `${filter}: expected a number` };
+      params.push(n);
+      const number = `(CASE WHEN jsonb_typeof(${field}->'${key}') = 'number' THEN (${field}->>'${key}')::numeric END)`;
+      conditions.push(op === '!='
+        ? `${number} IS DISTINCT FROM $${params.length}`
+        : `${number} ${op} $${params.length}`);
+    } else if (type === 'boolean') {
+      if (!['true', 'false'].includes(value) || RANGE_OPS.includes(op)) {
+        return { error: `${filter}: expected =true, =false or !=` };
+      }
+      params.push(value);
+      conditions.push(`(${field}->'${key}') ${op === '=' ? 'IS NOT DISTINCT FROM' : 'IS DISTINCT FROM'} $${params.length}::jsonb`);
+    } else {
+      if (RANGE_OPS.includes(op) && type !== 'date') return { error: `${filter}: ${key} can only be compared with = or !=` };
+      if (type === 'date' && !isDate(value)) return { error: `${filter}: expected a date (YYYY-MM-DD)` };
+      params.push(value);
+      // ISO dates order correctly as text
+      conditions.push(op === '!='
+        ? `(${field}->>'${key}') IS DISTINCT FROM $${params.length}`
+        : `(${field}->>'${key}') ${op} $${params.length}`);
+    }
+  }
+  return { conditions };
+};
+
+module.exports = {
+  ATTRIBUTE_TYPES, KEY_PATTERN, loadDefinitions, validateAttributes, attributeConditions,
+};
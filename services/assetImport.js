@@ -0,0 +1,303 @@
+// services/assetImport.js – Bulk asset import from a parsed CSV / XLSX table
+const { audit } = require('./audit');
+const { inScope } = require('./visibility');
+const { ASSET_CATEGORIES, ASSET_STATUSES } = require('./assets');
+const { loadDefinitions, validateAttributes } = require('./assetAttributes');
+
+// Importable fields: column header in the template, and the header spellings accepted
+// (compared lower-case with everything but letters and digits removed)
+const FIELDS = {
+  assetId:          { header: 'Asset ID',          aliases: ['assetid', 'asset', 'assetcode'] },
+  name:             { header: 'Name',              aliases: ['name', 'assetname'] },
+  category:         { header: 'Category',          aliases: ['category'] },
+  status:           { header: 'Status',            aliases: ['status'] },
+  rig:              { header: 'Rig',               aliases: ['rig', 'rigid', 'rigcode', 'rigname'] },
+  company:          { header: 'Company',           aliases: ['company', 'companycode', 'companyname'] },
+  contract:         { header: 'Contract',          aliases: ['contract', 'contractno', 'contractnumber'] },
+  location:         { header: 'Location',          aliases: ['location'] },
+  valueUsd:         { header: 'Value USD',         aliases: ['value', 'valueusd'] },
+  acquisitionDate:  { header: 'Acquisition Date',  aliases: ['acquisitiondate'] },
+  serialNumber:     { header: 'Serial Number',     aliases: ['serialnumber', 'serial', 'serialno'] },
+  manufacturer:     { header: 'Manufacturer',      aliases: ['manufacturer'] },
+  model:            { header: 'Model',             aliases: ['model'] },
+  yearManufactured: { header: 'Year Manufactured', aliases: ['yearmanufactured'] },
+  weightKg:         { header: 'Weight kg',         aliases: ['weightkg', 'weight'] },
+  dimensions:       { header: 'Dimensions',        aliases: ['dimensions'] },
+  notes:            { header: 'Notes',             aliases: ['notes'] },
+};
+const REQUIRED = ['assetId', 'name', 'category'];
+
+const TEMPLATE_COLUMNS = Object.entries(FIELDS).map(([key, f]) => ({ key, header: f.header }));
+
+const normalize = (header) => header.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Custom attribute columns are headed attr.<key> (as in the list filters)
+const ATTRIBUTE_HEADER = /^attr\.([a-z][a-z0-9_]*)$/i;
+
+// Map the file's headers onto fields: { columns: { header: field }, ignored, missing }.
+// Attribute columns map to the field 'attr.<key>'.
+const mapHeaders = (headers) => {
+  const columns = {};
+  const ignored = [];
+  for (const header of headers.filter(Boolean)) {
+    const attribute = header.trim().match(ATTRIBUTE_HEADER);
+    const field = attribute
+      ? `attr.${attribute[1].toLowerCase()}`
+      : Object.keys(FIELDS).find(f => FIELDS[f].aliases.includes(normalize(header)));
+    if (field && !Object.values(columns).includes(field)) columns[header] = field;
+    else ignored.push(header);
+  }
+  const mapped = Object.values(columns);
+  return { columns, ignored, missing: REQUIRED.filter(f => !mapped.includes(f)).map(f => FIELDS[f].header) };
+};
+
+// ── Cell parsing ─────────────────────────────────────────────
+const text = (v) => (v === '' || v === null || v === undefined ? null : String(v).trim() || null);
+
+// Accepts 1234.5, "1234.5" and "1,234.50"
+const number = (v) => {
+  if (typeof v === 'number') return v;
+  const s = String(v).replace(/\s/g, '');
+  return Number(/^-?\d{1,3}(,\d{3})+(\.\d+)?$/.test(s) ? s.replace(/,/g, '') : s);
+};
+
+// Date cells (XLSX) or YYYY-MM-DD text → 'YYYY-MM-DD', null if invalid
+const isoDate = (v) => {
+  if (v instanceof Date) return isNaN(v) ? null : v.toISOString().slice(0, 10);
+  const s = String(v);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(s)) return null;
+  const d = new Date(`${s}T00:00:00Z`);
+  return !isNaN(d) && d.toISOString().slice(0, 10) === s ? s : null;
+};
+
+// Case-insensitive match against a fixed list, returning the canonical spelling
+const oneOf = (list, v) => list.find(item => item.toLowerCase() === String(v).toLowerCase()) || null;
+
+// Attribute cell → the value the API would receive (dates as YYYY-MM-DD, TRUE/FALSE
+// as spreadsheet programs write them)
+const attributeValue = (v) => {
+  if (v instanceof Date) return isoDate(v);
+  if (typeof v === 'string' && /^(true|false)$/i.test(v.trim())) return v.trim().toLowerCase();
+  return typeof v === 'string' ? v.trim() : v;
+};
+
+// ── Reference lookups ────────────────────────────────────────
+// Loads the live (not archived) rigs / companies / contracts a file refers to;
+// resolve(value) then answers { id } or { error } for an id, code or (for rigs and
+// companies) name
+const lookup = async (db, { table, codeCol, nameCol, label }, values) => {
+  const wanted = [...new Set(values.map(v => v.toLowerCase()))];
+  if (!wanted.length) return () => ({ error: `Unknown ${label}` });
+
+  const nameMatch = nameCol ? `OR LOWER(${nameCol}) = ANY($1)` : '';
+  const { rows } = await db.query(`
+    SELECT id, ${codeCol} AS code${nameCol ? `, ${nameCol} AS name` : ''}
+    FROM ${table}
+    WHERE archived_at IS NULL AND (id::text = ANY($1) OR LOWER(${codeCol}) = ANY($1) ${nameMatch})
+  `, [wanted]);
+
+  return (value) => {
+    const v = value.toLowerCase();
+    const byKey = rows.filter(r => r.id === v || r.code.toLowerCase() === v);
+    const matches = byKey.length ? byKey : rows.filter(r => r.name && r.name.toLowerCase() === v);
+    if (!matches.length) return { error: `Unknown ${label} "${value}"` };
+    if (matches.length > 1) return { error: `"${value}" matches ${matches.length} ${label}s – use the code` };
+    return { id: matches[0].id };
+  };
+};
+
+const REFERENCES = {
+  rig:      { table: 'rigs',      codeCol: 'rig_id',       nameCol: 'name', label: 'rig' },
+  company:  { table: 'companies', codeCol: 'company_code', nameCol: 'name', label: 'company' },
+  contract: { table: 'contracts', codeCol: 'contract_no',  nameCol: null,   label: 'contract' },
+};
+
+// ── Validation ───────────────────────────────────────────────
+// Checks every row with the asset creation rules and resolves references, without
+// writing anything. Returns { errors: [{ row, field, message }], plan: [...] } where each
+// plan entry is { row, action: 'create'|'update', values, existing }.
+const validateRows = async (db, user, { columns, rows }, { upsert = false } = {}) => {
+  const headerOf = Object.fromEntries(Object.entries(columns).map(([h, f]) => [f, h]));
+  const errors = [];
+  const fail = (row, field, message) => errors.push({ row, field: headerOf[field] || FIELDS[field]?.header || field, message });
+  const attributeFields = Object.values(columns).filter(f => f.startsWith('attr.'));
+
+  // Raw field values per row
+  const records = rows.map(({ rowNumber, values }) => {
+    const raw = {};
+    for (const [header, field] of Object.entries(columns)) raw[field] = text(values[header]) === null ? null : values[header];
+    return { rowNumber, raw };
+  });
+
+  const refValues = (field) => records.map(r => text(r.raw[field])).filter(Boolean);
+  const [resolveRig, resolveCompany, resolveContract] = await Promise.all(
+    ['rig', 'company', 'contract'].map(f => lookup(db, REFERENCES[f], refValues(f)))
+  );
+
+  const assetIds = refValues('assetId');
+  const { rows: existingRows } = assetIds.length
+    ? await db.query('SELECT * FROM assets WHERE asset_id = ANY($1)', [assetIds])
+    : { rows: [] };
+  const existingById = Object.fromEntries(existingRows.map(a => [a.asset_id, a]));
+
+  const definitions = await loadDefinitions(null, db);
+  const definitionsOf = (category) => definitions.filter(d => d.category === category);
+
+  const seen = {};
+  const plan = [];
+  for (const { rowNumber, raw } of records) {
+    const before = errors.length;
+    const values = {};
+
+    for (const field of REQUIRED) {
+      if (raw[field] === null || raw[field] === undefined) fail(rowNumber, field, `${FIELDS[field].header} is required`);
+    }
+    for (const field of ['assetId', 'name', 'location', 'serialNumber', 'manufacturer', 'model', 'dimensions', 'notes']) {
+      values[field] = text(raw[field]);
+    }
+
+    if (values.assetId) {
+      if (seen[values.assetId]) fail(rowNumber, 'assetId', `Duplicate of row ${seen[values.assetId]}`);
+      else seen[values.assetId] = rowNumber;
+    }
+    if (raw.category != null) {
+      values.category = oneOf(ASSET_CATEGORIES, raw.category);
+      if (!values.category) fail(rowNumber, 'category', `Must be one of: ${ASSET_CATEGORIES.join(', ')}`);
+    }
+    if (raw.status != null) {
+      values.status = oneOf(ASSET_STATUSES, raw.status);
+      if (!values.status) fail(rowNumber, 'status', `Must be one of: ${ASSET_STATUSES.join(', ')}`);
+    }
+    if (raw.valueUsd != null) {
+      values.valueUsd = number(raw.valueUsd);
+      if (!Number.isFinite(values.valueUsd) || values.valueUsd < 0) fail(rowNumber, 'valueUsd', 'Must be a number ≥ 0');
+    }
+    if (raw.weightKg != null) {
+      values.weightKg = number(raw.weightKg);
+      if (!Number.isFinite(values.weightKg) || values.weightKg < 0) fail(rowNumber, 'weightKg', 'Must be a number ≥ 0');
+    }
+    if (raw.yearManufactured != null) {
+      values.yearManufactured = number(raw.yearManufactured);
+      if (!Number.isInteger(values.yearManufactured) || values.yearManufactured < 1950 || values.yearManufactured > 2100) {
+        fail(rowNumber, 'yearManufactured', 'Must be a year between 1950 and 2100');
+      }
+    }
+    if (raw.acquisitionDate != null) {
+      values.acquisitionDate = isoDate(raw.acquisitionDate);
+      if (!values.acquisitionDate) fail(rowNumber, 'acquisitionDate', 'Must be a date (YYYY-MM-DD)');
+    }
+    for (const [field, resolve, key] of [
+      ['rig', resolveRig, 'rigId'], ['company', resolveCompany, 'companyId'], ['contract', resolveContract, 'contractId'],
+    ]) {
+      if (raw[field] == null) continue;
+      const { id, error } = resolve(text(raw[field]));
+      if (error) fail(rowNumber, field, error);
+      else values[key] = id;
+    }
+
+    const existing = existingById[values.assetId] || null;
+
+    // Custom attributes follow POST / PUT /api/assets: checked against the category's
+    // definitions for new assets, and for updates that fill attribute cells or change the
+    // category – where values the new category does not define are dropped
+    const category = values.category || existing?.category;
+    const attributeCells = Object.fromEntries(attributeFields
+      .filter(f => raw[f] != null)
+      .map(f => [f.slice('attr.'.length), attributeValue(raw[f])]));
+    const categoryChanged = Boolean(existing && values.category && values.category !== existing.category);
+    if (category && ASSET_CATEGORIES.includes(category) &&
+        (!existing || Object.keys(attributeCells).length || categoryChanged)) {
+      const defs = definitionsOf(category);
+      const current = Object.fromEntries(Object.entries(existing?.attributes || {})
+        .filter(([key]) => !categoryChanged || defs.some(d => d.key === key)));
+      const result = validateAttributes(defs, attributeCells, current);
+      if (result.errors) {
+        for (const e of result.errors) fail(rowNumber, e.path.replace(/^attributes\./, 'attr.'), e.msg);
+      } else {
+        values.attributes = result.attributes;
+      }
+    }
+
+    if (existing && !upsert) {
+      fail(rowNumber, 'assetId', `Asset ${values.assetId} already exists`);
+    } else if (existing?.archived_at) {
+      fail(rowNumber, 'assetId', `Asset ${values.assetId} is archived – restore it first`);
+    } else if (existing && !inScope(user, { rigId: existing.rig_id, companyId: existing.company_id })) {
+      fail(rowNumber, 'assetId', `Asset ${values.assetId} is outside your assigned scope`);
+    } else if (errors.length === before) {
+      const placement = existing
+        ? { rigId: values.rigId || existing.rig_id, companyId: values.companyId || existing.company_id }
+        : { rigId: values.rigId, companyId: values.companyId };
+      if (!inScope(user, placement)) fail(rowNumber, values.rigId ? 'rig' : 'company', 'Rig or company is outside your assigned scope');
+    }
+
+    if (errors.length === before) plan.push({ row: rowNumber, action: existing ? 'update' : 'create', values, existing });
+  }
+  return { errors, plan };
+};
+
+// ── Writing ──────────────────────────────────────────────────
+// Applies a validated plan on db (the transaction client). Blank cells leave an existing
+// asset's value unchanged, as with PUT /api/assets/:id; attributes are written when
+// validateRows re-checked them. Returns the written rows.
+const applyPlan = async (ctx, db, plan) => {
+  const written = [];
+  for (const { action, values: v, existing } of plan) {
+    const fields = [
+      v.name, v.category, v.rigId || null, v.companyId || null, v.contractId || null, v.location,
+      v.valueUsd ?? null, v.acquisitionDate || null, v.serialNumber, v.manufacturer, v.model, v.notes,
+      v.yearManufactured ?? null, v.weightKg ?? null, v.dimensions,
+    ];
+
+    if (action === 'create') {
+      const { rows } = await db.query(`
+        INSERT INTO assets
+          (name, category, rig_id, company_id, contract_id, location, value_usd,
+           acquisition_date, serial_number, manufacturer, model, notes,
+           year_manufactured, weight_kg, dimensions, asset_id, status, created_by, attributes)
+        VALUES ($1,$2,$3,$4,$5,$6,COALESCE($7, 0),$8,$9,$10,$11,$12,$13,$14,$15,$16,$17,$18,$19)
+        RETURNING *
+      `, [...fields, v.assetId, v.status || 'Active', ctx.user.id, JSON.stringify(v.attributes || {})]);
+      await db.query(
+        `INSERT INTO asset_history (asset_id, action, changed_by, new_values, notes)
+         VALUES ($1, 'Created', $2, $3, 'Bulk import')`,
+        [rows[0].id, ctx.user.id, JSON.stringify(rows[0])]
+      );
+      await audit(ctx, 'assets', 'INSERT', { after: rows[0] }, db);
+      written.push(rows[0]);
+    } else {
+      const { rows } = await db.query(`
+        UPDATE assets SET
+          name = COALESCE($1, name),
+          category = COALESCE($2, category),
+          rig_id = COALESCE($3, rig_id),
+          company_id = COALESCE($4, company_id),
+          contract_id = COALESCE($5, contract_id),
+          location = COALESCE($6, location),
+          value_usd = COALESCE($7, value_usd),
+          acquisition_date = COALESCE($8, acquisition_date),
+          serial_number = COALESCE($9, serial_number),
+          manufacturer = COALESCE($10, manufacturer),
+          model = COALESCE($11, model),
+          notes = COALESCE($12, notes),
+          year_manufactured = COALESCE($13, year_manufactured),
+          weight_kg = COALESCE($14, weight_kg),
+          dimensions = COALESCE($15, dimensions),
+          status = COALESCE($16, status),
+          attributes = COALESCE($17::jsonb, attributes)
+        WHERE id = $18
+        RETURNING *
+      `, [...fields, v.status || null, v.attributes ? JSON.stringify(v.attributes) : null, existing.id]);
+      await db.query(
+        `INSERT INTO asset_history (asset_id, action, changed_by, old_values, new_values, notes)
+         VALUES ($1, 'Updated', $2, $3, $4, 'Bulk import')`,
+        [existing.id, ctx.user.id, JSON.stringify(existing), JSON.stringify(rows[0])]
+      );
+      await audit(ctx, 'assets', 'UPDATE', { before: existing, after: rows[0] }, db);
+      written.push(rows[0]);
+    }
+  }
+  return written;
+};
+
+module.exports = { TEMPLATE_COLUMNS, mapHeaders, validateRows, applyPlan };
@@ -0,0 +1,11 @@
+// services/assets.js – Asset field rules shared by the asset routes and bulk import
+// (must match the CHECK constraints on assets in schema.sql)
+
+const ASSET_CATEGORIES = [
+  'Drilling Equipment', 'Power Generation', 'Transportation',
+  'Safety Equipment', 'Communication', 'Other',
+];
+
+const ASSET_STATUSES = ['Active', 'Maintenance', 'Inactive', 'Contracted', 'Retired', 'Standby'];
+
+module.exports = { ASSET_CATEGORIES, ASSET_STATUSES };
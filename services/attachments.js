@@ -0,0 +1,270 @@
+// services/attachments.js – Files attached to assets, maintenance logs, transfers and contracts
+//
+// An upload is checked against the size and type limits (the declared type must match
+// the file's leading bytes where the type has a signature), hashed, stored through the
+// configured storage backend (services/storage.js) and recorded in `attachments`.
+// Images also get a JPEG thumbnail. Deleting a row queues its files for the cleanup job.
+const crypto = require('crypto');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { query } = require('../config/db');
+const { audit } = require('./audit');
+const { andScope } = require('./visibility');
+const { getStorage } = require('./storage');
+
+// Owner type → its attachments column, lookup (by id or code; $1) and access rules:
+// `resource` is the API key scope, `write` / `remove` the permissions to add / delete.
+// The lookup's archived_at is the record's own, or its asset's for logs and transfers.
+const ENTITIES = {
+  asset: {
+    column: 'asset_id',
+    resource: 'assets', write: 'assets.write', remove: 'assets.delete',
+    find: 'SELECT a.id, a.archived_at FROM assets a WHERE (a.id::text = $1 OR a.asset_id = $1)',
+    scope: { rig: 'a.rig_id', company: 'a.company_id' },
+  },
+  maintenance_log: {
+    column: 'maintenance_log_id',
+    resource: 'maintenance', write: 'maintenance.write', remove: 'maintenance.delete',
+    find: `SELECT ml.id, a.archived_at FROM maintenance_logs ml
+           JOIN maintenance_schedules ms ON ms.id = ml.schedule_id
+           JOIN assets a ON a.id = ms.asset_id WHERE ml.id::text = $1`,
+    scope: { asset: 'ms.asset_id' },
+  },
+  transfer: {
+    column: 'transfer_id',
+    resource: 'transfers', write: 'transfers.write', remove: 'transfers.write',
+    find: `SELECT t.id, a.archived_at FROM transfers t
+           JOIN assets a ON a.id = t.asset_id WHERE (t.id::text = $1 OR t.transfer_id = $1)`,
+    scope: { asset: 't.asset_id', rig: 't.dest_rig_id', company: 't.dest_company_id' },
+  },
+  contract: {
+    column: 'contract_id',
+    resource: 'contracts', write: 'contracts.write', remove: 'contracts.delete',
+    find: 'SELECT ct.id, ct.archived_at FROM contracts ct WHERE (ct.id::text = $1 OR ct.contract_no = $1)',
+    scope: { rig: 'ct.rig_id', company: 'ct.company_id' },
+  },
+};
+
+const DEFAULT_TYPES = [
+  'image/jpeg', 'image/png', 'image/webp', 'image/gif',
+  'application/pdf', 'text/plain', 'text/csv',
+  'application/msword', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.ms-excel', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+];
+
+// Types assumed for generic uploads (application/octet-stream) by file extension
+const BY_EXTENSION = {
+  '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.png': 'image/png', '.webp': 'image/webp',
+  '.gif': 'image/gif', '.pdf': 'application/pdf', '.txt': 'text/plain', '.csv': 'text/csv',
+  '.doc': 'application/msword', '.xls': 'application/vnd.ms-excel',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+};
+
+// Leading bytes each type must start with
+const startsWith = (...bytes) => (buf) => bytes.every((b, i) => buf[i] === b);
+const ZIP = startsWith(0x50, 0x4b, 0x03, 0x04);
+const OLE = startsWith(0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1);
+const SIGNATURES = {
+  'image/jpeg': startsWith(0xff, 0xd8, 0xff),
+  'image/png':  startsWith(0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a),
+  'image/gif':  (buf) => buf.subarray(0, 4).toString('latin1') === 'GIF8',
+  'image/webp': (buf) => buf.subarray(0, 4).toString('latin1') === 'RIFF' && buf.subarray(8, 12).toString('latin1') === 'WEBP',
+  'application/pdf': (buf) => buf.subarray(0, 5).toString('latin1') === '%PDF-',
+  'application/msword': OLE,
+  'application/vnd.ms-excel': OLE,
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': ZIP,
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': ZIP,
+};
+// Text has no signature, but never holds NUL bytes
+const looksLikeText = (buf) => !buf.subarray(0, 8192).includes(0);
+
+const THUMBNAIL_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+
+const maxFileBytes = () => Math.floor(parseFloat(process.env.ATTACHMENT_MAX_FILE_MB || '25') * 1024 * 1024);
+
+const allowedTypes = () => (process.env.ATTACHMENT_TYPES
+  ? process.env.ATTACHMENT_TYPES.split(',').map(t => t.trim().toLowerCase()).filter(Boolean)
+  : DEFAULT_TYPES);
+
+// Content type of an upload (multer file), or { error, status }
+const contentTypeOf = ({ buffer, mimetype, originalname }) => {
+  let type = String(mimetype || '').split(';')[0].trim().toLowerCase();
+  if (!type || type === 'application/octet-stream') {
+    type = BY_EXTENSION[path.extname(originalname || '').toLowerCase()] || type || 'application/octet-stream';
+  }
+  if (!allowedTypes().includes(type)) {
+    return { error: `Files of type ${type} are not accepted`, status: 415 };
+  }
+  const matches = SIGNATURES[type] ? SIGNATURES[type](buffer) : !type.startsWith('text/') || looksLikeText(buffer);
+  if (!matches) return { error: `File content is not ${type}`, status: 400 };
+  return { type };
+};
+
+// { thumbnail, width, height } of an image; throws when it cannot be decoded
+const makeThumbnail = async (buffer) => {
+  const sharp = require('sharp');
+  const size = parseInt(process.env.ATTACHMENT_THUMBNAIL_PX || '256');
+  const image = sharp(buffer);
+  const { width, height, orientation } = await image.metadata();
+  const thumbnail = await image
+    .rotate()                                   // honour EXIF orientation
+    .resize({ width: size, height: size, fit: 'inside', withoutEnlargement: true })
+    .flatten({ background: '#ffffff' })         // transparent PNG/GIF → white
+    .jpeg({ quality: 80 })
+    .toBuffer();
+  return orientation >= 5 ? { thumbnail, width: height, height: width } : { thumbnail, width, height };
+};
+
+// ── Owners ───────────────────────────────────────────────────
+// The owning record by id or code within the user's scope, or null
+const findOwner = async (user, entityType, id) => {
+  const entity = ENTITIES[entityType];
+  const params = [String(id)];
+  const { rows } = await query(`${entity.find} ${andScope(user, params, entity.scope)}`, params);
+  return rows[0] || null;
+};
+
+// [entityType, ownerId] of an attachment row
+const ownerOf = (row) => {
+  const entityType = Object.keys(ENTITIES).find(t => row[ENTITIES[t].column]);
+  return [entityType, row[ENTITIES[entityType].column]];
+};
+
+// ── Listing ──────────────────────────────────────────────────
+// Columns returned to clients (storage details stay internal)
+const ATTACHMENT_COLS = `att.id, att.asset_id, att.maintenance_log_id, att.transfer_id, att.contract_id,
+  att.file_name, att.content_type, att.size_bytes, att.checksum_sha256, att.image_width, att.image_height,
+  att.description, att.uploaded_by, u.full_name AS uploaded_by_name, att.created_at,
+  (att.thumbnail_key IS NOT NULL) AS has_thumbnail`;
+
+const present = ({ has_thumbnail, ...row }) => ({
+  ...row,
+  download_url: `/api/attachments/${row.id}/download`,
+  thumbnail_url: has_thumbnail ? `/api/attachments/${row.id}/thumbnail` : null,
+});
+
+// Attachments of the given owners, newest first
+const listAttachments = async (entityType, ownerIds) => {
+  const { rows } = await query(`
+    SELECT ${ATTACHMENT_COLS}
+    FROM attachments att
+    LEFT JOIN users u ON u.id = att.uploaded_by
+    WHERE att.${ENTITIES[entityType].column} = ANY($1::uuid[])
+    ORDER BY att.created_at DESC
+  `, [ownerIds]);
+  return rows.map(present);
+};
+
+// Sets `attachments` on each record (rows of the owner type, by their id); returns rows
+const withAttachments = async (entityType, records) => {
+  if (!records.length) return records;
+  const found = await listAttachments(entityType, records.map(r => r.id));
+  const column = ENTITIES[entityType].column;
+  for (const record of records) record.attachments = found.filter(a => a[column] === record.id);
+  return records;
+};
+
+// One attachment with its storage details, or null
+const findAttachment = async (id) => {
+  const { rows } = await query(`
+    SELECT ${ATTACHMENT_COLS}, att.storage_backend, att.storage_key, att.thumbnail_key
+    FROM attachments att
+    LEFT JOIN users u ON u.id = att.uploaded_by
+    WHERE att.id::text = $1
+  `, [String(id)]);
+  return rows[0] || null;
+};
+
+// Client view of a findAttachment() row
+const publicAttachment = ({ storage_backend, storage_key, thumbnail_key, ...row }) => present(row);
+
+// ── Upload ───────────────────────────────────────────────────
+// Store an uploaded file (multer memory file) against an owner found by findOwner().
+// Returns the attachment, or { error, status } when the file is refused.
+const storeAttachment = async (ctx, entityType, owner, file, description = null) => {
+  if (!file.size) return { error: 'The file is empty', status: 400 };
+  const checked = contentTypeOf(file);
+  if (checked.error) return checked;
+
+  let image = null;
+  if (THUMBNAIL_TYPES.includes(checked.type)) {
+    try {
+      image = await makeThumbnail(file.buffer);
+    } catch {
+      return { error: 'The image could not be read', status: 400 };
+    }
+  }
+
+  const now = new Date();
+  const key = `${entityType}/${now.getUTCFullYear()}/${String(now.getUTCMonth() + 1).padStart(2, '0')}/${uuidv4()}`;
+  const thumbnailKey = image ? `${key}.thumb.jpg` : null;
+  const storage = getStorage();
+  const fileName = path.basename(file.originalname || 'file').slice(0, 255);
+
+  await storage.put(key, file.buffer, { contentType: checked.type });
+  try {
+    if (image) await storage.put(thumbnailKey, image.thumbnail, { contentType: 'image/jpeg' });
+    const { rows } = await query(`
+      INSERT INTO attachments
+        (${ENTITIES[entityType].column}, file_name, content_type, size_bytes, checksum_sha256,
+         storage_backend, storage_key, thumbnail_key, image_width, image_height, description, uploaded_by)
+      VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12)
+      RETURNING *
+    `, [owner.id, fileName, checked.type, file.size,
+        crypto.createHash('sha256').update(file.buffer).digest('hex'),
+        storage.name, key, thumbnailKey, image?.width ?? null, image?.height ?? null,
+        description || null, ctx.user.id]);
+    await audit(ctx, 'attachments', 'INSERT', { after: rows[0] });
+    return publicAttachment(await findAttachment(rows[0].id));
+  } catch (err) {
+    await Promise.all([key, thumbnailKey].filter(Boolean).map(k => storage.remove(k).catch(() => {})));
+    throw err;
+  }
+};
+
+// ── Cleanup ──────────────────────────────────────────────────
+// Remove the stored files of deleted attachments (queued by trigger). Failures stay
+// queued and are retried on the next run.
+const removeDeletedFiles = async (batchSize = 50) => {
+  const { rows } = await query(
+    'SELECT * FROM attachment_removals ORDER BY created_at LIMIT $1', [batchSize]
+  );
+  const result = { removed: 0, failed: 0 };
+  for (const item of rows) {
+    try {
+      const storage = getStorage(item.storage_backend);
+      await storage.remove(item.storage_key);
+      if (item.thumbnail_key) await storage.remove(item.thumbnail_key);
+      await query('DELETE FROM attachment_removals WHERE id = $1', [item.id]);
+      result.removed++;
+    } catch (err) {
+      await query(
+        'UPDATE attachment_removals SET attempts = attempts + 1, last_error = $1 WHERE id = $2',
+        [err.message, item.id]
+      );
+      result.failed++;
+    }
+  }
+  return result;
+};
+
+// Periodic cleanup; interval from ATTACHMENT_CLEANUP_INTERVAL_SECONDS (0 disables)
+const startAttachmentCleanup = () => {
+  const seconds = parseInt(process.env.ATTACHMENT_CLEANUP_INTERVAL_SECONDS || '300');
+  if (!seconds) return null;
+
+  const run = () => removeDeletedFiles()
+    .then(({ removed }) => {
+      if (removed) console.log(`📎 Removed the stored files of ${removed} deleted attachment(s)`);
+    })
+    .catch(err => console.error('[ATTACHMENTS] cleanup run failed:', err.message));
+
+  run();
+  return setInterval(run, seconds * 1000).unref();
+};
+
+module.exports = {
+  ENTITIES, maxFileBytes, findOwner, ownerOf, listAttachments, withAttachments,
+  findAttachment, publicAttachment, storeAttachment, removeDeletedFiles, startAttachmentCleanup,
+};
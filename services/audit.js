@@ -0,0 +1,29 @@
+// services/audit.js – Writes rows to the system-wide audit_log table
+const { query } = require('../config/db');
+
+// Never copy credentials into the audit trail
+const REDACTED_FIELDS = ['password_hash', 'token_hash', 'totp_secret', 'key_hash'];
+
+// Credentials are masked; a changed credential still shows up as a field-level diff
+const scrub = (row, other) => {
+  if (!row) return null;
+  const copy = { ...row };
+  for (const field of REDACTED_FIELDS) {
+    if (!(field in copy)) continue;
+    copy[field] = other && field in other && other[field] !== row[field] ? '[changed]' : '[redacted]';
+  }
+  return JSON.stringify(copy);
+};
+
+// Record one INSERT / UPDATE / DELETE.
+//   ctx    – the Express request (or any { user, ip } object for background jobs)
+//   before – row as it was (UPDATE / DELETE), after – row as it is now (INSERT / UPDATE)
+//   db     – defaults to the pool; pass the transaction client when inside BEGIN/COMMIT
+const audit = (ctx, table, action, { before = null, after = null }, db = { query }) =>
+  db.query(`
+    INSERT INTO audit_log (table_name, record_id, action, changed_by, ip_address, old_data, new_data)
+    VALUES ($1, $2, $3, $4, $5, $6, $7)
+  `, [table, (after || before).id, action, ctx?.user?.id || null, ctx?.ip || null,
+      scrub(before), scrub(after, before)]);
+
+module.exports = { audit };
@@ -0,0 +1,165 @@
+// services/depreciation.js – Book value and depreciation schedules
+//
+// Depreciation runs in whole years counted from the acquisition date; within a year the
+// year's charge accrues evenly by day. Straight line charges (cost − salvage) / life each
+// year. Declining balance charges factor / life of the opening book value, switching to
+// straight line over the remaining life once that charges more, so the asset always
+// reaches its salvage value at the end of its useful life.
+const { query } = require('../config/db');
+
+const METHODS = ['straight_line', 'declining_balance'];
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// Start of a calendar day in UTC, from a Date (pg DATE → local midnight) or 'YYYY-MM-DD'
+const toDay = (d) => {
+  if (d instanceof Date) return Date.UTC(d.getFullYear(), d.getMonth(), d.getDate());
+  const [y, m, day] = String(d).slice(0, 10).split('-').map(Number);
+  return Date.UTC(y, m - 1, day);
+};
+const isoDay = (ms) => new Date(ms).toISOString().slice(0, 10);
+
+// The terms that apply to one asset: its own overrides over its category's policy.
+// null when the asset cannot be depreciated (no acquisition date or no policy/life).
+const termsFor = (asset, policy) => {
+  const method = asset.depreciation_method || policy?.method;
+  const life = Number(asset.useful_life_years || policy?.useful_life_years);
+  if (!asset.acquisition_date || !method || !life) return null;
+  const cost = Number(asset.value_usd) || 0;
+  const salvage = asset.salvage_value_usd != null
+    ? Number(asset.salvage_value_usd)
+    : cost * Number(policy?.salvage_pct || 0) / 100;
+  return {
+    method,
+    cost,
+    life,
+    salvage: Math.min(cost, salvage),
+    factor: Number(policy?.declining_factor || 2),
+    acquired: toDay(asset.acquisition_date),
+  };
+};
+
+// Book value at the end of each depreciation year: [cost, end of year 1, …, salvage]
+const yearEndValues = ({ method, cost, life, salvage, factor }) => {
+  const values = [cost];
+  let book = cost;
+  for (let year = 1; year < life + 1 && book > salvage; year++) {
+    const remainingLife = life - (year - 1);
+    const straight = remainingLife <= 1 ? book - salvage : (book - salvage) / remainingLife;
+    const charge = method === 'declining_balance'
+      ? Math.max(book * factor / life, straight)
+      : (cost - salvage) / life * Math.min(1, remainingLife);
+    book = Math.max(salvage, book - charge);
+    if (book - salvage < 0.005) book = salvage;   // float drift on the last year
+    values.push(book);
+  }
+  return values;
+};
+
+// Years since acquisition, counting anniversaries, plus the elapsed share of the current year
+const ageOn = (acquired, day) => {
+  const start = new Date(acquired);
+  const anniversary = (n) => Date.UTC(start.getUTCFullYear() + n, start.getUTCMonth(), start.getUTCDate());
+  let years = new Date(day).getUTCFullYear() - start.getUTCFullYear();
+  if (anniversary(years) > day) years--;
+  return years + (day - anniversary(years)) / (anniversary(years + 1) - anniversary(years));
+};
+
+// Book value of a depreciable asset on a given day
+const valueOn = (terms, values, day) => {
+  if (day <= terms.acquired) return terms.cost;
+  const age = ageOn(terms.acquired, day);
+  const year = Math.floor(age);
+  if (year >= values.length - 1) return values[values.length - 1];
+  return values[year] - (values[year] - values[year + 1]) * (age - year);
+};
+
+// { method, useful_life_years, salvage_value, accumulated_depreciation, book_value,
+//   fully_depreciated, as_of } for an asset row with its category policy
+const bookValue = (asset, policy, asOf = new Date()) => {
+  const terms = termsFor(asset, policy);
+  const day = toDay(asOf);
+  if (!terms) {
+    const cost = Number(asset.value_usd) || 0;
+    return {
+      method: null, useful_life_years: null, salvage_value: null,
+      accumulated_depreciation: 0, book_value: cost, fully_depreciated: false, as_of: isoDay(day),
+    };
+  }
+  const book = valueOn(terms, yearEndValues(terms), day);
+  return {
+    method: terms.method,
+    useful_life_years: terms.life,
+    salvage_value: round2(terms.salvage),
+    accumulated_depreciation: round2(terms.cost - book),
+    book_value: round2(book),
+    fully_depreciated: book <= terms.salvage,
+    as_of: isoDay(day),
+  };
+};
+
+// Charge per calendar year from acquisition until fully depreciated:
+// [{ year, opening, depreciation, closing, accumulated }]
+const schedule = (asset, policy) => {
+  const terms = termsFor(asset, policy);
+  if (!terms) return [];
+  const values = yearEndValues(terms);
+  const firstYear = new Date(terms.acquired).getUTCFullYear();
+  const rows = [];
+  const lastYear = firstYear + Math.ceil(terms.life) + 1;
+  for (let year = firstYear; year <= lastYear; year++) {
+    const opening = valueOn(terms, values, Math.max(terms.acquired, Date.UTC(year, 0, 1)));
+    const closing = valueOn(terms, values, Date.UTC(year + 1, 0, 1));
+    rows.push({
+      year,
+      opening: round2(opening),
+      depreciation: round2(opening - closing),
+      closing: round2(closing),
+      accumulated: round2(terms.cost - closing),
+    });
+    if (closing <= terms.salvage) break;
+  }
+  return rows;
+};
+
+// Sum per-asset schedules into one fleet schedule by calendar year
+const combineSchedules = (schedules) => {
+  const byYear = new Map();
+  for (const rows of schedules) {
+    for (const r of rows) {
+      const t = byYear.get(r.year) || { year: r.year, opening: 0, depreciation: 0, closing: 0, accumulated: 0 };
+      for (const key of ['opening', 'depreciation', 'closing', 'accumulated']) t[key] += r[key];
+      byYear.set(r.year, t);
+    }
+  }
+  // Assets already fully depreciated keep contributing their salvage value in later years
+  const years = [...byYear.keys()].sort((a, b) => a - b);
+  for (const rows of schedules) {
+    const last = rows[rows.length - 1];
+    if (!last) continue;
+    for (const year of years.filter(y => y > last.year)) {
+      const t = byYear.get(year);
+      t.opening += last.closing;
+      t.closing += last.closing;
+      t.accumulated += last.accumulated;
+    }
+  }
+  return years.map(year => {
+    const t = byYear.get(year);
+    return {
+      year,
+      opening: round2(t.opening),
+      depreciation: round2(t.depreciation),
+      closing: round2(t.closing),
+      accumulated: round2(t.accumulated),
+    };
+  });
+};
+
+// Policies keyed by category
+const loadPolicies = async (db = { query }) => {
+  const { rows } = await db.query('SELECT * FROM depreciation_policies');
+  return Object.fromEntries(rows.map(p => [p.category, p]));
+};
+
+module.exports = { METHODS, bookValue, schedule, combineSchedules, loadPolicies };
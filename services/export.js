@@ -0,0 +1,81 @@
+// services/export.js – CSV / XLSX downloads of list endpoints
+const { XLSX_MIME, writeCsv, writeXlsx } = require('./spreadsheet');
+
+// Column definitions are [{ key, header, type }] with type 'text' (default), 'number',
+// 'date' (DATE columns) or 'datetime' (TIMESTAMPTZ columns)
+const FORMATS = {
+  csv:  { mime: 'text/csv; charset=utf-8', ext: 'csv' },
+  xlsx: { mime: XLSX_MIME, ext: 'xlsx' },
+};
+
+// Requested export format: ?format=csv|xlsx wins, else the Accept header. null = JSON.
+const requestedFormat = (req) => {
+  const { format } = req.query;
+  if (format) return format === 'json' ? null : format;
+  const accepted = req.accepts(['application/json', 'text/csv', XLSX_MIME]);
+  if (accepted === 'text/csv') return 'csv';
+  if (accepted === XLSX_MIME) return 'xlsx';
+  return null;
+};
+
+// Export settings for this request, or null for a normal JSON response.
+// ?columns=key,key picks and orders the columns; { error } when the request is invalid.
+const exportOptions = (req, columns) => {
+  const format = requestedFormat(req);
+  if (!format) return null;
+  if (!FORMATS[format]) return { error: `Unsupported format "${format}" – use csv or xlsx` };
+  if (!req.query.columns) return { format, columns };
+
+  const wanted = String(req.query.columns).split(',').map(c => c.trim()).filter(Boolean);
+  const unknown = wanted.filter(key => !columns.some(c => c.key === key));
+  if (unknown.length) {
+    return { error: `Unknown column(s): ${unknown.join(', ')}. Available: ${columns.map(c => c.key).join(', ')}` };
+  }
+  return { format, columns: wanted.map(key => columns.find(c => c.key === key)) };
+};
+
+// DATE values arrive from pg as local midnight; keep the calendar day whatever the timezone
+const ymd = (d) => `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+
+const cell = (value, type, format) => {
+  if (value === null || value === undefined) return null;
+  if (type === 'number') return Number(value);
+  if (type === 'date' && value instanceof Date) {
+    return format === 'xlsx' ? new Date(`${ymd(value)}T00:00:00Z`) : ymd(value);
+  }
+  if (type === 'datetime' && value instanceof Date) return format === 'xlsx' ? value : value.toISOString();
+  return value;
+};
+
+const NUM_FMT = { date: 'yyyy-mm-dd', datetime: 'yyyy-mm-dd hh:mm' };
+
+// Stream rows as an attachment named <name>-YYYY-MM-DD.<ext>. `batches` is an (async)
+// iterable of row arrays, e.g. listAll(); each batch is written before the next is read.
+const sendExport = async (res, { format, columns }, name, batches) => {
+  const { mime, ext } = FORMATS[format];
+  const cols = columns.map(c => ({ ...c, numFmt: NUM_FMT[c.type] }));
+
+  // The first batch is read before anything is sent, so a failing query still gets a
+  // normal error response
+  const iterator = batches[Symbol.asyncIterator]?.() || batches[Symbol.iterator]();
+  const first = await iterator.next();
+  async function* values() {
+    for (let step = first; !step.done; step = await iterator.next()) {
+      for (const row of step.value) {
+        yield Object.fromEntries(columns.map(c => [c.key, cell(row[c.key], c.type, format)]));
+      }
+    }
+  }
+
+  res.attachment(`${name}-${ymd(new Date())}.${ext}`).type(mime);
+  try {
+    if (format === 'xlsx') await writeXlsx(res, cols, values(), name);
+    else await writeCsv(res, cols, values());
+  } catch (err) {
+    // Part of the file is already out: cut the download short instead of answering twice
+    console.error(`[EXPORT] ${name} export failed:`, err.message);
+    res.destroy(err);
+  }
+};
+
+module.exports = { exportOptions, sendExport };
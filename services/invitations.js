@@ -0,0 +1,49 @@
+// services/invitations.js – One-time invitation tokens for admin-driven onboarding
+const { randomToken, hashToken } = require('./tokens');
+
+const INVITATION_COLS = `ui.id, ui.email, ui.role, ui.department, ui.invited_by, ui.expires_at,
+  ui.accepted_at, ui.accepted_by, ui.revoked_at, ui.created_at,
+  CASE
+    WHEN ui.accepted_at IS NOT NULL THEN 'Accepted'
+    WHEN ui.revoked_at  IS NOT NULL THEN 'Revoked'
+    WHEN ui.expires_at <= NOW()     THEN 'Expired'
+    ELSE 'Pending'
+  END AS status`;
+
+// Issue an invitation and return it together with the plain token (never stored).
+// Any outstanding invitation for the same email is revoked, so only the newest link works.
+const createInvitation = async (db, { email, role, department, expiresInDays, invitedBy }) => {
+  await db.query(`
+    UPDATE user_invitations SET revoked_at = NOW()
+    WHERE LOWER(email) = LOWER($1) AND accepted_at IS NULL AND revoked_at IS NULL
+  `, [email]);
+
+  const token = randomToken();
+  const { rows } = await db.query(`
+    INSERT INTO user_invitations AS ui (email, role, department, token_hash, invited_by, expires_at)
+    VALUES ($1, $2, $3, $4, $5, NOW() + make_interval(days => $6::int))
+    RETURNING ${INVITATION_COLS}
+  `, [email, role, department || null, hashToken(token), invitedBy || null, expiresInDays]);
+
+  return { invitation: rows[0], token };
+};
+
+// Find the invitation behind a token. Returns { invitation } when it can still be redeemed,
+// otherwise { status, error } ready to send. Pass forUpdate inside a transaction.
+const findPendingInvitation = async (db, token, { forUpdate = false } = {}) => {
+  const { rows } = await db.query(`
+    SELECT ${INVITATION_COLS}
+    FROM user_invitations ui
+    WHERE ui.token_hash = $1
+    ${forUpdate ? 'FOR UPDATE' : ''}
+  `, [hashToken(token || '')]);
+
+  if (!rows.length) return { status: 404, error: 'Invitation not found' };
+  const invitation = rows[0];
+  if (invitation.status !== 'Pending') {
+    return { status: 410, error: `Invitation is ${invitation.status.toLowerCase()}` };
+  }
+  return { invitation };
+};
+
+module.exports = { INVITATION_COLS, createInvitation, findPendingInvitation };
@@ -0,0 +1,124 @@
+// services/labels.js – Printable asset tags: QR code + Code128 barcode
+const bwipjs = require('bwip-js');
+const PDFDocument = require('pdfkit');
+
+const mm = (n) => n * 72 / 25.4;
+
+// One tag is 100 × 50 mm; sheets hold 2 × 5 of them
+const LABEL = { width: mm(100), height: mm(50), padding: mm(3) };
+const SHEET = { columns: 2, rows: 5 };
+const PAPER = { A4: [mm(210), mm(297)], LETTER: [612, 792] };
+
+// What the QR code holds: the asset's page in the web app, which ends in its asset_id
+const assetUrl = (asset) =>
+  `${(process.env.APP_URL || 'http://localhost:3000').replace(/\/+$/, '')}/assets/${encodeURIComponent(asset.asset_id)}`;
+
+const QR_OPTIONS      = (asset) => ({ bcid: 'qrcode', text: assetUrl(asset), eclevel: 'M' });
+const BARCODE_OPTIONS = (asset) => ({
+  bcid: 'code128', text: asset.asset_id, height: 9, includetext: true, textxalign: 'center',
+});
+
+const escapeXml = (s) => String(s ?? '').replace(/[<>&"']/g, c => `&#${c.charCodeAt(0)};`);
+
+// Long names are cut to fit the text column
+const fit = (text, max) => (text && text.length > max ? `${text.slice(0, max - 1)}…` : text || '');
+
+// ── SVG (single tag, for browser printing) ───────────────────
+const labelSvg = (asset) => {
+  const { width, height, padding } = LABEL;
+  const qrSize = height - 2 * padding;
+  const textX = padding * 2 + qrSize;
+  const nested = (svg, x, y, w, h) =>
+    svg.replace('<svg ', `<svg x="${x}" y="${y}" width="${w}" height="${h}" preserveAspectRatio="xMinYMid meet" `);
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}pt" height="${height}pt" viewBox="0 0 ${width} ${height}">
+<rect width="100%" height="100%" fill="#fff"/>
+${nested(bwipjs.toSVG(QR_OPTIONS(asset)), padding, padding, qrSize, qrSize)}
+<g font-family="Helvetica, Arial, sans-serif" fill="#000">
+<text x="${textX}" y="${padding + 11}" font-size="11" font-weight="bold">${escapeXml(fit(asset.name, 28))}</text>
+<text x="${textX}" y="${padding + 25}" font-size="10">${escapeXml(asset.asset_id)}</text>
+<text x="${textX}" y="${padding + 38}" font-size="9">${escapeXml(fit(asset.rig_name || 'No rig', 32))}</text>
+</g>
+${nested(bwipjs.toSVG(BARCODE_OPTIONS(asset)), textX, height - padding - mm(17), width - textX - padding, mm(17))}
+</svg>
+`;
+};
+
+// ── PDF ──────────────────────────────────────────────────────
+const renderCodes = async (asset) => {
+  const [qr, barcode] = await Promise.all([
+    bwipjs.toBuffer({ ...QR_OPTIONS(asset), scale: 4 }),
+    bwipjs.toBuffer({ ...BARCODE_OPTIONS(asset), scale: 3 }),
+  ]);
+  return { asset, qr, barcode };
+};
+
+const drawLabel = (doc, { asset, qr, barcode }, x, y, { border }) => {
+  const { width, height, padding } = LABEL;
+  const qrSize = height - 2 * padding;
+  const textX = x + padding * 2 + qrSize;
+  const textWidth = width - (textX - x) - padding;
+
+  if (border) doc.save().lineWidth(0.3).strokeColor('#bbbbbb').rect(x, y, width, height).stroke().restore();
+  doc.image(qr, x + padding, y + padding, { fit: [qrSize, qrSize] });
+  doc.fillColor('#000')
+    .font('Helvetica-Bold').fontSize(11)
+    .text(asset.name, textX, y + padding, { width: textWidth, height: 28, ellipsis: true })
+    .font('Helvetica').fontSize(10)
+    .text(asset.asset_id, textX, y + padding + 30, { width: textWidth, lineBreak: false })
+    .fontSize(9)
+    .text(asset.rig_name || 'No rig', textX, y + padding + 44, { width: textWidth, lineBreak: false, ellipsis: true });
+  doc.image(barcode, textX, y + height - padding - mm(17), { fit: [textWidth, mm(17)], align: 'center' });
+};
+
+// Write tags for assets as a PDF to stream. One asset → a single label-sized page;
+// sheet → paper pages of 2 × 5 tags with cut guides. Every code is rendered before
+// anything is written, so a rendering error leaves the stream untouched.
+const writeLabelsPdf = async (stream, assets, { sheet = false, paper = 'A4' } = {}) => {
+  const labels = [];
+  for (const asset of assets) labels.push(await renderCodes(asset));
+
+  const doc = new PDFDocument({
+    autoFirstPage: false,
+    info: { Title: assets.length === 1 ? `Asset tag ${assets[0].asset_id}` : 'Asset tags' },
+  });
+  doc.pipe(stream);
+
+  if (!sheet) {
+    for (const label of labels) {
+      doc.addPage({ size: [LABEL.width, LABEL.height], margin: 0 });
+      drawLabel(doc, label, 0, 0, { border: false });
+    }
+  } else {
+    const [pageWidth, pageHeight] = PAPER[paper];
+    const marginX = (pageWidth - SHEET.columns * LABEL.width) / 2;
+    const marginY = (pageHeight - SHEET.rows * LABEL.height) / 2;
+    const perPage = SHEET.columns * SHEET.rows;
+    for (let i = 0; i < labels.length; i++) {
+      if (i % perPage === 0) doc.addPage({ size: [pageWidth, pageHeight], margin: 0 });
+      const slot = i % perPage;
+      const x = marginX + (slot % SHEET.columns) * LABEL.width;
+      const y = marginY + Math.floor(slot / SHEET.columns) * LABEL.height;
+      drawLabel(doc, labels[i], x, y, { border: true });
+    }
+  }
+  doc.end();
+};
+
+// ── Scanning ─────────────────────────────────────────────────
+// Reduce a scanned payload to the identifier it carries: the tag's URL gives its last
+// path segment; a bare asset ID, UUID or serial number is used as is.
+const scannedValue = (payload) => {
+  const value = String(payload ?? '').trim();
+  if (!/^https?:\/\//i.test(value)) return value;
+  try {
+    const segments = new URL(value).pathname.split('/').filter(Boolean);
+    return decodeURIComponent(segments.pop() || '');
+  } catch {
+    return value;
+  }
+};
+
+// Asset IDs compared without case, spaces or punctuation: "ast 001" / "AST001" → AST-001
+const looseId = (value) => value.toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+module.exports = { PAPER, assetUrl, labelSvg, writeLabelsPdf, scannedValue, looseId };
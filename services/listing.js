@@ -0,0 +1,171 @@
+// services/listing.js – Sorting, keyset pagination and totals shared by the list endpoints
+//
+// A list endpoint declares the sorts it allows, each a list of SQL columns:
+//   { name: [{ expr: 'a.name', type: 'text', notNull: true }], … }
+// plus a unique tiebreaker column (the row id). Pages are cut with a keyset condition on
+// the last row's sort values – carried by the opaque nextCursor – instead of OFFSET, so
+// deep pages cost the same as the first. Nulls always sort last.
+const { query } = require('../config/db');
+
+// Sort value types and how a cursor value of that type must look
+const VALUE_CHECKS = {
+  text:        (v) => typeof v === 'string',
+  numeric:     (v) => typeof v === 'number' && Number.isFinite(v),
+  integer:     (v) => Number.isInteger(v),
+  boolean:     (v) => typeof v === 'boolean',
+  date:        (v) => typeof v === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(v),
+  timestamptz: (v) => typeof v === 'string' && !Number.isNaN(Date.parse(v)),
+  uuid:        (v) => typeof v === 'string' && /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(v),
+};
+
+const TOTALS = ['exact', 'estimate', 'none'];
+
+const whereOf = (conditions) => (conditions.length ? 'WHERE ' + conditions.join(' AND ') : '');
+
+const encodeCursor = (data) => Buffer.from(JSON.stringify(data)).toString('base64url');
+const decodeCursor = (cursor) => {
+  try { return JSON.parse(Buffer.from(String(cursor), 'base64url').toString()); } catch { return null; }
+};
+
+// Paging settings of a list request, or { error }.
+// Query params: sort, order (asc|desc), limit, cursor (a previous nextCursor), page
+// (OFFSET paging, kept for older clients), total (exact|estimate|none).
+//   sorts    – allowed sorts, see above
+//   defaults – { sort, order, limit, tiebreak } (tiebreak: unique uuid column, e.g. 'a.id')
+const listOptions = (req, sorts, { sort: defaultSort, order: defaultOrder = 'asc', limit: defaultLimit = 50, tiebreak }) => {
+  const { sort = defaultSort, order = defaultOrder, cursor, page, total = 'exact' } = req.query;
+  if (!sorts[sort]) return { error: `sort must be one of: ${Object.keys(sorts).join(', ')}` };
+  if (!['asc', 'desc'].includes(order)) return { error: 'order must be asc or desc' };
+  if (!TOTALS.includes(total)) return { error: `total must be one of: ${TOTALS.join(', ')}` };
+
+  const maxLimit = parseInt(process.env.LIST_MAX_LIMIT || '500');
+  const limit = req.query.limit === undefined ? defaultLimit : Number(req.query.limit);
+  if (!Number.isInteger(limit) || limit < 1) return { error: 'limit must be a positive whole number' };
+  const pageNo = page === undefined ? null : Number(page);
+  if (pageNo !== null && (!Number.isInteger(pageNo) || pageNo < 1)) return { error: 'page must be a positive whole number' };
+
+  const columns = [...sorts[sort], { expr: tiebreak, type: 'uuid', notNull: true }];
+  let after = null;
+  if (cursor) {
+    const decoded = decodeCursor(cursor);
+    const valid = decoded && decoded.sort === sort && decoded.order === order &&
+      Array.isArray(decoded.values) && decoded.values.length === columns.length &&
+      decoded.values.every((v, i) => (v === null ? !columns[i].notNull : VALUE_CHECKS[columns[i].type](v)));
+    if (!valid) return { error: 'cursor is invalid or belongs to another sort order – start again without it' };
+    after = decoded.values;
+  }
+
+  return {
+    sort,
+    order,
+    columns,
+    limit: Math.min(limit, maxLimit),
+    offset: !after && pageNo ? (pageNo - 1) * Math.min(limit, maxLimit) : null,
+    page: after ? null : pageNo,
+    after,
+    total,
+  };
+};
+
+// Select-list item carrying each row's sort values (stripped from the response)
+const cursorColumn = (listing) => `json_build_array(${listing.columns.map(c => c.expr).join(', ')}) AS list_cursor`;
+
+const orderBy = (listing) =>
+  'ORDER BY ' + listing.columns.map(c => `${c.expr} ${listing.order.toUpperCase()} NULLS LAST`).join(', ');
+
+// Rows strictly after the cursor in sort order; pushes the values onto params
+const keysetCondition = (listing, params) => {
+  const { columns, after, order } = listing;
+  if (!after) return null;
+  const op = order === 'asc' ? '>' : '<';
+  const bound = [];
+  const bind = (i) => {
+    if (!bound[i]) {
+      params.push(after[i]);
+      bound[i] = `$${params.length}::${columns[i].type}`;
+    }
+    return bound[i];
+  };
+
+  // Without nulls a row comparison does it (and can use a matching index)
+  if (columns.every(c => c.notNull)) {
+    return `(${columns.map(c => c.expr).join(', ')}) ${op} (${columns.map((c, i) => bind(i)).join(', ')})`;
+  }
+  // Otherwise: equal on the first i columns and after on column i, for some i
+  const branches = [];
+  columns.forEach((col, i) => {
+    if (after[i] === null) return;    // nothing sorts after a null (nulls last) on this column
+    const equal = columns.slice(0, i).map((c, j) => (after[j] === null ? `${c.expr} IS NULL` : `${c.expr} = ${bind(j)}`));
+    const value = bind(i);
+    const later = col.notNull ? `${col.expr} ${op} ${value}` : `(${col.expr} ${op} ${value} OR ${col.expr} IS NULL)`;
+    branches.push([...equal, later].join(' AND '));
+  });
+  return `(${branches.map(b => `(${b})`).join(' OR ')})`;
+};
+
+// Row count of the list – exact, the planner's estimate, or null
+const countOf = async (listing, sql, params) => {
+  if (listing.total === 'none') return null;
+  if (listing.total === 'estimate') {
+    const { rows } = await query(`EXPLAIN (FORMAT JSON) ${sql}`, params);
+    return Math.round(rows[0]['QUERY PLAN'][0].Plan['Plan Rows']);
+  }
+  const { rows } = await query(`SELECT COUNT(*) FROM (${sql}) list`, params);
+  return parseInt(rows[0].count);
+};
+
+// One page of a list: { data, total, totalEstimated, sort, order, limit, nextCursor[, page] }
+//   sql(where) – the list's SELECT (including cursorColumn(listing), no ORDER BY / LIMIT)
+//   conditions – the filters; params – their values
+const listPage = async (listing, sql, conditions, params) => {
+  const pageParams = [...params];
+  const keyset = keysetCondition(listing, pageParams);
+  pageParams.push(listing.limit + 1);
+  let pageSql = `${sql(whereOf(keyset ? [...conditions, keyset] : conditions))} ${orderBy(listing)} LIMIT $${pageParams.length}`;
+  if (listing.offset) {
+    pageParams.push(listing.offset);
+    pageSql += ` OFFSET $${pageParams.length}`;
+  }
+
+  const [{ rows }, total] = await Promise.all([
+    query(pageSql, pageParams),
+    countOf(listing, sql(whereOf(conditions)), params),
+  ]);
+  const more = rows.length > listing.limit;
+  const data = rows.slice(0, listing.limit);
+  const lastValues = data[data.length - 1]?.list_cursor;
+  for (const row of data) delete row.list_cursor;
+
+  return {
+    data,
+    total,
+    totalEstimated: listing.total === 'estimate',
+    sort: listing.sort,
+    order: listing.order,
+    limit: listing.limit,
+    ...(listing.page && { page: listing.page }),
+    nextCursor: more ? encodeCursor({ sort: listing.sort, order: listing.order, values: lastValues }) : null,
+  };
+};
+
+// Every row of a list in sort order, as batches of up to batchSize rows read one after
+// another with the keyset condition – a spreadsheet export never holds the whole list
+async function* listAll(listing, sql, conditions, params, batchSize = 1000) {
+  let after = null;
+  for (;;) {
+    const batchParams = [...params];
+    const keyset = keysetCondition({ ...listing, after }, batchParams);
+    batchParams.push(batchSize);
+    const { rows } = await query(
+      `${sql(whereOf(keyset ? [...conditions, keyset] : conditions))} ${orderBy(listing)} LIMIT $${batchParams.length}`,
+      batchParams
+    );
+    if (!rows.length) return;
+    after = rows[rows.length - 1].list_cursor;
+    for (const row of rows) delete row.list_cursor;
+    yield rows;
+    if (rows.length < batchSize) return;
+  }
+}
+
+module.exports = { whereOf, listOptions, cursorColumn, listPage, listAll };
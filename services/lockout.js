@@ -0,0 +1,37 @@
+// services/lockout.js – Per-account failed-login tracking, progressive lockout and login history
+const { query } = require('../config/db');
+
+// Append one row to the login history
+const recordAttempt = (req, { userId = null, email, success, reason = null }) =>
+  query(`
+    INSERT INTO login_attempts (user_id, email, success, failure_reason, ip_address, user_agent)
+    VALUES ($1, $2, $3, $4, $5, $6)
+  `, [userId, email, success, reason, req.ip || null, req.get('user-agent') || null]);
+
+// Count a failed password for the account. From LOGIN_LOCKOUT_THRESHOLD failures on,
+// each further failure locks it for LOGIN_LOCKOUT_MINUTES, doubling every time
+// (capped at LOGIN_LOCKOUT_MAX_MINUTES). Returns { failedCount, lockedUntil }.
+const registerFailure = async (userId) => {
+  const threshold  = parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD   || '5');
+  const baseMins   = parseInt(process.env.LOGIN_LOCKOUT_MINUTES     || '15');
+  const maxMins    = parseInt(process.env.LOGIN_LOCKOUT_MAX_MINUTES || '1440');
+
+  const { rows } = await query(`
+    UPDATE users SET
+      failed_login_count = failed_login_count + 1,
+      locked_until = CASE
+        WHEN failed_login_count + 1 >= $2
+          THEN NOW() + make_interval(mins => LEAST($4::int, $3::int * POWER(2, LEAST(failed_login_count + 1 - $2, 16))::int))
+        ELSE locked_until
+      END
+    WHERE id = $1
+    RETURNING failed_login_count, locked_until
+  `, [userId, threshold, baseMins, maxMins]);
+  return { failedCount: rows[0].failed_login_count, lockedUntil: rows[0].locked_until };
+};
+
+// Successful login, password reset or admin unlock
+const clearFailures = (userId, db = { query }) =>
+  db.query('UPDATE users SET failed_login_count = 0, locked_until = NULL WHERE id = $1', [userId]);
+
+module.exports = { recordAttempt, registerFailure, clearFailures };
@@ -0,0 +1,145 @@
+// services/mailer.js – Persistent mail outbox and pluggable delivery transports
+const fs   = require('fs/promises');
+const path = require('path');
+const { getClient } = require('../config/db');
+
+// ── Transports ───────────────────────────────────────────────
+// A transport is { name, send(message) } where message is
+// { id, to, from, subject, text, html }. send() must throw on failure.
+const transports = {
+  smtp: () => {
+    const nodemailer = require('nodemailer');
+    const transporter = nodemailer.createTransport({
+      host:   process.env.SMTP_HOST,
+      port:   parseInt(process.env.SMTP_PORT || '587'),
+      secure: process.env.SMTP_SECURE === 'true',
+      auth:   process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+        : undefined,
+    });
+    return {
+      name: 'smtp',
+      send: (m) => transporter.sendMail({ from: m.from, to: m.to, subject: m.subject, text: m.text, html: m.html || undefined }),
+    };
+  },
+
+  // One .eml file per message – handy for local work and for inspecting links
+  file: () => {
+    const dir = process.env.MAIL_FILE_DIR || path.join(process.cwd(), 'tmp', 'mail');
+    return {
+      name: 'file',
+      send: async (m) => {
+        await fs.mkdir(dir, { recursive: true });
+        const eml = [`From: ${m.from}`, `To: ${m.to}`, `Subject: ${m.subject}`, '', m.text, ''].join('\n');
+        await fs.writeFile(path.join(dir, `${Date.now()}-${m.id}.eml`), eml);
+      },
+    };
+  },
+
+  console: () => ({
+    name: 'console',
+    send: async (m) => {
+      console.log(`📧 [MAIL] to=${m.to} subject="${m.subject}"\n${m.text}\n`);
+    },
+  }),
+};
+
+// Make another transport available under MAIL_TRANSPORT=<name>
+const registerTransport = (name, factory) => { transports[name] = factory; };
+
+let transport = null;
+const getTransport = () => {
+  if (transport) return transport;
+  const name = process.env.MAIL_TRANSPORT || (process.env.NODE_ENV === 'production' ? 'smtp' : 'console');
+  if (!transports[name]) throw new Error(`Unknown MAIL_TRANSPORT "${name}"`);
+  transport = transports[name]();
+  return transport;
+};
+
+// ── Outbox ───────────────────────────────────────────────────
+// Queue an email. Pass the transaction client so the mail is only sent if the change commits.
+const enqueueMail = async (db, { to, subject, text, html = null }) => {
+  const { rows } = await db.query(`
+    INSERT INTO mail_outbox (to_address, subject, body_text, body_html)
+    VALUES ($1, $2, $3, $4)
+    RETURNING id, to_address, subject, status, created_at
+  `, [to, subject, text, html]);
+  return rows[0];
+};
+
+// Deliver due messages. Failures are retried with a growing delay until
+// MAIL_MAX_ATTEMPTS, after which the message is marked Failed. Bodies can carry
+// one-time links (password resets), so they are blanked once a message is settled.
+const deliverPending = async (batchSize = 20) => {
+  const maxAttempts = parseInt(process.env.MAIL_MAX_ATTEMPTS || '5');
+  const from = process.env.MAIL_FROM || 'RigAsset Pro <no-reply@rigasset.local>';
+  const sender = getTransport();
+  const result = { sent: 0, failed: 0 };
+
+  const client = await getClient();
+  try {
+    await client.query('BEGIN');
+    // SKIP LOCKED lets several API instances drain the outbox without double-sending
+    const { rows } = await client.query(`
+      SELECT * FROM mail_outbox
+      WHERE status = 'Pending' AND send_after <= NOW()
+      ORDER BY created_at
+      LIMIT $1
+      FOR UPDATE SKIP LOCKED
+    `, [batchSize]);
+
+    for (const mail of rows) {
+      try {
+        await sender.send({
+          id: mail.id, to: mail.to_address, from,
+          subject: mail.subject, text: mail.body_text, html: mail.body_html,
+        });
+        await client.query(`
+          UPDATE mail_outbox SET status = 'Sent', sent_at = NOW(), attempts = attempts + 1, last_error = NULL,
+                                 body_text = '', body_html = NULL
+          WHERE id = $1
+        `, [mail.id]);
+        result.sent++;
+      } catch (err) {
+        const attempts = mail.attempts + 1;
+        await client.query(`
+          UPDATE mail_outbox SET
+            attempts   = $1,
+            last_error = $2,
+            status     = CASE WHEN $1 >= $3 THEN 'Failed' ELSE 'Pending' END,
+            send_after = NOW() + make_interval(mins => $1 * $1),
+            body_text  = CASE WHEN $1 >= $3 THEN '' ELSE body_text END,
+            body_html  = CASE WHEN $1 >= $3 THEN NULL ELSE body_html END
+          WHERE id = $4
+        `, [attempts, err.message, maxAttempts, mail.id]);
+        console.error(`[MAILER] delivery to ${mail.to_address} failed (attempt ${attempts}):`, err.message);
+        result.failed++;
+      }
+    }
+
+    await client.query('COMMIT');
+    return result;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+// Periodic delivery; interval from MAIL_OUTBOX_INTERVAL_SECONDS (0 disables)
+const startMailer = () => {
+  const seconds = parseInt(process.env.MAIL_OUTBOX_INTERVAL_SECONDS || '30');
+  if (!seconds) return null;
+
+  const run = () => deliverPending()
+    .then(({ sent }) => {
+      if (sent) console.log(`📧 Delivered ${sent} queued email(s) via ${getTransport().name}`);
+    })
+    .catch(err => console.error('[MAILER] outbox run failed:', err.message));
+
+  run();
+  return setInterval(run, seconds * 1000).unref();
+};
+
+module.exports = { registerTransport, enqueueMail, deliverPending, startMailer };
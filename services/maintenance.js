@@ -0,0 +1,99 @@
+// services/maintenance.js – PM schedule logic shared by several routers
+const { audit } = require('./audit');
+const { recordReadings } = require('./meters');
+
+// ── Due state in SQL ─────────────────────────────────────────
+// For queries over maintenance_schedules ms joined with METER_JOIN. A schedule falls due
+// by date, by meter, or – with both triggers – whichever comes first. The expressions
+// are never NULL, so they can be negated and combined freely.
+const METER_JOIN = 'LEFT JOIN asset_meters mt ON mt.id = ms.meter_id';
+const IS_OPEN = "ms.status NOT IN ('Completed','Cancelled')";
+const IS_OVERDUE = `(COALESCE(ms.next_due_date < CURRENT_DATE, false)
+        OR COALESCE(mt.current_reading >= ms.next_due_meter, false))`;
+// Overdue, or within alert_days / meter_alert of falling due
+const IN_ALERT_WINDOW = `(COALESCE(ms.next_due_date <= CURRENT_DATE + ms.alert_days, false)
+        OR COALESCE(mt.current_reading >= ms.next_due_meter - ms.meter_alert, false))`;
+const IS_DUE_SOON = `(NOT ${IS_OVERDUE} AND ${IN_ALERT_WINDOW})`;
+const LIVE_STATUS = `CASE
+        WHEN ms.status IN ('Completed','Cancelled') THEN ms.status
+        WHEN ${IS_OVERDUE}      THEN 'Overdue'
+        WHEN ${IN_ALERT_WINDOW} THEN 'Due Soon'
+        ELSE 'Scheduled'
+      END`;
+// Meter columns for schedule rows
+const METER_COLUMNS = `mt.name AS meter_name, mt.unit AS meter_unit, mt.current_reading AS meter_reading,
+      (ms.next_due_meter - mt.current_reading) AS meter_remaining`;
+
+const addDays = (date, days) =>
+  new Date(new Date(date).getTime() + days * 86400000).toISOString().slice(0, 10);
+
+// Log a completion against a schedule and roll its next due date and/or meter forward.
+// `db` is anything with a pg-style query() (the pool helper or a transaction client);
+// `ctx` is the request (or { user, ip }) recorded in the audit trail.
+// meterReading is the schedule's meter at completion (default: its current reading); a
+// reading above the current one is recorded on the meter too.
+const completeSchedule = async (db, scheduleId, {
+  completionDate, completedBy, completedByUserId, actualHours,
+  actualCost, partsUsed, workNotes, nextDueDate, meterReading, nextDueMeter,
+}, ctx) => {
+  const { rows: sched } = await db.query(
+    'SELECT * FROM maintenance_schedules WHERE id = $1 FOR UPDATE', [scheduleId]
+  );
+  if (!sched.length) return null;
+  const s = sched[0];
+
+  // Auto-calculate next due date if not provided (calendar schedules only)
+  const computedNextDue = s.frequency_days ? nextDueDate || addDays(completionDate, s.frequency_days) : null;
+
+  let doneMeter = null;
+  let computedNextMeter = null;
+  if (s.meter_id) {
+    const { rows: meter } = await db.query('SELECT * FROM asset_meters WHERE id = $1', [s.meter_id]);
+    const current = meter[0].current_reading === null ? null : Number(meter[0].current_reading);
+    if (meterReading != null && (current === null || Number(meterReading) > current)) {
+      const result = await recordReadings(db, [{ index: 0, meterId: s.meter_id, reading: Number(meterReading) }],
+        { source: 'completion', ctx });
+      if (result.errors) {
+        const err = new Error(`meterReading: ${result.errors[0].message}`);
+        err.status = 400;
+        throw err;
+      }
+    }
+    doneMeter = meterReading != null ? Number(meterReading) : (current ?? Number(s.last_done_meter ?? 0));
+    computedNextMeter = nextDueMeter != null ? Number(nextDueMeter) : doneMeter + Number(s.meter_interval);
+  }
+
+  // Insert log entry
+  const { rows: log } = await db.query(`
+    INSERT INTO maintenance_logs
+      (schedule_id, completion_date, completed_by, completed_by_user_id,
+       actual_hours, actual_cost, parts_used, work_notes, next_due_date,
+       meter_reading, next_due_meter)
+    VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11)
+    RETURNING *
+  `, [scheduleId, completionDate, completedBy, completedByUserId || null, actualHours || null,
+      actualCost || null, partsUsed || null, workNotes || null, computedNextDue,
+      doneMeter, computedNextMeter]);
+
+  // Update schedule
+  const { rows: updated } = await db.query(`
+    UPDATE maintenance_schedules SET
+      last_done_date  = $1,
+      next_due_date   = $2,
+      last_done_meter = COALESCE($3, last_done_meter),
+      next_due_meter  = COALESCE($4, next_due_meter),
+      status          = 'Scheduled'
+    WHERE id = $5
+    RETURNING *
+  `, [completionDate, computedNextDue, doneMeter, computedNextMeter, scheduleId]);
+
+  await audit(ctx, 'maintenance_logs', 'INSERT', { after: log[0] }, db);
+  await audit(ctx, 'maintenance_schedules', 'UPDATE', { before: s, after: updated[0] }, db);
+
+  return { schedule: updated[0], log: log[0] };
+};
+
+module.exports = {
+  METER_JOIN, IS_OPEN, IS_OVERDUE, IN_ALERT_WINDOW, IS_DUE_SOON, LIVE_STATUS, METER_COLUMNS,
+  completeSchedule,
+};
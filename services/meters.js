@@ -0,0 +1,127 @@
+// services/meters.js – Asset meters and their readings
+//
+// A meter counts the usage of one asset (running hours, pump cycles, …). Readings may
+// arrive late or in batches, but ordered by read_at they never go down: each new one
+// must lie between the readings recorded before and after it. asset_meters keeps the
+// latest reading in current_reading / last_read_at.
+const { audit } = require('./audit');
+
+const METER_UNITS = ['hours', 'cycles', 'km', 'barrels'];
+
+// Readings stamped further ahead than this are refused as clock errors
+const FUTURE_SLACK_MS = 5 * 60 * 1000;
+
+// Check one submitted reading; { reading, readAt } or { error }
+const parseReading = ({ reading, readAt }) => {
+  const value = typeof reading === 'string' && reading.trim() !== '' ? Number(reading) : reading;
+  if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+    return { error: 'reading must be a number ≥ 0' };
+  }
+  const at = readAt == null ? new Date() : new Date(readAt);
+  if (Number.isNaN(at.getTime())) return { error: 'readAt must be a date-time' };
+  if (at.getTime() > Date.now() + FUTURE_SLACK_MS) return { error: 'readAt is in the future' };
+  return { reading: Math.round(value * 100) / 100, readAt: at };
+};
+
+// Copy the latest reading onto the meter; returns the meter row
+const refreshMeter = async (db, meterId) => {
+  const { rows } = await db.query(`
+    UPDATE asset_meters SET (current_reading, last_read_at) = (
+      SELECT reading, read_at FROM meter_readings
+      WHERE meter_id = $1 ORDER BY read_at DESC LIMIT 1
+    )
+    WHERE id = $1
+    RETURNING *
+  `, [meterId]);
+  return rows[0];
+};
+
+// Readings around [from, to] of one meter: the last before, all within, the first after
+const neighbourReadings = async (db, meterId, from, to) => {
+  const { rows } = await db.query(`
+    (SELECT reading, read_at FROM meter_readings WHERE meter_id = $1 AND read_at < $2 ORDER BY read_at DESC LIMIT 1)
+    UNION ALL
+    (SELECT reading, read_at FROM meter_readings WHERE meter_id = $1 AND read_at BETWEEN $2 AND $3)
+    UNION ALL
+    (SELECT reading, read_at FROM meter_readings WHERE meter_id = $1 AND read_at > $3 ORDER BY read_at LIMIT 1)
+  `, [meterId, from, to]);
+  return rows.map(r => ({ reading: Number(r.reading), at: new Date(r.read_at) }));
+};
+
+// Check and store readings of one or more meters, all or nothing. Run it on a
+// transaction client.
+//   items – [{ index, meterId, reading, readAt }] with parsed values and known meter ids
+//   source – 'manual' | 'api' | 'completion'; ctx – the request for the audit trail
+// Returns { errors: [{ index, field, message }] } or { recorded, skipped, meters }.
+// Re-sending a reading already stored (same time and value) is skipped, not an error.
+const recordReadings = async (db, items, { source, ctx }) => {
+  const byMeter = new Map();
+  for (const item of items) {
+    const at = item.readAt || new Date();
+    if (!byMeter.has(item.meterId)) byMeter.set(item.meterId, []);
+    byMeter.get(item.meterId).push({ ...item, at });
+  }
+
+  const errors = [];
+  const fail = (item, message) => errors.push({ index: item.index, field: 'reading', message });
+  const toInsert = [];
+  let skipped = 0;
+
+  // Lock meters in a fixed order so concurrent batches cannot deadlock
+  const meterIds = [...byMeter.keys()].sort();
+  const meters = {};
+  for (const meterId of meterIds) {
+    const { rows } = await db.query('SELECT * FROM asset_meters WHERE id = $1 FOR UPDATE', [meterId]);
+    meters[meterId] = rows[0];
+    const batch = byMeter.get(meterId).sort((x, y) => x.at - y.at);
+    const stored = await neighbourReadings(db, meterId, batch[0].at, batch[batch.length - 1].at);
+
+    // One entry per instant: stored readings first, then new ones not already there
+    const timeline = new Map(stored.map(r => [r.at.getTime(), { ...r, stored: true }]));
+    const fresh = [];
+    for (const item of batch) {
+      const same = timeline.get(item.at.getTime());
+      if (!same) {
+        const entry = { reading: item.reading, at: item.at, item };
+        timeline.set(item.at.getTime(), entry);
+        fresh.push(entry);
+      } else if (same.reading === item.reading) {
+        skipped++;
+      } else {
+        fail(item, `${same.stored ? 'A reading of' : 'This batch also holds'} ${same.reading} at ${item.at.toISOString()}`);
+      }
+    }
+
+    const ordered = [...timeline.values()].sort((x, y) => x.at - y.at);
+    ordered.forEach((entry, i) => {
+      if (!entry.item) return;
+      const before = ordered[i - 1];
+      const after = ordered[i + 1];
+      if (before && entry.reading < before.reading) {
+        fail(entry.item, `Lower than the reading of ${before.reading} at ${before.at.toISOString()}`);
+      } else if (after && entry.reading > after.reading) {
+        fail(entry.item, `Higher than the later reading of ${after.reading} at ${after.at.toISOString()}`);
+      }
+    });
+    toInsert.push(...fresh.map(e => ({ meterId, reading: e.reading, at: e.at })));
+  }
+  if (errors.length) return { errors: errors.sort((x, y) => x.index - y.index) };
+
+  const updated = [];
+  for (const meterId of meterIds) {
+    const rows = toInsert.filter(r => r.meterId === meterId);
+    if (rows.length) {
+      await db.query(`
+        INSERT INTO meter_readings (meter_id, reading, read_at, source, recorded_by)
+        SELECT $1, r.reading, r.read_at, $4, $5
+        FROM unnest($2::numeric[], $3::timestamptz[]) AS r(reading, read_at)
+      `, [meterId, rows.map(r => r.reading), rows.map(r => r.at), source, ctx?.user?.id || null]);
+    }
+    const after = await refreshMeter(db, meterId);
+    if (rows.length) await audit(ctx, 'asset_meters', 'UPDATE', { before: meters[meterId], after }, db);
+    updated.push(after);
+  }
+  return { recorded: toInsert.length, skipped, meters: updated };
+};
+
+module.exports = { METER_UNITS, parseReading, refreshMeter, recordReadings };
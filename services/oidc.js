@@ -0,0 +1,230 @@
+// services/oidc.js – OpenID Connect single sign-on (authorization code flow with PKCE)
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const jwt    = require('jsonwebtoken');
+const { randomToken, hashToken } = require('./tokens');
+const { roleExists } = require('./permissions');
+const { audit } = require('./audit');
+
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+const config = () => ({
+  issuer:       (process.env.OIDC_ISSUER || '').replace(/\/+$/, ''),
+  clientId:     process.env.OIDC_CLIENT_ID,
+  clientSecret: process.env.OIDC_CLIENT_SECRET || null,
+  redirectUri:  process.env.OIDC_REDIRECT_URI || `${process.env.APP_URL || 'http://localhost:3000'}/sso/callback`,
+  scopes:       process.env.OIDC_SCOPES || 'openid email profile',
+  groupsClaim:  process.env.OIDC_GROUPS_CLAIM || 'groups',
+});
+
+const fetchJson = async (url, options) => {
+  const res = await fetch(url, options);
+  const body = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(`${url} answered ${res.status}${body.error ? ` (${body.error})` : ''}`);
+  return body;
+};
+
+// ── Providers ────────────────────────────────────────────────
+// A provider is { name, authorizationUrl({ state, nonce, codeChallenge, redirectUri }),
+// exchangeCode({ code, codeVerifier, nonce, redirectUri }) }. exchangeCode resolves to
+// the verified ID token claims (merged with userinfo) and must throw on any failure.
+const providers = {
+  // Any standards-compliant IdP, configured through its discovery document
+  oidc: () => {
+    const { issuer, clientId, clientSecret, scopes } = config();
+    if (!issuer || !clientId) throw new Error('OIDC_ISSUER and OIDC_CLIENT_ID must be set');
+
+    let metadata = null;
+    let signingKeys = {};
+    const discover = async () => metadata ||= await fetchJson(`${issuer}/.well-known/openid-configuration`);
+
+    // Keys are cached by kid and refetched when a token names an unknown one (key rotation)
+    const signingKey = async (kid = '') => {
+      if (!signingKeys[kid]) {
+        const { jwks_uri } = await discover();
+        const { keys = [] } = await fetchJson(jwks_uri);
+        signingKeys = Object.fromEntries(keys
+          .filter(k => k.use !== 'enc')
+          .map(k => [k.kid || '', crypto.createPublicKey({ key: k, format: 'jwk' })]));
+      }
+      if (!signingKeys[kid]) throw new Error(`ID token signed with unknown key "${kid}"`);
+      return signingKeys[kid];
+    };
+
+    return {
+      name: 'oidc',
+      authorizationUrl: async ({ state, nonce, codeChallenge, redirectUri }) => {
+        const url = new URL((await discover()).authorization_endpoint);
+        const params = {
+          response_type: 'code', client_id: clientId, redirect_uri: redirectUri, scope: scopes,
+          state, nonce, code_challenge: codeChallenge, code_challenge_method: 'S256',
+        };
+        for (const [key, value] of Object.entries(params)) url.searchParams.set(key, value);
+        return url.toString();
+      },
+      exchangeCode: async ({ code, codeVerifier, nonce, redirectUri }) => {
+        const { token_endpoint, userinfo_endpoint, issuer: expectedIssuer } = await discover();
+        const form = new URLSearchParams({
+          grant_type: 'authorization_code', code, redirect_uri: redirectUri,
+          code_verifier: codeVerifier, client_id: clientId,
+        });
+        if (clientSecret) form.set('client_secret', clientSecret);
+        const tokens = await fetchJson(token_endpoint, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+          body: form,
+        });
+        if (!tokens.id_token) throw new Error('Token response has no id_token');
+
+        const decoded = jwt.decode(tokens.id_token, { complete: true });
+        if (!decoded) throw new Error('id_token is not a JWT');
+        const claims = jwt.verify(tokens.id_token, await signingKey(decoded.header.kid), {
+          algorithms: ID_TOKEN_ALGORITHMS, issuer: expectedIssuer, audience: clientId,
+        });
+        if (claims.nonce !== nonce) throw new Error('id_token nonce does not match');
+
+        // Some IdPs only release email/groups through userinfo
+        if (userinfo_endpoint && tokens.access_token) {
+          const info = await fetchJson(userinfo_endpoint, {
+            headers: { Authorization: `Bearer ${tokens.access_token}`, Accept: 'application/json' },
+          }).catch(() => null);
+          if (info?.sub === claims.sub) return { ...info, ...claims };
+        }
+        return claims;
+      },
+    };
+  },
+};
+
+let provider = null;
+
+// Make another provider available under OIDC_PROVIDER=<name> (e.g. a mock IdP in tests)
+const registerProvider = (name, factory) => {
+  providers[name] = factory;
+  provider = null;
+};
+
+const getProvider = () => {
+  if (provider) return provider;
+  const name = process.env.OIDC_PROVIDER || 'oidc';
+  if (!providers[name]) throw new Error(`Unknown OIDC_PROVIDER "${name}"`);
+  provider = providers[name]();
+  return provider;
+};
+
+const isEnabled = () => Boolean(process.env.OIDC_ISSUER || (process.env.OIDC_PROVIDER && process.env.OIDC_PROVIDER !== 'oidc'));
+
+// ── Login state ──────────────────────────────────────────────
+// One row per started login: PKCE verifier and nonce, looked up by the state
+// the IdP hands back. Single use, valid OIDC_STATE_TTL_MINUTES.
+const beginLogin = async (db) => {
+  const state = randomToken();
+  const nonce = randomToken();
+  const codeVerifier = randomToken();
+  const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+  const ttlMinutes = parseInt(process.env.OIDC_STATE_TTL_MINUTES || '10');
+
+  await db.query(`
+    INSERT INTO oidc_login_states (state_hash, code_verifier, nonce, expires_at)
+    VALUES ($1, $2, $3, NOW() + make_interval(mins => $4::int))
+  `, [hashToken(state), codeVerifier, nonce, ttlMinutes]);
+
+  const authorizationUrl = await getProvider().authorizationUrl({
+    state, nonce, codeChallenge, redirectUri: config().redirectUri,
+  });
+  return { authorizationUrl, state, expiresIn: ttlMinutes * 60 };
+};
+
+// Spend the state and exchange the code; resolves to the IdP's claims, or null for an
+// unknown/expired/reused state
+const finishLogin = async (db, { code, state }) => {
+  const { rows } = await db.query(`
+    DELETE FROM oidc_login_states WHERE state_hash = $1
+    RETURNING code_verifier, nonce, expires_at
+  `, [hashToken(state)]);
+  if (!rows.length || new Date(rows[0].expires_at) <= new Date()) return null;
+
+  return getProvider().exchangeCode({
+    code, codeVerifier: rows[0].code_verifier, nonce: rows[0].nonce, redirectUri: config().redirectUri,
+  });
+};
+
+// ── Accounts ─────────────────────────────────────────────────
+// OIDC_ROLE_MAP: "idp-group=Role;other-group=Other Role" – the first listed group the
+// user is in decides. Groups may contain '=' (LDAP DNs), so the last one splits.
+const roleFromGroups = (groups) => {
+  const memberOf = [].concat(groups || []).map(String);
+  for (const entry of (process.env.OIDC_ROLE_MAP || '').split(';')) {
+    const split = entry.lastIndexOf('=');
+    if (split < 1) continue;
+    const group = entry.slice(0, split).trim();
+    const role = entry.slice(split + 1).trim();
+    if (memberOf.includes(group)) return role;
+  }
+  return null;
+};
+
+// Find the account for an IdP identity: by issuer + subject, else by verified email
+// (linking it), else create one when OIDC_AUTO_CREATE allows. Roles follow the group
+// mapping on every sign-in. Returns { user } or { status, error }.
+const resolveUser = async (ctx, db, claims) => {
+  const issuer = claims.iss || config().issuer;
+  const email = claims.email ? String(claims.email).toLowerCase() : null;
+  let role = roleFromGroups(claims[config().groupsClaim]);
+  if (role && !await roleExists(role)) {
+    console.warn(`[SSO] OIDC_ROLE_MAP names unknown role "${role}" – ignored`);
+    role = null;
+  }
+
+  let { rows } = await db.query(
+    'SELECT * FROM users WHERE oidc_issuer = $1 AND oidc_subject = $2', [issuer, claims.sub]
+  );
+  let user = rows[0];
+
+  if (!user && email) {
+    ({ rows } = await db.query('SELECT * FROM users WHERE LOWER(email) = $1', [email]));
+    // Only an address the IdP vouches for may take over an existing account
+    if (rows.length && claims.email_verified !== true) {
+      return { status: 403, error: 'The identity provider has not verified this email address, so it cannot be linked to the existing account' };
+    }
+    if (rows.length && rows[0].oidc_subject) {
+      return { status: 409, error: 'This account is already linked to another single sign-on identity' };
+    }
+    if (rows.length) {
+      const { rows: linked } = await db.query(
+        'UPDATE users SET oidc_issuer = $1, oidc_subject = $2 WHERE id = $3 RETURNING *',
+        [issuer, claims.sub, rows[0].id]
+      );
+      await audit(ctx, 'users', 'UPDATE', { before: rows[0], after: linked[0] }, db);
+      user = linked[0];
+    }
+  }
+
+  if (!user) {
+    if (process.env.OIDC_AUTO_CREATE === 'false') {
+      return { status: 403, error: 'No account exists for this identity – ask an administrator for an invitation' };
+    }
+    if (!email) return { status: 403, error: 'The identity provider did not supply an email address' };
+    const defaultRole = process.env.OIDC_DEFAULT_ROLE || 'Viewer';
+    if (!role && defaultRole === 'none') {
+      return { status: 403, error: 'None of your directory groups grants access to this application' };
+    }
+    // SSO-created accounts have no usable password
+    const { rows: created } = await db.query(`
+      INSERT INTO users (full_name, email, password_hash, role, oidc_issuer, oidc_subject, sso_only)
+      VALUES ($1, $2, $3, $4, $5, $6, true)
+      RETURNING *
+    `, [claims.name || email, email, await bcrypt.hash(randomToken(), 12), role || defaultRole, issuer, claims.sub]);
+    await audit(ctx, 'users', 'INSERT', { after: created[0] }, db);
+    return { user: created[0] };
+  }
+
+  if (role && role !== user.role) {
+    const { rows: updated } = await db.query('UPDATE users SET role = $1 WHERE id = $2 RETURNING *', [role, user.id]);
+    await audit(ctx, 'users', 'UPDATE', { before: user, after: updated[0] }, db);
+    user = updated[0];
+  }
+  return { user };
+};
+
+module.exports = { registerProvider, isEnabled, beginLogin, finishLogin, roleFromGroups, resolveUser };
@@ -0,0 +1,28 @@
+// services/permissions.js – Role → permission lookups
+const { query } = require('../config/db');
+
+// Permissions held by the role of users alias `u`, as a TEXT[] column named `permissions`
+const PERMISSIONS_SQL = `ARRAY(
+  SELECT rp.permission FROM role_permissions rp JOIN roles r ON r.id = rp.role_id
+  WHERE r.name = u.role ORDER BY rp.permission
+) AS permissions`;
+
+const can = (user, permission) => Boolean(user?.permissions?.includes(permission));
+
+const roleExists = async (name) => {
+  const { rows } = await query('SELECT 1 FROM roles WHERE name = $1', [name]);
+  return rows.length > 0;
+};
+
+// A user may hand out a role only if it grants nothing they lack themselves,
+// unless they manage roles anyway – stops users.manage from escalating to Admin
+const canAssignRole = async (user, roleName) => {
+  if (can(user, 'roles.manage')) return true;
+  const { rows } = await query(`
+    SELECT rp.permission FROM role_permissions rp JOIN roles r ON r.id = rp.role_id
+    WHERE r.name = $1
+  `, [roleName]);
+  return rows.every(r => can(user, r.permission));
+};
+
+module.exports = { PERMISSIONS_SQL, can, roleExists, canAssignRole };
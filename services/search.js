@@ -0,0 +1,202 @@
+// services/search.js – Ranked full-text search across the main record types
+//
+// Each type's document is fn_search_doc(A, B, C) over its own columns, the same
+// expression as its GIN index in schema.sql – keep the two in step. Every search word
+// is a prefix ("CAT 3512" → cat:* & 3512:*); a single-word query also matches inside
+// serial / part numbers through their trigram indexes.
+const { query } = require('../config/db');
+const { scopeCondition } = require('./visibility');
+const { hasScope } = require('./apiKeys');
+
+const ASSET_SCOPE = { rig: 'a.rig_id', company: 'a.company_id' };
+
+// type → how to search it. `resource` is the API key scope needed to see hits,
+// `highlight` the columns returned with the matched words marked.
+const ENTITIES = {
+  asset: {
+    label: 'Assets',
+    resource: 'assets',
+    from: 'assets a LEFT JOIN rigs r ON r.id = a.rig_id',
+    doc: 'fn_search_doc(ARRAY[a.asset_id, a.name], ARRAY[a.serial_number, a.manufacturer, a.model], ARRAY[a.category, a.location, a.notes])',
+    id: 'a.id', code: 'a.asset_id', title: 'a.name', subtitle: "concat_ws(' · ', a.category, r.name)",
+    serials: ['a.serial_number'],
+    highlight: { asset_id: 'a.asset_id', name: 'a.name', serial_number: 'a.serial_number', manufacturer: 'a.manufacturer', model: 'a.model', location: 'a.location', notes: 'a.notes' },
+    live: 'a.archived_at IS NULL',
+    scope: ASSET_SCOPE,
+  },
+  bom: {
+    label: 'BOM items',
+    resource: 'bom',
+    from: 'bom_items b JOIN assets a ON a.id = b.asset_id',
+    doc: 'fn_search_doc(ARRAY[b.bom_id, b.name, b.part_number], ARRAY[b.serial_number, b.manufacturer], ARRAY[b.notes])',
+    id: 'b.id', code: 'b.bom_id', title: 'b.name', subtitle: "a.asset_id || ' · ' || a.name",
+    serials: ['b.serial_number', 'b.part_number'],
+    highlight: { bom_id: 'b.bom_id', name: 'b.name', part_number: 'b.part_number', serial_number: 'b.serial_number', manufacturer: 'b.manufacturer', notes: 'b.notes' },
+    live: 'a.archived_at IS NULL',
+    scope: ASSET_SCOPE,
+  },
+  pm: {
+    label: 'PM tasks',
+    resource: 'maintenance',
+    from: 'maintenance_schedules ms JOIN assets a ON a.id = ms.asset_id',
+    doc: 'fn_search_doc(ARRAY[ms.pm_id, ms.task_name], ARRAY[ms.task_type, ms.technician, ms.work_order_no], ARRAY[ms.notes])',
+    id: 'ms.id', code: 'ms.pm_id', title: 'ms.task_name', subtitle: "a.asset_id || ' · ' || a.name",
+    serials: [],
+    highlight: { pm_id: 'ms.pm_id', task_name: 'ms.task_name', technician: 'ms.technician', work_order_no: 'ms.work_order_no', notes: 'ms.notes' },
+    live: 'a.archived_at IS NULL',
+    scope: ASSET_SCOPE,
+  },
+  transfer: {
+    label: 'Transfers',
+    resource: 'transfers',
+    from: 'transfers t JOIN assets a ON a.id = t.asset_id',
+    doc: 'fn_search_doc(ARRAY[t.transfer_id], ARRAY[t.current_location, t.destination, t.transfer_type], ARRAY[t.reason, t.instructions])',
+    id: 't.id', code: 't.transfer_id', title: "a.name || ' → ' || t.destination", subtitle: 't.status',
+    serials: [],
+    highlight: { transfer_id: 't.transfer_id', current_location: 't.current_location', destination: 't.destination', reason: 't.reason', instructions: 't.instructions' },
+    live: 'a.archived_at IS NULL',
+    scope: { asset: 't.asset_id', rig: 't.dest_rig_id', company: 't.dest_company_id' },
+  },
+  contract: {
+    label: 'Contracts',
+    resource: 'contracts',
+    from: 'contracts ct LEFT JOIN companies c ON c.id = ct.company_id LEFT JOIN rigs r ON r.id = ct.rig_id',
+    doc: 'fn_search_doc(ARRAY[ct.contract_no], ARRAY[ct.status], ARRAY[ct.notes])',
+    id: 'ct.id', code: 'ct.contract_no', title: "coalesce(c.name, ct.contract_no)", subtitle: "concat_ws(' · ', r.name, ct.status)",
+    serials: [],
+    highlight: { contract_no: 'ct.contract_no', notes: 'ct.notes' },
+    live: 'ct.archived_at IS NULL',
+    scope: { rig: 'ct.rig_id', company: 'ct.company_id' },
+  },
+  company: {
+    label: 'Companies',
+    resource: 'companies',
+    from: 'companies c',
+    doc: 'fn_search_doc(ARRAY[c.company_code, c.name], ARRAY[c.type, c.country, c.contact_name], ARRAY[c.contact_email, c.address, c.website])',
+    id: 'c.id', code: 'c.company_code', title: 'c.name', subtitle: "concat_ws(' · ', c.type, c.country)",
+    serials: [],
+    highlight: { company_code: 'c.company_code', name: 'c.name', contact_name: 'c.contact_name', contact_email: 'c.contact_email', address: 'c.address' },
+    live: 'c.archived_at IS NULL',
+  },
+  certificate: {
+    label: 'Certificates',
+    resource: 'certificates',
+    from: 'certificates ce LEFT JOIN assets a ON a.id = ce.asset_id LEFT JOIN rigs r ON r.id = ce.rig_id',
+    doc: 'fn_search_doc(ARRAY[ce.cert_no], ARRAY[ce.cert_type, ce.issued_by], ARRAY[ce.notes])',
+    id: 'ce.id', code: 'ce.cert_no', title: 'ce.cert_type', subtitle: "concat_ws(' · ', coalesce(a.name, r.name), ce.status)",
+    serials: [],
+    highlight: { cert_no: 'ce.cert_no', cert_type: 'ce.cert_type', issued_by: 'ce.issued_by', notes: 'ce.notes' },
+    scope: { rig: 'ce.rig_id', asset: 'ce.asset_id' },
+  },
+};
+
+const SEARCH_TYPES = Object.keys(ENTITIES);
+
+// Marks placed by ts_headline, swapped for <mark> once the text is HTML-escaped
+const START = '\u0002';
+const STOP = '\u0003';
+const HEADLINE_OPTIONS = `StartSel=${START}, StopSel=${STOP}, MinWords=5, MaxWords=20`;
+
+const escapeHtml = (s) => s.replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+const escapeLike = (s) => s.replace(/[\\%_]/g, '\\$&');
+
+// Words of the query as a prefix tsquery, or null when it has none
+const toTsQuery = (q) => {
+  const words = String(q).toLowerCase().match(/[\p{L}\p{N}]+/gu);
+  return words ? words.map(w => `${w}:*`).join(' & ') : null;
+};
+
+// <mark>…</mark> around the headline's matches, or around a substring match on a
+// serial-like value; null when the field did not match
+const highlight = (value, headline, substring) => {
+  if (value == null) return null;
+  if (headline?.includes(START)) {
+    return escapeHtml(headline).replaceAll(START, '<mark>').replaceAll(STOP, '</mark>');
+  }
+  const at = substring ? String(value).toLowerCase().indexOf(substring.toLowerCase()) : -1;
+  if (at < 0) return null;
+  const text = String(value);
+  return escapeHtml(text.slice(0, at)) + '<mark>' + escapeHtml(text.slice(at, at + substring.length)) +
+    '</mark>' + escapeHtml(text.slice(at + substring.length));
+};
+
+const searchType = async (user, type, { tsQuery, substring, limit }) => {
+  const e = ENTITIES[type];
+  const params = [tsQuery];
+  const matches = [`${e.doc} @@ q`];
+  // Rank: text relevance, an exact code hit first, then substring hits on serials
+  let rank = `ts_rank(${e.doc}, q)`;
+  if (substring) {
+    params.push(substring);
+    rank += ` + CASE WHEN lower(${e.code}) = lower($${params.length}) THEN 1 ELSE 0 END`;
+    if (e.serials.length) params.push(`%${escapeLike(substring)}%`);
+    for (const col of e.serials) {
+      matches.push(`${col} ILIKE $${params.length}`);
+      rank += ` + CASE WHEN ${col} ILIKE $${params.length} THEN 0.5 ELSE 0 END`;
+    }
+  }
+  const conditions = [`(${matches.join(' OR ')})`];
+  if (e.live) conditions.push(e.live);
+  const scope = e.scope && scopeCondition(user, params, e.scope);
+  if (scope) conditions.push(scope);
+  params.push(limit, HEADLINE_OPTIONS);
+  const [limitParam, optionsParam] = [params.length - 1, params.length];
+
+  const fields = Object.entries(e.highlight);
+  const { rows } = await query(`
+    SELECT hit.*,
+      ${fields.map(([name]) =>
+        `ts_headline('simple', hit."${name}", to_tsquery('simple', $1), $${optionsParam}) AS "hl_${name}"`).join(',\n      ')}
+    FROM (
+      SELECT ${e.id} AS id, ${e.code} AS code, ${e.title} AS title, ${e.subtitle} AS subtitle,
+        ${fields.map(([name, col]) => `${col} AS "${name}"`).join(', ')},
+        ${rank} AS rank,
+        COUNT(*) OVER () AS total
+      FROM ${e.from}
+      CROSS JOIN to_tsquery('simple', $1) q
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY rank DESC, code
+      LIMIT $${limitParam}
+    ) hit
+    ORDER BY hit.rank DESC, hit.code
+  `, params);
+
+  return {
+    type,
+    label: e.label,
+    total: rows.length ? parseInt(rows[0].total) : 0,
+    hits: rows.map(r => ({
+      type,
+      id: r.id,
+      code: r.code,
+      title: r.title,
+      subtitle: r.subtitle || null,
+      rank: Math.round(Number(r.rank) * 10000) / 10000,
+      highlights: Object.fromEntries(fields
+        .map(([name]) => [name, highlight(r[name], r[`hl_${name}`], e.serials.length ? substring : null)])
+        .filter(([, html]) => html)),
+    })),
+  };
+};
+
+// Search every type the caller may read; groups with hits, best match first.
+//   ctx – the request (user + optional API key)
+const search = async (ctx, q, { types = SEARCH_TYPES, limit = 5 } = {}) => {
+  const tsQuery = toTsQuery(q);
+  if (!tsQuery) return null;
+  const trimmed = String(q).trim();
+  // One word of three or more characters may be a partial serial or part number
+  const substring = /^\S{3,}$/.test(trimmed) ? trimmed : null;
+
+  const readable = types.filter(t => !ctx.apiKey || hasScope(ctx.apiKey.scopes, ENTITIES[t].resource, 'read'));
+  const groups = await Promise.all(readable.map(t => searchType(ctx.user, t, { tsQuery, substring, limit })));
+  const found = groups.filter(g => g.total)
+    .sort((x, y) => y.hits[0].rank - x.hits[0].rank);
+  return {
+    q: trimmed,
+    total: found.reduce((n, g) => n + g.total, 0),
+    groups: found,
+  };
+};
+
+module.exports = { SEARCH_TYPES, search };
@@ -0,0 +1,132 @@
+// services/sessions.js – Login sessions, access/refresh token issuance and housekeeping
+const jwt    = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+const { query } = require('../config/db');
+const { hashToken, tokenMatches } = require('./tokens');
+
+const signAccess = (userId, role, sessionId) =>
+  jwt.sign({ userId, role, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_EXPIRES_IN || '8h',
+  });
+
+// jti is the refresh_tokens primary key, so a presented token is found by one index lookup
+const signRefresh = (userId, sessionId, tokenId) =>
+  jwt.sign({ userId, sid: sessionId, jti: tokenId }, process.env.JWT_REFRESH_SECRET, {
+    expiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '7d',
+  });
+
+// Sign a refresh token for a session, store its hash and move the session expiry forward.
+// `db` is the pool helper or a transaction client.
+const issueRefresh = async (db, userId, sessionId, ip) => {
+  const tokenId = uuidv4();
+  const refreshToken = signRefresh(userId, sessionId, tokenId);
+  const expiresAt = new Date(jwt.decode(refreshToken).exp * 1000);
+
+  await db.query(
+    `INSERT INTO refresh_tokens (id, user_id, session_id, token_hash, expires_at)
+     VALUES ($1, $2, $3, $4, $5)`,
+    [tokenId, userId, sessionId, hashToken(refreshToken), expiresAt]
+  );
+  await db.query(
+    `UPDATE auth_sessions SET expires_at = $1, last_used_at = NOW(), ip_address = COALESCE($2, ip_address)
+     WHERE id = $3`,
+    [expiresAt, ip || null, sessionId]
+  );
+  return refreshToken;
+};
+
+// Look up the stored row for a verified refresh token; null when unknown or tampered with
+const findRefreshToken = async (db, refreshToken, decoded) => {
+  if (!decoded.jti || !decoded.sid) return null;
+  const { rows } = await db.query(
+    'SELECT * FROM refresh_tokens WHERE id = $1 AND session_id = $2 AND expires_at > NOW()',
+    [decoded.jti, decoded.sid]
+  );
+  if (!rows.length || !tokenMatches(refreshToken, rows[0].token_hash)) return null;
+  return rows[0];
+};
+
+// Revoke a session (the whole refresh-token family) and drop its stored tokens
+const revokeSession = async (db, sessionId, reason) => {
+  const { rowCount } = await db.query(
+    `UPDATE auth_sessions SET revoked_at = NOW(), revoked_reason = $1
+     WHERE id = $2 AND revoked_at IS NULL`,
+    [reason, sessionId]
+  );
+  await db.query('DELETE FROM refresh_tokens WHERE session_id = $1', [sessionId]);
+  return rowCount > 0;
+};
+
+// Revoke every active session of a user, optionally keeping one (the caller's own)
+const revokeUserSessions = async (db, userId, reason, exceptSessionId = null) => {
+  const { rows } = await db.query(
+    `SELECT id FROM auth_sessions
+     WHERE user_id = $1 AND revoked_at IS NULL AND id IS DISTINCT FROM $2`,
+    [userId, exceptSessionId]
+  );
+  for (const s of rows) await revokeSession(db, s.id, reason);
+  return rows.length;
+};
+
+// Open a session for a user who has just authenticated and issue the token pair.
+// Oldest sessions beyond MAX_ACTIVE_SESSIONS are revoked.
+const startSession = async (req, user, deviceName) => {
+  const userAgent = req.get('user-agent') || null;
+  const { rows } = await query(
+    `INSERT INTO auth_sessions (user_id, device_name, user_agent, ip_address, expires_at)
+     VALUES ($1, $2, $3, $4, NOW())
+     RETURNING id`,
+    [user.id, deviceName || userAgent, userAgent, req.ip || null]
+  );
+  const sessionId = rows[0].id;
+
+  const refreshToken = await issueRefresh({ query }, user.id, sessionId, req.ip);
+
+  const maxSessions = parseInt(process.env.MAX_ACTIVE_SESSIONS || '10');
+  const { rows: excess } = await query(`
+    SELECT id FROM auth_sessions
+    WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > NOW()
+    ORDER BY last_used_at DESC
+    OFFSET $2
+  `, [user.id, maxSessions]);
+  for (const s of excess) await revokeSession({ query }, s.id, 'Session limit reached');
+
+  return { accessToken: signAccess(user.id, user.role, sessionId), refreshToken, sessionId };
+};
+
+// Delete expired refresh and password-reset tokens, sessions that ended more than 30 days ago
+// and login history older than LOGIN_HISTORY_RETENTION_DAYS
+const purgeExpiredTokens = async () => {
+  const tokens = await query('DELETE FROM refresh_tokens WHERE expires_at <= NOW()');
+  await query('DELETE FROM password_reset_tokens WHERE expires_at <= NOW()');
+  await query('DELETE FROM oidc_login_states WHERE expires_at <= NOW()');
+  await query(
+    'DELETE FROM login_attempts WHERE attempted_at < NOW() - make_interval(days => $1::int)',
+    [parseInt(process.env.LOGIN_HISTORY_RETENTION_DAYS || '180')]
+  );
+  const sessions = await query(`
+    DELETE FROM auth_sessions
+    WHERE COALESCE(revoked_at, expires_at) < NOW() - INTERVAL '30 days'
+  `);
+  return { tokens: tokens.rowCount, sessions: sessions.rowCount };
+};
+
+// Periodic purge; interval from TOKEN_PURGE_INTERVAL_MINUTES (0 disables)
+const startTokenPurge = () => {
+  const minutes = parseInt(process.env.TOKEN_PURGE_INTERVAL_MINUTES || '60');
+  if (!minutes) return null;
+
+  const run = () => purgeExpiredTokens()
+    .then(({ tokens, sessions }) => {
+      if (tokens || sessions) console.log(`🧹 Purged ${tokens} expired refresh token(s), ${sessions} old session(s)`);
+    })
+    .catch(err => console.error('[TOKEN-PURGE] purge failed:', err.message));
+
+  run();
+  return setInterval(run, minutes * 60 * 1000).unref();
+};
+
+module.exports = {
+  signAccess, issueRefresh, findRefreshToken, revokeSession, revokeUserSessions,
+  startSession, purgeExpiredTokens, startTokenPurge,
+};
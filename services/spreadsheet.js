@@ -0,0 +1,160 @@
+// services/spreadsheet.js – Read and write CSV / XLSX tables
+const ExcelJS = require('exceljs');
+
+const XLSX_MIME = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+// Which format an upload is, from its file name and then its MIME type; null if neither
+const detectFormat = ({ originalname = '', mimetype = '' }) => {
+  const ext = originalname.toLowerCase().split('.').pop();
+  if (ext === 'csv' || ext === 'xlsx') return ext;
+  if (mimetype === XLSX_MIME) return 'xlsx';
+  if (['text/csv', 'application/csv', 'text/plain'].includes(mimetype)) return 'csv';
+  return null;
+};
+
+// ── CSV (RFC 4180) ───────────────────────────────────────────
+// Quoted fields may hold separators, "" and line breaks. The separator is ',' unless
+// the header line has more ';' (spreadsheets saved with a European locale).
+const parseCsv = (text) => {
+  const input = text.replace(/^\uFEFF/, '');
+  const firstLine = input.slice(0, input.search(/\r?\n|$/));
+  const sep = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i];
+    if (quoted) {
+      if (ch === '"' && input[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"' && field === '') {
+      quoted = true;
+    } else if (ch === sep) {
+      record.push(field); field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && input[i + 1] === '\n') i++;
+      record.push(field); records.push(record);
+      record = []; field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || record.length) { record.push(field); records.push(record); }
+  return records;
+};
+
+// Text starting like a formula is prefixed with ' so spreadsheet programs don't run it
+const csvField = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvLine = (values) => values.map(csvField).join(',') + '\r\n';
+
+// columns: [{ key, header }]; rows: objects. Starts with a BOM so Excel reads UTF-8.
+const toCsv = (columns, rows) => '\uFEFF' + csvLine(columns.map(c => c.header)) +
+  rows.map(row => csvLine(columns.map(c => row[c.key]))).join('');
+
+// Resolves once a stream that reported backpressure can take more, or has closed
+const drained = (stream) => new Promise((resolve) => {
+  const done = () => { stream.off('drain', done); stream.off('close', done); resolve(); };
+  stream.on('drain', done);
+  stream.on('close', done);
+});
+
+// Same output written to a stream (e.g. the response) in chunks. rows may be an array or
+// an (async) iterable, so they can be read while writing; stops if the stream closes.
+const writeCsv = async (stream, columns, rows, chunkSize = 500) => {
+  stream.write('\uFEFF' + csvLine(columns.map(c => c.header)));
+  let chunk = '';
+  let count = 0;
+  for await (const row of rows) {
+    chunk += csvLine(columns.map(c => row[c.key]));
+    if (++count % chunkSize) continue;
+    if (!stream.write(chunk)) await drained(stream);
+    chunk = '';
+    if (stream.destroyed) return;
+  }
+  stream.end(chunk);
+};
+
+// ── XLSX ─────────────────────────────────────────────────────
+// Plain value of an ExcelJS cell: rich text, formulas and hyperlinks are flattened
+const cellValue = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value;
+  if (typeof value === 'object') {
+    if (value.richText) return value.richText.map(t => t.text).join('');
+    if ('result' in value) return cellValue(value.result);
+    if ('text' in value) return cellValue(value.text);
+    return '';
+  }
+  return value;
+};
+
+const readXlsx = async (buffer) => {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+  const sheet = workbook.worksheets[0];
+  if (!sheet) return [];
+  const records = [];
+  sheet.eachRow({ includeEmpty: true }, (row, rowNumber) => {
+    // row.values is 1-based
+    records[rowNumber - 1] = row.values.slice(1).map(cellValue);
+  });
+  return Array.from(records, r => r || []);
+};
+
+// Header row in bold and frozen; columns may carry an ExcelJS numFmt
+const sheetColumns = (columns) => columns.map(c => ({
+  header: c.header, key: c.key, width: Math.max(12, c.header.length + 2),
+  ...(c.numFmt && { style: { numFmt: c.numFmt } }),
+}));
+
+// Rows are committed one by one instead of building the workbook in memory; like
+// writeCsv, rows may be an (async) iterable
+const writeXlsx = async (stream, columns, rows, sheetName = 'Sheet1') => {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: true });
+  const sheet = workbook.addWorksheet(sheetName, { views: [{ state: 'frozen', ySplit: 1 }] });
+  sheet.columns = sheetColumns(columns);
+  sheet.getRow(1).font = { bold: true };
+  sheet.getRow(1).commit();
+  for await (const row of rows) {
+    sheet.addRow(columns.map(c => row[c.key] ?? null)).commit();
+    if (stream.writableNeedDrain) await drained(stream);
+    if (stream.destroyed) return;
+  }
+  sheet.commit();
+  await workbook.commit();
+};
+
+// ── Tables ───────────────────────────────────────────────────
+// Parse an upload into { headers, rows }: the first row is the header, every later
+// non-blank row becomes { rowNumber, values: { header: value } } (rowNumber as shown
+// by spreadsheet programs, so the header is row 1).
+const readTable = async (file) => {
+  const format = detectFormat(file);
+  const records = format === 'xlsx' ? await readXlsx(file.buffer) : parseCsv(file.buffer.toString('utf8'));
+  const [headerRecord = [], ...data] = records;
+  const headers = headerRecord.map(h => String(h).trim());
+
+  const rows = [];
+  data.forEach((record, i) => {
+    if (!record.some(v => String(v).trim() !== '')) return;
+    const values = {};
+    headers.forEach((h, col) => {
+      if (!h) return;
+      const v = record[col];
+      values[h] = typeof v === 'string' ? v.trim() : (v ?? '');
+    });
+    rows.push({ rowNumber: i + 2, values });
+  });
+  return { headers, rows };
+};
+
+module.exports = { XLSX_MIME, detectFormat, parseCsv, toCsv, writeCsv, writeXlsx, readTable };
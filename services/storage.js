@@ -0,0 +1,56 @@
+// services/storage.js – Pluggable file storage for attachments
+const fs   = require('fs');
+const fsp  = require('fs/promises');
+const path = require('path');
+
+// ── Backends ─────────────────────────────────────────────────
+// A backend is { name, put(key, buffer, { contentType }), get(key), remove(key) }.
+// get() resolves to a readable stream, or null when the key is unknown; remove() of an
+// unknown key is not an error. Keys are '/'-separated and chosen by services/attachments.js.
+const backends = {
+  // Files under ATTACHMENT_LOCAL_DIR, one per key
+  local: () => {
+    const root = path.resolve(process.env.ATTACHMENT_LOCAL_DIR || path.join(process.cwd(), 'uploads'));
+    const fileOf = (key) => {
+      const file = path.resolve(root, key);
+      if (!file.startsWith(root + path.sep)) throw new Error(`Invalid storage key "${key}"`);
+      return file;
+    };
+    return {
+      name: 'local',
+      put: async (key, buffer) => {
+        const file = fileOf(key);
+        await fsp.mkdir(path.dirname(file), { recursive: true });
+        await fsp.writeFile(file, buffer, { flag: 'wx' });
+      },
+      get: async (key) => {
+        const file = fileOf(key);
+        try {
+          await fsp.access(file);
+        } catch {
+          return null;
+        }
+        return fs.createReadStream(file);
+      },
+      remove: async (key) => {
+        await fsp.rm(fileOf(key), { force: true });
+      },
+    };
+  },
+};
+
+// Make another backend available under ATTACHMENT_STORAGE=<name>
+const registerBackend = (name, factory) => { backends[name] = factory; };
+
+const instances = {};
+
+// The backend by name (each row records the backend its file went to); default: the
+// one new uploads use
+const getStorage = (name = process.env.ATTACHMENT_STORAGE || 'local') => {
+  if (instances[name]) return instances[name];
+  if (!backends[name]) throw new Error(`Unknown attachment storage backend "${name}"`);
+  instances[name] = backends[name]();
+  return instances[name];
+};
+
+module.exports = { registerBackend, getStorage };
@@ -0,0 +1,17 @@
+// services/tokens.js – Random one-time tokens and their stored hashes
+const crypto = require('crypto');
+
+// 256 random bits, URL-safe (goes into links and JSON bodies)
+const randomToken = () => crypto.randomBytes(32).toString('base64url');
+
+// Tokens are long and random, so an unsalted SHA-256 is enough – no bcrypt work factor
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Constant-time comparison of a presented token against a stored hash
+const tokenMatches = (token, storedHash) => {
+  const a = Buffer.from(hashToken(token), 'hex');
+  const b = Buffer.from(storedHash, 'hex');
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+module.exports = { randomToken, hashToken, tokenMatches };
@@ -0,0 +1,120 @@
+// services/totp.js – TOTP (RFC 6238) second factor: secrets, codes, recovery codes, policy
+const crypto = require('crypto');
+const { hashToken } = require('./tokens');
+
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const BASE32 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buf) => {
+  let bits = '';
+  for (const byte of buf) bits += byte.toString(2).padStart(8, '0');
+  let out = '';
+  for (let i = 0; i < bits.length; i += 5) out += BASE32[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  return out;
+};
+
+const base32Decode = (str) => {
+  let bits = '';
+  for (const ch of str.replace(/=+$/, '').toUpperCase()) {
+    const idx = BASE32.indexOf(ch);
+    if (idx === -1) throw new Error('Invalid base32 secret');
+    bits += idx.toString(2).padStart(5, '0');
+  }
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  return Buffer.from(bytes);
+};
+
+// HOTP value for one time step (RFC 4226 dynamic truncation)
+const codeForStep = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const value = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+  return value.toString().padStart(DIGITS, '0');
+};
+
+const currentStep = () => Math.floor(Date.now() / 1000 / STEP_SECONDS);
+
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+// otpauth:// URI that authenticator apps read from a QR code
+const provisioningUri = (secret, accountName) => {
+  const issuer = process.env.TOTP_ISSUER || 'RigAsset Pro';
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(issuer)}` +
+    `&algorithm=SHA1&digits=${DIGITS}&period=${STEP_SECONDS}`;
+};
+
+// Check a code against the previous, current and next step (clock drift).
+// Returns the matched step, or null. Steps at or before lastStep were already used.
+const verifyCode = (secret, code, lastStep = null) => {
+  const normalized = String(code || '').replace(/\s+/g, '');
+  if (!/^\d{6}$/.test(normalized)) return null;
+  const now = currentStep();
+  for (const step of [now - 1, now, now + 1]) {
+    if (lastStep !== null && step <= Number(lastStep)) continue;
+    const expected = Buffer.from(codeForStep(secret, step));
+    if (crypto.timingSafeEqual(expected, Buffer.from(normalized))) return step;
+  }
+  return null;
+};
+
+// ── Secret encryption at rest ────────────────────────────────
+// AES-256-GCM with a key derived from TOTP_ENCRYPTION_KEY (falls back to JWT_SECRET)
+const encryptionKey = () =>
+  crypto.createHash('sha256').update(process.env.TOTP_ENCRYPTION_KEY || process.env.JWT_SECRET || '').digest();
+
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const data = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), data].map(b => b.toString('base64')).join('.');
+};
+
+const decryptSecret = (stored) => {
+  const [iv, tag, data] = stored.split('.').map(p => Buffer.from(p, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(data), decipher.final()]).toString('utf8');
+};
+
+// ── Recovery codes ───────────────────────────────────────────
+// Replace a user's recovery codes; returns the plain codes (shown once)
+const issueRecoveryCodes = async (db, userId, count = 10) => {
+  const codes = Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  await db.query('DELETE FROM user_recovery_codes WHERE user_id = $1', [userId]);
+  for (const code of codes) {
+    await db.query(
+      'INSERT INTO user_recovery_codes (user_id, code_hash) VALUES ($1, $2)',
+      [userId, hashToken(code)]
+    );
+  }
+  return codes;
+};
+
+// Spend a recovery code; true when it was valid and unused
+const useRecoveryCode = async (db, userId, code) => {
+  const { rowCount } = await db.query(`
+    UPDATE user_recovery_codes SET used_at = NOW()
+    WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+  `, [userId, hashToken(String(code || '').trim().toLowerCase())]);
+  return rowCount > 0;
+};
+
+// ── Policy ───────────────────────────────────────────────────
+// Roles listed in TOTP_REQUIRED_ROLES (comma-separated) must use a second factor
+const isRequiredForRole = (role) =>
+  (process.env.TOTP_REQUIRED_ROLES || '').split(',').map(r => r.trim()).filter(Boolean).includes(role);
+
+module.exports = {
+  generateSecret, provisioningUri, verifyCode, currentStep,
+  encryptSecret, decryptSecret,
+  issueRecoveryCodes, useRecoveryCode,
+  isRequiredForRole,
+};
@@ -0,0 +1,79 @@
+// services/updates.js – Partial updates and optimistic concurrency for editable records
+//
+// PATCH changes only the fields present in the body, and an explicit null (or '') clears
+// a field. PUT keeps its older meaning – a null leaves the field as it is – so existing
+// clients behave as before.
+//
+// Each record's ETag is its updated_at ("2025-03-01T08:15:42.123Z", quotes included), so
+// a client holding a row from a list can build it too. Writes that send If-Match are
+// refused with 412 when the record changed in the meantime.
+const cleared = (value) => value === null || value === '';
+
+// True when this request clears fields with null (PATCH) rather than ignoring it (PUT)
+const clearsWithNull = (req) => req.method === 'PATCH';
+
+// A body field's value after this request, given its current value
+const patchedValue = (req, field, current) => {
+  const value = req.body[field];
+  if (value === undefined || (value === null && !clearsWithNull(req))) return current;
+  return clearsWithNull(req) && cleared(value) ? null : value;
+};
+
+// SET items for the body fields sent; pushes their values onto params.
+//   fields – { columns: { bodyField: column }, required: [bodyField, …] } – required
+//            fields cannot be cleared (NOT NULL columns)
+// Returns { sets } or { error }.
+const patchSet = (req, { columns, required = [] }, params) => {
+  const sets = [];
+  for (const [field, column] of Object.entries(columns)) {
+    const value = req.body[field];
+    if (value === undefined || (value === null && !clearsWithNull(req))) continue;
+    if (clearsWithNull(req) && cleared(value)) {
+      if (required.includes(field)) return { error: `${field} cannot be cleared` };
+      sets.push(`${column} = NULL`);
+      continue;
+    }
+    params.push(value);
+    sets.push(`${column} = $${params.length}`);
+  }
+  return { sets };
+};
+
+// ── ETags ────────────────────────────────────────────────────
+const etagOf = (row) => `"${new Date(row.updated_at).toISOString()}"`;
+
+// Adds the record's ETag to the response; returns res for chaining
+const withEtag = (res, row) => res.set('ETag', etagOf(row));
+
+const ifMatchTags = (req) => {
+  const header = req.get('If-Match');
+  return header ? header.split(',').map(t => t.trim()).filter(Boolean) : null;
+};
+
+// True when the request sent If-Match and none of its tags is the record's current ETag
+// (weak W/ tags never match – If-Match compares strongly)
+const ifMatchFails = (req, row) => {
+  const tags = ifMatchTags(req);
+  return Boolean(tags) && !tags.includes('*') && !tags.includes(etagOf(row));
+};
+
+// WHERE condition making an UPDATE apply only while the record is still the version the
+// If-Match was checked against (the trigger moves updated_at on every write); '' without If-Match
+const unchangedCondition = (req, row, params, alias) => {
+  if (!ifMatchTags(req)) return '';
+  params.push(row.updated_at);
+  return `AND date_trunc('milliseconds', ${alias ? `${alias}.` : ''}updated_at) = $${params.length}`;
+};
+
+// 412 for a stale If-Match, with the current ETag when the record is known
+const preconditionFailed = (res, row) => {
+  if (row) withEtag(res, row);
+  return res.status(412).json({
+    error: 'The record was changed by someone else – reload it and try again',
+    ...(row && { etag: etagOf(row) }),
+  });
+};
+
+module.exports = {
+  patchedValue, patchSet, etagOf, withEtag, ifMatchFails, unchangedCondition, preconditionFailed,
+};
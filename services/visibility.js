@@ -0,0 +1,55 @@
+// services/visibility.js – Rig/company data scope for field users
+const { can } = require('./permissions');
+
+// Rigs and companies assigned to users alias `u`, as UUID[] columns `rig_ids` and
+// `company_ids`. Assigning a company also brings in every rig it operates.
+const SCOPE_SQL = `ARRAY(
+  SELECT ur.rig_id FROM user_rigs ur WHERE ur.user_id = u.id
+  UNION
+  SELECT r.id FROM rigs r JOIN user_companies uc ON uc.company_id = r.company_id
+  WHERE uc.user_id = u.id
+) AS rig_ids,
+ARRAY(SELECT uc.company_id FROM user_companies uc WHERE uc.user_id = u.id) AS company_ids`;
+
+// Roles holding data.all_sites see every rig; everyone else only their assignments
+const isScoped = (user) => !can(user, 'data.all_sites');
+
+const asList = (cols) => [].concat(cols || []);
+
+// SQL condition limiting rows to the user's scope, or null when unscoped.
+// `cols` names the columns that place a row: rig and company id columns and/or
+// an asset id column (the asset's own rig/company then decide). Pushes onto params.
+const scopeCondition = (user, params, { rig, company, asset } = {}) => {
+  if (!isScoped(user)) return null;
+  // Each array is bound once, and only if referenced (Postgres rejects unused params)
+  const bind = (values) => {
+    params.push(values);
+    return `$${params.length}::uuid[]`;
+  };
+  let rigIds, companyIds;
+  const rigParam = () => (rigIds ??= bind(user.rig_ids || []));
+  const companyParam = () => (companyIds ??= bind(user.company_ids || []));
+
+  const parts = [
+    ...asList(rig).map(col => `${col} = ANY(${rigParam()})`),
+    ...asList(company).map(col => `${col} = ANY(${companyParam()})`),
+    ...asList(asset).map(col => `${col} IN (
+      SELECT sa.id FROM assets sa WHERE sa.rig_id = ANY(${rigParam()}) OR sa.company_id = ANY(${companyParam()}))`),
+  ];
+  return `(${parts.join(' OR ')})`;
+};
+
+// Same condition as an `AND …` suffix for single-record lookups ('' when unscoped)
+const andScope = (user, params, cols) => {
+  const condition = scopeCondition(user, params, cols);
+  return condition ? `AND ${condition}` : '';
+};
+
+// Whether a record placed on rigId / companyId (either may be empty) is in scope –
+// used to stop scoped users from creating or moving records outside it
+const inScope = (user, { rigId, companyId }) =>
+  !isScoped(user) ||
+  Boolean(rigId && (user.rig_ids || []).includes(rigId)) ||
+  Boolean(companyId && (user.company_ids || []).includes(companyId));
+
+module.exports = { SCOPE_SQL, isScoped, scopeCondition, andScope, inScope };
@@ -0,0 +1,103 @@
+// services/workOrders.js – Work order numbering + automatic generation from PM schedules
+const { query, getClient } = require('../config/db');
+const { audit } = require('./audit');
+const { METER_JOIN, IS_OPEN, IS_OVERDUE, IN_ALERT_WINDOW } = require('./maintenance');
+
+// Serialises wo_number allocation across concurrent transactions
+const WO_NUMBER_LOCK = "hashtext('work_orders.wo_number')";
+
+// Next 'WO-<year>-NNN' number. Call inside a transaction after taking WO_NUMBER_LOCK.
+const nextWoNumber = async (db) => {
+  const year = new Date().getFullYear();
+  const { rows } = await db.query(`
+    SELECT COALESCE(MAX(SUBSTRING(wo_number FROM '^WO-\\d{4}-(\\d+)$')::int), 0) + 1 AS next
+    FROM work_orders
+    WHERE wo_number LIKE $1
+  `, [`WO-${year}-%`]);
+  return `WO-${year}-${String(rows[0].next).padStart(3, '0')}`;
+};
+
+// Open a work order for every active schedule of a live (unarchived) asset that has
+// entered its alert window (by date or meter) and has no open work order yet. `ctx` is
+// the triggering request, or null when run by the background interval. Returns the work
+// orders created.
+const generateDueWorkOrders = async (ctx = null) => {
+  const { rows: due } = await query(`
+    SELECT ms.*, ${IS_OVERDUE} AS is_overdue
+    FROM maintenance_schedules ms
+    JOIN assets a ON a.id = ms.asset_id
+    ${METER_JOIN}
+    WHERE ${IS_OPEN}
+      AND ${IN_ALERT_WINDOW}
+      AND a.archived_at IS NULL
+      AND NOT EXISTS (
+        SELECT 1 FROM work_orders wo
+        WHERE wo.schedule_id = ms.id
+          AND wo.status NOT IN ('Completed','Cancelled')
+      )
+    ORDER BY ms.next_due_date ASC NULLS LAST
+  `);
+
+  const created = [];
+  for (const { is_overdue: overdue, ...sched } of due) {
+    const client = await getClient();
+    try {
+      await client.query('BEGIN');
+      await client.query(`SELECT pg_advisory_xact_lock(${WO_NUMBER_LOCK})`);
+
+      const woNumber = await nextWoNumber(client);
+
+      // uq_wo_open_schedule makes a second open WO for the same schedule a no-op
+      const { rows } = await client.query(`
+        INSERT INTO work_orders
+          (wo_number, schedule_id, asset_id, title, description, priority,
+           assigned_team, planned_start, estimated_hours, estimated_cost, created_by)
+        VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11)
+        ON CONFLICT (schedule_id) WHERE status NOT IN ('Completed','Cancelled') DO NOTHING
+        RETURNING *
+      `, [woNumber, sched.id, sched.asset_id, `${sched.pm_id}: ${sched.task_name}`,
+          sched.notes, sched.priority, sched.technician, sched.next_due_date || new Date(),
+          sched.estimated_hours, sched.estimated_cost, ctx?.user?.id || null]);
+
+      if (rows.length) {
+        const { rows: schedAfter } = await client.query(
+          'UPDATE maintenance_schedules SET work_order_no = $1 WHERE id = $2 RETURNING *',
+          [woNumber, sched.id]
+        );
+        await audit(ctx, 'work_orders', 'INSERT', { after: rows[0] }, client);
+        await audit(ctx, 'maintenance_schedules', 'UPDATE', { before: sched, after: schedAfter[0] }, client);
+        await client.query(`
+          INSERT INTO notifications (type, icon, title, description, entity_type, entity_id)
+          VALUES ($1, 'clipboard-list', 'Work Order Opened', $2, 'work_order', $3)
+        `, [overdue ? 'warning' : 'info',
+            `${woNumber} opened for ${sched.pm_id} – ${sched.task_name}`, rows[0].id]);
+        created.push(rows[0]);
+      }
+
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+  }
+  return created;
+};
+
+// Periodic generator; interval from WO_AUTOGEN_INTERVAL_MINUTES (0 disables)
+const startWorkOrderGenerator = () => {
+  const minutes = parseInt(process.env.WO_AUTOGEN_INTERVAL_MINUTES || '60');
+  if (!minutes) return null;
+
+  const run = () => generateDueWorkOrders()
+    .then(created => {
+      if (created.length) console.log(`🛠️  Opened ${created.length} work order(s) for due PM schedules`);
+    })
+    .catch(err => console.error('[WO-AUTOGEN] generation failed:', err.message));
+
+  run();
+  return setInterval(run, minutes * 60 * 1000).unref();
+};
+
+module.exports = { generateDueWorkOrders, startWorkOrderGenerator };